@@ -0,0 +1,120 @@
+// Upgrade a database created before organizations existed. The schema
+// requires an organization on projects, files, invitations and other
+// organization-owned rows, and roles moved from users to memberships, so
+// `db push` cannot apply it to existing data directly. This script:
+//   1. pushes the schema with those columns optional and the old user role kept
+//   2. creates the default organization and moves existing users and rows into
+//      it, keeping each user's role
+//   3. pushes the final schema, which drops the old user role column
+// Back up the database before running it. Running it again is safe.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+const SCHEMA_PATH = path.join(__dirname, "schema.prisma");
+
+// Run a Prisma CLI command, showing its output
+const runPrisma = (args) => {
+  execFileSync("npx", ["prisma", ...args], { stdio: "inherit" });
+};
+
+// Tables of the models that require an organization
+const organizationTables = (schema) =>
+  [...schema.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)]
+    .filter(([, , body]) => /^\s+organizationId\s+String$/m.test(body))
+    .map(([, name, body]) => body.match(/@@map\("(\w+)"\)/)?.[1] || name);
+
+// The schema with optional organizations and the user role column kept
+const relaxSchema = (schema) =>
+  schema
+    .replace(/^(\s+organizationId\s+)String$/gm, "$1String?")
+    .replace(
+      /^(\s+organization\s+)Organization(\s+@relation)/gm,
+      "$1Organization?$2"
+    )
+    .replace(
+      /^(model User \{[\s\S]*?^\s+accessToOthers\s+.*)$/m,
+      "$1\n  role UserRole @default(EMPLOYEE)"
+    );
+
+async function main() {
+  const schema = fs.readFileSync(SCHEMA_PATH, "utf8");
+
+  // Roles are only copied from users while the old column still exists
+  const roleColumns = await prisma.$queryRaw`
+    SELECT COLUMN_NAME FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'role'`;
+  const hasUserRoles = roleColumns.length > 0;
+
+  console.log("🔧 Pushing the schema with optional organizations...");
+  const relaxedSchemaPath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "fuchsio-")),
+    "schema.prisma"
+  );
+  fs.writeFileSync(relaxedSchemaPath, relaxSchema(schema));
+  runPrisma([
+    "db",
+    "push",
+    "--schema",
+    relaxedSchemaPath,
+    "--skip-generate",
+    "--accept-data-loss",
+  ]);
+
+  console.log("🏢 Creating default organization...");
+  const slug = process.env.DEFAULT_ORGANIZATION_SLUG || "default";
+  const organization = await prisma.organization.upsert({
+    where: { slug },
+    update: {},
+    create: { name: "Fuchsio", slug },
+  });
+
+  console.log("👥 Adding users without an organization...");
+  const users = await prisma.user.findMany({
+    where: { organizationMemberships: { none: {} } },
+    select: { id: true },
+  });
+  await prisma.organizationMember.createMany({
+    data: users.map((user) => ({
+      organizationId: organization.id,
+      userId: user.id,
+    })),
+  });
+
+  if (hasUserRoles) {
+    console.log("🔑 Moving user roles onto memberships...");
+    await prisma.$executeRaw`
+      UPDATE organization_members m JOIN users u ON u.id = m.userId
+      SET m.role = u.role`;
+  }
+
+  for (const table of organizationTables(schema)) {
+    const count = await prisma.$executeRawUnsafe(
+      `UPDATE \`${table}\` SET organizationId = ? WHERE organizationId IS NULL`,
+      organization.id
+    );
+    console.log(`📦 ${table}: ${count} rows moved into the organization`);
+  }
+
+  console.log("🔧 Pushing the final schema...");
+  runPrisma(["db", "push", "--accept-data-loss"]);
+
+  console.log("\n🎉 Database upgraded successfully!", {
+    organizationId: organization.id,
+    slug: organization.slug,
+    usersAdded: users.length,
+  });
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Error during upgrade:", e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
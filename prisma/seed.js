@@ -13,7 +13,7 @@ async function main() {
     console.log("✅ Database connected successfully!");
 
     // Check if admin user already exists
-    const existingAdmin = await prisma.user.findFirst({
+    const existingAdmin = await prisma.organizationMember.findFirst({
       where: { role: "ADMIN" },
     });
 
@@ -22,6 +22,26 @@ async function main() {
       return;
     }
 
+    console.log("🏢 Creating default organization...");
+    // Self-registered and single sign-on users join this organization
+    const organization = await prisma.organization.upsert({
+      where: { slug: process.env.DEFAULT_ORGANIZATION_SLUG || "default" },
+      update: {},
+      create: {
+        name: "Fuchsio",
+        slug: process.env.DEFAULT_ORGANIZATION_SLUG || "default",
+      },
+    });
+    // Roles apply in the organization, so they are set on the memberships
+    const organizationMemberships = (role) => ({
+      create: { organizationId: organization.id, role },
+    });
+
+    console.log("✅ Organization created:", {
+      id: organization.id,
+      slug: organization.slug,
+    });
+
     console.log("👤 Creating admin user...");
     // Create admin user
     const hashedPassword = await bcrypt.hash("Admin@123", 12);
@@ -32,12 +52,12 @@ async function main() {
         password: hashedPassword,
         firstName: "System",
         lastName: "Administrator",
-        role: "ADMIN",
         status: "ACTIVE",
         position: "System Administrator",
         avatar:
           "https://ui-avatars.com/api/?name=System+Administrator&background=0D8ABC&color=fff",
         accessToOthers: true,
+        organizationMemberships: organizationMemberships("ADMIN"),
       },
     });
 
@@ -45,7 +65,7 @@ async function main() {
       id: admin.id,
       email: admin.email,
       username: admin.username,
-      role: admin.role,
+      role: "ADMIN",
     });
 
     console.log("👤 Creating team lead user...");
@@ -58,13 +78,13 @@ async function main() {
         password: teamLeadPassword,
         firstName: "Team",
         lastName: "Leader",
-        role: "TEAM_LEAD",
         status: "ACTIVE",
         position: "Team Leader",
         avatar:
           "https://ui-avatars.com/api/?name=Team+Leader&background=4A8C2A&color=fff",
         accessToOthers: true,
         createdBy: admin.id,
+        organizationMemberships: organizationMemberships("TEAM_LEAD"),
       },
     });
 
@@ -72,7 +92,7 @@ async function main() {
       id: teamLead.id,
       email: teamLead.email,
       username: teamLead.username,
-      role: teamLead.role,
+      role: "TEAM_LEAD",
     });
 
     console.log("👤 Creating employee user...");
@@ -85,13 +105,13 @@ async function main() {
         password: employeePassword,
         firstName: "John",
         lastName: "Employee",
-        role: "EMPLOYEE",
         status: "ACTIVE",
         position: "Software Developer",
         avatar:
           "https://ui-avatars.com/api/?name=John+Employee&background=A83C2A&color=fff",
         accessToOthers: false,
         createdBy: teamLead.id,
+        organizationMemberships: organizationMemberships("EMPLOYEE"),
       },
     });
 
@@ -99,7 +119,7 @@ async function main() {
       id: employee.id,
       email: employee.email,
       username: employee.username,
-      role: employee.role,
+      role: "EMPLOYEE",
     });
 
     console.log("\n🎉 Database seeding completed successfully!");
@@ -1,9 +1,17 @@
 // Controller for analytics and reporting endpoints
 const { PrismaClient } = require("@prisma/client");
 const { sendSuccess, sendError } = require("../utils/helpers");
-const { hasRole } = require("../utils/auth");
-
-const prisma = new PrismaClient();
+const { withTenantScope } = require("../utils/tenant");
+const {
+  visibleUsersWhere,
+  sharedProjectsWhere,
+  ledTeamMembersWhere,
+  organizationRoleSelect,
+  withOrganizationRole,
+} = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
+
+const prisma = withTenantScope(new PrismaClient());
 
 // Get dashboard overview statistics
 const getDashboardStats = async (req, res) => {
@@ -15,25 +23,29 @@ const getDashboardStats = async (req, res) => {
     if (startDate) dateFilter.gte = new Date(startDate);
     if (endDate) dateFilter.lte = new Date(endDate);
 
-    // Get user-specific data or all data for admins
-    const userFilter =
-      req.user.role === "ADMIN"
-        ? {}
-        : {
-            OR: [
-              { createdBy: req.user.id },
-              { assignedToId: req.user.id },
-              { userId: req.user.id },
-              {
-                project: {
-                  OR: [
-                    { createdBy: req.user.id },
-                    { members: { some: { userId: req.user.id } } },
-                  ],
-                },
+    const canViewOrganization = await hasPermission(
+      req.user,
+      "analytics.organization"
+    );
+
+    // Get user-specific data or all data of the organization
+    const userFilter = canViewOrganization
+      ? {}
+      : {
+          OR: [
+            { createdBy: req.user.id },
+            { assignedToId: req.user.id },
+            { userId: req.user.id },
+            {
+              project: {
+                OR: [
+                  { createdBy: req.user.id },
+                  { members: { some: { userId: req.user.id } } },
+                ],
               },
-            ],
-          };
+            },
+          ],
+        };
 
     // Parallel queries for better performance
     const [
@@ -107,8 +119,8 @@ const getDashboardStats = async (req, res) => {
         },
       }),
 
-      // Active users (if admin)
-      req.user.role === "ADMIN"
+      // Active users (organization analytics only)
+      canViewOrganization
         ? prisma.user.count({
             where: {
               status: "ACTIVE",
@@ -131,7 +143,7 @@ const getDashboardStats = async (req, res) => {
         totalHours: totalHours._sum.hours || 0,
         totalFiles,
         totalMessages,
-        ...(req.user.role === "ADMIN" && { activeUsers }),
+        ...(canViewOrganization && { activeUsers }),
       },
       productivity: {
         avgTasksPerProject:
@@ -160,17 +172,21 @@ const getProjectAnalytics = async (req, res) => {
     const { projectId } = req.params;
     const { timeframe = "month" } = req.query;
 
+    const canViewOrganization = await hasPermission(
+      req.user,
+      "analytics.organization"
+    );
+
     // Check project access
     const project = await prisma.project.findFirst({
       where: {
         id: projectId,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { createdBy: req.user.id },
-                { members: { some: { userId: req.user.id } } },
-              ],
+        OR: canViewOrganization
+          ? undefined
+          : [
+              { createdBy: req.user.id },
+              { members: { some: { userId: req.user.id } } },
+            ],
       },
     });
 
@@ -262,6 +278,7 @@ const getProjectAnalytics = async (req, res) => {
                 assignedTasks: {
                   where: {
                     projectId,
+                    deletedAt: null,
                     updatedAt: {
                       gte: startDate,
                       lte: endDate,
@@ -280,6 +297,7 @@ const getProjectAnalytics = async (req, res) => {
                 sentMessages: {
                   where: {
                     projectId,
+                    deletedAt: null,
                     createdAt: {
                       gte: startDate,
                       lte: endDate,
@@ -367,14 +385,10 @@ const getProjectAnalytics = async (req, res) => {
   }
 };
 
-// Get team productivity metrics (Admin/Team Lead only)
+// Get team productivity metrics (requires the analytics.team permission)
 const getTeamProductivity = async (req, res) => {
   try {
-    if (!hasRole(req.user, ["ADMIN", "TEAM_LEAD"])) {
-      return sendError(res, "Access denied", 403);
-    }
-
-    const { startDate, endDate, teamMemberId } = req.query;
+    const { startDate, endDate, teamMemberId, teamId } = req.query;
 
     // Calculate date range
     const dateFilter = {};
@@ -386,61 +400,80 @@ const getTeamProductivity = async (req, res) => {
       dateFilter.lte = new Date();
     }
 
-    // User filter for team leads (only their team members)
-    const userFilter =
-      req.user.role === "ADMIN"
-        ? teamMemberId
-          ? { id: teamMemberId }
-          : {}
-        : {
-            role: "EMPLOYEE",
-            ...(teamMemberId && { id: teamMemberId }),
-          };
+    const canViewOrganization = await hasPermission(
+      req.user,
+      "analytics.organization"
+    );
+
+    // Team leads only see the members of the teams they lead, optionally
+    // narrowed down to a single member or team
+    const userFilter = [
+      canViewOrganization ? {} : ledTeamMembersWhere(req.user.id),
+      teamMemberId ? { id: teamMemberId } : {},
+      teamId ? { teamMemberships: { some: { teamId } } } : {},
+      visibleUsersWhere(req.user),
+    ];
 
     // Get productivity metrics
-    const teamMembers = await prisma.user.findMany({
-      where: {
-        ...userFilter,
-        status: "ACTIVE",
-      },
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        email: true,
-        role: true,
-        _count: {
-          select: {
-            assignedTasks: {
-              where: {
-                updatedAt: dateFilter,
-              },
-            },
-            createdTasks: {
-              where: {
-                createdAt: dateFilter,
-              },
-            },
-          },
+    const teamMembers = (
+      await prisma.user.findMany({
+        where: {
+          AND: userFilter,
+          status: "ACTIVE",
         },
-      },
-    });
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          email: true,
+          accessToOthers: true,
+          ...organizationRoleSelect(),
+        },
+      })
+    ).map(withOrganizationRole);
 
     // Get detailed metrics for each team member
     const productivityData = await Promise.all(
       teamMembers.map(async (member) => {
+        // Members who turned off accessToOthers only report on shared projects
+        const projectScope =
+          !canViewOrganization && !member.accessToOthers
+            ? { project: sharedProjectsWhere(req.user.id, member.id) }
+            : {};
+
         const [
+          tasksAssigned,
+          tasksCreated,
           completedTasks,
           totalTimeLogged,
           avgTaskCompletionTime,
           projectsWorkedOn,
         ] = await Promise.all([
+          // Assigned tasks
+          prisma.task.count({
+            where: {
+              assigneeId: member.id,
+              updatedAt: dateFilter,
+              ...projectScope,
+            },
+          }),
+
+          // Created tasks
+          prisma.task.count({
+            where: {
+              createdBy: member.id,
+              createdAt: dateFilter,
+              ...projectScope,
+            },
+          }),
+
           // Completed tasks
           prisma.task.count({
             where: {
-              assignedToId: member.id,
+              assigneeId: member.id,
               status: "COMPLETED",
               updatedAt: dateFilter,
+              ...projectScope,
             },
           }),
 
@@ -450,6 +483,7 @@ const getTeamProductivity = async (req, res) => {
               userId: member.id,
               status: "APPROVED",
               date: dateFilter,
+              ...projectScope,
             },
             _sum: {
               hours: true,
@@ -460,9 +494,10 @@ const getTeamProductivity = async (req, res) => {
           prisma.task
             .findMany({
               where: {
-                assignedToId: member.id,
+                assigneeId: member.id,
                 status: "COMPLETED",
                 updatedAt: dateFilter,
+                ...projectScope,
               },
               select: {
                 createdAt: true,
@@ -483,11 +518,13 @@ const getTeamProductivity = async (req, res) => {
           // Projects worked on
           prisma.project.count({
             where: {
+              ...projectScope.project,
               OR: [
                 {
                   tasks: {
                     some: {
-                      assignedToId: member.id,
+                      assigneeId: member.id,
+                      deletedAt: null,
                       updatedAt: dateFilter,
                     },
                   },
@@ -513,14 +550,12 @@ const getTeamProductivity = async (req, res) => {
             role: member.role,
           },
           metrics: {
-            tasksAssigned: member._count.assignedTasks,
-            tasksCreated: member._count.createdTasks,
+            tasksAssigned,
+            tasksCreated,
             tasksCompleted: completedTasks,
             completionRate:
-              member._count.assignedTasks > 0
-                ? Math.round(
-                    (completedTasks / member._count.assignedTasks) * 100
-                  )
+              tasksAssigned > 0
+                ? Math.round((completedTasks / tasksAssigned) * 100)
                 : 0,
             totalHoursLogged: totalTimeLogged._sum.hours || 0,
             avgTaskCompletionDays: avgTaskCompletionTime,
@@ -598,23 +633,27 @@ const getTimeTrackingAnalytics = async (req, res) => {
     // Project filter
     const projectFilter = projectId ? { projectId } : {};
 
+    const canViewOrganization = await hasPermission(
+      req.user,
+      "analytics.organization"
+    );
+
     // User access filter
-    const userFilter =
-      req.user.role === "ADMIN"
-        ? {}
-        : {
-            OR: [
-              { userId: req.user.id },
-              {
-                project: {
-                  OR: [
-                    { createdBy: req.user.id },
-                    { members: { some: { userId: req.user.id } } },
-                  ],
-                },
+    const userFilter = canViewOrganization
+      ? {}
+      : {
+          OR: [
+            { userId: req.user.id },
+            {
+              project: {
+                OR: [
+                  { createdBy: req.user.id },
+                  { members: { some: { userId: req.user.id } } },
+                ],
               },
-            ],
-          };
+            },
+          ],
+        };
 
     // Get time entries with grouping
     const timeEntries = await prisma.timeEntry.findMany({
@@ -767,8 +806,11 @@ const generateCustomReport = async (req, res) => {
     if (endDate) dateFilter.lte = new Date(endDate);
 
     // Access control
-    const isAdmin = req.user.role === "ADMIN";
-    const isTeamLead = req.user.role === "TEAM_LEAD";
+    const canViewOrganization = await hasPermission(
+      req.user,
+      "analytics.organization"
+    );
+    const canViewOwnProjects = await hasPermission(req.user, "analytics.team");
 
     const report = {
       metadata: {
@@ -788,11 +830,11 @@ const generateCustomReport = async (req, res) => {
     };
 
     // Projects data
-    if (includeProjects && (isAdmin || isTeamLead)) {
+    if (includeProjects && (canViewOrganization || canViewOwnProjects)) {
       const projectWhere = {
         ...(projectIds.length > 0 && { id: { in: projectIds } }),
         ...(Object.keys(dateFilter).length > 0 && { createdAt: dateFilter }),
-        ...(!isAdmin && {
+        ...(!canViewOrganization && {
           OR: [
             { createdBy: req.user.id },
             { members: { some: { userId: req.user.id } } },
@@ -814,16 +856,15 @@ const generateCustomReport = async (req, res) => {
                   firstName: true,
                   lastName: true,
                   email: true,
-                  role: true,
                 },
               },
             },
           },
           _count: {
             select: {
-              tasks: true,
+              tasks: { where: { deletedAt: null } },
               timeEntries: true,
-              messages: true,
+              messages: { where: { deletedAt: null } },
               files: true,
             },
           },
@@ -836,7 +877,7 @@ const generateCustomReport = async (req, res) => {
       const taskWhere = {
         ...(projectIds.length > 0 && { projectId: { in: projectIds } }),
         ...(Object.keys(dateFilter).length > 0 && { createdAt: dateFilter }),
-        ...(!isAdmin && {
+        ...(!canViewOrganization && {
           OR: [
             { createdBy: req.user.id },
             { assignedToId: req.user.id },
@@ -874,7 +915,7 @@ const generateCustomReport = async (req, res) => {
         ...(projectIds.length > 0 && { projectId: { in: projectIds } }),
         ...(userIds.length > 0 && { userId: { in: userIds } }),
         ...(Object.keys(dateFilter).length > 0 && { date: dateFilter }),
-        ...(!isAdmin && {
+        ...(!canViewOrganization && {
           OR: [
             { userId: req.user.id },
             {
@@ -905,35 +946,36 @@ const generateCustomReport = async (req, res) => {
       });
     }
 
-    // Users data (Admin only)
-    if (includeUsers && isAdmin) {
+    // Users data (organization analytics only)
+    if (includeUsers && canViewOrganization) {
       const userWhere = {
         ...(userIds.length > 0 && { id: { in: userIds } }),
         status: "ACTIVE",
       };
 
-      report.data.users = await prisma.user.findMany({
+      const users = await prisma.user.findMany({
         where: userWhere,
         select: {
           id: true,
           firstName: true,
           lastName: true,
           email: true,
-          role: true,
           status: true,
           createdAt: true,
           lastLoginAt: true,
+          ...organizationRoleSelect(),
           _count: {
             select: {
-              assignedTasks: true,
-              createdTasks: true,
+              assignedTasks: { where: { deletedAt: null } },
+              createdTasks: { where: { deletedAt: null } },
               timeEntries: true,
-              sentMessages: true,
+              sentMessages: { where: { deletedAt: null } },
               uploads: true,
             },
           },
         },
       });
+      report.data.users = users.map(withOrganizationRole);
     }
 
     sendSuccess(res, report, "Custom report generated successfully");
@@ -3,15 +3,218 @@ const { PrismaClient } = require("@prisma/client");
 const {
   hashPassword,
   comparePassword,
+  generateSecureToken,
+  hashToken,
+  isEmailVerificationRequired,
+  verifyEmailVerificationToken,
+  sendVerificationEmail,
+  verifyInvitationToken,
+  getInvitationStatus,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  TWO_FACTOR_POLICY_KEY,
+  getTwoFactorRequiredRoles,
+  isTwoFactorRequiredForRole,
+  isTwoFactorRequiredForUser,
+  getDefaultMembership,
+  getDefaultOrganizationId,
+  getOrganizationRole,
+  organizationRoleWhere,
+  defaultOrganizationMembership,
   generateTokens,
+  getSessionInfo,
   storeRefreshToken,
+  rotateRefreshToken,
   removeRefreshToken,
   verifyToken,
   cleanExpiredTokens,
 } = require("../utils/auth");
+const {
+  PERMISSIONS,
+  EDITABLE_ROLES,
+  getRolePermissions,
+  getPermissionsForRole,
+  setRolePermissions,
+  canManageRole,
+} = require("../utils/permissions");
 const { sendSuccess, sendError } = require("../utils/helpers");
+const logger = require("../utils/logger");
+const {
+  withTenantScope,
+  withoutTenantScope,
+  runWithOrganization,
+} = require("../utils/tenant");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const mailService = require("../services/mail.service");
+const settingsService = require("../services/settings.service");
+const loginProtection = require("../services/loginProtection.service");
+const oidcService = require("../services/oidc.service");
+
+const prisma = withTenantScope(new PrismaClient());
+
+// Issue access/refresh tokens once all login factors have been checked
+const completeLogin = async (req, res, account) => {
+  // Sessions start in the user's default organization, with their role there
+  const membership = await getDefaultMembership(account.id);
+  const organizationId = membership ? membership.organizationId : null;
+  const user = { ...account, role: membership ? membership.role : null };
+
+  // Generate tokens
+  const { accessToken, refreshToken, familyId } = generateTokens(
+    user,
+    undefined,
+    organizationId
+  );
+
+  // Store refresh token along with the device it was issued to
+  await storeRefreshToken(user.id, refreshToken, {
+    familyId,
+    organizationId,
+    ...getSessionInfo(req, req.validatedBody.deviceName),
+  });
+
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() },
+  });
+  await loginProtection.recordSuccess(user);
+  // Remove password and two-factor secret from response
+  const { password: _, ...userWithoutPassword } = user;
+  delete userWithoutPassword.twoFactorSecret;
+  delete userWithoutPassword.twoFactorLastStep;
+
+  // Include all necessary user fields in the response
+  const userData = {
+    ...userWithoutPassword,
+    avatar: user.avatar || null,
+    position: user.position || null,
+    accessToOthers:
+      user.accessToOthers !== undefined ? user.accessToOthers : true,
+  };
+
+  // Users covered by the two-factor policy must enroll before using the API
+  const twoFactorSetupRequired =
+    !user.twoFactorEnabled &&
+    (await isTwoFactorRequiredForRole(user.role, organizationId));
+
+  sendSuccess(
+    res,
+    {
+      user: userData,
+      accessToken,
+      refreshToken,
+      twoFactorSetupRequired,
+    },
+    "Login successful"
+  );
+};
+
+// Continue after the first factor: ask for a two-factor code or issue tokens
+const continueLogin = async (req, res, user) => {
+  // Accounts with two-factor enabled need a second step before tokens are issued
+  if (user.twoFactorEnabled) {
+    logger.audit("Two-factor challenge issued", {
+      userId: user.id,
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+    });
+
+    return sendSuccess(
+      res,
+      {
+        mfaRequired: true,
+        mfaToken: generateMfaChallengeToken(user),
+      },
+      "Two-factor authentication required"
+    );
+  }
+
+  await completeLogin(req, res, user);
+};
+
+// Reject a login attempt while the account or IP address is throttled
+const sendLoginThrottled = (res, { reason, retryAfterSeconds }) => {
+  res.set("Retry-After", String(retryAfterSeconds));
+
+  if (reason === "locked") {
+    return sendError(
+      res,
+      "Account is temporarily locked due to too many failed login attempts",
+      423
+    );
+  }
+
+  return sendError(
+    res,
+    `Too many failed login attempts. Please try again in ${retryAfterSeconds} seconds`,
+    429
+  );
+};
+
+// Check an authenticator code or recovery code for a user with two-factor enabled
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+
+    // Each code can only be used once
+    if (
+      step === null ||
+      (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep)
+    ) {
+      return false;
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorLastStep: step },
+    });
+
+    return true;
+  }
 
-const prisma = new PrismaClient();
+  if (recoveryCode) {
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashRecoveryCode(recoveryCode),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+
+    if (count > 0) {
+      logger.audit("Two-factor recovery code used", { userId: user.id });
+    }
+
+    return count > 0;
+  }
+
+  return false;
+};
+
+// Replace all recovery codes of a user, returning the plain codes
+const replaceRecoveryCodes = async (userId, tx = prisma) => {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await tx.twoFactorRecoveryCode.deleteMany({
+    where: { userId },
+  });
+  await tx.twoFactorRecoveryCode.createMany({
+    data: recoveryCodes.map((code) => ({
+      userId,
+      codeHash: hashRecoveryCode(code),
+    })),
+  });
+
+  return recoveryCodes;
+};
 
 // Register new user
 const registerUser = async (req, res) => {
@@ -27,12 +230,14 @@ const registerUser = async (req, res) => {
     accessToOthers,
   } = req.validatedBody;
 
-  // Check if user already exists
-  const existingUser = await prisma.user.findFirst({
-    where: {
-      OR: [{ email }, { username }],
-    },
-  });
+  // Check if user already exists (in any organization)
+  const existingUser = await withoutTenantScope(() =>
+    prisma.user.findFirst({
+      where: {
+        OR: [{ email }, { username }],
+      },
+    })
+  );
 
   if (existingUser) {
     if (existingUser.email === email) {
@@ -44,16 +249,21 @@ const registerUser = async (req, res) => {
   }
 
   // Only admins can create admin or team lead accounts
-  if (role && role !== "EMPLOYEE") {
-    if (!req.user || req.user.role !== "ADMIN") {
-      return sendError(
-        res,
-        "Only admins can create admin or team lead accounts",
-        403
-      );
-    }
+  if (
+    role &&
+    role !== "EMPLOYEE" &&
+    !(req.user && canManageRole(req.user, role))
+  ) {
+    return sendError(
+      res,
+      "Only admins can create admin or team lead accounts",
+      403
+    );
   }
 
+  // New accounts wait for email confirmation when verification is enabled
+  const requiresVerification = isEmailVerificationRequired();
+
   // Hash password
   const hashedPassword = await hashPassword(password);
   // Create user
@@ -64,11 +274,12 @@ const registerUser = async (req, res) => {
       password: hashedPassword,
       firstName,
       lastName,
-      role: role || "EMPLOYEE",
+      status: requiresVerification ? "PENDING_VERIFICATION" : "ACTIVE",
       createdBy: req.user?.id || null,
       ...(avatar !== undefined && { avatar }),
       ...(position !== undefined && { position }),
       ...(accessToOthers !== undefined && { accessToOthers }),
+      ...(await defaultOrganizationMembership(role || "EMPLOYEE")),
     },
     select: {
       id: true,
@@ -76,7 +287,6 @@ const registerUser = async (req, res) => {
       username: true,
       firstName: true,
       lastName: true,
-      role: true,
       status: true,
       avatar: true,
       position: true,
@@ -85,13 +295,38 @@ const registerUser = async (req, res) => {
     },
   });
 
-  sendSuccess(res, user, "User registered successfully", 201);
+  if (requiresVerification) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error("Failed to send verification email", {
+        userId: user.id,
+        error: mailError.message,
+      });
+    }
+
+    return sendSuccess(
+      res,
+      { ...user, role: role || "EMPLOYEE" },
+      "User registered successfully. Please verify your email address",
+      201
+    );
+  }
+
+  sendSuccess(
+    res,
+    { ...user, role: role || "EMPLOYEE" },
+    "User registered successfully",
+    201
+  );
 };
 
 // Login user
 const loginUser = async (req, res) => {
   const { identifier, password } = req.validatedBody;
 
+  const ip = req.ip || req.connection.remoteAddress;
+
   // Find user by email or username
   const user = await prisma.user.findFirst({
     where: {
@@ -99,53 +334,208 @@ const loginUser = async (req, res) => {
     },
   });
 
+  // Refuse attempts while the account or IP address is throttled
+  const attemptCheck = await loginProtection.checkAttempt({ user, ip });
+  if (!attemptCheck.allowed) {
+    logger.security("Login blocked - Brute-force protection", {
+      userId: user?.id,
+      reason: attemptCheck.reason,
+      ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    // Throttled accounts get the same answer as unknown ones, so the
+    // response does not reveal which accounts exist or are locked
+    if (attemptCheck.reason !== "ip_blocked") {
+      await loginProtection.recordFailure({
+        identifier,
+        user: null,
+        ip,
+        userAgent: req.get("User-Agent"),
+      });
+      return sendError(res, "Invalid credentials", 401);
+    }
+
+    return sendLoginThrottled(res, attemptCheck);
+  }
+
   if (!user) {
+    await loginProtection.recordFailure({
+      identifier,
+      user: null,
+      ip,
+      userAgent: req.get("User-Agent"),
+    });
     return sendError(res, "Invalid credentials", 401);
   }
 
   // Check if user is active
-  if (user.status !== "ACTIVE") {
+  const isPendingVerification = user.status === "PENDING_VERIFICATION";
+  if (user.status !== "ACTIVE" && !isPendingVerification) {
     return sendError(res, "Account is not active", 401);
   }
 
   // Check password
   const isPasswordValid = await comparePassword(password, user.password);
   if (!isPasswordValid) {
+    await loginProtection.recordFailure({
+      identifier,
+      user,
+      ip,
+      userAgent: req.get("User-Agent"),
+    });
     return sendError(res, "Invalid credentials", 401);
   }
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokens(user);
+  // Unverified accounts cannot sign in while verification is enforced
+  if (isPendingVerification && isEmailVerificationRequired()) {
+    return sendError(
+      res,
+      "Please verify your email address before logging in",
+      403
+    );
+  }
 
-  // Store refresh token
-  await storeRefreshToken(user.id, refreshToken);
+  await continueLogin(req, res, user);
+};
 
-  // Update last login
-  await prisma.user.update({
-    where: { id: user.id },
-    data: { lastLogin: new Date() },
+// Complete login with an authenticator or recovery code
+const verifyTwoFactorLogin = async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.validatedBody;
+
+  let decoded;
+  try {
+    decoded = verifyMfaChallengeToken(mfaToken);
+  } catch (error) {
+    return sendError(res, "Invalid or expired two-factor challenge", 401);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.id },
   });
-  // Remove password from response
-  const { password: _, ...userWithoutPassword } = user;
 
-  // Include all necessary user fields in the response
-  const userData = {
-    ...userWithoutPassword,
-    avatar: user.avatar || null,
-    position: user.position || null,
-    accessToOthers:
-      user.accessToOthers !== undefined ? user.accessToOthers : true,
-  };
+  if (!user || !user.twoFactorEnabled) {
+    return sendError(res, "Invalid or expired two-factor challenge", 401);
+  }
 
-  sendSuccess(
-    res,
-    {
-      user: userData,
-      accessToken,
-      refreshToken,
-    },
-    "Login successful"
-  );
+  // Account may have been disabled since the password step
+  const isPendingVerification = user.status === "PENDING_VERIFICATION";
+  if (
+    (user.status !== "ACTIVE" && !isPendingVerification) ||
+    (isPendingVerification && isEmailVerificationRequired())
+  ) {
+    return sendError(res, "Account is not active", 401);
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const ip = req.ip || req.connection.remoteAddress;
+  const attemptCheck = await loginProtection.checkAttempt({ user, ip });
+  if (!attemptCheck.allowed) {
+    return sendLoginThrottled(res, attemptCheck);
+  }
+
+  const isValid = await verifySecondFactor(user, { code, recoveryCode });
+  if (!isValid) {
+    logger.security("Two-factor login failed - Invalid code", {
+      userId: user.id,
+      method: code ? "totp" : "recovery_code",
+      ip,
+      userAgent: req.get("User-Agent"),
+    });
+    await loginProtection.recordFailure({
+      identifier: user.email,
+      user,
+      ip,
+      userAgent: req.get("User-Agent"),
+    });
+    return sendError(res, "Invalid two-factor code", 401);
+  }
+
+  await completeLogin(req, res, user);
+};
+
+// End a session whose refresh token was reused after rotation
+const revokeTokenFamily = async (req, res, tokenRecord) => {
+  await prisma.refreshToken.deleteMany({
+    where: tokenRecord.familyId
+      ? { familyId: tokenRecord.familyId }
+      : { id: tokenRecord.id },
+  });
+
+  logger.security("Refresh token reuse detected - Token family revoked", {
+    userId: tokenRecord.userId,
+    familyId: tokenRecord.familyId,
+    sessionId: tokenRecord.id,
+    deviceName: tokenRecord.deviceName,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  return sendError(res, "Refresh token has been revoked", 401);
+};
+
+// Get single sign-on availability (used by the login page)
+const getOidcConfig = async (req, res) => {
+  const { providerName } = oidcService.getConfig();
+
+  sendSuccess(res, {
+    enabled: oidcService.isEnabled(),
+    providerName,
+  });
+};
+
+// Start single sign-on login
+const startOidcLogin = async (req, res) => {
+  if (!oidcService.isEnabled()) {
+    return sendError(res, "Single sign-on is not enabled", 404);
+  }
+
+  const { authorizationUrl, state } =
+    await oidcService.createAuthorizationRequest();
+
+  sendSuccess(res, { authorizationUrl, state });
+};
+
+// Complete single sign-on login with the code returned by the identity provider
+const completeOidcLogin = async (req, res) => {
+  const { code, state } = req.validatedBody;
+
+  if (!oidcService.isEnabled()) {
+    return sendError(res, "Single sign-on is not enabled", 404);
+  }
+
+  let result;
+  try {
+    const claims = await oidcService.handleCallback(code, state);
+    result = await oidcService.findOrProvisionUser(claims);
+  } catch (error) {
+    logger.security("Single sign-on login failed", {
+      error: error.message,
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+    });
+    return sendError(res, "Single sign-on login failed", 401);
+  }
+
+  const { user, provisioned, linked } = result;
+
+  if (provisioned || linked) {
+    logger.audit(
+      provisioned
+        ? "User provisioned through single sign-on"
+        : "Existing account linked to single sign-on identity",
+      {
+        userId: user.id,
+        ip: req.ip || req.connection.remoteAddress,
+      }
+    );
+  }
+
+  if (user.status !== "ACTIVE") {
+    return sendError(res, "Account is not active", 401);
+  }
+
+  await continueLogin(req, res, user);
 };
 
 // Refresh access token
@@ -156,12 +546,12 @@ const refreshToken = async (req, res) => {
     // Verify refresh token
     const decoded = verifyToken(token, "refresh");
 
-    // Check if token exists in database
+    // Find the session (token family) the token belongs to; tokens issued
+    // before families were introduced are looked up by value
     const tokenRecord = await prisma.refreshToken.findFirst({
-      where: {
-        token,
-        userId: decoded.id,
-      },
+      where: decoded.familyId
+        ? { familyId: decoded.familyId, userId: decoded.id }
+        : { token, userId: decoded.id },
       include: {
         user: true,
       },
@@ -171,6 +561,12 @@ const refreshToken = async (req, res) => {
       return sendError(res, "Invalid refresh token", 401);
     }
 
+    // A genuine token that has already been rotated is being replayed. Either
+    // the client or an attacker holds a stolen copy, so end the whole family.
+    if (tokenRecord.token !== token) {
+      return revokeTokenFamily(req, res, tokenRecord);
+    }
+
     // Check if token is expired
     if (new Date(tokenRecord.expiresAt) < new Date()) {
       // Delete expired token
@@ -180,16 +576,35 @@ const refreshToken = async (req, res) => {
       return sendError(res, "Refresh token expired", 401);
     }
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(
-      tokenRecord.user
+    // Generate new tokens within the same family and organization
+    const organizationId =
+      tokenRecord.organizationId ||
+      (await getDefaultOrganizationId(tokenRecord.userId));
+    const role = await getOrganizationRole(tokenRecord.userId, organizationId);
+    const {
+      accessToken,
+      refreshToken: newRefreshToken,
+      familyId,
+    } = generateTokens(
+      { ...tokenRecord.user, role },
+      tokenRecord.familyId ?? undefined,
+      organizationId
     );
 
-    // Delete old token and store new one
-    await prisma.refreshToken.delete({
-      where: { id: tokenRecord.id },
-    });
-    await storeRefreshToken(tokenRecord.user.id, newRefreshToken);
+    // Replace the token of this session and record its use (sessions from
+    // before token families join a new family here)
+    const { userAgent, ipAddress } = getSessionInfo(req);
+    const rotated = await rotateRefreshToken(
+      tokenRecord.id,
+      token,
+      newRefreshToken,
+      { userAgent, ipAddress, organizationId, familyId }
+    );
+
+    // Another request rotated the same token in the meantime
+    if (!rotated) {
+      return revokeTokenFamily(req, res, tokenRecord);
+    }
 
     sendSuccess(
       res,
@@ -204,6 +619,77 @@ const refreshToken = async (req, res) => {
   }
 };
 
+// Switch the organization a session acts in. The session's refresh token is
+// rotated so later refreshes stay in the chosen organization.
+const switchOrganization = async (req, res) => {
+  const { organizationId, refreshToken: token } = req.validatedBody;
+
+  const membership = await prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId: req.user.id } },
+    include: {
+      organization: { select: { id: true, name: true, slug: true } },
+    },
+  });
+
+  if (!membership) {
+    return sendError(res, "You are not a member of this organization", 403);
+  }
+
+  const session = await prisma.refreshToken.findFirst({
+    where: {
+      token,
+      userId: req.user.id,
+      expiresAt: { gt: new Date() },
+    },
+    include: { user: true },
+  });
+
+  if (!session) {
+    return sendError(res, "Invalid refresh token", 401);
+  }
+
+  const {
+    accessToken,
+    refreshToken: newRefreshToken,
+    familyId,
+  } = generateTokens(
+    { ...session.user, role: membership.role },
+    session.familyId ?? undefined,
+    organizationId
+  );
+
+  const { userAgent, ipAddress } = getSessionInfo(req);
+  const rotated = await rotateRefreshToken(session.id, token, newRefreshToken, {
+    userAgent,
+    ipAddress,
+    organizationId,
+    familyId,
+  });
+
+  if (!rotated) {
+    return sendError(res, "Invalid refresh token", 401);
+  }
+
+  logger.audit("Organization switched", {
+    userId: req.user.id,
+    sessionId: session.id,
+    fromOrganizationId: req.organization.id,
+    toOrganizationId: organizationId,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  sendSuccess(
+    res,
+    {
+      accessToken,
+      refreshToken: newRefreshToken,
+      organization: membership.organization,
+    },
+    "Organization switched successfully"
+  );
+};
+
 // Logout user
 const logoutUser = async (req, res) => {
   const { refreshToken: token } = req.validatedBody;
@@ -226,25 +712,77 @@ const logoutFromAllDevices = async (req, res) => {
   sendSuccess(res, null, "Logged out from all devices");
 };
 
-// Change password
-const changePassword = async (req, res) => {
-  const { currentPassword, newPassword } = req.validatedBody;
-
-  // Get user with password
-  const user = await prisma.user.findUnique({
-    where: { id: req.user.id },
+// List active sessions of the current user
+const getSessions = async (req, res) => {
+  const sessions = await prisma.refreshToken.findMany({
+    where: {
+      userId: req.user.id,
+      expiresAt: { gt: new Date() },
+    },
+    select: {
+      id: true,
+      deviceName: true,
+      userAgent: true,
+      ipAddress: true,
+      lastUsedAt: true,
+      createdAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: "desc" },
   });
 
-  // Verify current password
-  const isPasswordValid = await comparePassword(currentPassword, user.password);
-  if (!isPasswordValid) {
-    return sendError(res, "Current password is incorrect", 400);
-  }
+  sendSuccess(res, sessions);
+};
 
-  // Hash new password
-  const hashedPassword = await hashPassword(newPassword);
+// Revoke a single session, leaving the other devices signed in
+const revokeSession = async (req, res) => {
+  const { id } = req.validatedParams;
 
-  // Update password
+  const session = await prisma.refreshToken.findFirst({
+    where: {
+      id,
+      userId: req.user.id,
+    },
+  });
+
+  if (!session) {
+    return sendError(res, "Session not found", 404);
+  }
+
+  await prisma.refreshToken.delete({
+    where: { id: session.id },
+  });
+
+  logger.audit("Session revoked", {
+    userId: req.user.id,
+    sessionId: session.id,
+    deviceName: session.deviceName,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  sendSuccess(res, null, "Session revoked successfully");
+};
+
+// Change password
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.validatedBody;
+
+  // Get user with password
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+  });
+
+  // Verify current password
+  const isPasswordValid = await comparePassword(currentPassword, user.password);
+  if (!isPasswordValid) {
+    return sendError(res, "Current password is incorrect", 400);
+  }
+
+  // Hash new password
+  const hashedPassword = await hashPassword(newPassword);
+
+  // Update password
   await prisma.user.update({
     where: { id: req.user.id },
     data: { password: hashedPassword },
@@ -260,6 +798,736 @@ const changePassword = async (req, res) => {
   sendSuccess(res, null, "Password changed successfully");
 };
 
+// Request a password reset email
+const forgotPassword = async (req, res) => {
+  const { email } = req.validatedBody;
+
+  const user = await prisma.user.findUnique({
+    where: { email },
+  });
+
+  // Always answer the same way so the endpoint cannot be used to probe emails
+  if (user && user.status === "ACTIVE") {
+    const expiresInMinutes =
+      parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+    const token = generateSecureToken();
+    const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    // Only the most recent reset link stays valid
+    await prisma.passwordResetToken.deleteMany({
+      where: { userId: user.id, usedAt: null },
+    });
+
+    await prisma.passwordResetToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        userId: user.id,
+        expiresAt,
+      },
+    });
+
+    try {
+      await mailService.sendPasswordReset(user, token, expiresInMinutes);
+    } catch (mailError) {
+      logger.error("Failed to send password reset email", {
+        userId: user.id,
+        error: mailError.message,
+      });
+    }
+
+    logger.audit("Password reset requested", {
+      userId: user.id,
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+    });
+  }
+
+  sendSuccess(
+    res,
+    null,
+    "If an account exists for this email, a password reset link has been sent"
+  );
+};
+
+// Reset password using a one-time reset token
+const resetPassword = async (req, res) => {
+  const { token, newPassword } = req.validatedBody;
+
+  const resetToken = await prisma.passwordResetToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: true },
+  });
+
+  if (
+    !resetToken ||
+    resetToken.usedAt ||
+    new Date(resetToken.expiresAt) < new Date() ||
+    resetToken.user.status !== "ACTIVE"
+  ) {
+    logger.security("Password reset failed - Invalid or expired token", {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+    });
+    return sendError(res, "Invalid or expired reset token", 400);
+  }
+
+  const hashedPassword = await hashPassword(newPassword);
+
+  // Claim the token so concurrent requests cannot use it twice
+  const { count } = await prisma.passwordResetToken.updateMany({
+    where: { id: resetToken.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    logger.security("Password reset failed - Token already used", {
+      userId: resetToken.userId,
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+    });
+    return sendError(res, "Invalid or expired reset token", 400);
+  }
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: resetToken.userId },
+      data: { password: hashedPassword },
+    }),
+    // Invalidate any other outstanding reset links
+    prisma.passwordResetToken.deleteMany({
+      where: {
+        userId: resetToken.userId,
+        id: { not: resetToken.id },
+      },
+    }),
+    // Sign the user out everywhere
+    prisma.refreshToken.deleteMany({
+      where: { userId: resetToken.userId },
+    }),
+  ]);
+
+  logger.audit("Password reset completed", {
+    userId: resetToken.userId,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  sendSuccess(res, null, "Password has been reset successfully");
+};
+
+// Verify email address using a signed verification token
+const verifyEmail = async (req, res) => {
+  const { token } = req.validatedBody;
+
+  let decoded;
+  try {
+    decoded = verifyEmailVerificationToken(token);
+  } catch (error) {
+    return sendError(res, "Invalid or expired verification token", 400);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.id },
+  });
+
+  // Token must belong to the user's current email address
+  if (!user || user.email !== decoded.email) {
+    return sendError(res, "Invalid or expired verification token", 400);
+  }
+
+  if (user.emailVerifiedAt) {
+    return sendSuccess(res, null, "Email address already verified");
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      emailVerifiedAt: new Date(),
+      ...(user.status === "PENDING_VERIFICATION" && { status: "ACTIVE" }),
+    },
+  });
+
+  logger.audit("Email address verified", {
+    userId: user.id,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  sendSuccess(res, null, "Email address verified successfully");
+};
+
+// Resend verification email (with cooldown)
+const resendVerificationEmail = async (req, res) => {
+  const { email } = req.validatedBody;
+
+  const user = await prisma.user.findUnique({
+    where: { email },
+  });
+
+  // Active users may be verifying a changed address
+  if (
+    user &&
+    !user.emailVerifiedAt &&
+    ["ACTIVE", "PENDING_VERIFICATION"].includes(user.status)
+  ) {
+    const cooldownSeconds =
+      parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+    if (user.emailVerificationSentAt) {
+      const secondsSinceLastEmail =
+        (Date.now() - new Date(user.emailVerificationSentAt).getTime()) / 1000;
+
+      if (secondsSinceLastEmail < cooldownSeconds) {
+        return sendError(
+          res,
+          `Please wait ${Math.ceil(
+            cooldownSeconds - secondsSinceLastEmail
+          )} seconds before requesting another verification email`,
+          429
+        );
+      }
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error("Failed to send verification email", {
+        userId: user.id,
+        error: mailError.message,
+      });
+    }
+  }
+
+  sendSuccess(
+    res,
+    null,
+    "If the account is awaiting verification, a new verification email has been sent"
+  );
+};
+
+// Look up the pending invitation a signed invitation token belongs to
+const findValidInvitation = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyInvitationToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  const invitation = await prisma.invitation.findUnique({
+    where: { id: decoded.id },
+    include: {
+      invitedBy: {
+        select: { firstName: true, lastName: true },
+      },
+      organization: {
+        select: { id: true, name: true, slug: true },
+      },
+    },
+  });
+
+  // Resending rotates the nonce, which invalidates earlier links
+  if (
+    !invitation ||
+    invitation.tokenNonce !== decoded.nonce ||
+    getInvitationStatus(invitation) !== "PENDING"
+  ) {
+    return null;
+  }
+
+  return invitation;
+};
+
+// Check an invitation link before the invitee sets up their account
+const verifyInvitation = async (req, res) => {
+  const { token } = req.validatedBody;
+
+  const invitation = await findValidInvitation(token);
+
+  if (!invitation) {
+    return sendError(res, "Invalid or expired invitation", 400);
+  }
+
+  // Existing accounts accept by signing in and joining the organization
+  const existingUser = await prisma.user.findUnique({
+    where: { email: invitation.email },
+    select: { id: true },
+  });
+
+  sendSuccess(res, {
+    email: invitation.email,
+    role: invitation.role,
+    position: invitation.position,
+    expiresAt: invitation.expiresAt,
+    invitedBy: invitation.invitedBy,
+    organization: invitation.organization,
+    existingAccount: Boolean(existingUser),
+  });
+};
+
+// Claim an invitation so it can only be accepted once
+const claimInvitation = async (tx, invitation) => {
+  const { count } = await tx.invitation.updateMany({
+    where: {
+      id: invitation.id,
+      tokenNonce: invitation.tokenNonce,
+      acceptedAt: null,
+      revokedAt: null,
+    },
+    data: { acceptedAt: new Date() },
+  });
+
+  return count > 0;
+};
+
+// Add an invitee to the invited projects. Projects deleted since the
+// invitation was sent are skipped.
+const joinInvitedProjects = async (tx, invitation, userId) => {
+  const projectIds = Array.isArray(invitation.projectIds)
+    ? invitation.projectIds
+    : [];
+
+  const projects = await tx.project.findMany({
+    where: {
+      id: { in: projectIds },
+      organizationId: invitation.organizationId,
+    },
+    select: { id: true },
+  });
+
+  if (projects.length > 0) {
+    await tx.projectMember.createMany({
+      data: projects.map((project) => ({ projectId: project.id, userId })),
+      skipDuplicates: true,
+    });
+  }
+};
+
+// Accept an invitation: create the account with the invitee's own password
+const acceptInvitation = async (req, res) => {
+  const { token, username, password, firstName, lastName, avatar } =
+    req.validatedBody;
+
+  const invitation = await findValidInvitation(token);
+
+  if (!invitation) {
+    logger.security("Invitation acceptance failed - Invalid or expired token", {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+    });
+    return sendError(res, "Invalid or expired invitation", 400);
+  }
+
+  const existingUser = await prisma.user.findFirst({
+    where: {
+      OR: [{ email: invitation.email }, { username }],
+    },
+  });
+
+  if (existingUser) {
+    if (existingUser.email === invitation.email) {
+      return sendError(
+        res,
+        "Email already registered. Sign in to accept the invitation",
+        400
+      );
+    }
+    return sendError(res, "Username already taken", 400);
+  }
+
+  const hashedPassword = await hashPassword(password);
+
+  const user = await prisma.$transaction(async (tx) => {
+    if (!(await claimInvitation(tx, invitation))) {
+      return null;
+    }
+
+    // The invitation link proves ownership of the email address and
+    // makes the new user a member of the inviting organization
+    const newUser = await tx.user.create({
+      data: {
+        email: invitation.email,
+        username,
+        password: hashedPassword,
+        firstName,
+        lastName,
+        status: "ACTIVE",
+        emailVerifiedAt: new Date(),
+        createdBy: invitation.invitedById,
+        ...(invitation.position && { position: invitation.position }),
+        ...(avatar !== undefined && { avatar }),
+        organizationMemberships: {
+          create: {
+            organizationId: invitation.organizationId,
+            role: invitation.role,
+          },
+        },
+      },
+    });
+
+    await joinInvitedProjects(tx, invitation, newUser.id);
+
+    return newUser;
+  });
+
+  if (!user) {
+    return sendError(res, "Invalid or expired invitation", 400);
+  }
+
+  logger.audit("Invitation accepted", {
+    userId: user.id,
+    invitationId: invitation.id,
+    invitedBy: invitation.invitedById,
+    role: invitation.role,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  await completeLogin(req, res, user);
+};
+
+// Accept an invitation with the signed-in account, which must use the
+// invited email address. The session stays in its organization; switch
+// organizations to start working in the new one.
+const joinOrganization = async (req, res) => {
+  const { token } = req.validatedBody;
+
+  // The invitation belongs to the organization being joined, not the one
+  // the session acts in
+  const invitation = await withoutTenantScope(() => findValidInvitation(token));
+
+  if (!invitation) {
+    return sendError(res, "Invalid or expired invitation", 400);
+  }
+
+  if (invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+    logger.security("Invitation join failed - Email mismatch", {
+      userId: req.user.id,
+      invitationId: invitation.id,
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+    });
+    return sendError(
+      res,
+      "This invitation was sent to a different email address",
+      403
+    );
+  }
+
+  const organizationId = invitation.organizationId;
+  const existingMembership = await prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId: req.user.id } },
+  });
+
+  if (existingMembership) {
+    return sendError(res, "You are already a member of this organization", 409);
+  }
+
+  const membership = await runWithOrganization(organizationId, () =>
+    prisma.$transaction(async (tx) => {
+      if (!(await claimInvitation(tx, invitation))) {
+        return null;
+      }
+
+      const newMembership = await tx.organizationMember.create({
+        data: { organizationId, userId: req.user.id, role: invitation.role },
+      });
+
+      await joinInvitedProjects(tx, invitation, req.user.id);
+
+      return newMembership;
+    })
+  );
+
+  if (!membership) {
+    return sendError(res, "Invalid or expired invitation", 400);
+  }
+
+  logger.audit("Invitation accepted", {
+    userId: req.user.id,
+    invitationId: invitation.id,
+    invitedBy: invitation.invitedById,
+    organizationId,
+    role: invitation.role,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  sendSuccess(
+    res,
+    {
+      ...invitation.organization,
+      role: membership.role,
+      joinedAt: membership.joinedAt,
+      current: false,
+    },
+    "Organization joined successfully"
+  );
+};
+
+// Get two-factor status for the current user
+const getTwoFactorStatus = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: true,
+    },
+  });
+
+  const recoveryCodesRemaining = await prisma.twoFactorRecoveryCode.count({
+    where: { userId: req.user.id, usedAt: null },
+  });
+
+  sendSuccess(res, {
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt,
+    required: await isTwoFactorRequiredForUser(req.user.id),
+    recoveryCodesRemaining,
+  });
+};
+
+// Start two-factor enrollment by generating a new secret
+const setupTwoFactor = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+  });
+
+  if (user.twoFactorEnabled) {
+    return sendError(res, "Two-factor authentication is already enabled", 400);
+  }
+
+  const secret = generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: secret, twoFactorLastStep: null },
+  });
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TWO_FACTOR_ISSUER || "Fuchsio",
+  });
+
+  sendSuccess(
+    res,
+    { secret, otpauthUri },
+    "Scan the QR code with your authenticator app and confirm with a code"
+  );
+};
+
+// Confirm enrollment with a code from the authenticator app
+const confirmTwoFactor = async (req, res) => {
+  const { code } = req.validatedBody;
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+  });
+
+  if (user.twoFactorEnabled) {
+    return sendError(res, "Two-factor authentication is already enabled", 400);
+  }
+
+  if (!user.twoFactorSecret) {
+    return sendError(res, "Two-factor setup has not been started", 400);
+  }
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step === null) {
+    return sendError(res, "Invalid verification code", 400);
+  }
+
+  const recoveryCodes = await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+      },
+    });
+
+    return replaceRecoveryCodes(user.id, tx);
+  });
+
+  logger.audit("Two-factor authentication enabled", {
+    userId: user.id,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  sendSuccess(
+    res,
+    { recoveryCodes },
+    "Two-factor authentication enabled. Store your recovery codes in a safe place"
+  );
+};
+
+// Disable two-factor authentication
+const disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.validatedBody;
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+  });
+
+  if (!user.twoFactorEnabled) {
+    return sendError(res, "Two-factor authentication is not enabled", 400);
+  }
+
+  if (await isTwoFactorRequiredForUser(req.user.id)) {
+    return sendError(
+      res,
+      "Two-factor authentication is required for your role in one of your organizations",
+      403
+    );
+  }
+
+  const isPasswordValid = await comparePassword(password, user.password);
+  if (!isPasswordValid) {
+    return sendError(res, "Password is incorrect", 400);
+  }
+
+  const isValid = await verifySecondFactor(user, { code, recoveryCode });
+  if (!isValid) {
+    return sendError(res, "Invalid two-factor code", 400);
+  }
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        twoFactorEnabledAt: null,
+      },
+    }),
+    prisma.twoFactorRecoveryCode.deleteMany({
+      where: { userId: user.id },
+    }),
+  ]);
+
+  logger.security("Two-factor authentication disabled", {
+    userId: user.id,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  sendSuccess(res, null, "Two-factor authentication disabled");
+};
+
+// Regenerate recovery codes (invalidates the previous set)
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.validatedBody;
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+  });
+
+  if (!user.twoFactorEnabled) {
+    return sendError(res, "Two-factor authentication is not enabled", 400);
+  }
+
+  const isValid = await verifySecondFactor(user, { code });
+  if (!isValid) {
+    return sendError(res, "Invalid two-factor code", 400);
+  }
+
+  const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+  logger.audit("Two-factor recovery codes regenerated", {
+    userId: user.id,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  sendSuccess(res, { recoveryCodes }, "Recovery codes regenerated");
+};
+
+// Get two-factor policy (admin only)
+const getTwoFactorPolicy = async (req, res) => {
+  const requiredRoles = await getTwoFactorRequiredRoles();
+
+  sendSuccess(res, { requiredRoles });
+};
+
+// Update which roles must use two-factor authentication (admin only)
+const updateTwoFactorPolicy = async (req, res) => {
+  const { requiredRoles } = req.validatedBody;
+
+  await settingsService.setForOrganization(
+    req.organization.id,
+    TWO_FACTOR_POLICY_KEY,
+    requiredRoles,
+    req.user.id
+  );
+
+  // Report how many affected users still need to enroll
+  const usersPendingEnrollment = await prisma.user.count({
+    where: {
+      ...organizationRoleWhere({ in: requiredRoles }),
+      twoFactorEnabled: false,
+    },
+  });
+
+  logger.security("Two-factor policy updated", {
+    organizationId: req.organization.id,
+    requiredRoles,
+    updatedBy: req.user.id,
+  });
+
+  sendSuccess(
+    res,
+    { requiredRoles, usersPendingEnrollment },
+    "Two-factor policy updated successfully"
+  );
+};
+
+// Get the permission registry and the permissions of each role
+const getPermissions = async (req, res) => {
+  const roles = await getRolePermissions();
+  const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({
+    key,
+    description,
+  }));
+
+  sendSuccess(res, { permissions, roles, editableRoles: EDITABLE_ROLES });
+};
+
+// Replace the permission set of a role
+const updateRolePermissions = async (req, res) => {
+  const { role } = req.validatedParams;
+  const { permissions } = req.validatedBody;
+
+  const updatedPermissions = await setRolePermissions(
+    role,
+    permissions,
+    req.user.id
+  );
+
+  logger.security("Role permissions updated", {
+    organizationId: req.organization.id,
+    role,
+    permissions: updatedPermissions,
+    updatedBy: req.user.id,
+  });
+
+  sendSuccess(
+    res,
+    { role, permissions: updatedPermissions },
+    "Role permissions updated successfully"
+  );
+};
+
+// Get the current user's permissions so clients can hide unavailable actions
+const getMyPermissions = async (req, res) => {
+  const permissions = await getPermissionsForRole(req.user.role);
+
+  sendSuccess(res, { role: req.user.role, permissions });
+};
+
 // Get current user profile
 const getCurrentUser = async (req, res) => {
   const user = await prisma.user.findUnique({
@@ -270,26 +1538,60 @@ const getCurrentUser = async (req, res) => {
       username: true,
       firstName: true,
       lastName: true,
-      role: true,
       status: true,
       avatar: true,
       position: true,
       accessToOthers: true,
+      emailVerifiedAt: true,
+      twoFactorEnabled: true,
       createdAt: true,
       lastLogin: true,
     },
   });
 
+  // Organization the session currently acts in, and the user's role there
+  user.role = req.user.role;
+  user.organization = req.organization;
+
+  // Let clients show who is acting on the user's behalf
+  if (req.auth.type === "impersonation") {
+    user.impersonator = req.auth.impersonator;
+  }
+
   sendSuccess(res, user);
 };
 
 module.exports = {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
+  getOidcConfig,
+  startOidcLogin,
+  completeOidcLogin,
   refreshToken,
+  switchOrganization,
   logoutUser,
   logoutFromAllDevices,
+  getSessions,
+  revokeSession,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyInvitation,
+  acceptInvitation,
+  joinOrganization,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getPermissions,
+  updateRolePermissions,
+  getMyPermissions,
   getCurrentUser,
   cleanExpiredTokens,
 };
@@ -1,32 +1,35 @@
 // Controller for project messaging/chat system
 const { PrismaClient } = require("@prisma/client");
 const { sendSuccess, sendError, sendPaginated } = require("../utils/helpers");
+const { withTenantScope } = require("../utils/tenant");
 const { messageNotifications } = require("../utils/realtime");
+const { trashData } = require("../utils/softDelete");
+const {
+  hasProjectPermission,
+  projectPermissionWhere,
+  isProjectArchived,
+  PROJECT_ARCHIVED_ERROR,
+} = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
 
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
 
 // Send message to project chat
 const sendMessage = async (req, res) => {
   try {
     const { projectId, content } = req.validatedBody;
 
-    // Check if user has access to this project
+    const canModerateMessages = await hasPermission(
+      req.user,
+      "message.moderate"
+    );
+
+    // Check if user can post to this project (viewers are read-only)
     const project = await prisma.project.findFirst({
       where: {
         id: projectId,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { createdBy: req.user.id },
-                {
-                  members: {
-                    some: {
-                      userId: req.user.id,
-                    },
-                  },
-                },
-              ],
+        ...(!canModerateMessages &&
+          projectPermissionWhere(req.user.id, "contribute")),
       },
     });
 
@@ -34,6 +37,10 @@ const sendMessage = async (req, res) => {
       return sendError(res, "Project not found or access denied", 404);
     }
 
+    if (isProjectArchived(project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     // Create message
     const message = await prisma.projectMessage.create({
       data: {
@@ -48,7 +55,6 @@ const sendMessage = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
         project: {
@@ -88,23 +94,24 @@ const getProjectMessages = async (req, res) => {
 
     const skip = (page - 1) * limit;
 
+    const canViewAllProjects = await hasPermission(req.user, "project.view");
+
     // Check if user has access to this project
     const project = await prisma.project.findFirst({
       where: {
         id: projectId,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { createdBy: req.user.id },
-                {
-                  members: {
-                    some: {
-                      userId: req.user.id,
-                    },
+        OR: canViewAllProjects
+          ? undefined
+          : [
+              { createdBy: req.user.id },
+              {
+                members: {
+                  some: {
+                    userId: req.user.id,
                   },
                 },
-              ],
+              },
+            ],
       },
     });
 
@@ -126,7 +133,6 @@ const getProjectMessages = async (req, res) => {
               firstName: true,
               lastName: true,
               email: true,
-              role: true,
             },
           },
         },
@@ -160,6 +166,7 @@ const updateMessage = async (req, res) => {
           select: {
             id: true,
             name: true,
+            archivedAt: true,
           },
         },
       },
@@ -169,6 +176,10 @@ const updateMessage = async (req, res) => {
       return sendError(res, "Message not found or permission denied", 404);
     }
 
+    if (isProjectArchived(message.project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     // Check if message is within edit time limit (e.g., 15 minutes)
     const editTimeLimit = 15 * 60 * 1000; // 15 minutes in milliseconds
     const messageAge = Date.now() - new Date(message.createdAt).getTime();
@@ -195,7 +206,6 @@ const updateMessage = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
         project: {
@@ -214,7 +224,7 @@ const updateMessage = async (req, res) => {
   }
 };
 
-// Delete message (sender, project creator, or admin)
+// Delete message (sender, project owner/maintainer, or admin)
 const deleteMessage = async (req, res) => {
   try {
     const { id } = req.validatedParams;
@@ -227,6 +237,8 @@ const deleteMessage = async (req, res) => {
           select: {
             id: true,
             createdBy: true,
+            archivedAt: true,
+            members: { where: { userId: req.user.id } },
           },
         },
       },
@@ -238,20 +250,25 @@ const deleteMessage = async (req, res) => {
 
     // Check permissions
     const canDelete =
-      req.user.role === "ADMIN" ||
       message.sentBy === req.user.id ||
-      message.project.createdBy === req.user.id;
+      (await hasPermission(req.user, "message.moderate")) ||
+      hasProjectPermission(req.user, message.project, "moderateChat");
 
     if (!canDelete) {
       return sendError(res, "Permission denied", 403);
     }
 
-    // Delete message
-    await prisma.projectMessage.delete({
+    if (isProjectArchived(message.project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
+    // Move message to the trash
+    await prisma.projectMessage.update({
       where: { id },
+      data: trashData(req.user.id),
     });
 
-    sendSuccess(res, null, "Message deleted successfully");
+    sendSuccess(res, null, "Message moved to trash");
   } catch (error) {
     console.error("Delete message error:", error);
     sendError(res, "Failed to delete message", 500);
@@ -263,23 +280,24 @@ const getMessageStats = async (req, res) => {
   try {
     const { projectId } = req.validatedParams;
 
+    const canViewAllProjects = await hasPermission(req.user, "project.view");
+
     // Check if user has access to this project
     const project = await prisma.project.findFirst({
       where: {
         id: projectId,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { createdBy: req.user.id },
-                {
-                  members: {
-                    some: {
-                      userId: req.user.id,
-                    },
+        OR: canViewAllProjects
+          ? undefined
+          : [
+              { createdBy: req.user.id },
+              {
+                members: {
+                  some: {
+                    userId: req.user.id,
                   },
                 },
-              ],
+              },
+            ],
       },
     });
 
@@ -318,7 +336,6 @@ const getMessageStats = async (req, res) => {
         firstName: true,
         lastName: true,
         email: true,
-        role: true,
       },
     });
 
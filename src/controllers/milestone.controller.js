@@ -0,0 +1,226 @@
+// Controller for project milestone routes
+const { PrismaClient } = require("@prisma/client");
+const { sendSuccess, sendError } = require("../utils/helpers");
+const { withTenantScope } = require("../utils/tenant");
+const {
+  hasProjectPermission,
+  memberProjectsWhere,
+  isProjectArchived,
+  PROJECT_ARCHIVED_ERROR,
+} = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
+const milestoneService = require("../services/milestone.service");
+
+const prisma = withTenantScope(new PrismaClient());
+
+// Project with the membership of a user, for permission checks
+const findProject = (id, user) =>
+  prisma.project.findUnique({
+    where: { id },
+    include: { members: { where: { userId: user.id } } },
+  });
+
+// Whether a user may plan the milestones of a project
+const canEditMilestones = async (user, project) =>
+  (await hasPermission(user, "project.update")) ||
+  hasProjectPermission(user, project, "editProject");
+
+// Get the milestones of a project with their progress
+const getMilestones = async (req, res) => {
+  const { id } = req.validatedParams;
+
+  const canViewAllProjects = await hasPermission(req.user, "project.view");
+
+  const project = await prisma.project.findFirst({
+    where: {
+      id,
+      ...(!canViewAllProjects && memberProjectsWhere(req.user.id)),
+    },
+  });
+
+  if (!project) {
+    return sendError(res, "Project not found or access denied", 404);
+  }
+
+  const milestones = await milestoneService.getProjectMilestones(id);
+
+  sendSuccess(res, milestones);
+};
+
+// Add a milestone to the end of a project's milestones
+const createMilestone = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { name, description, targetDate } = req.validatedBody;
+
+  const project = await findProject(id, req.user);
+
+  if (!project) {
+    return sendError(res, "Project not found", 404);
+  }
+
+  if (!(await canEditMilestones(req.user, project))) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  if (isProjectArchived(project)) {
+    return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+  }
+
+  const position = await prisma.milestone.count({ where: { projectId: id } });
+
+  const milestone = await prisma.milestone.create({
+    data: {
+      name,
+      description,
+      targetDate: new Date(targetDate),
+      position,
+      projectId: id,
+      createdBy: req.user.id,
+    },
+  });
+
+  const [milestoneWithProgress] = await milestoneService.withProgress([
+    milestone,
+  ]);
+
+  sendSuccess(
+    res,
+    milestoneWithProgress,
+    "Milestone created successfully",
+    201
+  );
+};
+
+// Update a milestone. Setting the status by hand notifies project members
+// the same way as reaching or missing it.
+const updateMilestone = async (req, res) => {
+  const { id, milestoneId } = req.validatedParams;
+  const updates = req.validatedBody;
+
+  const project = await findProject(id, req.user);
+  const milestone = await prisma.milestone.findFirst({
+    where: { id: milestoneId, projectId: id },
+  });
+
+  if (!project || !milestone) {
+    return sendError(res, "Milestone not found", 404);
+  }
+
+  if (!(await canEditMilestones(req.user, project))) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  if (isProjectArchived(project)) {
+    return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+  }
+
+  const statusChanged = updates.status && updates.status !== milestone.status;
+  const updateData = { ...updates };
+  if (updateData.targetDate) {
+    updateData.targetDate = new Date(updateData.targetDate);
+  }
+  if (statusChanged) {
+    updateData.reachedAt = updates.status === "REACHED" ? new Date() : null;
+  }
+
+  const updatedMilestone = await prisma.milestone.update({
+    where: { id: milestoneId },
+    data: updateData,
+  });
+
+  if (statusChanged) {
+    milestoneService.notifyStatusChange(updatedMilestone);
+  }
+
+  const [milestoneWithProgress] = await milestoneService.withProgress([
+    updatedMilestone,
+  ]);
+
+  sendSuccess(res, milestoneWithProgress, "Milestone updated successfully");
+};
+
+// Change the order of a project's milestones
+const reorderMilestones = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { milestoneIds } = req.validatedBody;
+
+  const project = await findProject(id, req.user);
+
+  if (!project) {
+    return sendError(res, "Project not found", 404);
+  }
+
+  if (!(await canEditMilestones(req.user, project))) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  if (isProjectArchived(project)) {
+    return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+  }
+
+  const milestones = await prisma.milestone.findMany({
+    where: { projectId: id },
+    select: { id: true },
+  });
+  const projectMilestoneIds = new Set(
+    milestones.map((milestone) => milestone.id)
+  );
+
+  if (
+    milestoneIds.length !== projectMilestoneIds.size ||
+    !milestoneIds.every((milestoneId) => projectMilestoneIds.has(milestoneId))
+  ) {
+    return sendError(
+      res,
+      "Milestone IDs must list every milestone of the project once",
+      400
+    );
+  }
+
+  await prisma.$transaction(
+    milestoneIds.map((milestoneId, position) =>
+      prisma.milestone.update({
+        where: { id: milestoneId },
+        data: { position },
+      })
+    )
+  );
+
+  const reorderedMilestones = await milestoneService.getProjectMilestones(id);
+
+  sendSuccess(res, reorderedMilestones, "Milestones reordered successfully");
+};
+
+// Delete a milestone. Its tasks stay in the project without a milestone.
+const deleteMilestone = async (req, res) => {
+  const { id, milestoneId } = req.validatedParams;
+
+  const project = await findProject(id, req.user);
+  const milestone = await prisma.milestone.findFirst({
+    where: { id: milestoneId, projectId: id },
+  });
+
+  if (!project || !milestone) {
+    return sendError(res, "Milestone not found", 404);
+  }
+
+  if (!(await canEditMilestones(req.user, project))) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  if (isProjectArchived(project)) {
+    return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+  }
+
+  await prisma.milestone.delete({ where: { id: milestoneId } });
+
+  sendSuccess(res, null, "Milestone deleted successfully");
+};
+
+module.exports = {
+  getMilestones,
+  createMilestone,
+  updateMilestone,
+  reorderMilestones,
+  deleteMilestone,
+};
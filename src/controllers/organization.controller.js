@@ -0,0 +1,385 @@
+// Controller for organization (workspace) routes
+const { PrismaClient } = require("@prisma/client");
+const { sendSuccess, sendError } = require("../utils/helpers");
+const logger = require("../utils/logger");
+const { withTenantScope, withoutTenantScope } = require("../utils/tenant");
+const {
+  generateProvisioningToken,
+  hashToken,
+  generateSecureToken,
+  getInvitationExpiry,
+  getInvitationStatus,
+  sendInvitationEmail,
+  visibleUsersWhere,
+} = require("../utils/auth");
+const { hasPermission, canManageRole } = require("../utils/permissions");
+
+const prisma = withTenantScope(new PrismaClient());
+
+// Fields of a member that are returned with a membership
+const memberUserSelect = {
+  id: true,
+  email: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  status: true,
+  avatar: true,
+  position: true,
+};
+
+// List the organizations the current user belongs to
+const getOrganizations = async (req, res) => {
+  const memberships = await prisma.organizationMember.findMany({
+    where: { userId: req.user.id },
+    include: { organization: true },
+    orderBy: { joinedAt: "asc" },
+  });
+
+  const organizations = memberships.map((membership) => ({
+    ...membership.organization,
+    role: membership.role,
+    joinedAt: membership.joinedAt,
+    current: membership.organizationId === req.organization.id,
+  }));
+
+  sendSuccess(res, organizations);
+};
+
+// Create an organization with the current user as its first member and admin
+const createOrganization = async (req, res) => {
+  const { name, slug } = req.validatedBody;
+
+  const existingOrganization = await prisma.organization.findUnique({
+    where: { slug },
+  });
+
+  if (existingOrganization) {
+    return sendError(res, "Slug already in use", 409);
+  }
+
+  const organization = await prisma.organization.create({
+    data: {
+      name,
+      slug,
+      members: { create: { userId: req.user.id, role: "ADMIN" } },
+    },
+  });
+
+  logger.audit("Organization created", {
+    organizationId: organization.id,
+    slug,
+    createdBy: req.user.id,
+    ip: req.ip || req.connection.remoteAddress,
+  });
+
+  sendSuccess(res, organization, "Organization created successfully", 201);
+};
+
+// Get the organization the current session acts in
+const getCurrentOrganization = async (req, res) => {
+  const organization = await prisma.organization.findUnique({
+    where: { id: req.organization.id },
+    include: {
+      _count: { select: { members: true, projects: true } },
+    },
+  });
+
+  sendSuccess(res, organization);
+};
+
+// Rename the current organization or change its slug
+const updateCurrentOrganization = async (req, res) => {
+  const { name, slug } = req.validatedBody;
+
+  if (slug) {
+    const existingOrganization = await prisma.organization.findFirst({
+      where: { slug, id: { not: req.organization.id } },
+    });
+
+    if (existingOrganization) {
+      return sendError(res, "Slug already in use", 409);
+    }
+  }
+
+  const organization = await prisma.organization.update({
+    where: { id: req.organization.id },
+    data: {
+      ...(name && { name }),
+      ...(slug && { slug }),
+    },
+  });
+
+  logger.audit("Organization updated", {
+    organizationId: organization.id,
+    updatedBy: req.user.id,
+    changes: Object.keys(req.validatedBody),
+  });
+
+  sendSuccess(res, organization, "Organization updated successfully");
+};
+
+// List the members of the current organization
+const getOrganizationMembers = async (req, res) => {
+  // Members who turned off accessToOthers are only listed to those who can
+  // see them, unless the viewer manages the organization
+  const canManageOrganization = await hasPermission(
+    req.user,
+    "organization.manage"
+  );
+
+  const members = await prisma.organizationMember.findMany({
+    where: {
+      organizationId: req.organization.id,
+      ...(!canManageOrganization && { user: visibleUsersWhere(req.user) }),
+    },
+    include: { user: { select: memberUserSelect } },
+    orderBy: { joinedAt: "asc" },
+  });
+
+  sendSuccess(res, members, `${members.length} members found`);
+};
+
+// Invite an existing account to the current organization. Accounts are
+// shared between organizations, so the user only joins once they accept.
+const addOrganizationMember = async (req, res) => {
+  const { email, role } = req.validatedBody;
+
+  if (!canManageRole(req.user, role)) {
+    return sendError(res, "Only admins can invite team leads and admins", 403);
+  }
+
+  // Accounts are global, so look the user up outside the organization
+  const user = await withoutTenantScope(() =>
+    prisma.user.findUnique({
+      where: { email },
+      select: memberUserSelect,
+    })
+  );
+
+  if (!user) {
+    return sendError(
+      res,
+      "No account exists for this email address. Invite the user instead",
+      404
+    );
+  }
+
+  const existingMembership = await prisma.organizationMember.findUnique({
+    where: {
+      organizationId_userId: {
+        organizationId: req.organization.id,
+        userId: user.id,
+      },
+    },
+  });
+
+  if (existingMembership) {
+    return sendError(res, "User is already a member of this organization", 409);
+  }
+
+  const pendingInvitation = await prisma.invitation.findFirst({
+    where: {
+      email,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+  });
+
+  if (pendingInvitation) {
+    return sendError(
+      res,
+      "An invitation is already pending for this email address",
+      409
+    );
+  }
+
+  const invitation = await prisma.invitation.create({
+    data: {
+      email,
+      role,
+      projectIds: [],
+      tokenNonce: generateSecureToken(16),
+      expiresAt: getInvitationExpiry(),
+      invitedById: req.user.id,
+    },
+  });
+
+  // The invitation can be resent when the email fails
+  let emailSent = true;
+  try {
+    await sendInvitationEmail(invitation, req.user);
+  } catch (mailError) {
+    emailSent = false;
+    logger.error("Failed to send invitation email", {
+      invitationId: invitation.id,
+      error: mailError.message,
+    });
+  }
+
+  logger.audit("Organization member invited", {
+    organizationId: req.organization.id,
+    userId: user.id,
+    invitationId: invitation.id,
+    role,
+    invitedBy: req.user.id,
+  });
+
+  // The nonce only exists inside the signed link
+  const invitationData = { ...invitation };
+  delete invitationData.tokenNonce;
+
+  sendSuccess(
+    res,
+    {
+      ...invitationData,
+      status: getInvitationStatus(invitation),
+      user,
+      emailSent,
+    },
+    "Invitation sent. The user joins the organization once they accept it",
+    201
+  );
+};
+
+// Remove a user from the current organization, ending their access to it
+const removeOrganizationMember = async (req, res) => {
+  const { userId } = req.validatedParams;
+
+  if (userId === req.user.id) {
+    return sendError(
+      res,
+      "You cannot remove yourself from the organization",
+      400
+    );
+  }
+
+  const membership = await prisma.organizationMember.findUnique({
+    where: {
+      organizationId_userId: { organizationId: req.organization.id, userId },
+    },
+  });
+
+  if (!membership) {
+    return sendError(res, "Member not found", 404);
+  }
+
+  // Non-admins with organization.manage can only remove employees
+  if (!canManageRole(req.user, membership.role)) {
+    return sendError(res, "Only admins can remove team leads and admins", 403);
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // Project memberships are scoped, so only this organization's are removed
+    await tx.projectMember.deleteMany({ where: { userId } });
+
+    // Sessions and tokens acting in the organization stop working
+    await tx.refreshToken.deleteMany({
+      where: { userId, organizationId: req.organization.id },
+    });
+    await tx.personalAccessToken.updateMany({
+      where: { userId, organizationId: req.organization.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    await tx.organizationMember.delete({ where: { id: membership.id } });
+  });
+
+  logger.audit("Organization member removed", {
+    organizationId: req.organization.id,
+    userId,
+    removedBy: req.user.id,
+  });
+
+  sendSuccess(res, null, "Member removed successfully");
+};
+
+// Fields of a provisioning token that are safe to return
+const provisioningTokenSelect = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdAt: true,
+};
+
+// List the SCIM provisioning tokens of the current organization
+const getProvisioningTokens = async (req, res) => {
+  const tokens = await prisma.provisioningToken.findMany({
+    where: { revokedAt: null },
+    select: provisioningTokenSelect,
+    orderBy: { createdAt: "desc" },
+  });
+
+  sendSuccess(res, tokens);
+};
+
+// Create a SCIM provisioning token (the plain token is only returned once)
+const createProvisioningToken = async (req, res) => {
+  const { name } = req.validatedBody;
+
+  const token = generateProvisioningToken();
+
+  const provisioningToken = await prisma.provisioningToken.create({
+    data: {
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, 14),
+    },
+    select: provisioningTokenSelect,
+  });
+
+  logger.audit("Provisioning token created", {
+    organizationId: req.organization.id,
+    tokenId: provisioningToken.id,
+    createdBy: req.user.id,
+  });
+
+  sendSuccess(
+    res,
+    { ...provisioningToken, token },
+    "Provisioning token created. Copy it now, it will not be shown again",
+    201
+  );
+};
+
+// Revoke a SCIM provisioning token
+const revokeProvisioningToken = async (req, res) => {
+  const { tokenId } = req.validatedParams;
+
+  const provisioningToken = await prisma.provisioningToken.findFirst({
+    where: { id: tokenId, revokedAt: null },
+  });
+
+  if (!provisioningToken) {
+    return sendError(res, "Provisioning token not found", 404);
+  }
+
+  await prisma.provisioningToken.update({
+    where: { id: tokenId },
+    data: { revokedAt: new Date() },
+  });
+
+  logger.audit("Provisioning token revoked", {
+    organizationId: req.organization.id,
+    tokenId,
+    revokedBy: req.user.id,
+  });
+
+  sendSuccess(res, null, "Provisioning token revoked successfully");
+};
+
+module.exports = {
+  getOrganizations,
+  createOrganization,
+  getCurrentOrganization,
+  updateCurrentOrganization,
+  getOrganizationMembers,
+  addOrganizationMember,
+  removeOrganizationMember,
+  getProvisioningTokens,
+  createProvisioningToken,
+  revokeProvisioningToken,
+};
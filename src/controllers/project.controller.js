@@ -1,16 +1,67 @@
 // Controller for project management routes
-const { PrismaClient } = require("@prisma/client");
+const { PrismaClient, Prisma } = require("@prisma/client");
 const { sendSuccess, sendError, sendPaginated } = require("../utils/helpers");
-const { hasRole } = require("../utils/auth");
+const logger = require("../utils/logger");
+const { withTenantScope } = require("../utils/tenant");
+const {
+  hasProjectPermission,
+  getProjectRole,
+  isProjectArchived,
+  PROJECT_ARCHIVED_ERROR,
+  organizationRoleWhere,
+} = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
 const { projectNotifications } = require("../utils/realtime");
+const { trashData } = require("../utils/softDelete");
+const projectTemplateService = require("../services/projectTemplate.service");
+const milestoneService = require("../services/milestone.service");
+const budgetService = require("../services/budget.service");
 
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
+
+// Send the real-time notification of a new project to its members
+const notifyProjectCreated = (project, user) => {
+  try {
+    projectNotifications.created(project, {
+      id: user.id,
+      username: user.username || `${user.firstName} ${user.lastName}`,
+      email: user.email,
+    });
+  } catch (notificationError) {
+    console.error("Project creation notification error:", notificationError);
+    // Don't fail the request if notification fails
+  }
+};
 
 // Create new project (Admin/Team Lead only)
 const createProject = async (req, res) => {
   try {
-    const { name, description, startDate, endDate, budget, memberIds } =
-      req.validatedBody;
+    const {
+      name,
+      description,
+      startDate,
+      endDate,
+      budget,
+      budgetAlertThresholds,
+      memberIds,
+      templateId,
+    } = req.validatedBody;
+
+    // Tasks and member roles of the template the project starts from
+    let templateData = {};
+    if (templateId) {
+      const template = await projectTemplateService.getTemplate(templateId);
+
+      if (!template) {
+        return sendError(res, "Project template not found", 404);
+      }
+
+      templateData = await projectTemplateService.buildProjectFromTemplate(
+        template,
+        startDate ? new Date(startDate) : null,
+        req.user
+      );
+    }
 
     // Create project
     const project = await prisma.project.create({
@@ -20,7 +71,9 @@ const createProject = async (req, res) => {
         startDate: startDate ? new Date(startDate) : null,
         endDate: endDate ? new Date(endDate) : null,
         budget: budget ? parseFloat(budget) : null,
+        budgetAlertThresholds,
         createdBy: req.user.id,
+        ...templateData,
       },
       include: {
         creator: {
@@ -29,7 +82,6 @@ const createProject = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
         members: {
@@ -40,7 +92,6 @@ const createProject = async (req, res) => {
                 firstName: true,
                 lastName: true,
                 email: true,
-                role: true,
               },
             },
           },
@@ -56,15 +107,15 @@ const createProject = async (req, res) => {
 
     // Add project members if provided
     if (memberIds && memberIds.length > 0) {
-      // Validate member IDs exist and are employees if user is team lead
+      // Validate member IDs exist (and are employees without project.staff)
       const memberValidationWhere = {
         id: { in: memberIds },
         status: "ACTIVE",
       };
 
-      // Team leads can only add employees to projects
-      if (req.user.role === "TEAM_LEAD") {
-        memberValidationWhere.role = "EMPLOYEE";
+      // Only users with project.staff can add team leads and admins
+      if (!(await hasPermission(req.user, "project.staff"))) {
+        Object.assign(memberValidationWhere, organizationRoleWhere("EMPLOYEE"));
       }
 
       const validMembers = await prisma.user.findMany({
@@ -103,7 +154,6 @@ const createProject = async (req, res) => {
                   firstName: true,
                   lastName: true,
                   email: true,
-                  role: true,
                 },
               },
             },
@@ -111,21 +161,10 @@ const createProject = async (req, res) => {
         },
       });
 
-      // Send real-time notification
-      try {
-        projectNotifications.created(updatedProject, {
-          id: req.user.id,
-          username:
-            req.user.username || `${req.user.firstName} ${req.user.lastName}`,
-          email: req.user.email,
-        });
-      } catch (notificationError) {
-        console.error(
-          "Project creation notification error:",
-          notificationError
-        );
-        // Don't fail the request if notification fails
-      }
+      notifyProjectCreated(updatedProject, req.user);
+    } else if (project.members.length > 0) {
+      // Members taken over from the template
+      notifyProjectCreated(project, req.user);
     }
 
     sendSuccess(res, project, "Project created successfully", 201);
@@ -144,6 +183,7 @@ const getProjects = async (req, res) => {
     search,
     createdBy,
     memberOnly = false,
+    archived = "false",
   } = req.query;
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -151,6 +191,13 @@ const getProjects = async (req, res) => {
   // Build where clause
   const where = {};
 
+  // Archived projects are only listed when asked for
+  if (archived === "true") {
+    where.archivedAt = { not: null };
+  } else if (archived !== "all") {
+    where.archivedAt = null;
+  }
+
   // Filter by status
   if (status) {
     where.status = status;
@@ -181,8 +228,8 @@ const getProjects = async (req, res) => {
         },
       },
     ];
-  } else if (req.user.role === "EMPLOYEE") {
-    // Employees can only see projects they're members of or created
+  } else if (!(await hasPermission(req.user, "project.view"))) {
+    // Without project.view users only see projects they're members of or created
     where.OR = [
       { createdBy: req.user.id },
       {
@@ -206,14 +253,13 @@ const getProjects = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
         _count: {
           select: {
             members: true,
-            tasks: true,
-            messages: true,
+            tasks: { where: { deletedAt: null } },
+            messages: { where: { deletedAt: null } },
           },
         },
       },
@@ -231,23 +277,24 @@ const getProjects = async (req, res) => {
 const getProject = async (req, res) => {
   const { id } = req.validatedParams;
 
+  const canViewAllProjects = await hasPermission(req.user, "project.view");
+
   // Check if user has access to this project
   const project = await prisma.project.findFirst({
     where: {
       id,
-      OR:
-        req.user.role === "ADMIN"
-          ? undefined
-          : [
-              { createdBy: req.user.id },
-              {
-                members: {
-                  some: {
-                    userId: req.user.id,
-                  },
+      OR: canViewAllProjects
+        ? undefined
+        : [
+            { createdBy: req.user.id },
+            {
+              members: {
+                some: {
+                  userId: req.user.id,
                 },
               },
-            ],
+            },
+          ],
     },
     include: {
       creator: {
@@ -256,10 +303,11 @@ const getProject = async (req, res) => {
           firstName: true,
           lastName: true,
           email: true,
-          role: true,
         },
       },
       members: {
+        // Rates are only shown in the budget report
+        omit: { costRate: true, billRate: true },
         include: {
           user: {
             select: {
@@ -267,7 +315,6 @@ const getProject = async (req, res) => {
               firstName: true,
               lastName: true,
               email: true,
-              role: true,
               avatar: true,
               position: true,
             },
@@ -275,6 +322,7 @@ const getProject = async (req, res) => {
         },
       },
       tasks: {
+        where: { deletedAt: null },
         include: {
           assignee: {
             select: {
@@ -297,7 +345,7 @@ const getProject = async (req, res) => {
       },
       _count: {
         select: {
-          messages: true,
+          messages: { where: { deletedAt: null } },
         },
       },
     },
@@ -307,18 +355,30 @@ const getProject = async (req, res) => {
     return sendError(res, "Project not found or access denied", 404);
   }
 
-  sendSuccess(res, project);
+  sendSuccess(res, {
+    ...project,
+    milestones: await milestoneService.getProjectMilestones(id),
+    projectRole: getProjectRole(req.user, project),
+  });
 };
 
 // Update project (Admin/Team Lead/Creator only)
 const updateProject = async (req, res) => {
   const { id } = req.validatedParams;
-  const { name, description, status, startDate, endDate, budget } =
-    req.validatedBody;
+  const {
+    name,
+    description,
+    status,
+    startDate,
+    endDate,
+    budget,
+    budgetAlertThresholds,
+  } = req.validatedBody;
 
   // Check if project exists and user has permission
   const existingProject = await prisma.project.findUnique({
     where: { id },
+    include: { members: { where: { userId: req.user.id } } },
   });
 
   if (!existingProject) {
@@ -327,15 +387,17 @@ const updateProject = async (req, res) => {
 
   // Check permissions
   const canUpdate =
-    req.user.role === "ADMIN" ||
-    existingProject.createdBy === req.user.id ||
-    (req.user.role === "TEAM_LEAD" &&
-      existingProject.createdBy === req.user.id);
+    (await hasPermission(req.user, "project.update")) ||
+    hasProjectPermission(req.user, existingProject, "editProject");
 
   if (!canUpdate) {
     return sendError(res, "Permission denied", 403);
   }
 
+  if (isProjectArchived(existingProject)) {
+    return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+  }
+
   // Update project
   const updatedProject = await prisma.project.update({
     where: { id },
@@ -352,6 +414,9 @@ const updateProject = async (req, res) => {
       ...(budget !== undefined && {
         budget: budget ? parseFloat(budget) : null,
       }),
+      ...(budgetAlertThresholds !== undefined && {
+        budgetAlertThresholds: budgetAlertThresholds ?? Prisma.DbNull,
+      }),
     },
     include: {
       creator: {
@@ -360,18 +425,29 @@ const updateProject = async (req, res) => {
           firstName: true,
           lastName: true,
           email: true,
-          role: true,
         },
       },
       _count: {
         select: {
           members: true,
-          tasks: true,
+          tasks: { where: { deletedAt: null } },
         },
       },
     },
   });
 
+  // A new budget or new thresholds can change the alert level
+  if (budget !== undefined || budgetAlertThresholds !== undefined) {
+    try {
+      await budgetService.checkAlerts(id);
+    } catch (alertError) {
+      logger.error("Budget alert check error", {
+        projectId: id,
+        error: alertError.message,
+      });
+    }
+  }
+
   sendSuccess(res, updatedProject, "Project updated successfully");
 };
 
@@ -382,6 +458,7 @@ const deleteProject = async (req, res) => {
   // Check if project exists
   const project = await prisma.project.findUnique({
     where: { id },
+    include: { members: { where: { userId: req.user.id } } },
   });
 
   if (!project) {
@@ -390,28 +467,31 @@ const deleteProject = async (req, res) => {
 
   // Check permissions
   const canDelete =
-    req.user.role === "ADMIN" || project.createdBy === req.user.id;
+    (await hasPermission(req.user, "project.delete")) ||
+    hasProjectPermission(req.user, project, "deleteProject");
 
   if (!canDelete) {
     return sendError(res, "Permission denied", 403);
   }
 
-  // Delete project (will cascade delete members, tasks, messages)
-  await prisma.project.delete({
+  // Move project to the trash (its tasks and messages are hidden with it)
+  await prisma.project.update({
     where: { id },
+    data: trashData(req.user.id),
   });
 
-  sendSuccess(res, null, "Project deleted successfully");
+  sendSuccess(res, null, "Project moved to trash");
 };
 
 // Add members to project
 const addProjectMember = async (req, res) => {
   const { id } = req.validatedParams;
-  const { userIds } = req.validatedBody;
+  const { userIds, role } = req.validatedBody;
 
   // Check if project exists and user has permission
   const project = await prisma.project.findUnique({
     where: { id },
+    include: { members: { where: { userId: req.user.id } } },
   });
 
   if (!project) {
@@ -420,21 +500,26 @@ const addProjectMember = async (req, res) => {
 
   // Check permissions
   const canAddMembers =
-    req.user.role === "ADMIN" || project.createdBy === req.user.id;
+    (await hasPermission(req.user, "project.members")) ||
+    hasProjectPermission(req.user, project, "manageMembers");
 
   if (!canAddMembers) {
     return sendError(res, "Permission denied", 403);
   }
 
+  if (isProjectArchived(project)) {
+    return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+  }
+
   // Validate user IDs
   const memberValidationWhere = {
     id: { in: userIds },
     status: "ACTIVE",
   };
 
-  // Team leads can only add employees
-  if (req.user.role === "TEAM_LEAD") {
-    memberValidationWhere.role = "EMPLOYEE";
+  // Only users with project.staff can add team leads and admins
+  if (!(await hasPermission(req.user, "project.staff"))) {
+    Object.assign(memberValidationWhere, organizationRoleWhere("EMPLOYEE"));
   }
 
   const validUsers = await prisma.user.findMany({
@@ -447,9 +532,11 @@ const addProjectMember = async (req, res) => {
   }
 
   // Add members to project
+  // Existing members keep their current role
   const memberData = userIds.map((userId) => ({
     projectId: id,
     userId,
+    role,
   }));
 
   await prisma.projectMember.createMany({
@@ -460,6 +547,76 @@ const addProjectMember = async (req, res) => {
   sendSuccess(res, null, "Members added to project successfully");
 };
 
+// Change a member's role in a project
+const updateProjectMemberRole = async (req, res) => {
+  const { id, userId } = req.validatedParams;
+  const { role, costRate, billRate } = req.validatedBody;
+
+  // Check if project exists and user has permission
+  const project = await prisma.project.findUnique({
+    where: { id },
+    include: { members: { where: { userId: req.user.id } } },
+  });
+
+  if (!project) {
+    return sendError(res, "Project not found", 404);
+  }
+
+  // Check permissions
+  const canManageMembers =
+    (await hasPermission(req.user, "project.members")) ||
+    hasProjectPermission(req.user, project, "manageMembers");
+
+  if (!canManageMembers) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  if (isProjectArchived(project)) {
+    return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+  }
+
+  const member = await prisma.projectMember.findUnique({
+    where: { projectId_userId: { projectId: id, userId } },
+  });
+
+  if (!member) {
+    return sendError(res, "User is not a member of this project", 404);
+  }
+
+  const updatedMember = await prisma.projectMember.update({
+    where: { id: member.id },
+    data: {
+      ...(role && { role }),
+      ...(costRate !== undefined && { costRate }),
+      ...(billRate !== undefined && { billRate }),
+    },
+    include: {
+      user: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          email: true,
+        },
+      },
+    },
+  });
+
+  // Spend follows the member's cost rate
+  if (costRate !== undefined) {
+    try {
+      await budgetService.checkAlerts(id);
+    } catch (alertError) {
+      logger.error("Budget alert check error", {
+        projectId: id,
+        error: alertError.message,
+      });
+    }
+  }
+
+  sendSuccess(res, updatedMember, "Member updated successfully");
+};
+
 // Remove member from project
 const removeProjectMember = async (req, res) => {
   const { id, userId } = req.validatedParams;
@@ -467,6 +624,7 @@ const removeProjectMember = async (req, res) => {
   // Check if project exists and user has permission
   const project = await prisma.project.findUnique({
     where: { id },
+    include: { members: { where: { userId: req.user.id } } },
   });
 
   if (!project) {
@@ -475,12 +633,17 @@ const removeProjectMember = async (req, res) => {
 
   // Check permissions
   const canRemoveMembers =
-    req.user.role === "ADMIN" || project.createdBy === req.user.id;
+    (await hasPermission(req.user, "project.members")) ||
+    hasProjectPermission(req.user, project, "manageMembers");
 
   if (!canRemoveMembers) {
     return sendError(res, "Permission denied", 403);
   }
 
+  if (isProjectArchived(project)) {
+    return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+  }
+
   // Remove member from project
   const deletedMember = await prisma.projectMember.deleteMany({
     where: {
@@ -500,23 +663,24 @@ const removeProjectMember = async (req, res) => {
 const getProjectStats = async (req, res) => {
   const { id } = req.validatedParams;
 
+  const canViewAllProjects = await hasPermission(req.user, "project.view");
+
   // Check if user has access to this project
   const project = await prisma.project.findFirst({
     where: {
       id,
-      OR:
-        req.user.role === "ADMIN"
-          ? undefined
-          : [
-              { createdBy: req.user.id },
-              {
-                members: {
-                  some: {
-                    userId: req.user.id,
-                  },
+      OR: canViewAllProjects
+        ? undefined
+        : [
+            { createdBy: req.user.id },
+            {
+              members: {
+                some: {
+                  userId: req.user.id,
                 },
               },
-            ],
+            },
+          ],
     },
   });
 
@@ -525,7 +689,7 @@ const getProjectStats = async (req, res) => {
   }
 
   // Get project statistics
-  const [taskStats, memberCount, messageCount] = await Promise.all([
+  const [taskStats, memberCount, messageCount, milestones] = await Promise.all([
     prisma.task.groupBy({
       by: ["status"],
       where: { projectId: id },
@@ -537,6 +701,7 @@ const getProjectStats = async (req, res) => {
     prisma.projectMessage.count({
       where: { projectId: id },
     }),
+    milestoneService.getProjectMilestones(id),
   ]);
 
   // Calculate task completion percentage
@@ -562,11 +727,264 @@ const getProjectStats = async (req, res) => {
     },
     members: memberCount,
     messages: messageCount,
+    milestones: milestones.map((milestone) => ({
+      id: milestone.id,
+      name: milestone.name,
+      status: milestone.status,
+      targetDate: milestone.targetDate,
+      completionPercentage: milestone.completionPercentage,
+      hoursLogged: milestone.hoursLogged,
+    })),
   };
 
   sendSuccess(res, stats);
 };
 
+// Get the budget report of a project (Admin/Project Owner/Project Maintainer)
+const getProjectBudget = async (req, res) => {
+  const { id } = req.validatedParams;
+
+  const project = await prisma.project.findUnique({
+    where: { id },
+    include: { members: { where: { userId: req.user.id } } },
+  });
+
+  if (!project) {
+    return sendError(res, "Project not found", 404);
+  }
+
+  // Spend and rates are limited to those who manage the project
+  const canViewBudget =
+    (await hasPermission(req.user, "project.update")) ||
+    hasProjectPermission(req.user, project, "editProject");
+
+  if (!canViewBudget) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  const budget = await budgetService.getBudgetReport(project);
+
+  sendSuccess(res, budget);
+};
+
+// Archive a project, making it read-only
+const archiveProject = async (req, res) => {
+  const { id } = req.validatedParams;
+
+  const project = await prisma.project.findUnique({
+    where: { id },
+    include: { members: { where: { userId: req.user.id } } },
+  });
+
+  if (!project) {
+    return sendError(res, "Project not found", 404);
+  }
+
+  const canArchive =
+    (await hasPermission(req.user, "project.update")) ||
+    hasProjectPermission(req.user, project, "editProject");
+
+  if (!canArchive) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  if (isProjectArchived(project)) {
+    return sendError(res, "Project is already archived", 400);
+  }
+
+  const archivedProject = await prisma.project.update({
+    where: { id },
+    data: { archivedAt: new Date(), archivedBy: req.user.id },
+  });
+
+  logger.audit("Project archived", { projectId: id, archivedBy: req.user.id });
+
+  sendSuccess(res, archivedProject, "Project archived successfully");
+};
+
+// Unarchive a project, restoring write access
+const unarchiveProject = async (req, res) => {
+  const { id } = req.validatedParams;
+
+  const project = await prisma.project.findUnique({
+    where: { id },
+    include: { members: { where: { userId: req.user.id } } },
+  });
+
+  if (!project) {
+    return sendError(res, "Project not found", 404);
+  }
+
+  const canUnarchive =
+    (await hasPermission(req.user, "project.update")) ||
+    hasProjectPermission(req.user, project, "editProject");
+
+  if (!canUnarchive) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  if (!isProjectArchived(project)) {
+    return sendError(res, "Project is not archived", 400);
+  }
+
+  const unarchivedProject = await prisma.project.update({
+    where: { id },
+    data: { archivedAt: null, archivedBy: null },
+  });
+
+  logger.audit("Project unarchived", {
+    projectId: id,
+    unarchivedBy: req.user.id,
+  });
+
+  sendSuccess(res, unarchivedProject, "Project unarchived successfully");
+};
+
+// Save a project as a template
+const saveProjectAsTemplate = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { name, description, includeMembers } = req.validatedBody;
+
+  const project = await prisma.project.findUnique({
+    where: { id },
+    include: { members: true },
+  });
+
+  if (!project) {
+    return sendError(res, "Project not found", 404);
+  }
+
+  const canSave =
+    (await hasPermission(req.user, "project.update")) ||
+    hasProjectPermission(req.user, project, "editProject");
+
+  if (!canSave) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  const template = await projectTemplateService.saveTemplate(
+    project,
+    { name, description, includeMembers },
+    req.user
+  );
+
+  sendSuccess(res, template, "Project template saved successfully", 201);
+};
+
+// Get the project templates of the organization
+const getProjectTemplates = async (req, res) => {
+  const templates = await prisma.projectTemplate.findMany({
+    include: {
+      creator: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          email: true,
+        },
+      },
+      _count: {
+        select: {
+          tasks: true,
+          members: true,
+        },
+      },
+    },
+    orderBy: { name: "asc" },
+  });
+
+  sendSuccess(res, templates);
+};
+
+// Get a project template with its tasks and member roles
+const getProjectTemplate = async (req, res) => {
+  const { templateId } = req.validatedParams;
+
+  const template = await projectTemplateService.getTemplate(templateId);
+
+  if (!template) {
+    return sendError(res, "Project template not found", 404);
+  }
+
+  sendSuccess(res, template);
+};
+
+// Delete a project template (Admin/Template creator only)
+const deleteProjectTemplate = async (req, res) => {
+  const { templateId } = req.validatedParams;
+
+  const template = await prisma.projectTemplate.findUnique({
+    where: { id: templateId },
+  });
+
+  if (!template) {
+    return sendError(res, "Project template not found", 404);
+  }
+
+  const canDelete =
+    template.createdBy === req.user.id ||
+    (await hasPermission(req.user, "project.delete"));
+
+  if (!canDelete) {
+    return sendError(res, "Permission denied", 403);
+  }
+
+  await prisma.projectTemplate.delete({
+    where: { id: templateId },
+  });
+
+  sendSuccess(res, null, "Project template deleted successfully");
+};
+
+// Copy a project the user has access to
+const cloneProject = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { name, startDate, includeMembers, includeFiles, openTasksOnly } =
+    req.validatedBody;
+
+  const canViewAllProjects = await hasPermission(req.user, "project.view");
+
+  const source = await prisma.project.findFirst({
+    where: {
+      id,
+      OR: canViewAllProjects
+        ? undefined
+        : [
+            { createdBy: req.user.id },
+            {
+              members: {
+                some: {
+                  userId: req.user.id,
+                },
+              },
+            },
+          ],
+    },
+  });
+
+  if (!source) {
+    return sendError(res, "Project not found or access denied", 404);
+  }
+
+  const result = await projectTemplateService.cloneProject(
+    source,
+    {
+      name,
+      startDate: startDate ? new Date(startDate) : null,
+      includeMembers,
+      includeFiles,
+      openTasksOnly,
+    },
+    req.user
+  );
+
+  if (result.project.members.length > 0) {
+    notifyProjectCreated(result.project, req.user);
+  }
+
+  sendSuccess(res, result, "Project cloned successfully", 201);
+};
+
 module.exports = {
   createProject,
   getProjects,
@@ -574,6 +992,15 @@ module.exports = {
   updateProject,
   deleteProject,
   addProjectMember,
+  updateProjectMemberRole,
   removeProjectMember,
   getProjectStats,
+  getProjectBudget,
+  archiveProject,
+  unarchiveProject,
+  saveProjectAsTemplate,
+  getProjectTemplates,
+  getProjectTemplate,
+  deleteProjectTemplate,
+  cloneProject,
 };
@@ -0,0 +1,822 @@
+// Controller for SCIM 2.0 provisioning routes. Users and groups belong to the
+// organization of the provisioning token; SCIM `active` maps onto the user
+// status, and groups map onto roles (Admins, Team Leads) or teams.
+const { PrismaClient } = require("@prisma/client");
+const {
+  hashPassword,
+  generateSecureToken,
+  findAvailableUsername,
+  belongsToOtherOrganizations,
+  organizationRoleWhere,
+} = require("../utils/auth");
+const logger = require("../utils/logger");
+const { withTenantScope, withoutTenantScope } = require("../utils/tenant");
+const {
+  SCIM_SCHEMAS,
+  SCIM_MAX_RESULTS,
+  scimError,
+  sendScim,
+  sendScimError,
+  scimListResponse,
+  parseScimPagination,
+  parseScimFilter,
+  applyScimPatch,
+  parseScimBoolean,
+} = require("../utils/scim");
+const scimValidation = require("../validations/scim.validation");
+
+const prisma = withTenantScope(new PrismaClient());
+
+// Roles managed through groups (users in neither group are employees)
+const ROLE_GROUPS = {
+  ADMIN: "Admins",
+  TEAM_LEAD: "Team Leads",
+};
+const ROLE_GROUP_PREFIX = "role-";
+
+// Attributes that list requests can filter on
+const USER_FILTER_ATTRIBUTES = ["userName", "externalId", "emails.value"];
+const GROUP_FILTER_ATTRIBUTES = ["displayName"];
+
+// User with its SCIM identity and teams in the organization
+const scimUserInclude = (organizationId) => ({
+  organizationMemberships: { where: { organizationId } },
+  teamMemberships: {
+    where: { team: { organizationId } },
+    include: { team: { select: { id: true, name: true } } },
+  },
+});
+
+// Fields of a group member
+const memberUserSelect = { id: true, firstName: true, lastName: true };
+
+// URL of a SCIM resource
+const resourceLocation = (req, type, id) =>
+  `${req.protocol}://${req.get("host")}${req.baseUrl}/${type}/${id}`;
+
+// SCIM representation of a user
+const toScimUser = (req, user) => {
+  const [membership = {}] = user.organizationMemberships;
+  const displayName = `${user.firstName} ${user.lastName}`;
+
+  return {
+    schemas: [SCIM_SCHEMAS.USER],
+    id: user.id,
+    ...(membership.scimExternalId && { externalId: membership.scimExternalId }),
+    userName: membership.scimUserName || user.username,
+    name: {
+      givenName: user.firstName,
+      familyName: user.lastName,
+      formatted: displayName,
+    },
+    displayName,
+    ...(user.position && { title: user.position }),
+    emails: [{ value: user.email, type: "work", primary: true }],
+    active: user.status === "ACTIVE",
+    groups: [
+      ...Object.keys(ROLE_GROUPS)
+        .filter((role) => role === membership.role)
+        .map((role) => ({
+          value: `${ROLE_GROUP_PREFIX}${role}`,
+          display: ROLE_GROUPS[role],
+        })),
+      ...user.teamMemberships.map((teamMembership) => ({
+        value: teamMembership.team.id,
+        display: teamMembership.team.name,
+      })),
+    ],
+    meta: {
+      resourceType: "User",
+      created: user.createdAt,
+      lastModified: user.updatedAt,
+      location: resourceLocation(req, "Users", user.id),
+    },
+  };
+};
+
+// Map a SCIM user onto user fields (the primary or work email is the user's email)
+const readScimUser = (resource) => {
+  const emails = [].concat(resource.emails || []);
+  const email =
+    emails.find((entry) => parseScimBoolean(entry.primary)) ||
+    emails.find((entry) => entry.type === "work") ||
+    emails[0];
+  const name = resource.name || {};
+  const [givenName, ...familyNames] = (resource.displayName || "").split(" ");
+
+  const { value, error } = scimValidation.scimUser.validate(
+    {
+      userName: resource.userName,
+      externalId: resource.externalId || null,
+      email:
+        email?.value ||
+        (/@/.test(resource.userName) ? resource.userName : undefined),
+      firstName: name.givenName || givenName || undefined,
+      lastName: name.familyName || familyNames.join(" ") || undefined,
+      position: resource.title,
+      active:
+        resource.active === undefined
+          ? true
+          : parseScimBoolean(resource.active),
+      password: resource.password,
+    },
+    { stripUnknown: true }
+  );
+
+  if (error) {
+    throw scimError(400, error.details[0].message, "invalidValue");
+  }
+
+  return value;
+};
+
+// Where clause for a user list filter
+const userFilterWhere = (organizationId, { attribute, value }) => {
+  if (attribute === "emails.value") {
+    return { email: value };
+  }
+
+  if (attribute === "externalId") {
+    return {
+      organizationMemberships: {
+        some: { organizationId, scimExternalId: value },
+      },
+    };
+  }
+
+  // Users created before provisioning started are known by their username
+  return {
+    OR: [
+      {
+        organizationMemberships: {
+          some: { organizationId, scimUserName: value },
+        },
+      },
+      {
+        username: value,
+        organizationMemberships: {
+          some: { organizationId, scimUserName: null },
+        },
+      },
+    ],
+  };
+};
+
+// Check that no other member of the organization has the same SCIM identity
+const checkScimIdentity = async (organizationId, values, userId = null) => {
+  const conflict = await prisma.organizationMember.findFirst({
+    where: {
+      organizationId,
+      ...(userId && { userId: { not: userId } }),
+      OR: [
+        { scimUserName: values.userName },
+        ...(values.externalId ? [{ scimExternalId: values.externalId }] : []),
+      ],
+    },
+  });
+
+  if (conflict) {
+    throw scimError(
+      409,
+      "A user with this userName or externalId already exists",
+      "uniqueness"
+    );
+  }
+};
+
+// Find a user of the organization with its SCIM identity
+const findScimUser = (organizationId, id) =>
+  prisma.user.findUnique({
+    where: { id },
+    include: scimUserInclude(organizationId),
+  });
+
+// Update a user from mapped SCIM attributes (PUT and PATCH)
+const updateScimUser = async (req, user, values) => {
+  const organizationId = req.organization.id;
+
+  await checkScimIdentity(organizationId, values, user.id);
+
+  if (values.email !== user.email) {
+    // Email addresses are unique across all organizations
+    const existingUser = await withoutTenantScope(() =>
+      prisma.user.findUnique({ where: { email: values.email } })
+    );
+
+    if (existingUser) {
+      throw scimError(409, "Email already registered", "uniqueness");
+    }
+  }
+
+  if (values.active && user.erasedAt) {
+    throw scimError(400, "Erased users cannot be reactivated", "mutability");
+  }
+
+  // Inactive users keep a local suspension; active users become ACTIVE
+  let status = values.active ? "ACTIVE" : user.status;
+  if (!values.active && user.status === "ACTIVE") {
+    status = "INACTIVE";
+  }
+
+  // The account is shared with other organizations, so this organization's
+  // identity provider cannot change how it signs in
+  if (
+    (values.email !== user.email ||
+      values.password ||
+      status !== user.status) &&
+    (await belongsToOtherOrganizations(user.id, organizationId))
+  ) {
+    throw scimError(
+      409,
+      "User belongs to other organizations, so their email, password and status cannot be changed here",
+      "mutability"
+    );
+  }
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        email: values.email,
+        firstName: values.firstName,
+        lastName: values.lastName,
+        position: values.position || null,
+        status,
+        ...(values.password && {
+          password: await hashPassword(values.password),
+        }),
+      },
+    }),
+    prisma.organizationMember.update({
+      where: { organizationId_userId: { organizationId, userId: user.id } },
+      data: {
+        scimUserName: values.userName,
+        scimExternalId: values.externalId,
+      },
+    }),
+  ]);
+
+  logger.audit("User updated via SCIM", {
+    userId: user.id,
+    organizationId,
+    ...(status !== user.status && { status }),
+    provisioningTokenId: req.provisioningToken.id,
+  });
+
+  return findScimUser(organizationId, user.id);
+};
+
+// Service provider configuration (features of this SCIM implementation)
+const getServiceProviderConfig = (req, res) => {
+  sendScim(res, {
+    schemas: [SCIM_SCHEMAS.SERVICE_PROVIDER_CONFIG],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: SCIM_MAX_RESULTS },
+    changePassword: { supported: true },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [
+      {
+        type: "oauthbearertoken",
+        name: "Provisioning token",
+        description:
+          "Bearer token created under /api/v1/organizations/current/provisioning-tokens",
+        primary: true,
+      },
+    ],
+    meta: {
+      resourceType: "ServiceProviderConfig",
+      location: `${req.protocol}://${req.get("host")}${req.baseUrl}/ServiceProviderConfig`,
+    },
+  });
+};
+
+// List or look up users of the organization
+const getScimUsers = async (req, res) => {
+  const organizationId = req.organization.id;
+  const { startIndex, count } = parseScimPagination(req.query);
+  const filter = parseScimFilter(
+    req.query.filter,
+    USER_FILTER_ATTRIBUTES,
+    SCIM_SCHEMAS.USER
+  );
+  const where = filter ? userFilterWhere(organizationId, filter) : {};
+
+  const [totalResults, users] = await Promise.all([
+    prisma.user.count({ where }),
+    prisma.user.findMany({
+      where,
+      include: scimUserInclude(organizationId),
+      orderBy: { createdAt: "asc" },
+      skip: startIndex - 1,
+      take: count,
+    }),
+  ]);
+
+  sendScim(
+    res,
+    scimListResponse(
+      users.map((user) => toScimUser(req, user)),
+      totalResults,
+      startIndex
+    )
+  );
+};
+
+// Get a user
+const getScimUser = async (req, res) => {
+  const user = await findScimUser(req.organization.id, req.params.id);
+
+  if (!user) {
+    return sendScimError(res, "User not found", 404);
+  }
+
+  sendScim(res, toScimUser(req, user));
+};
+
+// Provision a user. Existing members of the organization that are not yet
+// provisioned are linked by email instead.
+const createScimUser = async (req, res) => {
+  const organizationId = req.organization.id;
+  const values = readScimUser(req.body);
+
+  await checkScimIdentity(organizationId, values);
+
+  const existingUser = await withoutTenantScope(() =>
+    prisma.user.findUnique({
+      where: { email: values.email },
+      include: scimUserInclude(organizationId),
+    })
+  );
+
+  if (existingUser) {
+    const [membership] = existingUser.organizationMemberships;
+
+    if (!membership || membership.scimUserName) {
+      return sendScimError(res, "Email already registered", 409, "uniqueness");
+    }
+
+    const linkedUser = await updateScimUser(req, existingUser, values);
+
+    logger.audit("User linked via SCIM", {
+      userId: existingUser.id,
+      organizationId,
+      provisioningTokenId: req.provisioningToken.id,
+    });
+
+    return sendScim(res, toScimUser(req, linkedUser), 201);
+  }
+
+  // Without a password from the identity provider the account can only be
+  // used through single sign-on or a password reset
+  const user = await prisma.user.create({
+    data: {
+      email: values.email,
+      username: await findAvailableUsername(values.userName.split("@")[0]),
+      password: await hashPassword(values.password || generateSecureToken()),
+      firstName: values.firstName,
+      lastName: values.lastName,
+      position: values.position || null,
+      status: values.active ? "ACTIVE" : "INACTIVE",
+      // The identity provider vouches for the address
+      emailVerifiedAt: new Date(),
+      organizationMemberships: {
+        create: {
+          organizationId,
+          scimUserName: values.userName,
+          scimExternalId: values.externalId,
+        },
+      },
+    },
+    include: scimUserInclude(organizationId),
+  });
+
+  logger.audit("User provisioned via SCIM", {
+    userId: user.id,
+    organizationId,
+    provisioningTokenId: req.provisioningToken.id,
+  });
+
+  sendScim(res, toScimUser(req, user), 201);
+};
+
+// Replace a user
+const replaceScimUser = async (req, res) => {
+  const user = await findScimUser(req.organization.id, req.params.id);
+
+  if (!user) {
+    return sendScimError(res, "User not found", 404);
+  }
+
+  const updatedUser = await updateScimUser(req, user, readScimUser(req.body));
+
+  sendScim(res, toScimUser(req, updatedUser));
+};
+
+// Change attributes of a user
+const patchScimUser = async (req, res) => {
+  const user = await findScimUser(req.organization.id, req.params.id);
+
+  if (!user) {
+    return sendScimError(res, "User not found", 404);
+  }
+
+  const resource = applyScimPatch(
+    toScimUser(req, user),
+    req.body,
+    SCIM_SCHEMAS.USER
+  );
+  const updatedUser = await updateScimUser(req, user, readScimUser(resource));
+
+  sendScim(res, toScimUser(req, updatedUser));
+};
+
+// Remove a user from the organization. Users who belong to no other
+// organization are deactivated; their work stays for reporting.
+const deleteScimUser = async (req, res) => {
+  const organizationId = req.organization.id;
+  const userId = req.params.id;
+
+  const membership = await prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId } },
+  });
+
+  if (!membership) {
+    return sendScimError(res, "User not found", 404);
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const otherMemberships = await tx.organizationMember.count({
+      where: { userId, organizationId: { not: organizationId } },
+    });
+
+    if (otherMemberships === 0) {
+      await tx.user.update({
+        where: { id: userId },
+        data: { status: "INACTIVE" },
+      });
+    }
+
+    // Project and team memberships are scoped, so only this organization's are removed
+    await tx.projectMember.deleteMany({ where: { userId } });
+    await tx.teamMember.deleteMany({ where: { userId } });
+
+    // Sessions and tokens acting in the organization stop working
+    await tx.refreshToken.deleteMany({ where: { userId, organizationId } });
+    await tx.personalAccessToken.updateMany({
+      where: { userId, organizationId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    await tx.organizationMember.delete({ where: { id: membership.id } });
+  });
+
+  logger.audit("User deprovisioned via SCIM", {
+    userId,
+    organizationId,
+    provisioningTokenId: req.provisioningToken.id,
+  });
+
+  res.status(204).end();
+};
+
+// SCIM representation of a group
+const toScimGroup = (req, group, includeMembers = true) => ({
+  schemas: [SCIM_SCHEMAS.GROUP],
+  id: group.id,
+  displayName: group.displayName,
+  ...(includeMembers && {
+    members: group.members.map((user) => ({
+      value: user.id,
+      display: `${user.firstName} ${user.lastName}`,
+      $ref: resourceLocation(req, "Users", user.id),
+    })),
+  }),
+  meta: {
+    resourceType: "Group",
+    ...(group.createdAt && {
+      created: group.createdAt,
+      lastModified: group.updatedAt,
+    }),
+    location: resourceLocation(req, "Groups", group.id),
+  },
+});
+
+// Users with a role in the organization
+const findRoleMembers = (role) =>
+  prisma.user.findMany({
+    where: organizationRoleWhere(role),
+    select: memberUserSelect,
+    orderBy: { createdAt: "asc" },
+  });
+
+// Group for the users of the organization with a role
+const findRoleGroup = async (role, includeMembers = true) => ({
+  id: `${ROLE_GROUP_PREFIX}${role}`,
+  role,
+  displayName: ROLE_GROUPS[role],
+  members: includeMembers ? await findRoleMembers(role) : [],
+});
+
+// Group for a team and its members
+const findTeamGroup = async (id, includeMembers = true) => {
+  const team = await prisma.team.findUnique({
+    where: { id },
+    include: {
+      members: includeMembers
+        ? { include: { user: { select: memberUserSelect } } }
+        : false,
+    },
+  });
+
+  return (
+    team && {
+      id: team.id,
+      displayName: team.name,
+      members: (team.members || []).map((member) => member.user),
+      createdAt: team.createdAt,
+      updatedAt: team.updatedAt,
+    }
+  );
+};
+
+// Find a role or team group by ID
+const findScimGroup = (id) => {
+  if (id.startsWith(ROLE_GROUP_PREFIX)) {
+    const role = id.slice(ROLE_GROUP_PREFIX.length);
+    return ROLE_GROUPS[role] ? findRoleGroup(role) : null;
+  }
+
+  return findTeamGroup(id);
+};
+
+// Map a SCIM group onto a name and member IDs
+const readScimGroup = (resource) => {
+  const { value, error } = scimValidation.scimGroup.validate({
+    displayName: resource.displayName,
+    memberIds: [].concat(resource.members || []).map((member) => member.value),
+  });
+
+  if (error) {
+    throw scimError(400, error.details[0].message, "invalidValue");
+  }
+
+  return value;
+};
+
+// Check that members are users of the organization
+const checkMemberIds = async (memberIds) => {
+  if (memberIds.length === 0) return;
+
+  const count = await prisma.user.count({ where: { id: { in: memberIds } } });
+
+  if (count !== memberIds.length) {
+    throw scimError(
+      400,
+      "Some members are not users of the organization",
+      "invalidValue"
+    );
+  }
+};
+
+// Check that no role group or other team has the name
+const checkGroupName = async (displayName, teamId = null) => {
+  const isRoleGroupName = Object.values(ROLE_GROUPS).some(
+    (name) => name.toLowerCase() === displayName.toLowerCase()
+  );
+  const existingTeam = await prisma.team.findFirst({
+    where: { name: displayName, ...(teamId && { id: { not: teamId } }) },
+  });
+
+  if (isRoleGroupName || existingTeam) {
+    throw scimError(
+      409,
+      "A group with this displayName already exists",
+      "uniqueness"
+    );
+  }
+};
+
+// Apply a group's name and members (PUT and PATCH)
+const updateScimGroup = async (req, group, values) => {
+  await checkMemberIds(values.memberIds);
+
+  if (group.role) {
+    if (values.displayName !== group.displayName) {
+      throw scimError(400, "Role groups cannot be renamed", "mutability");
+    }
+
+    // Roles only change in this organization
+    const organizationId = req.organization.id;
+    await prisma.$transaction([
+      prisma.organizationMember.updateMany({
+        where: {
+          organizationId,
+          role: group.role,
+          userId: { notIn: values.memberIds },
+        },
+        data: { role: "EMPLOYEE" },
+      }),
+      prisma.organizationMember.updateMany({
+        where: { organizationId, userId: { in: values.memberIds } },
+        data: { role: group.role },
+      }),
+    ]);
+  } else {
+    if (values.displayName !== group.displayName) {
+      await checkGroupName(values.displayName, group.id);
+    }
+
+    // Members that stay keep their team role
+    await prisma.$transaction([
+      prisma.team.update({
+        where: { id: group.id },
+        data: { name: values.displayName },
+      }),
+      prisma.teamMember.deleteMany({
+        where: { teamId: group.id, userId: { notIn: values.memberIds } },
+      }),
+      prisma.teamMember.createMany({
+        data: values.memberIds.map((userId) => ({ teamId: group.id, userId })),
+        skipDuplicates: true,
+      }),
+    ]);
+  }
+
+  logger.audit("Group updated via SCIM", {
+    groupId: group.id,
+    organizationId: req.organization.id,
+    memberIds: values.memberIds,
+    provisioningTokenId: req.provisioningToken.id,
+  });
+
+  return findScimGroup(group.id);
+};
+
+// List or look up the role and team groups of the organization
+const getScimGroups = async (req, res) => {
+  const { startIndex, count } = parseScimPagination(req.query);
+  const filter = parseScimFilter(
+    req.query.filter,
+    GROUP_FILTER_ATTRIBUTES,
+    SCIM_SCHEMAS.GROUP
+  );
+  const includeMembers = !String(req.query.excludedAttributes || "")
+    .toLowerCase()
+    .split(",")
+    .includes("members");
+
+  const roles = Object.keys(ROLE_GROUPS).filter(
+    (role) =>
+      !filter || ROLE_GROUPS[role].toLowerCase() === filter.value.toLowerCase()
+  );
+  const teams = await prisma.team.findMany({
+    where: filter ? { name: filter.value } : {},
+    select: { id: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  // Role groups come first, then teams
+  const groupIds = [
+    ...roles.map((role) => `${ROLE_GROUP_PREFIX}${role}`),
+    ...teams.map((team) => team.id),
+  ];
+  const pageIds = groupIds.slice(startIndex - 1, startIndex - 1 + count);
+
+  const groups = await Promise.all(
+    pageIds.map((id) =>
+      id.startsWith(ROLE_GROUP_PREFIX)
+        ? findRoleGroup(id.slice(ROLE_GROUP_PREFIX.length), includeMembers)
+        : findTeamGroup(id, includeMembers)
+    )
+  );
+
+  sendScim(
+    res,
+    scimListResponse(
+      groups.map((group) => toScimGroup(req, group, includeMembers)),
+      groupIds.length,
+      startIndex
+    )
+  );
+};
+
+// Get a group
+const getScimGroup = async (req, res) => {
+  const group = await findScimGroup(req.params.id);
+
+  if (!group) {
+    return sendScimError(res, "Group not found", 404);
+  }
+
+  sendScim(res, toScimGroup(req, group));
+};
+
+// Create a team from a group
+const createScimGroup = async (req, res) => {
+  const values = readScimGroup(req.body || {});
+
+  await checkGroupName(values.displayName);
+  await checkMemberIds(values.memberIds);
+
+  const team = await prisma.team.create({
+    data: {
+      name: values.displayName,
+      members: {
+        create: values.memberIds.map((userId) => ({ userId })),
+      },
+    },
+  });
+
+  logger.audit("Team provisioned via SCIM", {
+    teamId: team.id,
+    organizationId: req.organization.id,
+    provisioningTokenId: req.provisioningToken.id,
+  });
+
+  sendScim(res, toScimGroup(req, await findTeamGroup(team.id)), 201);
+};
+
+// Replace a group's name and members
+const replaceScimGroup = async (req, res) => {
+  const group = await findScimGroup(req.params.id);
+
+  if (!group) {
+    return sendScimError(res, "Group not found", 404);
+  }
+
+  const updatedGroup = await updateScimGroup(
+    req,
+    group,
+    readScimGroup(req.body || {})
+  );
+
+  sendScim(res, toScimGroup(req, updatedGroup));
+};
+
+// Add or remove members of a group, or rename it
+const patchScimGroup = async (req, res) => {
+  const group = await findScimGroup(req.params.id);
+
+  if (!group) {
+    return sendScimError(res, "Group not found", 404);
+  }
+
+  const resource = applyScimPatch(
+    toScimGroup(req, group),
+    req.body,
+    SCIM_SCHEMAS.GROUP
+  );
+  const updatedGroup = await updateScimGroup(
+    req,
+    group,
+    readScimGroup(resource)
+  );
+
+  sendScim(res, toScimGroup(req, updatedGroup));
+};
+
+// Delete the team of a group (role groups cannot be deleted)
+const deleteScimGroup = async (req, res) => {
+  const group = await findScimGroup(req.params.id);
+
+  if (!group) {
+    return sendScimError(res, "Group not found", 404);
+  }
+
+  if (group.role) {
+    return sendScimError(
+      res,
+      "Role groups cannot be deleted",
+      400,
+      "mutability"
+    );
+  }
+
+  await prisma.team.delete({ where: { id: group.id } });
+
+  logger.audit("Team deleted via SCIM", {
+    teamId: group.id,
+    organizationId: req.organization.id,
+    provisioningTokenId: req.provisioningToken.id,
+  });
+
+  res.status(204).end();
+};
+
+module.exports = {
+  getServiceProviderConfig,
+  getScimUsers,
+  getScimUser,
+  createScimUser,
+  replaceScimUser,
+  patchScimUser,
+  deleteScimUser,
+  getScimGroups,
+  getScimGroup,
+  createScimGroup,
+  replaceScimGroup,
+  patchScimGroup,
+  deleteScimGroup,
+};
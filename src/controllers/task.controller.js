@@ -1,12 +1,28 @@
 // Controller for task management routes
 const { PrismaClient } = require("@prisma/client");
 const { sendSuccess, sendError, sendPaginated } = require("../utils/helpers");
-const { hasRole } = require("../utils/auth");
+const { withTenantScope } = require("../utils/tenant");
+const {
+  hasRole,
+  activityProjectsWhere,
+  memberProjectsWhere,
+  hasProjectPermission,
+  projectPermissionWhere,
+  isProjectArchived,
+  PROJECT_ARCHIVED_ERROR,
+} = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
 const { taskNotifications } = require("../utils/realtime");
+const { trashData } = require("../utils/softDelete");
+const milestoneService = require("../services/milestone.service");
 
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
 
-// Create new task (Admin/Team Lead/Project Creator only)
+// Whether a milestone belongs to a project
+const isProjectMilestone = async (milestoneId, projectId) =>
+  (await prisma.milestone.count({ where: { id: milestoneId, projectId } })) > 0;
+
+// Create new task (Admin/Project Owner/Project Maintainer only)
 const createTask = async (req, res) => {
   try {
     const {
@@ -17,28 +33,16 @@ const createTask = async (req, res) => {
       priority = "MEDIUM",
       dueDate,
       estimatedHours,
+      milestoneId,
     } = req.validatedBody;
 
     // Check if project exists and user has permission to create tasks
+    const canManageAllTasks = await hasPermission(req.user, "task.manage");
     const project = await prisma.project.findFirst({
       where: {
         id: projectId,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { createdBy: req.user.id },
-                // Team leads can create tasks in projects they're members of
-                req.user.role === "TEAM_LEAD"
-                  ? {
-                      members: {
-                        some: {
-                          userId: req.user.id,
-                        },
-                      },
-                    }
-                  : {},
-              ],
+        ...(!canManageAllTasks &&
+          projectPermissionWhere(req.user.id, "manageTasks")),
       },
       include: {
         members: {
@@ -49,7 +53,6 @@ const createTask = async (req, res) => {
                 firstName: true,
                 lastName: true,
                 email: true,
-                role: true,
               },
             },
           },
@@ -61,21 +64,32 @@ const createTask = async (req, res) => {
       return sendError(res, "Project not found or permission denied", 404);
     }
 
-    // Validate assignee (must be project member or creator)
+    if (isProjectArchived(project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
+    // Validate assignee (must be a contributing project member or creator)
     if (assignedToId) {
-      const validAssignee =
-        project.createdBy === assignedToId ||
-        project.members.some((member) => member.userId === assignedToId);
+      const validAssignee = hasProjectPermission(
+        { id: assignedToId },
+        project,
+        "contribute"
+      );
 
       if (!validAssignee) {
         return sendError(
           res,
-          "Cannot assign task to user who is not a project member",
+          "Cannot assign task to user who is not a contributing project member",
           400
         );
       }
     }
 
+    // Milestone must belong to the same project
+    if (milestoneId && !(await isProjectMilestone(milestoneId, projectId))) {
+      return sendError(res, "Milestone not found in this project", 400);
+    }
+
     // Create task
     const task = await prisma.task.create({
       data: {
@@ -86,6 +100,7 @@ const createTask = async (req, res) => {
         priority,
         dueDate: dueDate ? new Date(dueDate) : null,
         estimatedHours: estimatedHours ? parseFloat(estimatedHours) : null,
+        milestoneId,
         createdBy: req.user.id,
       },
       include: {
@@ -102,7 +117,6 @@ const createTask = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
         creator: {
@@ -111,12 +125,14 @@ const createTask = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
       },
     });
 
+    // A new open task reopens a reached milestone
+    await milestoneService.refreshStatus([task.milestoneId]);
+
     // Send real-time notification
     try {
       taskNotifications.created(task, {
@@ -145,6 +161,7 @@ const getTasks = async (req, res) => {
       limit = 10,
       projectId,
       assignedToId,
+      milestoneId,
       status,
       priority,
       search,
@@ -157,25 +174,26 @@ const getTasks = async (req, res) => {
     // Build where clause
     const where = {};
 
+    const canViewAllProjects = await hasPermission(req.user, "project.view");
+
     // Filter by project if specified
     if (projectId) {
       // Check if user has access to this project
       const projectAccess = await prisma.project.findFirst({
         where: {
           id: projectId,
-          OR:
-            req.user.role === "ADMIN"
-              ? undefined
-              : [
-                  { createdBy: req.user.id },
-                  {
-                    members: {
-                      some: {
-                        userId: req.user.id,
-                      },
+          OR: canViewAllProjects
+            ? undefined
+            : [
+                { createdBy: req.user.id },
+                {
+                  members: {
+                    some: {
+                      userId: req.user.id,
                     },
                   },
-                ],
+                },
+              ],
         },
       });
 
@@ -186,7 +204,7 @@ const getTasks = async (req, res) => {
       where.projectId = projectId;
     } else {
       // If no specific project, filter by user's accessible projects
-      if (req.user.role !== "ADMIN") {
+      if (!canViewAllProjects) {
         where.project = {
           OR: [
             { createdBy: req.user.id },
@@ -203,7 +221,15 @@ const getTasks = async (req, res) => {
     }
 
     // Additional filters
-    if (assignedToId) where.assignedToId = assignedToId;
+    if (assignedToId) {
+      where.assigneeId = assignedToId;
+
+      // Tasks of members who turned off accessToOthers are only listed in shared projects
+      if (!canViewAllProjects && assignedToId !== req.user.id) {
+        where.project = await activityProjectsWhere(req.user, assignedToId);
+      }
+    }
+    if (milestoneId) where.milestoneId = milestoneId;
     if (status) where.status = status;
     if (priority) where.priority = priority;
 
@@ -230,13 +256,12 @@ const getTasks = async (req, res) => {
               status: true,
             },
           },
-          assignedTo: {
+          assignee: {
             select: {
               id: true,
               firstName: true,
               lastName: true,
               email: true,
-              role: true,
             },
           },
           creator: {
@@ -245,7 +270,6 @@ const getTasks = async (req, res) => {
               firstName: true,
               lastName: true,
               email: true,
-              role: true,
             },
           },
         },
@@ -253,7 +277,7 @@ const getTasks = async (req, res) => {
       prisma.task.count({ where }),
     ]);
 
-    sendPaginated(res, tasks, total, page, limit);
+    sendPaginated(res, tasks, page, limit, total);
   } catch (error) {
     console.error("Get tasks error:", error);
     sendError(res, "Failed to fetch tasks", 500);
@@ -265,25 +289,26 @@ const getTask = async (req, res) => {
   try {
     const { id } = req.validatedParams;
 
+    const canViewAllProjects = await hasPermission(req.user, "project.view");
+
     const task = await prisma.task.findFirst({
       where: {
         id,
         // User must have access to the project containing this task
-        project:
-          req.user.role === "ADMIN"
-            ? undefined
-            : {
-                OR: [
-                  { createdBy: req.user.id },
-                  {
-                    members: {
-                      some: {
-                        userId: req.user.id,
-                      },
+        project: canViewAllProjects
+          ? undefined
+          : {
+              OR: [
+                { createdBy: req.user.id },
+                {
+                  members: {
+                    some: {
+                      userId: req.user.id,
                     },
                   },
-                ],
-              },
+                },
+              ],
+            },
       },
       include: {
         project: {
@@ -300,7 +325,6 @@ const getTask = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
         creator: {
@@ -309,7 +333,6 @@ const getTask = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
       },
@@ -333,36 +356,36 @@ const updateTask = async (req, res) => {
     const updates = req.validatedBody;
 
     // Find task and check permissions
+    const canManageAllTasks = await hasPermission(req.user, "task.manage");
     const task = await prisma.task.findFirst({
       where: {
         id,
-        project:
-          req.user.role === "ADMIN"
-            ? undefined
-            : {
-                OR: [
-                  { createdBy: req.user.id },
-                  {
-                    members: {
-                      some: {
-                        userId: req.user.id,
-                      },
+        project: canManageAllTasks
+          ? undefined
+          : {
+              OR: [
+                { createdBy: req.user.id },
+                {
+                  members: {
+                    some: {
+                      userId: req.user.id,
                     },
                   },
-                ],
-              },
+                },
+              ],
+            },
       },
       include: {
         project: {
           select: {
             id: true,
             createdBy: true,
+            archivedAt: true,
             members: {
               include: {
                 user: {
                   select: {
                     id: true,
-                    role: true,
                   },
                 },
               },
@@ -377,19 +400,20 @@ const updateTask = async (req, res) => {
     }
 
     // Check update permissions
-    const isAdmin = req.user.role === "ADMIN";
-    const isProjectCreator = task.project.createdBy === req.user.id;
-    const isTeamLead =
-      req.user.role === "TEAM_LEAD" &&
-      task.project.members.some((member) => member.userId === req.user.id);
-    const isTaskAssignee = task.assignedToId === req.user.id;
-
-    // Employees can only update status of their own tasks
-    if (!isAdmin && !isProjectCreator && !isTeamLead) {
-      if (!isTaskAssignee) {
+    const canManageTasks =
+      canManageAllTasks ||
+      hasProjectPermission(req.user, task.project, "manageTasks");
+    const isTaskAssignee = task.assigneeId === req.user.id;
+
+    // Other contributors can only update status of their own tasks
+    if (!canManageTasks) {
+      if (
+        !isTaskAssignee ||
+        !hasProjectPermission(req.user, task.project, "contribute")
+      ) {
         return sendError(res, "Permission denied", 403);
       }
-      // Limit what employees can update
+      // Limit what contributors can update
       const allowedFields = ["status", "actualHours"];
       const hasUnallowedFields = Object.keys(updates).some(
         (field) => !allowedFields.includes(field)
@@ -397,29 +421,41 @@ const updateTask = async (req, res) => {
       if (hasUnallowedFields) {
         return sendError(
           res,
-          "Employees can only update task status and actual hours",
+          "Contributors can only update task status and actual hours",
           403
         );
       }
     }
 
+    if (isProjectArchived(task.project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     // Validate assignee if being updated
     if (updates.assignedToId) {
-      const validAssignee =
-        task.project.createdBy === updates.assignedToId ||
-        task.project.members.some(
-          (member) => member.userId === updates.assignedToId
-        );
+      const validAssignee = hasProjectPermission(
+        { id: updates.assignedToId },
+        task.project,
+        "contribute"
+      );
 
       if (!validAssignee) {
         return sendError(
           res,
-          "Cannot assign task to user who is not a project member",
+          "Cannot assign task to user who is not a contributing project member",
           400
         );
       }
     }
 
+    // Validate milestone if being updated
+    if (
+      updates.milestoneId &&
+      !(await isProjectMilestone(updates.milestoneId, task.projectId))
+    ) {
+      return sendError(res, "Milestone not found in this project", 400);
+    }
+
     // Prepare update data
     const updateData = { ...updates };
     if (updateData.dueDate) updateData.dueDate = new Date(updateData.dueDate);
@@ -446,7 +482,6 @@ const updateTask = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
         creator: {
@@ -455,12 +490,19 @@ const updateTask = async (req, res) => {
             firstName: true,
             lastName: true,
             email: true,
-            role: true,
           },
         },
       },
     });
 
+    // Milestones are reached once all of their tasks are completed
+    if (updates.status || updates.milestoneId !== undefined) {
+      await milestoneService.refreshStatus([
+        task.milestoneId,
+        updatedTask.milestoneId,
+      ]);
+    }
+
     // Send real-time notification for task update
     try {
       taskNotifications.updated(
@@ -485,37 +527,26 @@ const updateTask = async (req, res) => {
   }
 };
 
-// Delete task (Admin/Project Creator/Team Lead only)
+// Delete task (Admin/Project Owner/Project Maintainer/Task Creator only)
 const deleteTask = async (req, res) => {
   try {
     const { id } = req.validatedParams;
 
     // Find task and check permissions
+    const canManageAllTasks = await hasPermission(req.user, "task.manage");
     const task = await prisma.task.findFirst({
       where: {
         id,
-        project:
-          req.user.role === "ADMIN"
-            ? undefined
-            : {
-                OR: [
-                  { createdBy: req.user.id },
-                  req.user.role === "TEAM_LEAD"
-                    ? {
-                        members: {
-                          some: {
-                            userId: req.user.id,
-                          },
-                        },
-                      }
-                    : {},
-                ],
-              },
+        project: canManageAllTasks
+          ? undefined
+          : memberProjectsWhere(req.user.id),
       },
       include: {
         project: {
           select: {
             createdBy: true,
+            archivedAt: true,
+            members: { where: { userId: req.user.id } },
           },
         },
       },
@@ -527,20 +558,28 @@ const deleteTask = async (req, res) => {
 
     // Check delete permissions
     const canDelete =
-      req.user.role === "ADMIN" ||
-      task.project.createdBy === req.user.id ||
+      canManageAllTasks ||
+      hasProjectPermission(req.user, task.project, "manageTasks") ||
       task.createdBy === req.user.id;
 
     if (!canDelete) {
       return sendError(res, "Permission denied", 403);
     }
 
-    // Delete task
-    await prisma.task.delete({
+    if (isProjectArchived(task.project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
+    // Move task to the trash
+    await prisma.task.update({
       where: { id },
+      data: trashData(req.user.id),
     });
 
-    sendSuccess(res, null, "Task deleted successfully");
+    // Removing the last open task can complete its milestone
+    await milestoneService.refreshStatus([task.milestoneId]);
+
+    sendSuccess(res, null, "Task moved to trash");
   } catch (error) {
     console.error("Delete task error:", error);
     sendError(res, "Failed to delete task", 500);
@@ -602,7 +641,6 @@ const getMyTasks = async (req, res) => {
               firstName: true,
               lastName: true,
               email: true,
-              role: true,
             },
           },
         },
@@ -622,23 +660,24 @@ const getTaskStats = async (req, res) => {
   try {
     const { projectId } = req.validatedParams;
 
+    const canViewAllProjects = await hasPermission(req.user, "project.view");
+
     // Check if user has access to this project
     const project = await prisma.project.findFirst({
       where: {
         id: projectId,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { createdBy: req.user.id },
-                {
-                  members: {
-                    some: {
-                      userId: req.user.id,
-                    },
+        OR: canViewAllProjects
+          ? undefined
+          : [
+              { createdBy: req.user.id },
+              {
+                members: {
+                  some: {
+                    userId: req.user.id,
                   },
                 },
-              ],
+              },
+            ],
       },
     });
 
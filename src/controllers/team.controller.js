@@ -0,0 +1,339 @@
+// Controller for team (department) routes
+const { PrismaClient } = require("@prisma/client");
+const { sendSuccess, sendError } = require("../utils/helpers");
+const logger = require("../utils/logger");
+const { withTenantScope } = require("../utils/tenant");
+const {
+  hasProjectPermission,
+  isProjectArchived,
+  PROJECT_ARCHIVED_ERROR,
+} = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
+
+const prisma = withTenantScope(new PrismaClient());
+
+// Team members with the public fields of their user
+const teamMembersInclude = {
+  members: {
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          firstName: true,
+          lastName: true,
+          avatar: true,
+          position: true,
+        },
+      },
+    },
+    orderBy: [{ role: "asc" }, { joinedAt: "asc" }],
+  },
+};
+
+// Check that all user IDs belong to active users of the organization
+const findInvalidUserIds = async (userIds) => {
+  if (userIds.length === 0) return [];
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: userIds }, status: "ACTIVE" },
+    select: { id: true },
+  });
+  const validIds = new Set(users.map((user) => user.id));
+
+  return userIds.filter((userId) => !validIds.has(userId));
+};
+
+// List teams with their leads and member count
+const getTeams = async (req, res) => {
+  const teams = await prisma.team.findMany({
+    include: {
+      members: {
+        where: { role: "LEAD" },
+        include: {
+          user: { select: { id: true, firstName: true, lastName: true } },
+        },
+      },
+      _count: { select: { members: true } },
+    },
+    orderBy: { name: "asc" },
+  });
+
+  const data = teams.map(({ members, ...team }) => ({
+    ...team,
+    leads: members.map((member) => member.user),
+  }));
+
+  sendSuccess(res, data, `${data.length} teams found`);
+};
+
+// Get a team with its members
+const getTeam = async (req, res) => {
+  const { id } = req.validatedParams;
+
+  const team = await prisma.team.findUnique({
+    where: { id },
+    include: teamMembersInclude,
+  });
+
+  if (!team) {
+    return sendError(res, "Team not found", 404);
+  }
+
+  sendSuccess(res, team);
+};
+
+// Create a team with its leads and members
+const createTeam = async (req, res) => {
+  const { name, description, leadIds, memberIds } = req.validatedBody;
+
+  const existingTeam = await prisma.team.findFirst({ where: { name } });
+
+  if (existingTeam) {
+    return sendError(res, "A team with this name already exists", 409);
+  }
+
+  // Users listed as both lead and member become leads
+  const members = [
+    ...leadIds.map((userId) => ({ userId, role: "LEAD" })),
+    ...memberIds
+      .filter((userId) => !leadIds.includes(userId))
+      .map((userId) => ({ userId, role: "MEMBER" })),
+  ];
+
+  const invalidUserIds = await findInvalidUserIds(
+    members.map((member) => member.userId)
+  );
+
+  if (invalidUserIds.length > 0) {
+    return sendError(res, "Some user IDs are invalid or inaccessible", 400);
+  }
+
+  const team = await prisma.team.create({
+    data: {
+      name,
+      description,
+      members: { create: members },
+    },
+    include: teamMembersInclude,
+  });
+
+  logger.audit("Team created", {
+    teamId: team.id,
+    name,
+    leadIds,
+    createdBy: req.user.id,
+  });
+
+  sendSuccess(res, team, "Team created successfully", 201);
+};
+
+// Rename a team or change its description
+const updateTeam = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { name, description } = req.validatedBody;
+
+  const team = await prisma.team.findUnique({ where: { id } });
+
+  if (!team) {
+    return sendError(res, "Team not found", 404);
+  }
+
+  if (name && name !== team.name) {
+    const existingTeam = await prisma.team.findFirst({ where: { name } });
+
+    if (existingTeam) {
+      return sendError(res, "A team with this name already exists", 409);
+    }
+  }
+
+  const updatedTeam = await prisma.team.update({
+    where: { id },
+    data: {
+      ...(name && { name }),
+      ...(description !== undefined && { description }),
+    },
+    include: teamMembersInclude,
+  });
+
+  sendSuccess(res, updatedTeam, "Team updated successfully");
+};
+
+// Delete a team (its members keep their accounts and project memberships)
+const deleteTeam = async (req, res) => {
+  const { id } = req.validatedParams;
+
+  const team = await prisma.team.findUnique({ where: { id } });
+
+  if (!team) {
+    return sendError(res, "Team not found", 404);
+  }
+
+  await prisma.team.delete({ where: { id } });
+
+  logger.audit("Team deleted", {
+    teamId: id,
+    name: team.name,
+    deletedBy: req.user.id,
+  });
+
+  sendSuccess(res, null, "Team deleted successfully");
+};
+
+// Add users to a team, or change the role of existing members
+const addTeamMembers = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { userIds, role } = req.validatedBody;
+
+  const team = await prisma.team.findUnique({ where: { id } });
+
+  if (!team) {
+    return sendError(res, "Team not found", 404);
+  }
+
+  const invalidUserIds = await findInvalidUserIds(userIds);
+
+  if (invalidUserIds.length > 0) {
+    return sendError(res, "Some user IDs are invalid or inaccessible", 400);
+  }
+
+  await prisma.$transaction(
+    userIds.map((userId) =>
+      prisma.teamMember.upsert({
+        where: { teamId_userId: { teamId: id, userId } },
+        update: { role },
+        create: { teamId: id, userId, role },
+      })
+    )
+  );
+
+  logger.audit("Team members added", {
+    teamId: id,
+    userIds,
+    role,
+    addedBy: req.user.id,
+  });
+
+  const updatedTeam = await prisma.team.findUnique({
+    where: { id },
+    include: teamMembersInclude,
+  });
+
+  sendSuccess(res, updatedTeam, "Team members updated successfully");
+};
+
+// Remove a user from a team
+const removeTeamMember = async (req, res) => {
+  const { id, userId } = req.validatedParams;
+
+  const membership = await prisma.teamMember.findUnique({
+    where: { teamId_userId: { teamId: id, userId } },
+  });
+
+  if (!membership) {
+    return sendError(res, "Team member not found", 404);
+  }
+
+  await prisma.teamMember.delete({ where: { id: membership.id } });
+
+  logger.audit("Team member removed", {
+    teamId: id,
+    userId,
+    removedBy: req.user.id,
+  });
+
+  sendSuccess(res, null, "Team member removed successfully");
+};
+
+// Add every member of a team to one or more projects
+const assignTeamToProjects = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { projectIds, role } = req.validatedBody;
+
+  const team = await prisma.team.findUnique({
+    where: { id },
+    include: {
+      members: {
+        where: { user: { status: "ACTIVE" } },
+        select: { userId: true },
+      },
+    },
+  });
+
+  if (!team) {
+    return sendError(res, "Team not found", 404);
+  }
+
+  const projects = await prisma.project.findMany({
+    where: { id: { in: projectIds } },
+    include: { members: { where: { userId: req.user.id } } },
+  });
+
+  if (projects.length !== projectIds.length) {
+    return sendError(res, "Some project IDs are invalid or inaccessible", 400);
+  }
+
+  // The same rights as adding members one by one are required in every project
+  const canManageAllProjects = await hasPermission(req.user, "project.members");
+  const deniedProject = projects.find(
+    (project) =>
+      !canManageAllProjects &&
+      !hasProjectPermission(req.user, project, "manageMembers")
+  );
+
+  if (deniedProject) {
+    return sendError(
+      res,
+      `Permission denied for project ${deniedProject.name}`,
+      403
+    );
+  }
+
+  const archivedProject = projects.find(isProjectArchived);
+
+  if (archivedProject) {
+    return sendError(
+      res,
+      `${PROJECT_ARCHIVED_ERROR}: ${archivedProject.name}`,
+      409
+    );
+  }
+
+  // Existing project members keep their current role
+  const { count } = await prisma.projectMember.createMany({
+    data: projects.flatMap((project) =>
+      team.members.map((member) => ({
+        projectId: project.id,
+        userId: member.userId,
+        role,
+      }))
+    ),
+    skipDuplicates: true,
+  });
+
+  logger.audit("Team assigned to projects", {
+    teamId: id,
+    projectIds,
+    role,
+    addedMembers: count,
+    assignedBy: req.user.id,
+  });
+
+  sendSuccess(
+    res,
+    { projects: projects.length, addedMembers: count },
+    "Team assigned to projects successfully"
+  );
+};
+
+module.exports = {
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMembers,
+  removeTeamMember,
+  assignTeamToProjects,
+};
@@ -1,10 +1,30 @@
 // Controller for time tracking management routes
 const { PrismaClient } = require("@prisma/client");
 const { sendSuccess, sendError, sendPaginated } = require("../utils/helpers");
-const { hasRole } = require("../utils/auth");
+const { withTenantScope } = require("../utils/tenant");
+const {
+  activityProjectsWhere,
+  projectPermissionWhere,
+  ledTeamMembersWhere,
+  isTeamLeadOf,
+  isProjectArchived,
+  PROJECT_ARCHIVED_ERROR,
+} = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
 const { timeTrackingNotifications } = require("../utils/realtime");
+const budgetService = require("../services/budget.service");
+const logger = require("../utils/logger");
 
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
+
+// Entries a user may approve without the timeentry.approve permission: those
+// from projects where their role allows it and those of the teams they lead
+const approvableTimeEntriesWhere = (userId) => ({
+  OR: [
+    { project: projectPermissionWhere(userId, "approveTime") },
+    { user: ledTeamMembersWhere(userId) },
+  ],
+});
 
 // Create new time entry (Manual entry)
 const createTimeEntry = async (req, res) => {
@@ -19,23 +39,17 @@ const createTimeEntry = async (req, res) => {
       notes,
     } = req.validatedBody;
 
-    // Check if project exists and user has access
+    const canManageAllEntries = await hasPermission(
+      req.user,
+      "timeentry.manage"
+    );
+
+    // Check if project exists and user can log time on it (viewers cannot)
     const project = await prisma.project.findFirst({
       where: {
         id: projectId,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { createdBy: req.user.id },
-                {
-                  members: {
-                    some: {
-                      userId: req.user.id,
-                    },
-                  },
-                },
-              ],
+        ...(!canManageAllEntries &&
+          projectPermissionWhere(req.user.id, "contribute")),
       },
     });
 
@@ -43,6 +57,10 @@ const createTimeEntry = async (req, res) => {
       return sendError(res, "Project not found or access denied", 404);
     }
 
+    if (isProjectArchived(project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     // If taskId is provided, validate it belongs to the project
     if (taskId) {
       const task = await prisma.task.findFirst({
@@ -147,24 +165,27 @@ const getTimeEntries = async (req, res) => {
     // Build where clause
     let where = {};
 
+    const canManageAllEntries = await hasPermission(
+      req.user,
+      "timeentry.manage"
+    );
+
+    const canViewProjectEntries = await hasPermission(
+      req.user,
+      "timeentry.team"
+    );
+
     // Access control
-    if (req.user.role !== "ADMIN") {
+    if (!canManageAllEntries) {
       if (userId && userId !== req.user.id) {
-        // Team leads can view their team members' time entries
-        if (req.user.role === "TEAM_LEAD") {
+        // Leads of a team can view all entries of its members
+        if (await isTeamLeadOf(req.user.id, userId)) {
+          where.userId = userId;
+        } else if (canViewProjectEntries) {
+          // timeentry.team allows entries of users in own projects
+          // (only in shared projects if the member turned off accessToOthers)
           const userProjects = await prisma.project.findMany({
-            where: {
-              OR: [
-                { createdBy: req.user.id },
-                {
-                  members: {
-                    some: {
-                      userId: req.user.id,
-                    },
-                  },
-                },
-              ],
-            },
+            where: await activityProjectsWhere(req.user, userId),
             select: { id: true },
           });
 
@@ -250,32 +271,44 @@ const getTimeEntry = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const canManageAllEntries = await hasPermission(
+      req.user,
+      "timeentry.manage"
+    );
+
+    const canViewProjectEntries = await hasPermission(
+      req.user,
+      "timeentry.team"
+    );
+
+    // timeentry.team allows entries from own projects
+    // (only shared projects if the entry's user turned off accessToOthers)
+    const projectEntriesWhere = [];
+    if (!canManageAllEntries && canViewProjectEntries) {
+      const entry = await prisma.timeEntry.findUnique({
+        where: { id },
+        select: { userId: true },
+      });
+
+      if (entry) {
+        projectEntriesWhere.push({
+          userId: entry.userId,
+          project: await activityProjectsWhere(req.user, entry.userId),
+        });
+      }
+    }
+
     const timeEntry = await prisma.timeEntry.findFirst({
       where: {
         id,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { userId: req.user.id },
-                // Team leads can view entries from their projects
-                req.user.role === "TEAM_LEAD"
-                  ? {
-                      project: {
-                        OR: [
-                          { createdBy: req.user.id },
-                          {
-                            members: {
-                              some: {
-                                userId: req.user.id,
-                              },
-                            },
-                          },
-                        ],
-                      },
-                    }
-                  : {},
-              ],
+        OR: canManageAllEntries
+          ? undefined
+          : [
+              { userId: req.user.id },
+              // Leads can view entries of their team members
+              { user: ledTeamMembersWhere(req.user.id) },
+              ...projectEntriesWhere,
+            ],
       },
       include: {
         user: {
@@ -323,6 +356,20 @@ const getTimeEntry = async (req, res) => {
       return sendError(res, "Time entry not found or access denied", 404);
     }
 
+    // Entries of members who turned off accessToOthers are only visible in shared projects
+    if (!canManageAllEntries && timeEntry.userId !== req.user.id) {
+      const visibleProject = await prisma.project.count({
+        where: {
+          id: timeEntry.projectId,
+          ...(await activityProjectsWhere(req.user, timeEntry.userId)),
+        },
+      });
+
+      if (!visibleProject) {
+        return sendError(res, "Time entry not found or access denied", 404);
+      }
+    }
+
     sendSuccess(res, timeEntry, "Time entry retrieved successfully");
   } catch (error) {
     console.error("Error fetching time entry:", error);
@@ -336,34 +383,43 @@ const updateTimeEntry = async (req, res) => {
     const { id } = req.params;
     const updateData = req.validatedBody;
 
+    const canManageAllEntries = await hasPermission(
+      req.user,
+      "timeentry.manage"
+    );
+
+    const canEditProjectDrafts = await hasPermission(
+      req.user,
+      "timeentry.drafts"
+    );
+
     // Find time entry and check permissions
     const timeEntry = await prisma.timeEntry.findFirst({
       where: {
         id,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { userId: req.user.id },
-                // Team leads can update entries from their projects if status is DRAFT
-                req.user.role === "TEAM_LEAD"
-                  ? {
-                      status: "DRAFT",
-                      project: {
-                        OR: [
-                          { createdBy: req.user.id },
-                          {
-                            members: {
-                              some: {
-                                userId: req.user.id,
-                              },
+        OR: canManageAllEntries
+          ? undefined
+          : [
+              { userId: req.user.id },
+              // timeentry.drafts allows DRAFT entries from own projects
+              canEditProjectDrafts
+                ? {
+                    status: "DRAFT",
+                    project: {
+                      OR: [
+                        { createdBy: req.user.id },
+                        {
+                          members: {
+                            some: {
+                              userId: req.user.id,
                             },
                           },
-                        ],
-                      },
-                    }
-                  : {},
-              ],
+                        },
+                      ],
+                    },
+                  }
+                : {},
+            ],
       },
       include: {
         project: true,
@@ -374,8 +430,8 @@ const updateTimeEntry = async (req, res) => {
       return sendError(res, "Time entry not found or cannot be updated", 404);
     }
 
-    // Only allow updates to DRAFT entries (unless admin)
-    if (timeEntry.status !== "DRAFT" && req.user.role !== "ADMIN") {
+    // Only allow updates to DRAFT entries (unless managing all entries)
+    if (timeEntry.status !== "DRAFT" && !canManageAllEntries) {
       return sendError(
         res,
         "Cannot update time entry that has been submitted or approved",
@@ -383,6 +439,10 @@ const updateTimeEntry = async (req, res) => {
       );
     }
 
+    if (isProjectArchived(timeEntry.project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     // If taskId is being updated, validate it belongs to the project
     if (updateData.taskId) {
       const task = await prisma.task.findFirst({
@@ -448,34 +508,46 @@ const deleteTimeEntry = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const canManageAllEntries = await hasPermission(
+      req.user,
+      "timeentry.manage"
+    );
+
+    const canEditProjectDrafts = await hasPermission(
+      req.user,
+      "timeentry.drafts"
+    );
+
     // Find time entry and check permissions
     const timeEntry = await prisma.timeEntry.findFirst({
       where: {
         id,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { userId: req.user.id },
-                // Team leads can delete DRAFT entries from their projects
-                req.user.role === "TEAM_LEAD"
-                  ? {
-                      status: "DRAFT",
-                      project: {
-                        OR: [
-                          { createdBy: req.user.id },
-                          {
-                            members: {
-                              some: {
-                                userId: req.user.id,
-                              },
+        OR: canManageAllEntries
+          ? undefined
+          : [
+              { userId: req.user.id },
+              // timeentry.drafts allows DRAFT entries from own projects
+              canEditProjectDrafts
+                ? {
+                    status: "DRAFT",
+                    project: {
+                      OR: [
+                        { createdBy: req.user.id },
+                        {
+                          members: {
+                            some: {
+                              userId: req.user.id,
                             },
                           },
-                        ],
-                      },
-                    }
-                  : {},
-              ],
+                        },
+                      ],
+                    },
+                  }
+                : {},
+            ],
+      },
+      include: {
+        project: { select: { archivedAt: true } },
       },
     });
 
@@ -483,8 +555,8 @@ const deleteTimeEntry = async (req, res) => {
       return sendError(res, "Time entry not found or cannot be deleted", 404);
     }
 
-    // Only allow deletion of DRAFT entries (unless admin)
-    if (timeEntry.status !== "DRAFT" && req.user.role !== "ADMIN") {
+    // Only allow deletion of DRAFT entries (unless managing all entries)
+    if (timeEntry.status !== "DRAFT" && !canManageAllEntries) {
       return sendError(
         res,
         "Cannot delete time entry that has been submitted or approved",
@@ -492,6 +564,10 @@ const deleteTimeEntry = async (req, res) => {
       );
     }
 
+    if (isProjectArchived(timeEntry.project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     await prisma.timeEntry.delete({
       where: { id },
     });
@@ -515,12 +591,19 @@ const submitTimeEntry = async (req, res) => {
         userId: req.user.id,
         status: "DRAFT",
       },
+      include: {
+        project: { select: { archivedAt: true } },
+      },
     });
 
     if (!timeEntry) {
       return sendError(res, "Time entry not found or cannot be submitted", 404);
     }
 
+    if (isProjectArchived(timeEntry.project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     const updatedTimeEntry = await prisma.timeEntry.update({
       where: { id },
       data: {
@@ -576,41 +659,22 @@ const submitTimeEntry = async (req, res) => {
   }
 };
 
-// Approve or reject time entry (Admin/Team Lead only)
+// Approve or reject time entry (Admin/Project Owner/Project Maintainer/Team Lead only)
 const approveTimeEntry = async (req, res) => {
   try {
-    if (!hasRole(req.user, ["ADMIN", "TEAM_LEAD"])) {
-      return sendError(res, "Access denied", 403);
-    }
-
     const { id } = req.params;
     const { action, notes } = req.validatedBody;
 
-    // Find time entry
+    // Find time entry the user may approve
+    const canApproveAll = await hasPermission(req.user, "timeentry.approve");
     const timeEntry = await prisma.timeEntry.findFirst({
       where: {
         id,
         status: "SUBMITTED",
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                // Team leads can approve entries from their projects
-                {
-                  project: {
-                    OR: [
-                      { createdBy: req.user.id },
-                      {
-                        members: {
-                          some: {
-                            userId: req.user.id,
-                          },
-                        },
-                      },
-                    ],
-                  },
-                },
-              ],
+        ...(!canApproveAll && approvableTimeEntriesWhere(req.user.id)),
+      },
+      include: {
+        project: { select: { archivedAt: true } },
       },
     });
 
@@ -622,6 +686,10 @@ const approveTimeEntry = async (req, res) => {
       );
     }
 
+    if (isProjectArchived(timeEntry.project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     const newStatus = action === "approve" ? "APPROVED" : "REJECTED";
 
     const updatedTimeEntry = await prisma.timeEntry.update({
@@ -667,6 +735,18 @@ const approveTimeEntry = async (req, res) => {
       },
     });
 
+    // Approved hours count towards the project budget
+    if (action === "approve") {
+      try {
+        await budgetService.checkAlerts(timeEntry.projectId);
+      } catch (alertError) {
+        logger.error("Budget alert check error", {
+          projectId: timeEntry.projectId,
+          error: alertError.message,
+        });
+      }
+    }
+
     // Send real-time notification for approval/rejection
     try {
       if (action === "approve") {
@@ -726,23 +806,17 @@ const startTimer = async (req, res) => {
       );
     }
 
-    // Check if project exists and user has access
+    const canManageAllEntries = await hasPermission(
+      req.user,
+      "timeentry.manage"
+    );
+
+    // Check if project exists and user can log time on it (viewers cannot)
     const project = await prisma.project.findFirst({
       where: {
         id: projectId,
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : [
-                { createdBy: req.user.id },
-                {
-                  members: {
-                    some: {
-                      userId: req.user.id,
-                    },
-                  },
-                },
-              ],
+        ...(!canManageAllEntries &&
+          projectPermissionWhere(req.user.id, "contribute")),
       },
     });
 
@@ -750,6 +824,10 @@ const startTimer = async (req, res) => {
       return sendError(res, "Project not found or access denied", 404);
     }
 
+    if (isProjectArchived(project)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     // If taskId is provided, validate it belongs to the project
     if (taskId) {
       const task = await prisma.task.findFirst({
@@ -823,12 +901,21 @@ const updateTimer = async (req, res) => {
         id,
         userId: req.user.id,
       },
+      include: {
+        project: { select: { archivedAt: true } },
+      },
     });
 
     if (!timerSession) {
       return sendError(res, "Timer session not found or access denied", 404);
     }
 
+    // Timers of archived projects can still be stopped, without logging time
+    const projectArchived = isProjectArchived(timerSession.project);
+    if (projectArchived && action !== "stop") {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     let updateData = { updatedAt: new Date() };
 
     switch (action) {
@@ -899,7 +986,7 @@ const updateTimer = async (req, res) => {
     });
 
     // If stopping timer, optionally create time entry
-    if (action === "stop" && updatedTimer.totalHours > 0) {
+    if (action === "stop" && updatedTimer.totalHours > 0 && !projectArchived) {
       const timeEntry = await prisma.timeEntry.create({
         data: {
           description: updatedTimer.description || "Timer session",
@@ -1000,24 +1087,24 @@ const getTimeReport = async (req, res) => {
       status: "APPROVED",
     };
 
+    const canManageAllEntries = await hasPermission(
+      req.user,
+      "timeentry.manage"
+    );
+
+    const canViewProjectEntries = await hasPermission(
+      req.user,
+      "timeentry.team"
+    );
+
     // Access control
-    if (req.user.role !== "ADMIN") {
+    if (!canManageAllEntries) {
       if (userId && userId !== req.user.id) {
-        if (req.user.role === "TEAM_LEAD") {
-          // Team leads can view reports for their projects
+        if (canViewProjectEntries) {
+          // timeentry.team allows reports for own projects
+          // (only shared projects if the member turned off accessToOthers)
           const userProjects = await prisma.project.findMany({
-            where: {
-              OR: [
-                { createdBy: req.user.id },
-                {
-                  members: {
-                    some: {
-                      userId: req.user.id,
-                    },
-                  },
-                },
-              ],
-            },
+            where: await activityProjectsWhere(req.user, userId),
             select: { id: true },
           });
 
@@ -1153,42 +1240,30 @@ const bulkTimeEntryOperation = async (req, res) => {
   try {
     const { timeEntryIds, action, notes } = req.validatedBody;
 
-    if (
-      !hasRole(req.user, ["ADMIN", "TEAM_LEAD"]) &&
-      !["submit", "delete"].includes(action)
-    ) {
-      return sendError(res, "Access denied", 403);
-    }
+    // Entries the user may approve: all of them with the timeentry.approve
+    // permission, otherwise those from projects where their role allows it
+    // and those of the teams they lead
+    const canApproveAll = await hasPermission(req.user, "timeentry.approve");
+    const approvableEntries = canApproveAll
+      ? {}
+      : approvableTimeEntriesWhere(req.user.id);
+
+    const canManageAllEntries = await hasPermission(
+      req.user,
+      "timeentry.manage"
+    );
 
     // Find time entries
     const timeEntries = await prisma.timeEntry.findMany({
       where: {
         id: { in: timeEntryIds },
-        OR:
-          req.user.role === "ADMIN"
-            ? undefined
-            : action === "submit"
-            ? [{ userId: req.user.id }] // Users can only submit their own entries
-            : [
-                { userId: req.user.id },
-                // Team leads can approve/reject/delete entries from their projects
-                req.user.role === "TEAM_LEAD"
-                  ? {
-                      project: {
-                        OR: [
-                          { createdBy: req.user.id },
-                          {
-                            members: {
-                              some: {
-                                userId: req.user.id,
-                              },
-                            },
-                          },
-                        ],
-                      },
-                    }
-                  : {},
-              ],
+        OR: canManageAllEntries
+          ? undefined
+          : action === "submit"
+          ? [{ userId: req.user.id }] // Users can only submit their own entries
+          : action === "delete"
+          ? [{ userId: req.user.id }, approvableEntries]
+          : [approvableEntries], // Only approvers can approve/reject entries
       },
     });
 
@@ -1197,7 +1272,11 @@ const bulkTimeEntryOperation = async (req, res) => {
     }
 
     let updateData = {};
-    let whereClause = { id: { in: timeEntries.map((entry) => entry.id) } };
+    let whereClause = {
+      id: { in: timeEntries.map((entry) => entry.id) },
+      // Entries of archived projects are read-only
+      project: { archivedAt: null },
+    };
 
     switch (action) {
       case "submit":
@@ -1242,6 +1321,21 @@ const bulkTimeEntryOperation = async (req, res) => {
       data: updateData,
     });
 
+    // Approved hours count towards the project budgets
+    if (action === "approve") {
+      const projectIds = new Set(timeEntries.map((entry) => entry.projectId));
+      for (const projectId of projectIds) {
+        try {
+          await budgetService.checkAlerts(projectId);
+        } catch (alertError) {
+          logger.error("Budget alert check error", {
+            projectId,
+            error: alertError.message,
+          });
+        }
+      }
+    }
+
     sendSuccess(
       res,
       { updatedCount: updateResult.count },
@@ -0,0 +1,50 @@
+// Controller for trash routes (projects, tasks and messages moved to the trash)
+const { sendSuccess, sendError, sendPaginated } = require("../utils/helpers");
+const trashService = require("../services/trash.service");
+
+// Singular names used in responses
+const ITEM_NAMES = {
+  projects: "Project",
+  tasks: "Task",
+  messages: "Message",
+};
+
+// List trashed projects, tasks or messages
+const getTrash = async (req, res) => {
+  const { type } = req.validatedParams;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const { items, total } = await trashService.list(type, { page, limit });
+
+  sendPaginated(res, items, page, limit, total);
+};
+
+// Take a project, task or message out of the trash
+const restoreTrashItem = async (req, res) => {
+  const { type, id } = req.validatedParams;
+
+  const item = await trashService.findTrashed(type, id);
+
+  if (!item) {
+    return sendError(res, `${ITEM_NAMES[type]} not found in trash`, 404);
+  }
+
+  // Tasks and messages come back with their project
+  if (item.project?.deletedAt) {
+    return sendError(
+      res,
+      `The project "${item.project.name}" is in the trash. Restore the project first`,
+      409
+    );
+  }
+
+  const restored = await trashService.restore(type, id, req.user);
+
+  sendSuccess(res, restored, `${ITEM_NAMES[type]} restored successfully`);
+};
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+};
@@ -1,12 +1,29 @@
 // Controllers for file upload and management endpoints
 const { PrismaClient } = require("@prisma/client");
 const { sendSuccess, sendError, sendPaginated } = require("../utils/helpers");
+const { withTenantScope } = require("../utils/tenant");
 const { cleanupFile, getFileCategory } = require("../middleware/upload");
 const { fileNotifications } = require("../utils/realtime");
+const { isProjectArchived, PROJECT_ARCHIVED_ERROR } = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
 const fs = require("fs");
 const path = require("path");
 
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
+
+// Projects a file belongs to, directly or through its task or message
+const archivedProjectSelect = { select: { archivedAt: true } };
+const fileProjectsInclude = {
+  project: archivedProjectSelect,
+  task: { select: { project: archivedProjectSelect } },
+  message: { select: { project: archivedProjectSelect } },
+};
+
+// Files of archived projects are read-only
+const isFileInArchivedProject = (file) =>
+  isProjectArchived(file.project) ||
+  isProjectArchived(file.task?.project) ||
+  isProjectArchived(file.message?.project);
 
 // Upload single file
 const uploadFile = async (req, res) => {
@@ -14,6 +31,8 @@ const uploadFile = async (req, res) => {
     req.validatedBody;
   const file = req.file;
 
+  const canManageAllFiles = await hasPermission(req.user, "file.manage");
+
   // Validate project/task access if provided
   if (projectId) {
     const project = await prisma.project.findFirst({
@@ -22,7 +41,7 @@ const uploadFile = async (req, res) => {
         OR: [
           { createdBy: req.user.id },
           { members: { some: { userId: req.user.id } } },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
+          ...(canManageAllFiles ? [{}] : []),
         ],
       },
     });
@@ -31,6 +50,11 @@ const uploadFile = async (req, res) => {
       cleanupFile(file.path);
       return sendError(res, "Project not found or access denied", 404);
     }
+
+    if (isProjectArchived(project)) {
+      cleanupFile(file.path);
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
   }
 
   if (taskId) {
@@ -42,15 +66,21 @@ const uploadFile = async (req, res) => {
           { assigneeId: req.user.id },
           { project: { createdBy: req.user.id } },
           { project: { members: { some: { userId: req.user.id } } } },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
+          ...(canManageAllFiles ? [{}] : []),
         ],
       },
+      include: { project: { select: { archivedAt: true } } },
     });
 
     if (!task) {
       cleanupFile(file.path);
       return sendError(res, "Task not found or access denied", 404);
     }
+
+    if (isProjectArchived(task.project)) {
+      cleanupFile(file.path);
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
   }
 
   try {
@@ -127,6 +157,8 @@ const uploadFiles = async (req, res) => {
     req.validatedBody;
   const files = req.files;
 
+  const canManageAllFiles = await hasPermission(req.user, "file.manage");
+
   // Validate project/task access if provided
   if (projectId) {
     const project = await prisma.project.findFirst({
@@ -135,7 +167,7 @@ const uploadFiles = async (req, res) => {
         OR: [
           { createdBy: req.user.id },
           { members: { some: { userId: req.user.id } } },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
+          ...(canManageAllFiles ? [{}] : []),
         ],
       },
     });
@@ -145,6 +177,11 @@ const uploadFiles = async (req, res) => {
       files.forEach((file) => cleanupFile(file.path));
       return sendError(res, "Project not found or access denied", 404);
     }
+
+    if (isProjectArchived(project)) {
+      files.forEach((file) => cleanupFile(file.path));
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
   }
 
   if (taskId) {
@@ -156,9 +193,10 @@ const uploadFiles = async (req, res) => {
           { assigneeId: req.user.id },
           { project: { createdBy: req.user.id } },
           { project: { members: { some: { userId: req.user.id } } } },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
+          ...(canManageAllFiles ? [{}] : []),
         ],
       },
+      include: { project: { select: { archivedAt: true } } },
     });
 
     if (!task) {
@@ -166,6 +204,11 @@ const uploadFiles = async (req, res) => {
       files.forEach((file) => cleanupFile(file.path));
       return sendError(res, "Task not found or access denied", 404);
     }
+
+    if (isProjectArchived(task.project)) {
+      files.forEach((file) => cleanupFile(file.path));
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
   }
 
   try {
@@ -246,13 +289,16 @@ const getFiles = async (req, res) => {
     sortOrder,
   } = req.validatedBody;
 
+  const canManageAllFiles = await hasPermission(req.user, "file.manage");
+  const canViewProjectFiles = await hasPermission(req.user, "file.team");
+
   // Build where clause based on user role and access
   const whereClause = {
     OR: [
       { uploadedBy: req.user.id },
       { isPublic: true },
-      ...(req.user.role === "ADMIN" ? [{}] : []),
-      ...(req.user.role === "TEAM_LEAD"
+      ...(canManageAllFiles ? [{}] : []),
+      ...(canViewProjectFiles
         ? [
             { project: { members: { some: { userId: req.user.id } } } },
             {
@@ -321,14 +367,17 @@ const getFile = async (req, res) => {
   const { id } = req.validatedParams;
 
   try {
+    const canManageAllFiles = await hasPermission(req.user, "file.manage");
+    const canViewProjectFiles = await hasPermission(req.user, "file.team");
+
     const file = await prisma.fileUpload.findFirst({
       where: {
         id,
         OR: [
           { uploadedBy: req.user.id },
           { isPublic: true },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
-          ...(req.user.role === "TEAM_LEAD"
+          ...(canManageAllFiles ? [{}] : []),
+          ...(canViewProjectFiles
             ? [
                 { project: { members: { some: { userId: req.user.id } } } },
                 {
@@ -380,14 +429,17 @@ const downloadFile = async (req, res) => {
   const { id } = req.validatedParams;
 
   try {
+    const canManageAllFiles = await hasPermission(req.user, "file.manage");
+    const canViewProjectFiles = await hasPermission(req.user, "file.team");
+
     const file = await prisma.fileUpload.findFirst({
       where: {
         id,
         OR: [
           { uploadedBy: req.user.id },
           { isPublic: true },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
-          ...(req.user.role === "TEAM_LEAD"
+          ...(canManageAllFiles ? [{}] : []),
+          ...(canViewProjectFiles
             ? [
                 { project: { members: { some: { userId: req.user.id } } } },
                 {
@@ -433,21 +485,25 @@ const updateFile = async (req, res) => {
   const { description, isPublic, category } = req.validatedBody;
 
   try {
+    const canManageAllFiles = await hasPermission(req.user, "file.manage");
+
     // Check if file exists and user has permission
     const existingFile = await prisma.fileUpload.findFirst({
       where: {
         id,
-        OR: [
-          { uploadedBy: req.user.id },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
-        ],
+        OR: [{ uploadedBy: req.user.id }, ...(canManageAllFiles ? [{}] : [])],
       },
+      include: fileProjectsInclude,
     });
 
     if (!existingFile) {
       return sendError(res, "File not found or access denied", 404);
     }
 
+    if (isFileInArchivedProject(existingFile)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     // Update file metadata
     const updatedFile = await prisma.fileUpload.update({
       where: { id },
@@ -500,21 +556,25 @@ const deleteFile = async (req, res) => {
   const { id } = req.validatedParams;
 
   try {
+    const canManageAllFiles = await hasPermission(req.user, "file.manage");
+
     // Check if file exists and user has permission
     const existingFile = await prisma.fileUpload.findFirst({
       where: {
         id,
-        OR: [
-          { uploadedBy: req.user.id },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
-        ],
+        OR: [{ uploadedBy: req.user.id }, ...(canManageAllFiles ? [{}] : [])],
       },
+      include: fileProjectsInclude,
     });
 
     if (!existingFile) {
       return sendError(res, "File not found or access denied", 404);
     }
 
+    if (isFileInArchivedProject(existingFile)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     // Delete file from database
     await prisma.fileUpload.delete({
       where: { id },
@@ -541,6 +601,8 @@ const uploadScreenshot = async (req, res) => {
     return sendError(res, "File must be an image", 400);
   }
 
+  const canManageAllFiles = await hasPermission(req.user, "file.manage");
+
   // Validate project/task access if provided
   if (projectId) {
     const project = await prisma.project.findFirst({
@@ -549,7 +611,7 @@ const uploadScreenshot = async (req, res) => {
         OR: [
           { createdBy: req.user.id },
           { members: { some: { userId: req.user.id } } },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
+          ...(canManageAllFiles ? [{}] : []),
         ],
       },
     });
@@ -558,6 +620,11 @@ const uploadScreenshot = async (req, res) => {
       cleanupFile(file.path);
       return sendError(res, "Project not found or access denied", 404);
     }
+
+    if (isProjectArchived(project)) {
+      cleanupFile(file.path);
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
   }
 
   if (taskId) {
@@ -569,15 +636,21 @@ const uploadScreenshot = async (req, res) => {
           { assigneeId: req.user.id },
           { project: { createdBy: req.user.id } },
           { project: { members: { some: { userId: req.user.id } } } },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
+          ...(canManageAllFiles ? [{}] : []),
         ],
       },
+      include: { project: { select: { archivedAt: true } } },
     });
 
     if (!task) {
       cleanupFile(file.path);
       return sendError(res, "Task not found or access denied", 404);
     }
+
+    if (isProjectArchived(task.project)) {
+      cleanupFile(file.path);
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
   }
 
   try {
@@ -652,15 +725,15 @@ const bulkFileOperation = async (req, res) => {
   const { operation, fileIds, data } = req.validatedBody;
 
   try {
+    const canManageAllFiles = await hasPermission(req.user, "file.manage");
+
     // Verify user has access to all files
     const files = await prisma.fileUpload.findMany({
       where: {
         id: { in: fileIds },
-        OR: [
-          { uploadedBy: req.user.id },
-          ...(req.user.role === "ADMIN" ? [{}] : []),
-        ],
+        OR: [{ uploadedBy: req.user.id }, ...(canManageAllFiles ? [{}] : [])],
       },
+      include: fileProjectsInclude,
     });
 
     if (files.length !== fileIds.length) {
@@ -671,6 +744,10 @@ const bulkFileOperation = async (req, res) => {
       );
     }
 
+    if (files.some(isFileInArchivedProject)) {
+      return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+    }
+
     let result;
     switch (operation) {
       case "delete":
@@ -697,6 +774,17 @@ const bulkFileOperation = async (req, res) => {
         break;
 
       case "move":
+        if (data.projectId) {
+          const targetProject = await prisma.project.findUnique({
+            where: { id: data.projectId },
+            select: { archivedAt: true },
+          });
+
+          if (isProjectArchived(targetProject)) {
+            return sendError(res, PROJECT_ARCHIVED_ERROR, 409);
+          }
+        }
+
         // Move files to different project/task
         await prisma.fileUpload.updateMany({
           where: { id: { in: fileIds } },
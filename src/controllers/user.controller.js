@@ -1,29 +1,90 @@
 // Controller for user routes
+const fs = require("fs");
 const { PrismaClient } = require("@prisma/client");
-const { hashPassword } = require("../utils/auth");
+const {
+  hashPassword,
+  isEmailVerificationRequired,
+  sendVerificationEmail,
+  hashToken,
+  generatePersonalAccessToken,
+  generateSecureToken,
+  getInvitationExpiry,
+  getInvitationStatus,
+  sendInvitationEmail,
+  visibleUsersWhere,
+  belongsToOtherOrganizations,
+  organizationRoleWhere,
+  organizationRoleSelect,
+  withOrganizationRole,
+  generateImpersonationToken,
+  generateDataExportToken,
+  verifyDataExportToken,
+} = require("../utils/auth");
 const { sendSuccess, sendError } = require("../utils/helpers");
+const logger = require("../utils/logger");
+const { withTenantScope, withoutTenantScope } = require("../utils/tenant");
+const loginProtection = require("../services/loginProtection.service");
+const offboardingService = require("../services/offboarding.service");
+const dataExportService = require("../services/dataExport.service");
+const erasureService = require("../services/erasure.service");
+const userImportService = require("../services/userImport.service");
+const budgetService = require("../services/budget.service");
+const { hasPermission, canManageRole } = require("../utils/permissions");
 
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
+
+// Accounts are shared between organizations, so changes that apply to the
+// whole account are refused for users who belong to other organizations
+const SHARED_ACCOUNT_ERROR =
+  "User belongs to other organizations. Remove them from this organization instead";
+
+// Find a user of the organization along with their role in it
+const findOrganizationUser = async (id) => {
+  const user = await prisma.user.findUnique({
+    where: { id },
+    include: organizationRoleSelect(),
+  });
+
+  return user && withOrganizationRole(user);
+};
+
+// A changed email address has to be verified again
+const sendChangedEmailVerification = async (user) => {
+  if (!isEmailVerificationRequired()) {
+    return;
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (mailError) {
+    logger.error("Failed to send verification email", {
+      userId: user.id,
+      error: mailError.message,
+    });
+  }
+};
 
 // Update own profile
 const updateProfile = async (req, res) => {
   const { firstName, lastName, email, username, avatar, position } =
     req.validatedBody;
 
-  // Check if email/username is already taken by another user
+  // Check if email/username is already taken by another user (in any organization)
   if (email || username) {
-    const existingUser = await prisma.user.findFirst({
-      where: {
-        AND: [
-          { id: { not: req.user.id } },
-          {
-            OR: [email ? { email } : {}, username ? { username } : {}].filter(
-              (obj) => Object.keys(obj).length > 0
-            ),
-          },
-        ],
-      },
-    });
+    const existingUser = await withoutTenantScope(() =>
+      prisma.user.findFirst({
+        where: {
+          AND: [
+            { id: { not: req.user.id } },
+            {
+              OR: [email ? { email } : {}, username ? { username } : {}].filter(
+                (obj) => Object.keys(obj).length > 0
+              ),
+            },
+          ],
+        },
+      })
+    );
 
     if (existingUser) {
       if (existingUser.email === email) {
@@ -35,13 +96,15 @@ const updateProfile = async (req, res) => {
     }
   }
 
+  const emailChanged = email && email !== req.user.email;
+
   // Update user
   const updatedUser = await prisma.user.update({
     where: { id: req.user.id },
     data: {
       ...(firstName && { firstName }),
       ...(lastName && { lastName }),
-      ...(email && { email }),
+      ...(emailChanged && { email, emailVerifiedAt: null }),
       ...(username && { username }),
       ...(avatar !== undefined && { avatar }),
       ...(position !== undefined && { position }),
@@ -52,7 +115,6 @@ const updateProfile = async (req, res) => {
       username: true,
       firstName: true,
       lastName: true,
-      role: true,
       status: true,
       avatar: true,
       position: true,
@@ -61,7 +123,15 @@ const updateProfile = async (req, res) => {
     },
   });
 
-  sendSuccess(res, updatedUser, "Profile updated successfully");
+  if (emailChanged) {
+    await sendChangedEmailVerification(updatedUser);
+  }
+
+  sendSuccess(
+    res,
+    { ...updatedUser, role: req.user.role },
+    "Profile updated successfully"
+  );
 };
 
 // Admin: Create new user
@@ -76,14 +146,21 @@ const createUser = async (req, res) => {
     avatar,
     position,
     accessToOthers,
+    skipEmailVerification,
   } = req.validatedBody;
 
-  // Check if user already exists
-  const existingUser = await prisma.user.findFirst({
-    where: {
-      OR: [{ email }, { username }],
-    },
-  });
+  if (!canManageRole(req.user, role || "EMPLOYEE")) {
+    return sendError(res, "Only admins can create team leads and admins", 403);
+  }
+
+  // Check if user already exists (in any organization)
+  const existingUser = await withoutTenantScope(() =>
+    prisma.user.findFirst({
+      where: {
+        OR: [{ email }, { username }],
+      },
+    })
+  );
 
   if (existingUser) {
     if (existingUser.email === email) {
@@ -94,6 +171,10 @@ const createUser = async (req, res) => {
     }
   }
 
+  // Admins can vouch for the address and skip email verification
+  const requiresVerification =
+    isEmailVerificationRequired() && !skipEmailVerification;
+
   // Hash password
   const hashedPassword = await hashPassword(password);
 
@@ -105,11 +186,18 @@ const createUser = async (req, res) => {
       password: hashedPassword,
       firstName,
       lastName,
-      role: role || "EMPLOYEE",
+      status: requiresVerification ? "PENDING_VERIFICATION" : "ACTIVE",
+      ...(skipEmailVerification && { emailVerifiedAt: new Date() }),
       createdBy: req.user.id,
       ...(avatar !== undefined && { avatar }),
       ...(position !== undefined && { position }),
       ...(accessToOthers !== undefined && { accessToOthers }),
+      organizationMemberships: {
+        create: {
+          organizationId: req.organization.id,
+          role: role || "EMPLOYEE",
+        },
+      },
     },
     select: {
       id: true,
@@ -117,7 +205,6 @@ const createUser = async (req, res) => {
       username: true,
       firstName: true,
       lastName: true,
-      role: true,
       status: true,
       avatar: true,
       position: true,
@@ -126,7 +213,90 @@ const createUser = async (req, res) => {
     },
   });
 
-  sendSuccess(res, user, "User created successfully", 201);
+  if (requiresVerification) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error("Failed to send verification email", {
+        userId: user.id,
+        error: mailError.message,
+      });
+    }
+  }
+
+  sendSuccess(
+    res,
+    { ...user, role: role || "EMPLOYEE" },
+    "User created successfully",
+    201
+  );
+};
+
+// Admin: Create users from a CSV file (a dry run only reports row errors)
+const importUsers = async (req, res) => {
+  const { dryRun, sendInvitations } = req.validatedBody;
+
+  let records;
+  try {
+    records = userImportService.parseFile(req.file.buffer);
+  } catch (parseError) {
+    return sendError(res, `Invalid CSV file: ${parseError.message}`, 400);
+  }
+
+  const rows = await userImportService.validateRows(records, req.user);
+  const invalidRows = rows.filter((row) => row.errors.length > 0);
+  const report = {
+    total: rows.length,
+    valid: rows.length - invalidRows.length,
+    invalid: invalidRows.length,
+    rows: rows.map(({ line, user, errors }) => ({
+      line,
+      email: user.email,
+      username: user.username,
+      errors,
+    })),
+  };
+
+  if (dryRun) {
+    return sendSuccess(res, report, "Import file checked");
+  }
+
+  // Nothing is created unless every row is valid
+  if (invalidRows.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `${invalidRows.length} rows contain errors, no users were imported`,
+      data: report,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const users = await userImportService.importUsers(rows, req.user);
+  const invitationsSent = sendInvitations
+    ? await userImportService.sendInvitations(users, req.user)
+    : 0;
+
+  sendSuccess(
+    res,
+    { users, invitationsSent },
+    `${users.length} users imported successfully`,
+    201
+  );
+};
+
+// Admin/Team Lead: Export visible users as CSV (same columns as the import)
+const exportUsers = async (req, res) => {
+  const csv = await userImportService.exportUsers(req.user);
+  const date = new Date().toISOString().split("T")[0];
+
+  logger.audit("Users exported", { exportedBy: req.user.id });
+
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="fuchsio-users-${date}.csv"`
+  );
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.send(csv);
 };
 
 // Admin: Update any user / Team Lead: Update employees only
@@ -142,51 +312,76 @@ const updateUser = async (req, res) => {
     avatar,
     position,
     accessToOthers,
+    costRate,
+    billRate,
   } = req.validatedBody;
 
   // Get target user
-  const targetUser = await prisma.user.findUnique({
-    where: { id },
-  });
+  const targetUser = await findOrganizationUser(id);
 
   if (!targetUser) {
     return sendError(res, "User not found", 404);
   }
 
-  // Team leads can only update employees
-  if (req.user.role === "TEAM_LEAD") {
-    if (targetUser.role !== "EMPLOYEE") {
-      return sendError(res, "Team leads can only update employees", 403);
-    }
-    // Team leads cannot change role or status
-    if (role || status) {
-      return sendError(
-        res,
-        "Team leads cannot change user role or status",
-        403
-      );
-    }
+  if (targetUser.erasedAt) {
+    return sendError(res, "Erased users cannot be changed", 400);
   }
 
-  // Prevent users from changing their own role (except admins)
-  if (id === req.user.id && role && req.user.role !== "ADMIN") {
-    return sendError(res, "Cannot change your own role", 403);
+  // Non-admins with the user.update permission can only update employees
+  if (!canManageRole(req.user, targetUser.role)) {
+    return sendError(res, "Only admins can update team leads and admins", 403);
+  }
+  if (role && !canManageRole(req.user, role)) {
+    return sendError(res, "Only admins can promote users", 403);
+  }
+  if (status && !(await hasPermission(req.user, "user.status"))) {
+    return sendError(res, "Insufficient permissions to change status", 403);
   }
+  if (
+    (costRate !== undefined || billRate !== undefined) &&
+    !(await hasPermission(req.user, "user.rates"))
+  ) {
+    return sendError(res, "Insufficient permissions to change rates", 403);
+  }
+
+  const emailChanged = email && email !== targetUser.email;
+
+  // Sign-in identity, status and default rates apply in every organization
+  // of the account
+  const changesAccount =
+    emailChanged ||
+    (username && username !== targetUser.username) ||
+    (status && status !== targetUser.status) ||
+    costRate !== undefined ||
+    billRate !== undefined;
 
-  // Check if email/username is already taken by another user
+  if (
+    changesAccount &&
+    (await belongsToOtherOrganizations(id, req.organization.id))
+  ) {
+    return sendError(
+      res,
+      "User belongs to other organizations, so their email, username, status and rates cannot be changed here",
+      409
+    );
+  }
+
+  // Check if email/username is already taken by another user (in any organization)
   if (email || username) {
-    const existingUser = await prisma.user.findFirst({
-      where: {
-        AND: [
-          { id: { not: id } },
-          {
-            OR: [email ? { email } : {}, username ? { username } : {}].filter(
-              (obj) => Object.keys(obj).length > 0
-            ),
-          },
-        ],
-      },
-    });
+    const existingUser = await withoutTenantScope(() =>
+      prisma.user.findFirst({
+        where: {
+          AND: [
+            { id: { not: id } },
+            {
+              OR: [email ? { email } : {}, username ? { username } : {}].filter(
+                (obj) => Object.keys(obj).length > 0
+              ),
+            },
+          ],
+        },
+      })
+    );
 
     if (existingUser) {
       if (existingUser.email === email) {
@@ -199,35 +394,76 @@ const updateUser = async (req, res) => {
   }
 
   // Update user
-  const updatedUser = await prisma.user.update({
-    where: { id },
-    data: {
-      ...(firstName && { firstName }),
-      ...(lastName && { lastName }),
-      ...(email && { email }),
-      ...(username && { username }),
-      ...(role && { role }),
-      ...(status && { status }),
-      ...(avatar !== undefined && { avatar }),
-      ...(position !== undefined && { position }),
-      ...(accessToOthers !== undefined && { accessToOthers }),
-    },
-    select: {
-      id: true,
-      email: true,
-      username: true,
-      firstName: true,
-      lastName: true,
-      role: true,
-      status: true,
-      avatar: true,
-      position: true,
-      accessToOthers: true,
-      updatedAt: true,
-    },
-  });
+  const updates = [
+    prisma.user.update({
+      where: { id },
+      data: {
+        ...(firstName && { firstName }),
+        ...(lastName && { lastName }),
+        ...(emailChanged && { email, emailVerifiedAt: null }),
+        ...(username && { username }),
+        ...(status && { status }),
+        ...(avatar !== undefined && { avatar }),
+        ...(position !== undefined && { position }),
+        ...(accessToOthers !== undefined && { accessToOthers }),
+        ...(costRate !== undefined && { costRate }),
+        ...(billRate !== undefined && { billRate }),
+      },
+      select: {
+        id: true,
+        email: true,
+        username: true,
+        firstName: true,
+        lastName: true,
+        status: true,
+        avatar: true,
+        position: true,
+        accessToOthers: true,
+        costRate: true,
+        billRate: true,
+        updatedAt: true,
+      },
+    }),
+  ];
+
+  // Roles belong to the membership in this organization
+  if (role) {
+    updates.push(
+      prisma.organizationMember.update({
+        where: {
+          organizationId_userId: {
+            organizationId: req.organization.id,
+            userId: id,
+          },
+        },
+        data: { role },
+      })
+    );
+  }
+
+  const [updatedUser] = await prisma.$transaction(updates);
+
+  if (emailChanged) {
+    await sendChangedEmailVerification(updatedUser);
+  }
+
+  // Spend in projects without a member rate follows the user's cost rate
+  if (costRate !== undefined) {
+    try {
+      await budgetService.checkUserAlerts(id);
+    } catch (alertError) {
+      logger.error("Budget alert check error", {
+        userId: id,
+        error: alertError.message,
+      });
+    }
+  }
 
-  sendSuccess(res, updatedUser, "User updated successfully");
+  sendSuccess(
+    res,
+    { ...updatedUser, role: role || targetUser.role },
+    "User updated successfully"
+  );
 };
 
 // Admin: Delete user
@@ -235,9 +471,7 @@ const deleteUser = async (req, res) => {
   const { id } = req.validatedParams;
 
   // Get target user
-  const targetUser = await prisma.user.findUnique({
-    where: { id },
-  });
+  const targetUser = await findOrganizationUser(id);
 
   if (!targetUser) {
     return sendError(res, "User not found", 404);
@@ -248,6 +482,44 @@ const deleteUser = async (req, res) => {
     return sendError(res, "Cannot delete your own account", 403);
   }
 
+  if (!canManageRole(req.user, targetUser.role)) {
+    return sendError(res, "Only admins can delete team leads and admins", 403);
+  }
+
+  // Deleting would cascade to time entries, messages and uploads, and
+  // created projects and tasks block it, so such users are offboarded
+  const { _count: history } = await prisma.user.findUnique({
+    where: { id },
+    select: {
+      _count: {
+        select: {
+          createdProjects: true,
+          createdTasks: true,
+          assignedTasks: true,
+          projectMessages: true,
+          timeEntries: true,
+          approvedTimeEntries: true,
+          timerSessions: true,
+          fileUploads: true,
+        },
+      },
+    },
+  });
+
+  if (Object.values(history).some((count) => count > 0)) {
+    return sendError(
+      res,
+      "User has project history and cannot be deleted. Offboard the user instead",
+      409
+    );
+  }
+
+  // Accounts are shared between organizations, so only users who belong to
+  // this organization alone can be deleted
+  if (await belongsToOtherOrganizations(id, req.organization.id)) {
+    return sendError(res, SHARED_ACCOUNT_ERROR, 409);
+  }
+
   // Delete user
   await prisma.user.delete({
     where: { id },
@@ -264,16 +536,16 @@ const getUsersByRole = async (req, res) => {
   if (!["ADMIN", "TEAM_LEAD", "EMPLOYEE"].includes(role)) {
     return sendError(res, "Invalid role", 400);
   }
-  // Get users by role
+  // Get users by role (users who turned off accessToOthers are only
+  // listed for admins and colleagues sharing a project with them)
   const users = await prisma.user.findMany({
-    where: { role },
+    where: { ...organizationRoleWhere(role), ...visibleUsersWhere(req.user) },
     select: {
       id: true,
       email: true,
       username: true,
       firstName: true,
       lastName: true,
-      role: true,
       status: true,
       avatar: true,
       position: true,
@@ -284,25 +556,33 @@ const getUsersByRole = async (req, res) => {
     orderBy: { createdAt: "desc" },
   });
 
-  sendSuccess(res, users, `${users.length} users found`);
+  sendSuccess(
+    res,
+    users.map((user) => ({ ...user, role })),
+    `${users.length} users found`
+  );
 };
 
 // Get user statistics (Admin only)
 const getUserStats = async (req, res) => {
-  // Get counts by role and status
-  const roleCounts = await prisma.$queryRaw`
-    SELECT role, COUNT(*) as count
-    FROM users
-    GROUP BY role
-    ORDER BY count DESC
-  `;
-
-  const statusCounts = await prisma.$queryRaw`
-    SELECT status, COUNT(*) as count
-    FROM users
-    GROUP BY status
-    ORDER BY count DESC
-  `;
+  // Get counts by role and status (roles are those of the memberships, and
+  // users are grouped through Prisma so they stay within the organization)
+  const roleCounts = (
+    await prisma.organizationMember.groupBy({
+      by: ["role"],
+      where: { organizationId: req.organization.id },
+      _count: { _all: true },
+      orderBy: { _count: { role: "desc" } },
+    })
+  ).map(({ role, _count }) => ({ role, count: _count._all }));
+
+  const statusCounts = (
+    await prisma.user.groupBy({
+      by: ["status"],
+      _count: { _all: true },
+      orderBy: { _count: { status: "desc" } },
+    })
+  ).map(({ status, _count }) => ({ status, count: _count._all }));
 
   // Get total users count
   const totalUsers = await prisma.user.count();
@@ -316,12 +596,12 @@ const getUserStats = async (req, res) => {
       username: true,
       firstName: true,
       lastName: true,
-      role: true,
       status: true,
       avatar: true,
       position: true,
       accessToOthers: true,
       createdAt: true,
+      ...organizationRoleSelect(),
     },
   });
 
@@ -336,12 +616,12 @@ const getUserStats = async (req, res) => {
       username: true,
       firstName: true,
       lastName: true,
-      role: true,
       status: true,
       avatar: true,
       position: true,
       accessToOthers: true,
       lastLogin: true,
+      ...organizationRoleSelect(),
     },
   });
 
@@ -349,8 +629,8 @@ const getUserStats = async (req, res) => {
     totalUsers,
     roleCounts,
     statusCounts,
-    recentUsers,
-    activeUsers,
+    recentUsers: recentUsers.map(withOrganizationRole),
+    activeUsers: activeUsers.map(withOrganizationRole),
   });
 };
 
@@ -360,19 +640,33 @@ const toggleUserStatus = async (req, res) => {
   const { status } = req.validatedBody;
 
   // Get target user
-  const targetUser = await prisma.user.findUnique({
-    where: { id },
-  });
+  const targetUser = await findOrganizationUser(id);
 
   if (!targetUser) {
     return sendError(res, "User not found", 404);
   }
 
+  if (targetUser.erasedAt) {
+    return sendError(res, "Erased users cannot be reactivated", 400);
+  }
+
   // Cannot change own status
   if (id === req.user.id) {
     return sendError(res, "Cannot change your own status", 403);
   }
 
+  if (!canManageRole(req.user, targetUser.role)) {
+    return sendError(
+      res,
+      "Only admins can activate or deactivate team leads and admins",
+      403
+    );
+  }
+
+  if (await belongsToOtherOrganizations(id, req.organization.id)) {
+    return sendError(res, SHARED_ACCOUNT_ERROR, 409);
+  }
+
   // Update user status
   const updatedUser = await prisma.user.update({
     where: { id },
@@ -383,7 +677,6 @@ const toggleUserStatus = async (req, res) => {
       username: true,
       firstName: true,
       lastName: true,
-      role: true,
       status: true,
       updatedAt: true,
     },
@@ -391,17 +684,722 @@ const toggleUserStatus = async (req, res) => {
 
   sendSuccess(
     res,
-    updatedUser,
+    { ...updatedUser, role: targetUser.role },
     `User ${status === "ACTIVE" ? "activated" : "deactivated"} successfully`
   );
 };
 
+// Offboard a departing user and hand their work to a successor (Admin only)
+const offboardUser = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { successorId, reason } = req.validatedBody;
+
+  const targetUser = await findOrganizationUser(id);
+
+  if (!targetUser) {
+    return sendError(res, "User not found", 404);
+  }
+
+  if (id === req.user.id) {
+    return sendError(res, "Cannot offboard your own account", 403);
+  }
+
+  if (!canManageRole(req.user, targetUser.role)) {
+    return sendError(
+      res,
+      "Only admins can offboard team leads and admins",
+      403
+    );
+  }
+
+  if (targetUser.offboardedAt) {
+    return sendError(res, "User has already been offboarded", 400);
+  }
+
+  // Offboarding deactivates the account in every organization
+  if (await belongsToOtherOrganizations(id, req.organization.id)) {
+    return sendError(res, SHARED_ACCOUNT_ERROR, 409);
+  }
+
+  if (successorId === id) {
+    return sendError(res, "A user cannot be their own successor", 400);
+  }
+
+  const successor = await prisma.user.findUnique({
+    where: { id: successorId },
+    select: { id: true, email: true, status: true },
+  });
+
+  if (!successor || successor.status !== "ACTIVE") {
+    return sendError(res, "Successor not found or inactive", 400);
+  }
+
+  const summary = await offboardingService.offboard(targetUser, successor);
+
+  logger.audit("User offboarded", {
+    userId: id,
+    userEmail: targetUser.email,
+    successorId,
+    successorEmail: successor.email,
+    offboardedBy: req.user.id,
+    reason,
+    ...summary,
+  });
+
+  sendSuccess(res, summary, "User offboarded successfully");
+};
+
+// Anonymize a user on a right-to-erasure request (Admin only)
+const eraseUser = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { redactMessages, reason } = req.validatedBody;
+
+  const targetUser = await findOrganizationUser(id);
+
+  if (!targetUser) {
+    return sendError(res, "User not found", 404);
+  }
+
+  if (id === req.user.id) {
+    return sendError(res, "Cannot erase your own account", 403);
+  }
+
+  if (!canManageRole(req.user, targetUser.role)) {
+    return sendError(res, "Only admins can erase team leads and admins", 403);
+  }
+
+  if (targetUser.erasedAt) {
+    return sendError(res, "User has already been erased", 400);
+  }
+
+  if (await belongsToOtherOrganizations(id, req.organization.id)) {
+    return sendError(res, SHARED_ACCOUNT_ERROR, 409);
+  }
+
+  // Work has to be handed over before the account becomes anonymous
+  if (targetUser.status === "ACTIVE") {
+    return sendError(
+      res,
+      "Offboard or deactivate the user before erasing their data",
+      409
+    );
+  }
+
+  const summary = await erasureService.erase(targetUser, { redactMessages });
+
+  // Only the ID is logged so the audit trail holds no erased personal data
+  logger.audit("User personal data erased", {
+    userId: id,
+    erasedBy: req.user.id,
+    reason,
+    ...summary,
+  });
+
+  sendSuccess(res, summary, "User personal data erased successfully");
+};
+
+// Data export fields returned to clients, with a download link while it is valid
+const formatDataExport = (dataExport) => {
+  let downloadUrl = null;
+
+  if (
+    dataExport.status === "COMPLETED" &&
+    new Date(dataExport.expiresAt) > new Date()
+  ) {
+    const token = generateDataExportToken(dataExport);
+    downloadUrl = `/api/v1/users/exports/${dataExport.id}/download?token=${token}`;
+  }
+
+  return {
+    id: dataExport.id,
+    userId: dataExport.userId,
+    requestedById: dataExport.requestedById,
+    status: dataExport.status,
+    fileSize: dataExport.fileSize,
+    error: dataExport.error,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+    downloadUrl,
+  };
+};
+
+// Request a personal data export (own data, or any user with user.export)
+const requestDataExport = async (req, res) => {
+  const userId = req.validatedParams?.id || req.user.id;
+
+  const targetUser = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true },
+  });
+
+  if (!targetUser) {
+    return sendError(res, "User not found", 404);
+  }
+
+  const dataExport = await dataExportService.requestExport(
+    userId,
+    req.user.id,
+    req.organization.id
+  );
+
+  logger.audit("Personal data export requested", {
+    exportId: dataExport.id,
+    userId,
+    userEmail: targetUser.email,
+    organizationId: req.organization.id,
+    requestedBy: req.user.id,
+  });
+
+  sendSuccess(
+    res,
+    formatDataExport(dataExport),
+    "Data export started. The download link is available once it completes",
+    202
+  );
+};
+
+// List personal data exports made in the organization (own data, or any
+// user with user.export)
+const getDataExports = async (req, res) => {
+  const userId = req.validatedParams?.id || req.user.id;
+
+  const targetUser = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true },
+  });
+
+  if (!targetUser) {
+    return sendError(res, "User not found", 404);
+  }
+
+  const dataExports = await prisma.dataExport.findMany({
+    where: { userId, organizationId: req.organization.id },
+    orderBy: { createdAt: "desc" },
+  });
+
+  sendSuccess(res, dataExports.map(formatDataExport));
+};
+
+// Download a personal data export through its signed link
+const downloadDataExport = async (req, res) => {
+  const { exportId } = req.validatedParams;
+  const { token } = req.query;
+
+  if (!token) {
+    return sendError(res, "Download token is required", 401);
+  }
+
+  let decoded;
+  try {
+    decoded = verifyDataExportToken(token);
+  } catch (error) {
+    return sendError(res, "Invalid or expired download link", 401);
+  }
+
+  if (decoded.id !== exportId) {
+    return sendError(res, "Invalid or expired download link", 401);
+  }
+
+  const dataExport = await prisma.dataExport.findUnique({
+    where: { id: exportId },
+    include: { user: { select: { username: true } } },
+  });
+
+  if (!dataExport || dataExport.status !== "COMPLETED") {
+    return sendError(res, "Data export not found", 404);
+  }
+
+  if (new Date(dataExport.expiresAt) <= new Date()) {
+    return sendError(res, "Data export has expired", 410);
+  }
+
+  if (!fs.existsSync(dataExport.filePath)) {
+    return sendError(res, "Data export not found on server", 404);
+  }
+
+  logger.audit("Personal data export downloaded", {
+    exportId,
+    userId: dataExport.userId,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  // Exports built before uploaded files were included are plain JSON
+  const extension = dataExport.filePath.endsWith(".tar.gz")
+    ? "tar.gz"
+    : "json.gz";
+  const date = dataExport.completedAt.toISOString().split("T")[0];
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="fuchsio-export-${dataExport.user.username}-${date}.${extension}"`
+  );
+  res.setHeader("Content-Type", "application/gzip");
+  res.setHeader("Content-Length", dataExport.fileSize);
+
+  fs.createReadStream(dataExport.filePath).pipe(res);
+};
+
+// Unlock an account locked by brute-force protection (Admin only)
+const unlockUser = async (req, res) => {
+  const { id } = req.validatedParams;
+
+  const targetUser = await findOrganizationUser(id);
+
+  if (!targetUser) {
+    return sendError(res, "User not found", 404);
+  }
+
+  if (!canManageRole(req.user, targetUser.role)) {
+    return sendError(res, "Only admins can unlock team leads and admins", 403);
+  }
+
+  await loginProtection.unlock(id);
+
+  logger.audit("User account unlocked", {
+    userId: id,
+    unlockedBy: req.user.id,
+    previousFailedAttempts: targetUser.failedLoginAttempts,
+    wasLockedUntil: targetUser.lockedUntil,
+  });
+
+  sendSuccess(res, null, "User account unlocked successfully");
+};
+
+// Issue a short-lived token to act as another user (Admin only)
+const impersonateUser = async (req, res) => {
+  const { id } = req.validatedParams;
+  const { reason } = req.validatedBody;
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+    select: {
+      id: true,
+      email: true,
+      username: true,
+      firstName: true,
+      lastName: true,
+      status: true,
+      ...organizationRoleSelect(),
+    },
+  });
+  const targetUser = user && withOrganizationRole(user);
+
+  if (!targetUser) {
+    return sendError(res, "User not found", 404);
+  }
+
+  if (targetUser.id === req.user.id) {
+    return sendError(res, "You cannot impersonate yourself", 400);
+  }
+
+  if (targetUser.role === "ADMIN") {
+    return sendError(res, "Administrators cannot be impersonated", 403);
+  }
+
+  if (!canManageRole(req.user, targetUser.role)) {
+    return sendError(res, "Only admins can impersonate team leads", 403);
+  }
+
+  if (targetUser.status !== "ACTIVE") {
+    return sendError(res, "Only active users can be impersonated", 400);
+  }
+
+  // The token acts in the organization the target user was found in
+  const { accessToken, expiresAt } = generateImpersonationToken(
+    targetUser,
+    req.user,
+    req.organization.id
+  );
+
+  logger.security("Impersonation started", {
+    impersonatorId: req.user.id,
+    impersonatorEmail: req.user.email,
+    targetUserId: targetUser.id,
+    targetUserEmail: targetUser.email,
+    reason,
+    expiresAt,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get("User-Agent"),
+  });
+
+  sendSuccess(
+    res,
+    { accessToken, expiresAt, user: targetUser },
+    "Impersonation token issued successfully",
+    201
+  );
+};
+
+// Fields of a personal access token that are safe to return
+const personalAccessTokenSelect = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  scopes: true,
+  organizationId: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdAt: true,
+};
+
+// List own personal access tokens
+const getPersonalAccessTokens = async (req, res) => {
+  const tokens = await prisma.personalAccessToken.findMany({
+    where: {
+      userId: req.user.id,
+      revokedAt: null,
+    },
+    select: personalAccessTokenSelect,
+    orderBy: { createdAt: "desc" },
+  });
+
+  sendSuccess(res, tokens);
+};
+
+// Create a personal access token (the plain token is only returned once)
+const createPersonalAccessToken = async (req, res) => {
+  const { name, scopes, expiresInDays } = req.validatedBody;
+
+  const token = generatePersonalAccessToken();
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  const personalAccessToken = await prisma.personalAccessToken.create({
+    data: {
+      name,
+      scopes,
+      expiresAt,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, 12),
+      userId: req.user.id,
+      // Tokens act in the organization they were created in
+      organizationId: req.organization.id,
+    },
+    select: personalAccessTokenSelect,
+  });
+
+  logger.audit("Personal access token created", {
+    userId: req.user.id,
+    tokenId: personalAccessToken.id,
+    scopes,
+    expiresAt,
+  });
+
+  sendSuccess(
+    res,
+    { ...personalAccessToken, token },
+    "Personal access token created. Copy it now, it will not be shown again",
+    201
+  );
+};
+
+// Revoke own personal access token
+const revokePersonalAccessToken = async (req, res) => {
+  const { tokenId } = req.validatedParams;
+
+  const personalAccessToken = await prisma.personalAccessToken.findFirst({
+    where: {
+      id: tokenId,
+      userId: req.user.id,
+      revokedAt: null,
+    },
+  });
+
+  if (!personalAccessToken) {
+    return sendError(res, "Personal access token not found", 404);
+  }
+
+  await prisma.personalAccessToken.update({
+    where: { id: tokenId },
+    data: { revokedAt: new Date() },
+  });
+
+  logger.audit("Personal access token revoked", {
+    userId: req.user.id,
+    tokenId,
+  });
+
+  sendSuccess(res, null, "Personal access token revoked successfully");
+};
+
+// Fields of an invitation that are safe to return
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  position: true,
+  projectIds: true,
+  expiresAt: true,
+  sentAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+    },
+  },
+};
+
+// Send the invitation email without failing the request (it can be resent)
+const deliverInvitation = async (invitation, inviter) => {
+  try {
+    await sendInvitationEmail(invitation, inviter);
+    return true;
+  } catch (mailError) {
+    logger.error("Failed to send invitation email", {
+      invitationId: invitation.id,
+      error: mailError.message,
+    });
+    return false;
+  }
+};
+
+// Admin: Invite a new user by email
+const createInvitation = async (req, res) => {
+  const { email, role, position, projectIds } = req.validatedBody;
+
+  if (!canManageRole(req.user, role)) {
+    return sendError(res, "Only admins can invite team leads and admins", 403);
+  }
+
+  // Accounts are global, so the address may be taken in another organization
+  const existingUser = await withoutTenantScope(() =>
+    prisma.user.findUnique({
+      where: { email },
+    })
+  );
+
+  if (existingUser) {
+    return sendError(res, "Email already registered", 400);
+  }
+
+  const pendingInvitation = await prisma.invitation.findFirst({
+    where: {
+      email,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+  });
+
+  if (pendingInvitation) {
+    return sendError(
+      res,
+      "An invitation is already pending for this email address",
+      400
+    );
+  }
+
+  if (projectIds.length > 0) {
+    const projectCount = await prisma.project.count({
+      where: { id: { in: projectIds } },
+    });
+
+    if (projectCount !== projectIds.length) {
+      return sendError(res, "Some project IDs are invalid", 400);
+    }
+  }
+
+  const invitation = await prisma.invitation.create({
+    data: {
+      email,
+      role,
+      projectIds,
+      tokenNonce: generateSecureToken(16),
+      expiresAt: getInvitationExpiry(),
+      invitedById: req.user.id,
+      ...(position !== undefined && { position }),
+    },
+  });
+
+  const emailSent = await deliverInvitation(invitation, req.user);
+
+  logger.audit("User invitation created", {
+    invitationId: invitation.id,
+    email,
+    role,
+    invitedBy: req.user.id,
+  });
+
+  // The nonce only exists inside the signed link
+  const invitationData = { ...invitation };
+  delete invitationData.tokenNonce;
+
+  sendSuccess(
+    res,
+    {
+      ...invitationData,
+      status: getInvitationStatus(invitation),
+      emailSent,
+    },
+    "Invitation sent successfully",
+    201
+  );
+};
+
+// Admin: List invitations (optionally filtered by status)
+const getInvitations = async (req, res) => {
+  const { status } = req.query;
+  const now = new Date();
+
+  const statusFilters = {
+    PENDING: { acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+    ACCEPTED: { acceptedAt: { not: null } },
+    REVOKED: { revokedAt: { not: null } },
+    EXPIRED: { acceptedAt: null, revokedAt: null, expiresAt: { lte: now } },
+  };
+
+  if (status && !statusFilters[status]) {
+    return sendError(
+      res,
+      "Status must be PENDING, ACCEPTED, REVOKED, or EXPIRED",
+      400
+    );
+  }
+
+  const invitations = await prisma.invitation.findMany({
+    where: status ? statusFilters[status] : {},
+    select: invitationSelect,
+    orderBy: { createdAt: "desc" },
+  });
+
+  sendSuccess(
+    res,
+    invitations.map((invitation) => ({
+      ...invitation,
+      status: getInvitationStatus(invitation),
+    }))
+  );
+};
+
+// Admin: Resend an invitation with a fresh link (earlier links stop working)
+const resendInvitation = async (req, res) => {
+  const { invitationId } = req.validatedParams;
+
+  const invitation = await prisma.invitation.findUnique({
+    where: { id: invitationId },
+  });
+
+  if (!invitation) {
+    return sendError(res, "Invitation not found", 404);
+  }
+
+  if (!canManageRole(req.user, invitation.role)) {
+    return sendError(res, "Only admins can invite team leads and admins", 403);
+  }
+
+  const status = getInvitationStatus(invitation);
+  if (status === "ACCEPTED" || status === "REVOKED") {
+    return sendError(
+      res,
+      `Invitation has already been ${status.toLowerCase()}`,
+      400
+    );
+  }
+
+  const existingUser = await withoutTenantScope(() =>
+    prisma.user.findUnique({
+      where: { email: invitation.email },
+    })
+  );
+
+  if (existingUser) {
+    return sendError(res, "Email already registered", 400);
+  }
+
+  const updatedInvitation = await prisma.invitation.update({
+    where: { id: invitationId },
+    data: {
+      tokenNonce: generateSecureToken(16),
+      expiresAt: getInvitationExpiry(),
+      sentAt: new Date(),
+    },
+  });
+
+  const emailSent = await deliverInvitation(updatedInvitation, req.user);
+
+  logger.audit("User invitation resent", {
+    invitationId,
+    email: invitation.email,
+    resentBy: req.user.id,
+  });
+
+  sendSuccess(
+    res,
+    {
+      id: updatedInvitation.id,
+      email: updatedInvitation.email,
+      expiresAt: updatedInvitation.expiresAt,
+      status: getInvitationStatus(updatedInvitation),
+      emailSent,
+    },
+    "Invitation resent successfully"
+  );
+};
+
+// Admin: Revoke an invitation
+const revokeInvitation = async (req, res) => {
+  const { invitationId } = req.validatedParams;
+
+  const invitation = await prisma.invitation.findUnique({
+    where: { id: invitationId },
+  });
+
+  if (!invitation) {
+    return sendError(res, "Invitation not found", 404);
+  }
+
+  const status = getInvitationStatus(invitation);
+  if (status === "ACCEPTED" || status === "REVOKED") {
+    return sendError(
+      res,
+      `Invitation has already been ${status.toLowerCase()}`,
+      400
+    );
+  }
+
+  await prisma.invitation.update({
+    where: { id: invitationId },
+    data: { revokedAt: new Date() },
+  });
+
+  logger.audit("User invitation revoked", {
+    invitationId,
+    email: invitation.email,
+    revokedBy: req.user.id,
+  });
+
+  sendSuccess(res, null, "Invitation revoked successfully");
+};
+
 module.exports = {
   updateProfile,
   createUser,
+  importUsers,
+  exportUsers,
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
   updateUser,
   deleteUser,
   getUsersByRole,
   getUserStats,
   toggleUserStatus,
+  offboardUser,
+  unlockUser,
+  impersonateUser,
+  eraseUser,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  getPersonalAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken,
 };
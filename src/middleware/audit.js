@@ -15,6 +15,7 @@ const auditTrail = (action, resource) => {
           userId: req.user?.id,
           userEmail: req.user?.email,
           userRole: req.user?.role,
+          impersonatorId: req.auth?.impersonator?.id,
           ip: req.ip || req.connection.remoteAddress,
           userAgent: req.get("User-Agent"),
           timestamp: new Date().toISOString(),
@@ -136,6 +137,7 @@ const dataAccessAudit = (resourceType) => {
         userId: req.user?.id,
         userEmail: req.user?.email,
         userRole: req.user?.role,
+        impersonatorId: req.auth?.impersonator?.id,
         resourceId: req.params.id,
         query: req.query,
         ip: req.ip || req.connection.remoteAddress,
@@ -148,42 +150,6 @@ const dataAccessAudit = (resourceType) => {
   };
 };
 
-// Failed authentication attempts tracking
-const failedAuthTracker = {
-  attempts: new Map(),
-
-  record: (ip, email) => {
-    const key = `${ip}_${email}`;
-    const now = Date.now();
-    const attempts = failedAuthTracker.attempts.get(key) || [];
-
-    // Remove attempts older than 15 minutes
-    const recentAttempts = attempts.filter(
-      (time) => now - time < 15 * 60 * 1000
-    );
-    recentAttempts.push(now);
-
-    failedAuthTracker.attempts.set(key, recentAttempts);
-
-    // Alert on multiple failed attempts
-    if (recentAttempts.length >= 5) {
-      securityAudit("multiple_failed_login_attempts", {
-        ip,
-        email,
-        attemptCount: recentAttempts.length,
-        timeWindow: "15 minutes",
-      });
-    }
-
-    return recentAttempts.length;
-  },
-
-  reset: (ip, email) => {
-    const key = `${ip}_${email}`;
-    failedAuthTracker.attempts.delete(key);
-  },
-};
-
 // Helper functions
 function getAuthAction(path) {
   if (path.includes("/login")) return "login";
@@ -248,5 +214,4 @@ module.exports = {
   securityAudit,
   adminAudit,
   dataAccessAudit,
-  failedAuthTracker,
 };
@@ -3,23 +3,349 @@ const {
   prisma,
   hasRole,
   canAccessResource,
+  isEmailVerificationRequired,
+  isTwoFactorRequiredForRole,
+  isPersonalAccessToken,
+  isProvisioningToken,
+  hashToken,
+  getDefaultOrganizationId,
+  getOrganizationRole,
 } = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
 const { sendError } = require("../utils/helpers");
+const { sendScimError } = require("../utils/scim");
 const logger = require("../utils/logger");
+const { runWithOrganization } = require("../utils/tenant");
 const { auditTrail } = require("./audit");
 
-// Authentication middleware
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    const token =
-      authHeader && authHeader.startsWith("Bearer ")
-        ? authHeader.split(" ")[1]
-        : null;
+// Scope required from a personal access token for a request
+// (an explicit scope, or "<resource>:read|write" derived from the HTTP method)
+const getRequiredScope = (req, scope) => {
+  if (scope.includes(":")) {
+    return scope;
+  }
+
+  const isReadOnly = ["GET", "HEAD", "OPTIONS"].includes(req.method);
+  return `${scope}:${isReadOnly ? "read" : "write"}`;
+};
+
+// Check a personal access token against the scope required for the request
+const checkTokenScope = (req, res, requiredScope) => {
+  if (!requiredScope || !req.auth.scopes.includes(requiredScope)) {
+    logger.security("Authorization failed - Token scope missing", {
+      userId: req.user.id,
+      tokenId: req.auth.tokenId,
+      requiredScope: requiredScope || null,
+      ip: req.ip || req.connection.remoteAddress,
+      method: req.method,
+      url: req.url,
+      requestId: req.requestId,
+    });
+
+    return sendError(
+      res,
+      requiredScope
+        ? `Personal access token is missing the required scope: ${requiredScope}`
+        : "Personal access tokens cannot be used for this endpoint",
+      403
+    );
+  }
+
+  return null;
+};
+
+// Authentication middleware factory
+// options.allowTwoFactorSetup - admit users who still have to enroll in 2FA
+// options.allowPersonalAccessToken - set to false to accept session tokens only
+const authenticate = (options = {}) => {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      const token =
+        authHeader && authHeader.startsWith("Bearer ")
+          ? authHeader.split(" ")[1]
+          : null;
+
+      if (!token) {
+        // Log failed authentication attempt
+        logger.security("Authentication failed - No token provided", {
+          ip: req.ip || req.connection.remoteAddress,
+          userAgent: req.get("User-Agent"),
+          method: req.method,
+          url: req.url,
+          requestId: req.requestId,
+        });
+
+        return sendError(res, "Access token is required", 401);
+      }
+
+      let userId;
+      let auth;
+      let organizationId;
+
+      if (isPersonalAccessToken(token)) {
+        const accessToken = await prisma.personalAccessToken.findUnique({
+          where: { tokenHash: hashToken(token) },
+        });
+
+        if (
+          !accessToken ||
+          accessToken.revokedAt ||
+          (accessToken.expiresAt &&
+            new Date(accessToken.expiresAt) < new Date())
+        ) {
+          logger.security("Authentication failed - Invalid access token", {
+            ip: req.ip || req.connection.remoteAddress,
+            userAgent: req.get("User-Agent"),
+            method: req.method,
+            url: req.url,
+            requestId: req.requestId,
+          });
+
+          return sendError(
+            res,
+            "Invalid or expired personal access token",
+            401
+          );
+        }
+
+        if (options.allowPersonalAccessToken === false) {
+          return sendError(
+            res,
+            "Personal access tokens cannot be used for this endpoint",
+            403
+          );
+        }
+
+        userId = accessToken.userId;
+        organizationId = accessToken.organizationId;
+        auth = {
+          type: "personal_access_token",
+          tokenId: accessToken.id,
+          scopes: accessToken.scopes,
+          lastUsedAt: accessToken.lastUsedAt,
+        };
+      } else {
+        const decoded = verifyToken(token);
+        userId = decoded.id;
+        organizationId = decoded.organizationId;
+        auth = decoded.impersonatorId
+          ? { type: "impersonation", impersonatorId: decoded.impersonatorId }
+          : { type: "session" };
+      }
+
+      // Check if user still exists and is active
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          firstName: true,
+          lastName: true,
+          status: true,
+          twoFactorEnabled: true,
+          lastLogin: true,
+        },
+      });
 
-    if (!token) {
-      // Log failed authentication attempt
-      logger.security("Authentication failed - No token provided", {
+      if (!user) {
+        logger.security("Authentication failed - User not found", {
+          tokenUserId: userId,
+          ip: req.ip || req.connection.remoteAddress,
+          userAgent: req.get("User-Agent"),
+          method: req.method,
+          url: req.url,
+          requestId: req.requestId,
+        });
+
+        return sendError(res, "User not found", 401);
+      }
+
+      const isPendingVerification = user.status === "PENDING_VERIFICATION";
+
+      if (isPendingVerification && isEmailVerificationRequired()) {
+        logger.security("Authentication failed - Email not verified", {
+          userId: user.id,
+          username: user.username,
+          ip: req.ip || req.connection.remoteAddress,
+          userAgent: req.get("User-Agent"),
+          method: req.method,
+          url: req.url,
+          requestId: req.requestId,
+        });
+
+        return sendError(res, "Email address is not verified", 403);
+      }
+
+      if (user.status !== "ACTIVE" && !isPendingVerification) {
+        logger.security("Authentication failed - User account inactive", {
+          userId: user.id,
+          username: user.username,
+          status: user.status,
+          ip: req.ip || req.connection.remoteAddress,
+          userAgent: req.get("User-Agent"),
+          method: req.method,
+          url: req.url,
+          requestId: req.requestId,
+        });
+
+        return sendError(res, "User account is not active", 401);
+      }
+
+      // Impersonation only lasts while the impersonator may still impersonate
+      if (auth.type === "impersonation") {
+        const impersonator = await prisma.user.findUnique({
+          where: { id: auth.impersonatorId },
+          select: {
+            id: true,
+            email: true,
+            username: true,
+            firstName: true,
+            lastName: true,
+            status: true,
+          },
+        });
+
+        // The impersonator's role in the organization the token acts in
+        if (impersonator) {
+          impersonator.role = await getOrganizationRole(
+            impersonator.id,
+            organizationId
+          );
+        }
+
+        if (
+          !impersonator ||
+          impersonator.status !== "ACTIVE" ||
+          !(await hasPermission(impersonator, "user.impersonate"))
+        ) {
+          logger.security("Authentication failed - Impersonation not allowed", {
+            userId: user.id,
+            impersonatorId: auth.impersonatorId,
+            ip: req.ip || req.connection.remoteAddress,
+            userAgent: req.get("User-Agent"),
+            method: req.method,
+            url: req.url,
+            requestId: req.requestId,
+          });
+
+          return sendError(res, "Impersonation is no longer allowed", 401);
+        }
+
+        auth = { type: "impersonation", impersonator };
+      }
+
+      // Sessions started before organizations existed use the default one
+      organizationId =
+        organizationId || (await getDefaultOrganizationId(user.id));
+
+      // The user has to (still) belong to the organization the token acts in,
+      // and acts with their role there
+      const membership =
+        organizationId &&
+        (await prisma.organizationMember.findUnique({
+          where: {
+            organizationId_userId: { organizationId, userId: user.id },
+          },
+          include: {
+            organization: { select: { id: true, name: true, slug: true } },
+          },
+        }));
+
+      if (!membership) {
+        logger.security("Authentication failed - Not an organization member", {
+          userId: user.id,
+          organizationId: organizationId || null,
+          ip: req.ip || req.connection.remoteAddress,
+          userAgent: req.get("User-Agent"),
+          method: req.method,
+          url: req.url,
+          requestId: req.requestId,
+        });
+
+        return sendError(res, "You are not a member of this organization", 403);
+      }
+
+      // Roles covered by the two-factor policy must enroll before using the API
+      // (impersonating admins have already signed in themselves)
+      if (
+        auth.type !== "impersonation" &&
+        !user.twoFactorEnabled &&
+        !options.allowTwoFactorSetup &&
+        (await isTwoFactorRequiredForRole(
+          membership.role,
+          membership.organization.id
+        ))
+      ) {
+        logger.security("Authentication failed - Two-factor setup required", {
+          userId: user.id,
+          username: user.username,
+          role: membership.role,
+          ip: req.ip || req.connection.remoteAddress,
+          userAgent: req.get("User-Agent"),
+          method: req.method,
+          url: req.url,
+          requestId: req.requestId,
+        });
+
+        return sendError(res, "Two-factor authentication setup required", 403);
+      }
+
+      req.user = { ...user, role: membership.role };
+      req.auth = auth;
+      req.organization = membership.organization;
+
+      // Tag the outcome of every request made while impersonating
+      if (auth.type === "impersonation") {
+        res.on("finish", () => {
+          logger.audit("Impersonated request", {
+            userId: user.id,
+            impersonatorId: auth.impersonator.id,
+            impersonatorEmail: auth.impersonator.email,
+            method: req.method,
+            url: req.originalUrl,
+            statusCode: res.statusCode,
+            ip: req.ip || req.connection.remoteAddress,
+            requestId: req.requestId,
+          });
+        });
+      }
+
+      if (auth.type === "personal_access_token") {
+        const scopeError = checkTokenScope(req, res, req.requiredScope);
+        if (scopeError) {
+          return scopeError;
+        }
+
+        // Track usage, at most once a minute per token
+        const lastUsedAt = auth.lastUsedAt && new Date(auth.lastUsedAt);
+        if (!lastUsedAt || Date.now() - lastUsedAt.getTime() > 60 * 1000) {
+          prisma.personalAccessToken
+            .update({
+              where: { id: auth.tokenId },
+              data: {
+                lastUsedAt: new Date(),
+                lastUsedIp: req.ip || req.connection.remoteAddress,
+              },
+            })
+            .catch((error) =>
+              logger.error("Failed to record token usage", {
+                tokenId: auth.tokenId,
+                error: error.message,
+              })
+            );
+        }
+      }
+
+      // Log successful authentication
+      logger.audit("User authenticated successfully", {
+        userId: user.id,
+        username: user.username,
+        role: membership.role,
+        authType: auth.type,
+        impersonatorId: auth.impersonator?.id,
+        organizationId: membership.organization.id,
         ip: req.ip || req.connection.remoteAddress,
         userAgent: req.get("User-Agent"),
         method: req.method,
@@ -27,44 +353,69 @@ const authenticateToken = async (req, res, next) => {
         requestId: req.requestId,
       });
 
-      return sendError(res, "Access token is required", 401);
-    }
-
-    const decoded = verifyToken(token);
-
-    // Check if user still exists and is active
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        firstName: true,
-        lastName: true,
-        role: true,
-        status: true,
-        lastLogin: true,
-      },
-    });
-
-    if (!user) {
-      logger.security("Authentication failed - User not found", {
-        tokenUserId: decoded.id,
+      // Every query made while handling the request is scoped to the organization
+      runWithOrganization(membership.organization.id, next);
+    } catch (error) {
+      logger.security("Authentication failed - Token error", {
+        error: error.message,
+        errorType: error.name,
         ip: req.ip || req.connection.remoteAddress,
         userAgent: req.get("User-Agent"),
         method: req.method,
         url: req.url,
         requestId: req.requestId,
       });
+      if (error.name === "JsonWebTokenError") {
+        return sendError(res, "Invalid token", 401);
+      }
+      if (error.name === "TokenExpiredError") {
+        return sendError(res, "Token expired", 401);
+      }
+      return sendError(res, "Authentication failed", 401);
+    }
+  };
+};
 
-      return sendError(res, "User not found", 401);
+// Authentication middleware
+const authenticateToken = authenticate();
+
+// Declare the scope a personal access token needs for the following routes.
+// Enforced by authenticate, or immediately when the request is already authenticated.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    req.requiredScope = getRequiredScope(req, scope);
+
+    if (req.auth && req.auth.type === "personal_access_token") {
+      const scopeError = checkTokenScope(req, res, req.requiredScope);
+      if (scopeError) {
+        return scopeError;
+      }
     }
 
-    if (user.status !== "ACTIVE") {
-      logger.security("Authentication failed - User account inactive", {
-        userId: user.id,
-        username: user.username,
-        status: user.status,
+    next();
+  };
+};
+
+// Provisioning token authentication for the SCIM API. The token acts for its
+// organization, not for a user, so req.user stays unset.
+const authenticateProvisioningToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token =
+      authHeader && authHeader.startsWith("Bearer ")
+        ? authHeader.split(" ")[1]
+        : null;
+
+    let provisioningToken = null;
+    if (token && isProvisioningToken(token)) {
+      provisioningToken = await prisma.provisioningToken.findUnique({
+        where: { tokenHash: hashToken(token) },
+        include: { organization: true },
+      });
+    }
+
+    if (!provisioningToken || provisioningToken.revokedAt) {
+      logger.security("Authentication failed - Invalid provisioning token", {
         ip: req.ip || req.connection.remoteAddress,
         userAgent: req.get("User-Agent"),
         method: req.method,
@@ -72,40 +423,41 @@ const authenticateToken = async (req, res, next) => {
         requestId: req.requestId,
       });
 
-      return sendError(res, "User account is not active", 401);
+      return sendScimError(res, "Invalid or revoked provisioning token", 401);
     }
 
-    // Log successful authentication
-    logger.audit("User authenticated successfully", {
-      userId: user.id,
-      username: user.username,
-      role: user.role,
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.get("User-Agent"),
-      method: req.method,
-      url: req.url,
-      requestId: req.requestId,
-    });
+    req.provisioningToken = {
+      id: provisioningToken.id,
+      name: provisioningToken.name,
+    };
+    req.organization = provisioningToken.organization;
+
+    // Track usage, at most once a minute per token
+    const lastUsedAt = provisioningToken.lastUsedAt;
+    if (!lastUsedAt || Date.now() - lastUsedAt.getTime() > 60 * 1000) {
+      prisma.provisioningToken
+        .update({
+          where: { id: provisioningToken.id },
+          data: {
+            lastUsedAt: new Date(),
+            lastUsedIp: req.ip || req.connection.remoteAddress,
+          },
+        })
+        .catch((error) =>
+          logger.error("Failed to record token usage", {
+            tokenId: provisioningToken.id,
+            error: error.message,
+          })
+        );
+    }
 
-    req.user = user;
-    next();
+    runWithOrganization(provisioningToken.organizationId, next);
   } catch (error) {
-    logger.security("Authentication failed - Token error", {
+    logger.error("Provisioning token authentication error", {
       error: error.message,
-      errorType: error.name,
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.get("User-Agent"),
-      method: req.method,
-      url: req.url,
       requestId: req.requestId,
     });
-    if (error.name === "JsonWebTokenError") {
-      return sendError(res, "Invalid token", 401);
-    }
-    if (error.name === "TokenExpiredError") {
-      return sendError(res, "Token expired", 401);
-    }
-    return sendError(res, "Authentication failed", 401);
+    return sendScimError(res, "Authentication failed", 500);
   }
 };
 
@@ -260,6 +612,70 @@ const teamLeadOrAdmin = (req, res, next) => {
   next();
 };
 
+// Block actions an admin must not take on a user's behalf while impersonating
+const blockImpersonation = (req, res, next) => {
+  if (req.auth && req.auth.type === "impersonation") {
+    logger.security("Action blocked during impersonation", {
+      userId: req.user.id,
+      impersonatorId: req.auth.impersonator.id,
+      ip: req.ip || req.connection.remoteAddress,
+      method: req.method,
+      url: req.originalUrl,
+      requestId: req.requestId,
+    });
+    return sendError(
+      res,
+      "This action is not allowed while impersonating a user",
+      403
+    );
+  }
+
+  next();
+};
+
+// Permission middleware - check if the user's role grants all permissions
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        logger.security("Permission check failed - No authenticated user", {
+          requiredPermissions: permissions,
+          ip: req.ip || req.connection.remoteAddress,
+          method: req.method,
+          url: req.url,
+          requestId: req.requestId,
+        });
+        return sendError(res, "Authentication required", 401);
+      }
+
+      for (const permission of permissions) {
+        if (!(await hasPermission(req.user, permission))) {
+          logger.security("Permission check failed - Permission missing", {
+            userId: req.user.id,
+            username: req.user.username,
+            userRole: req.user.role,
+            requiredPermission: permission,
+            ip: req.ip || req.connection.remoteAddress,
+            method: req.method,
+            url: req.url,
+            requestId: req.requestId,
+          });
+          return sendError(res, "Insufficient permissions", 403);
+        }
+      }
+
+      next();
+    } catch (error) {
+      logger.error("Permission check error", {
+        error: error.message,
+        requiredPermissions: permissions,
+        requestId: req.requestId,
+      });
+      return sendError(res, "Failed to check permissions", 500);
+    }
+  };
+};
+
 // Request logging middleware
 const requestLogger = (req, res, next) => {
   const start = Date.now();
@@ -300,7 +716,7 @@ const validateRequest = (schema, source = "body") => {
       );
     }
 
-    const data = source === "params" ? req.params : req.body;
+    const data = { params: req.params, query: req.query }[source] || req.body;
     const { error, value } = validationSchema.validate(data, {
       abortEarly: false,
     });
@@ -329,6 +745,8 @@ const validateRequest = (schema, source = "body") => {
 
     if (source === "params") {
       req.validatedParams = value;
+    } else if (source === "query") {
+      req.validatedQuery = value;
     } else {
       req.validatedBody = value;
     }
@@ -368,11 +786,16 @@ const authRateLimit = (windowMs = 15 * 60 * 1000, max = 5) => {
 };
 
 module.exports = {
+  authenticate,
   authenticateToken,
+  requireScope,
+  authenticateProvisioningToken,
   authorize,
   checkResourceAccess,
   adminOnly,
   teamLeadOrAdmin,
+  requirePermission,
+  blockImpersonation,
   requestLogger,
   validateRequest,
   authRateLimit,
@@ -128,6 +128,43 @@ const uploadMultiple = (fieldName = "files", maxCount = 10) => {
   };
 };
 
+// CSV files are parsed in memory and never stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === ".csv") {
+      cb(null, true);
+    } else {
+      cb(new Error("Only .csv files are allowed"), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1,
+  },
+});
+
+const uploadCsv = (fieldName = "file") => {
+  return (req, res, next) => {
+    csvUpload.single(fieldName)(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return sendError(res, "File too large (max 2MB)", 400);
+        }
+        return sendError(res, `Upload error: ${err.message}`, 400);
+      } else if (err) {
+        return sendError(res, err.message, 400);
+      }
+
+      if (!req.file) {
+        return sendError(res, "No file uploaded", 400);
+      }
+
+      next();
+    });
+  };
+};
+
 // File validation helpers
 const validateFileType = (filename, allowedTypes) => {
   const extension = path.extname(filename).toLowerCase();
@@ -166,6 +203,7 @@ module.exports = {
   upload,
   uploadSingle,
   uploadMultiple,
+  uploadCsv,
   validateFileType,
   getFileCategory,
   cleanupFile,
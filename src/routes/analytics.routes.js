@@ -12,7 +12,12 @@ const {
 } = require("../controllers/analytics.controller");
 
 // Import middleware
-const { authenticateToken, validateRequest } = require("../middleware/auth");
+const {
+  authenticateToken,
+  requireScope,
+  requirePermission,
+  validateRequest,
+} = require("../middleware/auth");
 
 // Import validation schemas
 const {
@@ -47,12 +52,13 @@ router.get(
 /**
  * @route   GET /api/v1/analytics/team/productivity
  * @desc    Get team productivity metrics
- * @access  Private (Admin, Team Lead only)
- * @query   startDate, endDate, teamMemberId (optional filters)
+ * @access  Private (analytics.team permission - Admin, Team Lead by default)
+ * @query   startDate, endDate, teamMemberId, teamId (optional filters)
  */
 router.get(
   "/team/productivity",
   authenticateToken,
+  requirePermission("analytics.team"),
   validateRequest(teamProductivitySchema, "query"),
   getTeamProductivity
 );
@@ -78,6 +84,7 @@ router.get(
  */
 router.post(
   "/reports/custom",
+  requireScope("analytics:read"), // Read-only despite using POST
   authenticateToken,
   validateRequest(customReportSchema, "body"),
   generateCustomReport
@@ -2,10 +2,34 @@ const express = require("express");
 const {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
+  getOidcConfig,
+  startOidcLogin,
+  completeOidcLogin,
   refreshToken,
+  switchOrganization,
   logoutUser,
   logoutFromAllDevices,
+  getSessions,
+  revokeSession,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyInvitation,
+  acceptInvitation,
+  joinOrganization,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getPermissions,
+  updateRolePermissions,
+  getMyPermissions,
   getCurrentUser,
   cleanExpiredTokens,
 } = require("../controllers/auth.controller");
@@ -13,10 +37,28 @@ const {
   registerSchema,
   loginSchema,
   changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  invitationTokenSchema,
+  acceptInvitationSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  oidcCallbackSchema,
+  disableTwoFactorSchema,
+  twoFactorPolicySchema,
+  rolePermissionsSchema,
+  permissionRoleParamSchema,
   refreshTokenSchema,
+  switchOrganizationSchema,
+  sessionIdParamSchema,
 } = require("../utils/validation");
 const {
+  authenticate,
   authenticateToken,
+  requirePermission,
+  blockImpersonation,
   validateRequest,
   authRateLimit,
 } = require("../middleware/auth");
@@ -24,6 +66,11 @@ const { asyncHandler } = require("../utils/helpers");
 
 const router = express.Router();
 
+// Users who still have to enroll in two-factor authentication may use these routes
+const authenticateAllowingTwoFactorSetup = authenticate({
+  allowTwoFactorSetup: true,
+});
+
 // Clean up expired tokens periodically
 setInterval(cleanExpiredTokens, 24 * 60 * 60 * 1000); // Daily cleanup
 
@@ -35,12 +82,33 @@ router.post(
   asyncHandler(registerUser)
 );
 
-// Login user
+// Login user (brute-force protection is handled by the login protection service)
+router.post("/login", validateRequest(loginSchema), asyncHandler(loginUser));
+
+// Complete login with a two-factor code
 router.post(
-  "/login",
-  authRateLimit(15 * 60 * 1000, 5), // 5 attempts per 15 minutes
-  validateRequest(loginSchema),
-  asyncHandler(loginUser)
+  "/2fa/verify",
+  authRateLimit(15 * 60 * 1000, 10), // 10 attempts per 15 minutes
+  validateRequest(twoFactorLoginSchema),
+  asyncHandler(verifyTwoFactorLogin)
+);
+
+// Single sign-on availability
+router.get("/oidc/config", asyncHandler(getOidcConfig));
+
+// Start single sign-on login
+router.get(
+  "/oidc/authorize",
+  authRateLimit(15 * 60 * 1000, 20), // 20 attempts per 15 minutes
+  asyncHandler(startOidcLogin)
+);
+
+// Complete single sign-on login
+router.post(
+  "/oidc/callback",
+  authRateLimit(15 * 60 * 1000, 20), // 20 attempts per 15 minutes
+  validateRequest(oidcCallbackSchema),
+  asyncHandler(completeOidcLogin)
 );
 
 // Refresh access token
@@ -50,10 +118,19 @@ router.post(
   asyncHandler(refreshToken)
 );
 
+// Switch the organization the current session acts in
+router.post(
+  "/switch-organization",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(switchOrganizationSchema),
+  asyncHandler(switchOrganization)
+);
+
 // Logout user
 router.post(
   "/logout",
-  authenticateToken,
+  authenticateAllowingTwoFactorSetup,
   validateRequest(refreshTokenSchema),
   asyncHandler(logoutUser)
 );
@@ -61,19 +138,181 @@ router.post(
 // Logout from all devices
 router.post(
   "/logout-all",
-  authenticateToken,
+  authenticateAllowingTwoFactorSetup,
+  blockImpersonation,
   asyncHandler(logoutFromAllDevices)
 );
 
+// List active sessions
+router.get(
+  "/sessions",
+  authenticateAllowingTwoFactorSetup,
+  asyncHandler(getSessions)
+);
+
+// Revoke a single session
+router.delete(
+  "/sessions/:id",
+  authenticateAllowingTwoFactorSetup,
+  blockImpersonation,
+  validateRequest(sessionIdParamSchema, "params"),
+  asyncHandler(revokeSession)
+);
+
 // Change password
 router.post(
   "/change-password",
   authenticateToken,
+  blockImpersonation,
   validateRequest(changePasswordSchema),
   asyncHandler(changePassword)
 );
 
+// Request password reset email
+router.post(
+  "/forgot-password",
+  authRateLimit(15 * 60 * 1000, 5), // 5 attempts per 15 minutes
+  validateRequest(forgotPasswordSchema),
+  asyncHandler(forgotPassword)
+);
+
+// Reset password with a one-time token
+router.post(
+  "/reset-password",
+  authRateLimit(15 * 60 * 1000, 5), // 5 attempts per 15 minutes
+  validateRequest(resetPasswordSchema),
+  asyncHandler(resetPassword)
+);
+
+// Verify email address
+router.post(
+  "/verify-email",
+  validateRequest(verifyEmailSchema),
+  asyncHandler(verifyEmail)
+);
+
+// Resend verification email
+router.post(
+  "/resend-verification",
+  authRateLimit(15 * 60 * 1000, 5), // 5 attempts per 15 minutes
+  validateRequest(resendVerificationSchema),
+  asyncHandler(resendVerificationEmail)
+);
+
+// Check an invitation link
+router.post(
+  "/invitations/verify",
+  authRateLimit(15 * 60 * 1000, 20), // 20 attempts per 15 minutes
+  validateRequest(invitationTokenSchema),
+  asyncHandler(verifyInvitation)
+);
+
+// Accept an invitation and set up the account
+router.post(
+  "/invitations/accept",
+  authRateLimit(15 * 60 * 1000, 10), // 10 attempts per 15 minutes
+  validateRequest(acceptInvitationSchema),
+  asyncHandler(acceptInvitation)
+);
+
+// Accept an invitation with the signed-in account
+router.post(
+  "/invitations/join",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(invitationTokenSchema),
+  asyncHandler(joinOrganization)
+);
+
+// Get two-factor status
+router.get(
+  "/2fa",
+  authenticateAllowingTwoFactorSetup,
+  asyncHandler(getTwoFactorStatus)
+);
+
+// Start two-factor enrollment
+router.post(
+  "/2fa/setup",
+  authenticateAllowingTwoFactorSetup,
+  blockImpersonation,
+  asyncHandler(setupTwoFactor)
+);
+
+// Confirm two-factor enrollment
+router.post(
+  "/2fa/confirm",
+  authenticateAllowingTwoFactorSetup,
+  blockImpersonation,
+  validateRequest(twoFactorCodeSchema),
+  asyncHandler(confirmTwoFactor)
+);
+
+// Disable two-factor authentication
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(disableTwoFactorSchema),
+  asyncHandler(disableTwoFactor)
+);
+
+// Regenerate two-factor recovery codes
+router.post(
+  "/2fa/recovery-codes",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(twoFactorCodeSchema),
+  asyncHandler(regenerateRecoveryCodes)
+);
+
+// Get two-factor policy (security.manage permission)
+router.get(
+  "/2fa/policy",
+  authenticateToken,
+  requirePermission("security.manage"),
+  asyncHandler(getTwoFactorPolicy)
+);
+
+// Update two-factor policy (security.manage permission)
+router.put(
+  "/2fa/policy",
+  authenticateToken,
+  requirePermission("security.manage"),
+  validateRequest(twoFactorPolicySchema),
+  asyncHandler(updateTwoFactorPolicy)
+);
+
+// Get permission registry and role permissions (security.manage permission)
+router.get(
+  "/permissions",
+  authenticateToken,
+  requirePermission("security.manage"),
+  asyncHandler(getPermissions)
+);
+
+// Update the permissions of a role (security.manage permission)
+router.put(
+  "/permissions/:role",
+  authenticateToken,
+  requirePermission("security.manage"),
+  validateRequest(permissionRoleParamSchema, "params"),
+  validateRequest(rolePermissionsSchema),
+  asyncHandler(updateRolePermissions)
+);
+
 // Get current user profile
-router.get("/me", authenticateToken, asyncHandler(getCurrentUser));
+router.get(
+  "/me",
+  authenticateAllowingTwoFactorSetup,
+  asyncHandler(getCurrentUser)
+);
+
+// Get current user's permissions
+router.get(
+  "/me/permissions",
+  authenticateToken,
+  asyncHandler(getMyPermissions)
+);
 
 module.exports = router;
@@ -1,9 +1,12 @@
 const express = require("express");
+const { requireScope } = require("../middleware/auth");
 const router = express.Router();
 
 // Import route modules
 const authRoutes = require("./auth.routes");
 const userRoutes = require("./users.routes");
+const organizationRoutes = require("./organizations.routes");
+const teamRoutes = require("./teams.routes");
 const projectRoutes = require("./projects.routes");
 const taskRoutes = require("./tasks.routes");
 const messageRoutes = require("./messages.routes");
@@ -12,18 +15,24 @@ const uploadRoutes = require("./upload.routes");
 const realtimeRoutes = require("./realtime.routes");
 const analyticsRoutes = require("./analytics.routes");
 const monitoringRoutes = require("./monitoring.routes");
+const trashRoutes = require("./trash.routes");
 
 // Use route modules
+// requireScope sets the scope personal access tokens need (read for GET, write otherwise);
+// auth routes declare no scope, so they only accept session tokens
 router.use("/auth", authRoutes);
-router.use("/users", userRoutes);
-router.use("/projects", projectRoutes);
-router.use("/tasks", taskRoutes);
-router.use("/messages", messageRoutes);
-router.use("/timetracking", timetrackingRoutes);
-router.use("/upload", uploadRoutes);
-router.use("/realtime", realtimeRoutes);
-router.use("/analytics", analyticsRoutes);
-router.use("/monitoring", monitoringRoutes);
+router.use("/users", requireScope("users"), userRoutes);
+router.use("/organizations", requireScope("organizations"), organizationRoutes);
+router.use("/teams", requireScope("teams"), teamRoutes);
+router.use("/projects", requireScope("projects"), projectRoutes);
+router.use("/tasks", requireScope("tasks"), taskRoutes);
+router.use("/messages", requireScope("messages"), messageRoutes);
+router.use("/timetracking", requireScope("timetracking"), timetrackingRoutes);
+router.use("/upload", requireScope("uploads"), uploadRoutes);
+router.use("/realtime", requireScope("realtime"), realtimeRoutes);
+router.use("/analytics", requireScope("analytics"), analyticsRoutes);
+router.use("/monitoring", requireScope("monitoring"), monitoringRoutes);
+router.use("/trash", requireScope("trash"), trashRoutes);
 
 // API info endpoint
 router.get("/", (req, res) => {
@@ -35,44 +44,137 @@ router.get("/", (req, res) => {
         register: "POST /api/v1/auth/register",
         login: "POST /api/v1/auth/login",
         refresh: "POST /api/v1/auth/refresh",
+        switchOrganization: "POST /api/v1/auth/switch-organization",
         logout: "POST /api/v1/auth/logout",
         me: "GET /api/v1/auth/me",
+        myPermissions: "GET /api/v1/auth/me/permissions",
+        permissions: "GET /api/v1/auth/permissions (Admin)",
+        updateRolePermissions: "PUT /api/v1/auth/permissions/:role (Admin)",
+        sessions: "GET /api/v1/auth/sessions",
+        revokeSession: "DELETE /api/v1/auth/sessions/:id",
         changePassword: "POST /api/v1/auth/change-password",
+        forgotPassword: "POST /api/v1/auth/forgot-password",
+        resetPassword: "POST /api/v1/auth/reset-password",
+        verifyEmail: "POST /api/v1/auth/verify-email",
+        resendVerification: "POST /api/v1/auth/resend-verification",
+        verifyInvitation: "POST /api/v1/auth/invitations/verify",
+        acceptInvitation: "POST /api/v1/auth/invitations/accept",
+        twoFactor: {
+          verify: "POST /api/v1/auth/2fa/verify",
+          status: "GET /api/v1/auth/2fa",
+          setup: "POST /api/v1/auth/2fa/setup",
+          confirm: "POST /api/v1/auth/2fa/confirm",
+          disable: "POST /api/v1/auth/2fa/disable",
+          recoveryCodes: "POST /api/v1/auth/2fa/recovery-codes",
+          policy: "GET/PUT /api/v1/auth/2fa/policy (Admin)",
+        },
+        oidc: {
+          config: "GET /api/v1/auth/oidc/config",
+          authorize: "GET /api/v1/auth/oidc/authorize",
+          callback: "POST /api/v1/auth/oidc/callback",
+        },
       },
       users: {
         profile: "PUT /api/v1/users/profile",
         list: "GET /api/v1/auth/users (Admin)",
         create: "POST /api/v1/users (Admin)",
+        import: "POST /api/v1/users/import (Admin)",
+        export: "GET /api/v1/users/export (Admin/Team Lead)",
+        invitations: {
+          create: "POST /api/v1/users/invitations (Admin)",
+          list: "GET /api/v1/users/invitations (Admin)",
+          resend: "POST /api/v1/users/invitations/:invitationId/resend (Admin)",
+          revoke: "DELETE /api/v1/users/invitations/:invitationId (Admin)",
+        },
         update: "PUT /api/v1/users/:id (Admin/Team Lead)",
         delete: "DELETE /api/v1/users/:id (Admin)",
+        offboard: "POST /api/v1/users/:id/offboard (Admin)",
+        erase: "POST /api/v1/users/:id/erase (Admin)",
         stats: "GET /api/v1/users/stats (Admin)",
+        unlock: "POST /api/v1/users/:id/unlock (Admin)",
+        impersonate: "POST /api/v1/users/:id/impersonate (Admin)",
+        dataExports: {
+          request: "POST /api/v1/users/me/exports",
+          list: "GET /api/v1/users/me/exports",
+          requestForUser: "POST /api/v1/users/:id/exports (Admin)",
+          listForUser: "GET /api/v1/users/:id/exports (Admin)",
+          download: "GET /api/v1/users/exports/:exportId/download?token=...",
+        },
+        listTokens: "GET /api/v1/users/me/tokens",
+        createToken: "POST /api/v1/users/me/tokens",
+        revokeToken: "DELETE /api/v1/users/me/tokens/:tokenId",
+      },
+      organizations: {
+        list: "GET /api/v1/organizations",
+        create: "POST /api/v1/organizations (Admin)",
+        current: "GET /api/v1/organizations/current",
+        update: "PUT /api/v1/organizations/current (Admin)",
+        members: "GET /api/v1/organizations/current/members",
+        addMember: "POST /api/v1/organizations/current/members (Admin)",
+        removeMember:
+          "DELETE /api/v1/organizations/current/members/:userId (Admin)",
+        provisioningTokens:
+          "GET/POST /api/v1/organizations/current/provisioning-tokens (Admin)",
+        revokeProvisioningToken:
+          "DELETE /api/v1/organizations/current/provisioning-tokens/:tokenId (Admin)",
+      },
+      teams: {
+        list: "GET /api/v1/teams",
+        get: "GET /api/v1/teams/:id",
+        create: "POST /api/v1/teams (Admin)",
+        update: "PUT /api/v1/teams/:id (Admin)",
+        delete: "DELETE /api/v1/teams/:id (Admin)",
+        addMembers: "POST /api/v1/teams/:id/members (Admin)",
+        removeMember: "DELETE /api/v1/teams/:id/members/:userId (Admin)",
+        assignProjects: "POST /api/v1/teams/:id/projects (Project Owner/Admin)",
       },
       projects: {
         create: "POST /api/v1/projects (Admin/Team Lead)",
         list: "GET /api/v1/projects",
         get: "GET /api/v1/projects/:id",
-        update: "PUT /api/v1/projects/:id (Admin/Creator)",
-        delete: "DELETE /api/v1/projects/:id (Admin/Creator)",
-        addMember:
-          "POST /api/v1/projects/:id/members (Admin/Creator/Team Lead)",
+        update: "PUT /api/v1/projects/:id (Admin/Owner/Maintainer)",
+        delete: "DELETE /api/v1/projects/:id (Admin/Owner)",
+        addMember: "POST /api/v1/projects/:id/members (Admin/Owner)",
+        updateMemberRole:
+          "PATCH /api/v1/projects/:id/members/:userId (Admin/Owner)",
         removeMember:
-          "DELETE /api/v1/projects/:id/members/:userId (Admin/Creator)",
+          "DELETE /api/v1/projects/:id/members/:userId (Admin/Owner)",
         stats: "GET /api/v1/projects/:id/stats",
+        budget: "GET /api/v1/projects/:id/budget (Admin/Owner/Maintainer)",
+        milestones: "GET /api/v1/projects/:id/milestones",
+        createMilestone:
+          "POST /api/v1/projects/:id/milestones (Admin/Owner/Maintainer)",
+        reorderMilestones:
+          "PUT /api/v1/projects/:id/milestones/order (Admin/Owner/Maintainer)",
+        updateMilestone:
+          "PUT /api/v1/projects/:id/milestones/:milestoneId (Admin/Owner/Maintainer)",
+        deleteMilestone:
+          "DELETE /api/v1/projects/:id/milestones/:milestoneId (Admin/Owner/Maintainer)",
+        archive: "POST /api/v1/projects/:id/archive (Admin/Owner/Maintainer)",
+        unarchive:
+          "POST /api/v1/projects/:id/unarchive (Admin/Owner/Maintainer)",
+        clone: "POST /api/v1/projects/:id/clone",
+        saveAsTemplate:
+          "POST /api/v1/projects/:id/template (Admin/Owner/Maintainer)",
+        templates: "GET /api/v1/projects/templates",
+        getTemplate: "GET /api/v1/projects/templates/:templateId",
+        deleteTemplate:
+          "DELETE /api/v1/projects/templates/:templateId (Admin/Creator)",
       },
       tasks: {
-        create: "POST /api/v1/tasks (Admin/Team Lead/Creator)",
+        create: "POST /api/v1/tasks (Admin/Owner/Maintainer)",
         list: "GET /api/v1/tasks",
         myTasks: "GET /api/v1/tasks/my-tasks",
         get: "GET /api/v1/tasks/:id",
         update: "PUT /api/v1/tasks/:id",
-        delete: "DELETE /api/v1/tasks/:id (Admin/Creator)",
+        delete: "DELETE /api/v1/tasks/:id (Admin/Owner/Maintainer/Creator)",
         stats: "GET /api/v1/tasks/projects/:projectId/stats",
       },
       messages: {
         send: "POST /api/v1/messages",
         getProjectMessages: "GET /api/v1/messages/projects/:projectId",
         update: "PUT /api/v1/messages/:id (Sender only)",
-        delete: "DELETE /api/v1/messages/:id (Sender/Creator/Admin)",
+        delete: "DELETE /api/v1/messages/:id (Sender/Owner/Maintainer/Admin)",
         stats: "GET /api/v1/messages/projects/:projectId/stats",
       },
       timetracking: {
@@ -83,7 +185,7 @@ router.get("/", (req, res) => {
         deleteEntry: "DELETE /api/v1/timetracking/entries/:id",
         submitEntry: "POST /api/v1/timetracking/entries/:id/submit",
         approveEntry:
-          "POST /api/v1/timetracking/entries/:id/approve (Admin/Team Lead)",
+          "POST /api/v1/timetracking/entries/:id/approve (Admin/Owner/Maintainer/Team Lead)",
         bulkOperations: "POST /api/v1/timetracking/entries/bulk",
         startTimer: "POST /api/v1/timetracking/timer/start",
         updateTimer: "PUT /api/v1/timetracking/timer/:id",
@@ -114,7 +216,7 @@ router.get("/", (req, res) => {
         dashboardStats: "GET /api/v1/analytics/dashboard",
         projectAnalytics: "GET /api/v1/analytics/projects/:projectId",
         teamProductivity:
-          "GET /api/v1/analytics/team/productivity (Admin/Team Lead)",
+          "GET /api/v1/analytics/team/productivity (Admin/Team Lead of the team)",
         timeTrackingAnalytics: "GET /api/v1/analytics/time-tracking",
         customReport: "POST /api/v1/analytics/reports/custom",
       },
@@ -127,6 +229,17 @@ router.get("/", (req, res) => {
         alerts: "GET /api/v1/monitoring/alerts (Admin)",
         logs: "GET /api/v1/monitoring/logs (Admin)",
       },
+      trash: {
+        list: "GET /api/v1/trash/:type (Admin; projects, tasks or messages)",
+        restore: "POST /api/v1/trash/:type/:id/restore (Admin)",
+      },
+      scim: {
+        serviceProviderConfig: "GET /scim/v2/ServiceProviderConfig",
+        users:
+          "GET/POST /scim/v2/Users, GET/PUT/PATCH/DELETE /scim/v2/Users/:id",
+        groups:
+          "GET/POST /scim/v2/Groups, GET/PUT/PATCH/DELETE /scim/v2/Groups/:id",
+      },
       health: "/health",
     },
     roles: ["ADMIN", "TEAM_LEAD", "EMPLOYEE"],
@@ -26,7 +26,7 @@ router.use(authenticateToken);
  /**
  * @route   POST /api/messages
  * @desc    Send a message to project chat
- * @access  Project members, Creator, Admin
+ * @access  Project members (except viewers), Creator, Admin
  */
 router.post(
   "/",
@@ -59,7 +59,7 @@ router.put(
 /**
  * @route   DELETE /api/messages/:id
  * @desc    Delete a message
- * @access  Message sender, Project Creator, Admin
+ * @access  Message sender, Project Owner, Project Maintainer, Admin
  */
 router.delete(
   "/:id",
@@ -2,11 +2,15 @@
 const express = require("express");
 const { systemMetrics } = require("../utils/monitoring");
 const { sendSuccess, sendError } = require("../utils/helpers");
-const { authenticateToken, adminOnly } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
 const logger = require("../utils/logger");
 
 const router = express.Router();
 
+// Monitoring data and test alerts are limited by permission
+const canView = requirePermission("monitoring.view");
+const canManage = requirePermission("monitoring.manage");
+
 /**
  * @route   GET /api/v1/monitoring/health
  * @desc    Basic health check endpoint
@@ -44,12 +48,12 @@ router.get("/health", async (req, res) => {
 /**
  * @route   GET /api/v1/monitoring/health/detailed
  * @desc    Detailed health check with all metrics
- * @access  Private (Admin only)
+ * @access  Private (monitoring.view permission)
  */
 router.get(
   "/health/detailed",
   authenticateToken,
-  adminOnly,
+  canView,
   async (req, res) => {
     try {
       const metrics = await systemMetrics.getAllMetrics();
@@ -68,9 +72,9 @@ router.get(
 /**
  * @route   GET /api/v1/monitoring/metrics
  * @desc    System metrics endpoint
- * @access  Private (Admin only)
+ * @access  Private (monitoring.view permission)
  */
-router.get("/metrics", authenticateToken, adminOnly, async (req, res) => {
+router.get("/metrics", authenticateToken, canView, async (req, res) => {
   try {
     const { type } = req.query;
     let metrics;
@@ -138,9 +142,9 @@ router.get("/status", async (req, res) => {
 /**
  * @route   GET /api/v1/monitoring/logs
  * @desc    Recent logs endpoint
- * @access  Private (Admin only)
+ * @access  Private (monitoring.view permission)
  */
-router.get("/logs", authenticateToken, adminOnly, async (req, res) => {
+router.get("/logs", authenticateToken, canView, async (req, res) => {
   try {
     const { level = "info", limit = 100, type } = req.query;
 
@@ -158,9 +162,9 @@ router.get("/logs", authenticateToken, adminOnly, async (req, res) => {
 /**
  * @route   POST /api/v1/monitoring/alerts/test
  * @desc    Test alert system
- * @access  Private (Admin only)
+ * @access  Private (monitoring.manage permission)
  */
-router.post("/alerts/test", authenticateToken, adminOnly, async (req, res) => {
+router.post("/alerts/test", authenticateToken, canManage, async (req, res) => {
   try {
     const { type = "test", message = "Test alert" } = req.body;
 
@@ -191,9 +195,9 @@ router.post("/alerts/test", authenticateToken, adminOnly, async (req, res) => {
 /**
  * @route   GET /api/v1/monitoring/performance
  * @desc    Performance metrics and analysis
- * @access  Private (Admin only)
+ * @access  Private (monitoring.view permission)
  */
-router.get("/performance", authenticateToken, adminOnly, async (req, res) => {
+router.get("/performance", authenticateToken, canView, async (req, res) => {
   try {
     const { timeframe = "1h" } = req.query;
 
@@ -221,9 +225,9 @@ router.get("/performance", authenticateToken, adminOnly, async (req, res) => {
 /**
  * @route   GET /api/v1/monitoring/dashboard
  * @desc    Monitoring dashboard data
- * @access  Private (Admin only)
+ * @access  Private (monitoring.view permission)
  */
-router.get("/dashboard", authenticateToken, adminOnly, async (req, res) => {
+router.get("/dashboard", authenticateToken, canView, async (req, res) => {
   try {
     const [health, metrics] = await Promise.all([
       systemMetrics.getHealthStatus(),
@@ -0,0 +1,101 @@
+const express = require("express");
+const {
+  getOrganizations,
+  createOrganization,
+  getCurrentOrganization,
+  updateCurrentOrganization,
+  getOrganizationMembers,
+  addOrganizationMember,
+  removeOrganizationMember,
+  getProvisioningTokens,
+  createProvisioningToken,
+  revokeProvisioningToken,
+} = require("../controllers/organization.controller");
+const {
+  createOrganization: createOrganizationSchema,
+  updateOrganization: updateOrganizationSchema,
+  addMember: addMemberSchema,
+  removeMember: removeMemberSchema,
+  createProvisioningToken: createProvisioningTokenSchema,
+  revokeProvisioningToken: revokeProvisioningTokenSchema,
+} = require("../validations/organization.validation");
+const {
+  authenticateToken,
+  validateRequest,
+  requirePermission,
+  blockImpersonation,
+} = require("../middleware/auth");
+const { asyncHandler } = require("../utils/helpers");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// List own organizations (flags the one the session acts in)
+router.get("/", asyncHandler(getOrganizations));
+
+// Create organization
+router.post(
+  "/",
+  requirePermission("organization.create"),
+  validateRequest(createOrganizationSchema),
+  asyncHandler(createOrganization)
+);
+
+// Get current organization
+router.get("/current", asyncHandler(getCurrentOrganization));
+
+// Update current organization
+router.put(
+  "/current",
+  requirePermission("organization.manage"),
+  validateRequest(updateOrganizationSchema),
+  asyncHandler(updateCurrentOrganization)
+);
+
+// List members of the current organization
+router.get("/current/members", asyncHandler(getOrganizationMembers));
+
+// Invite an existing user to the current organization
+router.post(
+  "/current/members",
+  requirePermission("organization.manage"),
+  validateRequest(addMemberSchema),
+  asyncHandler(addOrganizationMember)
+);
+
+// Remove a user from the current organization
+router.delete(
+  "/current/members/:userId",
+  requirePermission("organization.manage"),
+  validateRequest(removeMemberSchema, "params"),
+  asyncHandler(removeOrganizationMember)
+);
+
+// List SCIM provisioning tokens of the current organization
+router.get(
+  "/current/provisioning-tokens",
+  requirePermission("organization.manage"),
+  asyncHandler(getProvisioningTokens)
+);
+
+// Create a SCIM provisioning token
+router.post(
+  "/current/provisioning-tokens",
+  requirePermission("organization.manage"),
+  blockImpersonation,
+  validateRequest(createProvisioningTokenSchema),
+  asyncHandler(createProvisioningToken)
+);
+
+// Revoke a SCIM provisioning token
+router.delete(
+  "/current/provisioning-tokens/:tokenId",
+  requirePermission("organization.manage"),
+  blockImpersonation,
+  validateRequest(revokeProvisioningTokenSchema, "params"),
+  asyncHandler(revokeProvisioningToken)
+);
+
+module.exports = router;
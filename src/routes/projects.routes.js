@@ -10,9 +10,25 @@ const {
   updateProject,
   deleteProject,
   addProjectMember,
+  updateProjectMemberRole,
   removeProjectMember,
   getProjectStats,
+  getProjectBudget,
+  archiveProject,
+  unarchiveProject,
+  saveProjectAsTemplate,
+  getProjectTemplates,
+  getProjectTemplate,
+  deleteProjectTemplate,
+  cloneProject,
 } = require("../controllers/project.controller");
+const {
+  getMilestones,
+  createMilestone,
+  updateMilestone,
+  reorderMilestones,
+  deleteMilestone,
+} = require("../controllers/milestone.controller");
 
 // Import middleware
 const {
@@ -20,12 +36,13 @@ const {
   authorize,
   validateRequest,
   adminOnly,
-  teamLeadOrAdmin,
+  requirePermission,
 } = require("../middleware/auth");
 const { asyncHandler } = require("../utils/helpers");
 
 // Import validation schemas
 const projectValidation = require("../validations/project.validation");
+const milestoneValidation = require("../validations/milestone.validation");
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -33,11 +50,11 @@ router.use(authenticateToken);
 /**
  * @route   POST /api/projects
  * @desc    Create a new project
- * @access  Admin, Team Lead
+ * @access  Users with the project.create permission (Admin, Team Lead by default)
  */
 router.post(
   "/",
-  teamLeadOrAdmin,
+  requirePermission("project.create"),
   validateRequest(projectValidation.createProject),
   asyncHandler(createProject)
 );
@@ -53,6 +70,35 @@ router.get(
   asyncHandler(getProjects)
 );
 
+/**
+ * @route   GET /api/projects/templates
+ * @desc    Get the project templates of the organization
+ * @access  All authenticated users
+ */
+router.get("/templates", asyncHandler(getProjectTemplates));
+
+/**
+ * @route   GET /api/projects/templates/:templateId
+ * @desc    Get a project template with its tasks and member roles
+ * @access  All authenticated users
+ */
+router.get(
+  "/templates/:templateId",
+  validateRequest(projectValidation.projectTemplateById, "params"),
+  asyncHandler(getProjectTemplate)
+);
+
+/**
+ * @route   DELETE /api/projects/templates/:templateId
+ * @desc    Delete a project template
+ * @access  Admin, Template creator
+ */
+router.delete(
+  "/templates/:templateId",
+  validateRequest(projectValidation.projectTemplateById, "params"),
+  asyncHandler(deleteProjectTemplate)
+);
+
 /**
  * @route   GET /api/projects/:id
  * @desc    Get project by ID
@@ -67,10 +113,11 @@ router.get(
 /**
  * @route   PUT /api/projects/:id
  * @desc    Update project
- * @access  Admin, Project Creator
+ * @access  Admin, Project Owner, Project Maintainer
  */
 router.put(
   "/:id",
+  validateRequest(projectValidation.updateProject, "params"),
   validateRequest(projectValidation.updateProject),
   asyncHandler(updateProject)
 );
@@ -78,7 +125,7 @@ router.put(
 /**
  * @route   DELETE /api/projects/:id
  * @desc    Delete project
- * @access  Admin, Project Creator
+ * @access  Admin, Project Owner
  */
 router.delete(
   "/:id",
@@ -88,19 +135,32 @@ router.delete(
 
 /**
  * @route   POST /api/projects/:id/members
- * @desc    Add member to project
- * @access  Admin, Project Creator, Team Lead (project member)
+ * @desc    Add members to project with a project role
+ * @access  Admin, Project Owner
  */
 router.post(
   "/:id/members",
+  validateRequest(projectValidation.addProjectMember, "params"),
   validateRequest(projectValidation.addProjectMember),
   asyncHandler(addProjectMember)
 );
 
+/**
+ * @route   PATCH /api/projects/:id/members/:userId
+ * @desc    Change a member's project role or hourly rates
+ * @access  Admin, Project Owner
+ */
+router.patch(
+  "/:id/members/:userId",
+  validateRequest(projectValidation.updateProjectMemberRole, "params"),
+  validateRequest(projectValidation.updateProjectMemberRole),
+  asyncHandler(updateProjectMemberRole)
+);
+
 /**
  * @route   DELETE /api/projects/:id/members/:userId
  * @desc    Remove member from project
- * @access  Admin, Project Creator
+ * @access  Admin, Project Owner
  */
 router.delete(
   "/:id/members/:userId",
@@ -119,4 +179,120 @@ router.get(
   asyncHandler(getProjectStats)
 );
 
+/**
+ * @route   GET /api/projects/:id/budget
+ * @desc    Get budget consumed, remaining and forecast burn date
+ * @access  Admin, Project Owner, Project Maintainer
+ */
+router.get(
+  "/:id/budget",
+  validateRequest(projectValidation.getProjectBudget, "params"),
+  asyncHandler(getProjectBudget)
+);
+
+/**
+ * @route   GET /api/projects/:id/milestones
+ * @desc    Get project milestones with their progress
+ * @access  Project members, Creator, Admin
+ */
+router.get(
+  "/:id/milestones",
+  validateRequest(milestoneValidation.getMilestones, "params"),
+  asyncHandler(getMilestones)
+);
+
+/**
+ * @route   POST /api/projects/:id/milestones
+ * @desc    Add a milestone to a project
+ * @access  Admin, Project Owner, Project Maintainer
+ */
+router.post(
+  "/:id/milestones",
+  validateRequest(milestoneValidation.createMilestone, "params"),
+  validateRequest(milestoneValidation.createMilestone),
+  asyncHandler(createMilestone)
+);
+
+/**
+ * @route   PUT /api/projects/:id/milestones/order
+ * @desc    Change the order of project milestones
+ * @access  Admin, Project Owner, Project Maintainer
+ */
+router.put(
+  "/:id/milestones/order",
+  validateRequest(milestoneValidation.reorderMilestones, "params"),
+  validateRequest(milestoneValidation.reorderMilestones),
+  asyncHandler(reorderMilestones)
+);
+
+/**
+ * @route   PUT /api/projects/:id/milestones/:milestoneId
+ * @desc    Update a milestone
+ * @access  Admin, Project Owner, Project Maintainer
+ */
+router.put(
+  "/:id/milestones/:milestoneId",
+  validateRequest(milestoneValidation.updateMilestone, "params"),
+  validateRequest(milestoneValidation.updateMilestone),
+  asyncHandler(updateMilestone)
+);
+
+/**
+ * @route   DELETE /api/projects/:id/milestones/:milestoneId
+ * @desc    Delete a milestone, keeping its tasks
+ * @access  Admin, Project Owner, Project Maintainer
+ */
+router.delete(
+  "/:id/milestones/:milestoneId",
+  validateRequest(milestoneValidation.deleteMilestone, "params"),
+  asyncHandler(deleteMilestone)
+);
+
+/**
+ * @route   POST /api/projects/:id/archive
+ * @desc    Archive a project, making it read-only
+ * @access  Admin, Project Owner, Project Maintainer
+ */
+router.post(
+  "/:id/archive",
+  validateRequest(projectValidation.archiveProject, "params"),
+  asyncHandler(archiveProject)
+);
+
+/**
+ * @route   POST /api/projects/:id/unarchive
+ * @desc    Unarchive a project, restoring write access
+ * @access  Admin, Project Owner, Project Maintainer
+ */
+router.post(
+  "/:id/unarchive",
+  validateRequest(projectValidation.archiveProject, "params"),
+  asyncHandler(unarchiveProject)
+);
+
+/**
+ * @route   POST /api/projects/:id/template
+ * @desc    Save a project as a template
+ * @access  Admin, Project Owner, Project Maintainer
+ */
+router.post(
+  "/:id/template",
+  validateRequest(projectValidation.saveProjectAsTemplate, "params"),
+  validateRequest(projectValidation.saveProjectAsTemplate),
+  asyncHandler(saveProjectAsTemplate)
+);
+
+/**
+ * @route   POST /api/projects/:id/clone
+ * @desc    Copy a project with its tasks and optionally its members and files
+ * @access  Users with the project.create permission who can access the project
+ */
+router.post(
+  "/:id/clone",
+  requirePermission("project.create"),
+  validateRequest(projectValidation.cloneProject, "params"),
+  validateRequest(projectValidation.cloneProject),
+  asyncHandler(cloneProject)
+);
+
 module.exports = router;
@@ -5,8 +5,9 @@
 
 const express = require("express");
 const router = express.Router();
-const { authenticateToken } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
 const { notificationService } = require("../utils/realtime");
+const { canViewUser, filterVisibleUserIds } = require("../utils/auth");
 
 /**
  * GET /api/v1/realtime/status
@@ -71,36 +72,51 @@ router.get("/users/online", authenticateToken, (req, res) => {
  * GET /api/v1/realtime/projects/:projectId/users
  * Get users currently in a project room
  */
-router.get("/projects/:projectId/users", authenticateToken, (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const projectUsers = notificationService.getProjectUsers(projectId);
-
-    res.json({
-      success: true,
-      data: {
-        projectId,
-        users: projectUsers,
-        count: projectUsers.length,
-        timestamp: new Date().toISOString(),
-      },
-    });
-  } catch (error) {
-    console.error("❌ Error getting project users:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get project users",
-    });
+router.get(
+  "/projects/:projectId/users",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const projectUsers = await filterVisibleUserIds(
+        req.user,
+        notificationService.getProjectUsers(projectId)
+      );
+
+      res.json({
+        success: true,
+        data: {
+          projectId,
+          users: projectUsers,
+          count: projectUsers.length,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error getting project users:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get project users",
+      });
+    }
   }
-});
+);
 
 /**
  * GET /api/v1/realtime/users/:userId/status
- * Check if a specific user is online
+ * Check if a specific user is online (respects the user's accessToOthers setting)
  */
-router.get("/users/:userId/status", authenticateToken, (req, res) => {
+router.get("/users/:userId/status", authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
+
+    if (!(await canViewUser(req.user, userId))) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
     const isOnline = notificationService.isUserOnline(userId);
 
     res.json({
@@ -122,52 +138,49 @@ router.get("/users/:userId/status", authenticateToken, (req, res) => {
 
 /**
  * POST /api/v1/realtime/notifications/broadcast
- * Send system-wide announcement (Admin only)
+ * Send system-wide announcement (notification.broadcast permission)
  */
-router.post("/notifications/broadcast", authenticateToken, (req, res) => {
-  try {
-    // Check if user is admin
-    if (req.user.role !== "ADMIN") {
-      return res.status(403).json({
-        success: false,
-        message: "Only administrators can send system broadcasts",
+router.post(
+  "/notifications/broadcast",
+  authenticateToken,
+  requirePermission("notification.broadcast"),
+  (req, res) => {
+    try {
+      const { message, type = "info", data = {} } = req.body;
+
+      if (!message) {
+        return res.status(400).json({
+          success: false,
+          message: "Broadcast message is required",
+        });
+      }
+
+      // Send system announcement
+      const { systemNotifications } = require("../utils/realtime");
+      systemNotifications.announcement(message, { type, ...data });
+
+      res.json({
+        success: true,
+        message: "System announcement sent successfully",
+        data: {
+          message,
+          type,
+          sentAt: new Date().toISOString(),
+          sentBy: {
+            id: req.user.userId,
+            username: req.user.username,
+          },
+        },
       });
-    }
-
-    const { message, type = "info", data = {} } = req.body;
-
-    if (!message) {
-      return res.status(400).json({
+    } catch (error) {
+      console.error("❌ Error sending broadcast:", error);
+      res.status(500).json({
         success: false,
-        message: "Broadcast message is required",
+        message: "Failed to send system broadcast",
       });
     }
-
-    // Send system announcement
-    const { systemNotifications } = require("../utils/realtime");
-    systemNotifications.announcement(message, { type, ...data });
-
-    res.json({
-      success: true,
-      message: "System announcement sent successfully",
-      data: {
-        message,
-        type,
-        sentAt: new Date().toISOString(),
-        sentBy: {
-          id: req.user.userId,
-          username: req.user.username,
-        },
-      },
-    });
-  } catch (error) {
-    console.error("❌ Error sending broadcast:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to send system broadcast",
-    });
   }
-});
+);
 
 /**
  * GET /api/v1/realtime/health
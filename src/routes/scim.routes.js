@@ -0,0 +1,84 @@
+const express = require("express");
+const {
+  getServiceProviderConfig,
+  getScimUsers,
+  getScimUser,
+  createScimUser,
+  replaceScimUser,
+  patchScimUser,
+  deleteScimUser,
+  getScimGroups,
+  getScimGroup,
+  createScimGroup,
+  replaceScimGroup,
+  patchScimGroup,
+  deleteScimGroup,
+} = require("../controllers/scim.controller");
+const { authenticateProvisioningToken } = require("../middleware/auth");
+const { asyncHandler } = require("../utils/helpers");
+const { sendScimError } = require("../utils/scim");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// SCIM clients send application/scim+json bodies
+router.use(
+  express.json({ type: ["application/json", "application/scim+json"] })
+);
+
+// All routes require a provisioning token of an organization
+router.use(authenticateProvisioningToken);
+
+// Supported SCIM features
+router.get("/ServiceProviderConfig", getServiceProviderConfig);
+
+// Users
+router.get("/Users", asyncHandler(getScimUsers));
+router.post("/Users", asyncHandler(createScimUser));
+router.get("/Users/:id", asyncHandler(getScimUser));
+router.put("/Users/:id", asyncHandler(replaceScimUser));
+router.patch("/Users/:id", asyncHandler(patchScimUser));
+router.delete("/Users/:id", asyncHandler(deleteScimUser));
+
+// Groups (roles and teams)
+router.get("/Groups", asyncHandler(getScimGroups));
+router.post("/Groups", asyncHandler(createScimGroup));
+router.get("/Groups/:id", asyncHandler(getScimGroup));
+router.put("/Groups/:id", asyncHandler(replaceScimGroup));
+router.patch("/Groups/:id", asyncHandler(patchScimGroup));
+router.delete("/Groups/:id", asyncHandler(deleteScimGroup));
+
+// Unknown SCIM endpoints
+router.use((req, res) => {
+  sendScimError(res, `Endpoint ${req.method} ${req.path} not found`, 404);
+});
+
+// Errors are answered in the SCIM error format
+router.use((err, req, res, _next) => {
+  // Unique constraint race between the checks and the write
+  if (err.code === "P2002") {
+    return sendScimError(res, "Resource already exists", 409, "uniqueness");
+  }
+
+  // Malformed JSON body
+  if (err.type === "entity.parse.failed") {
+    return sendScimError(res, "Invalid JSON body", 400, "invalidSyntax");
+  }
+
+  if (!err.scimType) {
+    logger.error("SCIM request failed", {
+      error: err.message,
+      stack: err.stack,
+      organizationId: req.organization?.id,
+      method: req.method,
+      url: req.url,
+      requestId: req.requestId,
+    });
+
+    return sendScimError(res, "Internal server error", 500);
+  }
+
+  sendScimError(res, err.message, err.status, err.scimType);
+});
+
+module.exports = router;
@@ -19,7 +19,6 @@ const {
   authorize,
   validateRequest,
   adminOnly,
-  teamLeadOrAdmin,
 } = require("../middleware/auth");
 const { asyncHandler } = require("../utils/helpers");
 
@@ -32,11 +31,10 @@ router.use(asyncHandler(authenticateToken));
 /**
  * @route   POST /api/tasks
  * @desc    Create a new task
- * @access  Admin, Team Lead, Project Creator
+ * @access  Admin, Project Owner, Project Maintainer
  */
 router.post(
   "/",
-  teamLeadOrAdmin,
   validateRequest(taskValidation.createTask),
   asyncHandler(createTask)
 );
@@ -50,7 +48,7 @@ router.post(
  */
 router.get(
   "/",
-  validateRequest(taskValidation.getTasks),
+  validateRequest(taskValidation.getTasks, "query"),
   asyncHandler(getTasks)
 );
 
@@ -79,7 +77,7 @@ router.get(
 /**
  * @route   PUT /api/tasks/:id
  * @desc    Update task
- * @access  Admin, Project Creator, Team Lead, Task Assignee (limited)
+ * @access  Admin, Project Owner, Project Maintainer, Task Assignee (limited)
  */
 router.put(
   "/:id",
@@ -90,7 +88,7 @@ router.put(
 /**
  * @route   DELETE /api/tasks/:id
  * @desc    Delete task
- * @access  Admin, Project Creator, Task Creator
+ * @access  Admin, Project Owner, Project Maintainer, Task Creator
  */
 router.delete(
   "/:id",
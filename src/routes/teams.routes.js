@@ -0,0 +1,85 @@
+const express = require("express");
+const {
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMembers,
+  removeTeamMember,
+  assignTeamToProjects,
+} = require("../controllers/team.controller");
+const teamValidation = require("../validations/team.validation");
+const {
+  authenticateToken,
+  validateRequest,
+  requirePermission,
+} = require("../middleware/auth");
+const { asyncHandler } = require("../utils/helpers");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// List teams
+router.get("/", asyncHandler(getTeams));
+
+// Create team
+router.post(
+  "/",
+  requirePermission("team.manage"),
+  validateRequest(teamValidation.createTeam),
+  asyncHandler(createTeam)
+);
+
+// Get team with its members
+router.get(
+  "/:id",
+  validateRequest(teamValidation.teamById, "params"),
+  asyncHandler(getTeam)
+);
+
+// Update team
+router.put(
+  "/:id",
+  requirePermission("team.manage"),
+  validateRequest(teamValidation.updateTeam, "params"),
+  validateRequest(teamValidation.updateTeam),
+  asyncHandler(updateTeam)
+);
+
+// Delete team
+router.delete(
+  "/:id",
+  requirePermission("team.manage"),
+  validateRequest(teamValidation.teamById, "params"),
+  asyncHandler(deleteTeam)
+);
+
+// Add members or leads to a team
+router.post(
+  "/:id/members",
+  requirePermission("team.manage"),
+  validateRequest(teamValidation.addTeamMembers, "params"),
+  validateRequest(teamValidation.addTeamMembers),
+  asyncHandler(addTeamMembers)
+);
+
+// Remove a member from a team
+router.delete(
+  "/:id/members/:userId",
+  requirePermission("team.manage"),
+  validateRequest(teamValidation.removeTeamMember, "params"),
+  asyncHandler(removeTeamMember)
+);
+
+// Add all team members to projects (requires managing members of each project)
+router.post(
+  "/:id/projects",
+  validateRequest(teamValidation.assignTeamToProjects, "params"),
+  validateRequest(teamValidation.assignTeamToProjects),
+  asyncHandler(assignTeamToProjects)
+);
+
+module.exports = router;
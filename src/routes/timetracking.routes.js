@@ -24,7 +24,6 @@ const {
   authorize,
   validateRequest,
   adminOnly,
-  teamLeadOrAdmin,
 } = require("../middleware/auth");
 const { asyncHandler } = require("../utils/helpers");
 
@@ -61,7 +60,6 @@ router.post(
 );
 router.post(
   "/entries/:id/approve",
-  teamLeadOrAdmin,
   validateRequest(timetrackingValidation.approveTimeEntry),
   asyncHandler(approveTimeEntryController)
 );
@@ -0,0 +1,48 @@
+// Routes for trash endpoints
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  getTrash,
+  restoreTrashItem,
+} = require("../controllers/trash.controller");
+
+// Import middleware
+const {
+  authenticateToken,
+  validateRequest,
+  requirePermission,
+} = require("../middleware/auth");
+const { asyncHandler } = require("../utils/helpers");
+
+// Import validation schemas
+const trashValidation = require("../validations/trash.validation");
+
+// All routes require the trash.manage permission
+router.use(authenticateToken);
+router.use(requirePermission("trash.manage"));
+
+/**
+ * @route   GET /api/trash/:type
+ * @desc    List trashed projects, tasks or messages with their purge date
+ * @access  Private (trash.manage permission)
+ */
+router.get(
+  "/:type",
+  validateRequest(trashValidation.getTrash, "params"),
+  asyncHandler(getTrash)
+);
+
+/**
+ * @route   POST /api/trash/:type/:id/restore
+ * @desc    Restore a trashed project, task or message
+ * @access  Private (trash.manage permission)
+ */
+router.post(
+  "/:type/:id/restore",
+  validateRequest(trashValidation.restoreTrashItem, "params"),
+  asyncHandler(restoreTrashItem)
+);
+
+module.exports = router;
@@ -2,30 +2,60 @@ const express = require("express");
 const {
   updateProfile,
   createUser,
+  importUsers,
+  exportUsers,
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
   updateUser,
   deleteUser,
   getUsersByRole,
   getUserStats,
   toggleUserStatus,
+  offboardUser,
+  unlockUser,
+  impersonateUser,
+  eraseUser,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  getPersonalAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken,
 } = require("../controllers/user.controller");
 const {
   updateProfileSchema,
   adminUpdateUserSchema,
   idParamSchema,
-  registerSchema,
+  createUserSchema,
+  importUsersSchema,
+  createInvitationSchema,
+  invitationIdParamSchema,
   userStatusSchema,
+  offboardUserSchema,
+  eraseUserSchema,
+  impersonateUserSchema,
+  exportIdParamSchema,
+  createPersonalAccessTokenSchema,
+  tokenIdParamSchema,
 } = require("../utils/validation");
 const {
+  authenticate,
   authenticateToken,
   validateRequest,
-  adminOnly,
-  teamLeadOrAdmin,
+  requirePermission,
+  blockImpersonation,
   checkResourceAccess,
 } = require("../middleware/auth");
+const { uploadCsv } = require("../middleware/upload");
 const { asyncHandler } = require("../utils/helpers");
 
 const router = express.Router();
 
+// Token management only accepts session tokens, never personal access tokens
+const authenticateSession = authenticate({ allowPersonalAccessToken: false });
+
 // Update own profile
 router.put(
   "/profile",
@@ -34,22 +64,123 @@ router.put(
   asyncHandler(updateProfile)
 );
 
+// List own personal access tokens
+router.get(
+  "/me/tokens",
+  authenticateSession,
+  asyncHandler(getPersonalAccessTokens)
+);
+
+// Create personal access token
+router.post(
+  "/me/tokens",
+  authenticateSession,
+  blockImpersonation,
+  validateRequest(createPersonalAccessTokenSchema),
+  asyncHandler(createPersonalAccessToken)
+);
+
+// Revoke personal access token
+router.delete(
+  "/me/tokens/:tokenId",
+  authenticateSession,
+  blockImpersonation,
+  validateRequest(tokenIdParamSchema, "params"),
+  asyncHandler(revokePersonalAccessToken)
+);
+
+// List own personal data exports
+router.get(
+  "/me/exports",
+  authenticateToken,
+  blockImpersonation,
+  asyncHandler(getDataExports)
+);
+
+// Export own personal data
+router.post(
+  "/me/exports",
+  authenticateToken,
+  blockImpersonation,
+  asyncHandler(requestDataExport)
+);
+
+// Download a personal data export (the signed link replaces authentication)
+router.get(
+  "/exports/:exportId/download",
+  validateRequest(exportIdParamSchema, "params"),
+  asyncHandler(downloadDataExport)
+);
+
 // Admin: Create new user
 router.post(
   "/",
   authenticateToken,
-  adminOnly,
-  validateRequest(registerSchema),
+  requirePermission("user.create"),
+  validateRequest(createUserSchema),
   asyncHandler(createUser)
 );
 
+// Admin: Import users from a CSV file
+router.post(
+  "/import",
+  authenticateToken,
+  requirePermission("user.create"),
+  uploadCsv("file"),
+  validateRequest(importUsersSchema),
+  asyncHandler(importUsers)
+);
+
+// Admin/Team Lead: Export users as CSV
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("user.list"),
+  asyncHandler(exportUsers)
+);
+
+// Admin: List invitations
+router.get(
+  "/invitations",
+  authenticateToken,
+  requirePermission("user.invite"),
+  asyncHandler(getInvitations)
+);
+
+// Admin: Invite a new user by email
+router.post(
+  "/invitations",
+  authenticateToken,
+  requirePermission("user.invite"),
+  validateRequest(createInvitationSchema),
+  asyncHandler(createInvitation)
+);
+
+// Admin: Resend invitation
+router.post(
+  "/invitations/:invitationId/resend",
+  authenticateToken,
+  validateRequest(invitationIdParamSchema, "params"),
+  requirePermission("user.invite"),
+  asyncHandler(resendInvitation)
+);
+
+// Admin: Revoke invitation
+router.delete(
+  "/invitations/:invitationId",
+  authenticateToken,
+  validateRequest(invitationIdParamSchema, "params"),
+  requirePermission("user.invite"),
+  asyncHandler(revokeInvitation)
+);
+
 // Admin: Update any user / Team Lead: Update employees only
 router.put(
   "/:id",
   authenticateToken,
   validateRequest(idParamSchema, "params"),
   validateRequest(adminUpdateUserSchema),
-  teamLeadOrAdmin,
+  requirePermission("user.update"),
   asyncHandler(updateUser)
 );
 
@@ -58,7 +189,7 @@ router.delete(
   "/:id",
   authenticateToken,
   validateRequest(idParamSchema, "params"),
-  adminOnly,
+  requirePermission("user.delete"),
   asyncHandler(deleteUser)
 );
 
@@ -66,12 +197,17 @@ router.delete(
 router.get(
   "/role/:role",
   authenticateToken,
-  teamLeadOrAdmin,
+  requirePermission("user.list"),
   asyncHandler(getUsersByRole)
 );
 
 // Get user statistics (Admin only)
-router.get("/stats", authenticateToken, adminOnly, asyncHandler(getUserStats));
+router.get(
+  "/stats",
+  authenticateToken,
+  requirePermission("user.stats"),
+  asyncHandler(getUserStats)
+);
 
 // Activate/Deactivate user (Admin only)
 router.patch(
@@ -79,8 +215,67 @@ router.patch(
   authenticateToken,
   validateRequest(idParamSchema, "params"),
   validateRequest(userStatusSchema),
-  adminOnly,
+  requirePermission("user.status"),
   asyncHandler(toggleUserStatus)
 );
 
+// Offboard user and transfer their work to a successor (Admin only)
+router.post(
+  "/:id/offboard",
+  authenticateToken,
+  validateRequest(idParamSchema, "params"),
+  validateRequest(offboardUserSchema),
+  requirePermission("user.offboard"),
+  asyncHandler(offboardUser)
+);
+
+// Unlock account locked after failed logins (Admin only)
+router.post(
+  "/:id/unlock",
+  authenticateToken,
+  validateRequest(idParamSchema, "params"),
+  requirePermission("user.unlock"),
+  asyncHandler(unlockUser)
+);
+
+// Anonymize a user on a right-to-erasure request (Admin only)
+router.post(
+  "/:id/erase",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(idParamSchema, "params"),
+  validateRequest(eraseUserSchema),
+  requirePermission("user.erase"),
+  asyncHandler(eraseUser)
+);
+
+// List personal data exports of a user (Admin only)
+router.get(
+  "/:id/exports",
+  authenticateToken,
+  validateRequest(idParamSchema, "params"),
+  requirePermission("user.export"),
+  asyncHandler(getDataExports)
+);
+
+// Export the personal data of a user (Admin only)
+router.post(
+  "/:id/exports",
+  authenticateToken,
+  validateRequest(idParamSchema, "params"),
+  requirePermission("user.export"),
+  asyncHandler(requestDataExport)
+);
+
+// Start impersonating a user for support purposes (Admin only)
+router.post(
+  "/:id/impersonate",
+  authenticateSession,
+  blockImpersonation,
+  validateRequest(idParamSchema, "params"),
+  validateRequest(impersonateUserSchema),
+  requirePermission("user.impersonate"),
+  asyncHandler(impersonateUser)
+);
+
 module.exports = router;
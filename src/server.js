@@ -183,6 +183,9 @@ app.get("/health", async (req, res) => {
 // API routes
 app.use("/api/v1", require("./routes"));
 
+// SCIM 2.0 provisioning for identity providers (provisioning token auth)
+app.use("/scim/v2", require("./routes/scim.routes"));
+
 // Error tracking middleware (should be after routes)
 app.use(errorTrackingMiddleware);
 
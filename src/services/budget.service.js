@@ -0,0 +1,263 @@
+/**
+ * Budget Service
+ * Turns approved time into project spend using hourly rates, forecasts when
+ * the budget runs out and alerts project managers at budget thresholds
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const { withTenantScope, withoutTenantScope } = require("../utils/tenant");
+const { budgetNotifications } = require("../utils/realtime");
+const logger = require("../utils/logger");
+
+const prisma = withTenantScope(new PrismaClient());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of recent spend the burn rate is based on
+const BURN_RATE_DAYS = 30;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class BudgetService {
+  // Alert thresholds in percent for projects without their own
+  getDefaultThresholds() {
+    return (process.env.BUDGET_ALERT_THRESHOLDS || "75,90,100")
+      .split(",")
+      .map((threshold) => parseInt(threshold))
+      .filter((threshold) => threshold > 0);
+  }
+
+  // Alert thresholds of a project in ascending order
+  getThresholds(project) {
+    const thresholds = Array.isArray(project.budgetAlertThresholds)
+      ? project.budgetAlertThresholds
+      : this.getDefaultThresholds();
+
+    return [...thresholds].sort((a, b) => a - b);
+  }
+
+  /**
+   * Hourly rates of users in a project. Rates set on the membership win over
+   * the user's own rates.
+   * @param {string} projectId - Project ID
+   * @param {string[]} userIds - Users who logged time
+   * @returns {Map} { costRate, billRate } by user ID, null when not set
+   */
+  async getRates(projectId, userIds) {
+    const [members, users] = await Promise.all([
+      prisma.projectMember.findMany({
+        where: { projectId, userId: { in: userIds } },
+        select: { userId: true, costRate: true, billRate: true },
+      }),
+      // Users who have since left the organization keep their rates
+      withoutTenantScope(() =>
+        prisma.user.findMany({
+          where: { id: { in: userIds } },
+          select: { id: true, costRate: true, billRate: true },
+        })
+      ),
+    ]);
+    const membersByUser = new Map(
+      members.map((member) => [member.userId, member])
+    );
+    const toRate = (rate) => (rate === null ? null : Number(rate));
+
+    return new Map(
+      users.map((user) => {
+        const member = membersByUser.get(user.id);
+
+        return [
+          user.id,
+          {
+            costRate: toRate(member?.costRate ?? user.costRate),
+            billRate: toRate(member?.billRate ?? user.billRate),
+          },
+        ];
+      })
+    );
+  }
+
+  /**
+   * Budget report of a project. Spend is the approved hours of each user
+   * times their current cost rate. The forecast burn date assumes the
+   * project keeps spending at the rate of the last 30 days.
+   * @param {Object} project - Project with its budget and alert settings
+   * @returns {Object} Budget report
+   */
+  async getBudgetReport(project) {
+    const since = new Date(Date.now() - BURN_RATE_DAYS * DAY_MS);
+
+    const [approvedTime, recentTime] = await Promise.all([
+      prisma.timeEntry.groupBy({
+        by: ["userId", "billable"],
+        where: { projectId: project.id, status: "APPROVED" },
+        _sum: { hours: true },
+      }),
+      prisma.timeEntry.groupBy({
+        by: ["userId"],
+        where: {
+          projectId: project.id,
+          status: "APPROVED",
+          date: { gte: since },
+        },
+        _sum: { hours: true },
+      }),
+    ]);
+    const rates = await this.getRates(
+      project.id,
+      approvedTime.map((entry) => entry.userId)
+    );
+
+    let consumed = 0;
+    let billableAmount = 0;
+    let approvedHours = 0;
+    let unratedHours = 0;
+    const byUser = new Map();
+
+    for (const entry of approvedTime) {
+      const hours = Number(entry._sum.hours || 0);
+      const { costRate = null, billRate = null } =
+        rates.get(entry.userId) || {};
+      const userSpend = byUser.get(entry.userId) || {
+        userId: entry.userId,
+        costRate,
+        billRate,
+        approvedHours: 0,
+        consumed: 0,
+      };
+
+      approvedHours += hours;
+      userSpend.approvedHours += hours;
+      if (costRate === null) {
+        unratedHours += hours;
+      } else {
+        consumed += hours * costRate;
+        userSpend.consumed += hours * costRate;
+      }
+      if (entry.billable && billRate !== null) {
+        billableAmount += hours * billRate;
+      }
+      byUser.set(entry.userId, userSpend);
+    }
+
+    const recentSpend = recentTime.reduce(
+      (sum, entry) =>
+        sum +
+        Number(entry._sum.hours || 0) *
+          (rates.get(entry.userId)?.costRate || 0),
+      0
+    );
+    const dailyBurnRate = recentSpend / BURN_RATE_DAYS;
+
+    const budget = project.budget === null ? null : Number(project.budget);
+    const remaining = budget === null ? null : budget - consumed;
+
+    return {
+      budget,
+      consumed: roundAmount(consumed),
+      remaining: remaining === null ? null : roundAmount(remaining),
+      consumedPercentage: budget
+        ? roundAmount((consumed / budget) * 100)
+        : null,
+      billableAmount: roundAmount(billableAmount),
+      approvedHours: roundAmount(approvedHours),
+      unratedHours: roundAmount(unratedHours),
+      dailyBurnRate: roundAmount(dailyBurnRate),
+      forecastBurnDate:
+        remaining > 0 && dailyBurnRate > 0
+          ? new Date(Date.now() + Math.ceil(remaining / dailyBurnRate) * DAY_MS)
+          : null,
+      alertThresholds: this.getThresholds(project),
+      alertLevel: project.budgetAlertLevel,
+      byUser: [...byUser.values()].map((userSpend) => ({
+        ...userSpend,
+        approvedHours: roundAmount(userSpend.approvedHours),
+        consumed: roundAmount(userSpend.consumed),
+      })),
+    };
+  }
+
+  /**
+   * Alert project managers when spend climbs past a new budget threshold.
+   * The alert level drops again when the budget is raised so later
+   * thresholds alert again.
+   * @param {string} projectId - Project ID
+   */
+  async checkAlerts(projectId) {
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+    });
+
+    if (!project) return;
+
+    const report = project.budget ? await this.getBudgetReport(project) : null;
+    const thresholds = report ? this.getThresholds(project) : [];
+    const alertLevel =
+      thresholds
+        .filter((threshold) => report.consumedPercentage >= threshold)
+        .pop() ?? null;
+
+    if (alertLevel === project.budgetAlertLevel) return;
+
+    // Only one request records a level change, so alerts are sent once
+    const { count } = await prisma.project.updateMany({
+      where: { id: projectId, budgetAlertLevel: project.budgetAlertLevel },
+      data: { budgetAlertLevel: alertLevel },
+    });
+
+    if (
+      count === 0 ||
+      alertLevel === null ||
+      alertLevel < (project.budgetAlertLevel ?? 0)
+    ) {
+      return;
+    }
+
+    const managers = await prisma.projectMember.findMany({
+      where: { projectId, role: { in: ["OWNER", "MAINTAINER"] } },
+      select: { userId: true },
+    });
+    const recipients = [
+      ...new Set([project.createdBy, ...managers.map((m) => m.userId)]),
+    ];
+
+    logger.info("Project budget alert threshold reached", {
+      projectId,
+      threshold: alertLevel,
+      consumedPercentage: report.consumedPercentage,
+    });
+
+    try {
+      budgetNotifications.thresholdReached(
+        project,
+        alertLevel,
+        report,
+        recipients
+      );
+    } catch (notificationError) {
+      logger.error("Budget alert notification error", {
+        projectId,
+        error: notificationError.message,
+      });
+    }
+  }
+
+  /**
+   * Re-check the budget alerts of every project in the current organization a
+   * user logged approved time on, after the user's own rates changed
+   * @param {string} userId - User ID
+   */
+  async checkUserAlerts(userId) {
+    const entries = await prisma.timeEntry.findMany({
+      where: { userId, status: "APPROVED" },
+      distinct: ["projectId"],
+      select: { projectId: true },
+    });
+
+    for (const { projectId } of entries) {
+      await this.checkAlerts(projectId);
+    }
+  }
+}
+
+module.exports = new BudgetService();
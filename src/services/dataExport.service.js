@@ -0,0 +1,365 @@
+/**
+ * Data Export Service
+ * Builds personal data archives in the background for privacy requests
+ * and removes them once their download link has expired
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { once } = require("events");
+const { finished } = require("stream/promises");
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+const { tarEntry, tarEnd } = require("../utils/tar");
+const notificationService = require("./notification.service");
+
+const prisma = new PrismaClient();
+
+class DataExportService {
+  constructor() {
+    this.exportsDir = path.join(__dirname, "../../exports");
+    this.expiresInHours =
+      parseInt(process.env.DATA_EXPORT_EXPIRES_IN_HOURS) || 48;
+    this.staleMinutes = 60; // processing this long means the worker died
+  }
+
+  /**
+   * Queue an export, reusing one that is still being built for the same user
+   * and organization
+   * @param {string} userId - User whose data is exported
+   * @param {string} requestedById - User who asked for the export
+   * @param {string} organizationId - Organization whose data is exported
+   * @returns {Object} The queued data export
+   */
+  async requestExport(userId, requestedById, organizationId) {
+    const existing = await prisma.dataExport.findFirst({
+      where: {
+        userId,
+        organizationId,
+        status: { in: ["PENDING", "PROCESSING"] },
+      },
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const dataExport = await prisma.dataExport.create({
+      data: { userId, requestedById, organizationId },
+    });
+
+    // Build the archive after the response has been sent
+    // (the scheduled task picks up exports that never started)
+    setImmediate(() =>
+      this.processExport(dataExport.id).catch((error) =>
+        logger.error("Personal data export could not be started", {
+          exportId: dataExport.id,
+          error: error.message,
+        })
+      )
+    );
+
+    return dataExport;
+  }
+
+  /**
+   * Build the archive of a queued export
+   * @param {string} exportId - Data export ID
+   */
+  async processExport(exportId) {
+    // Claim the export so concurrent workers never build it twice
+    const staleBefore = new Date(Date.now() - this.staleMinutes * 60 * 1000);
+    const { count } = await prisma.dataExport.updateMany({
+      where: {
+        id: exportId,
+        OR: [
+          { status: "PENDING" },
+          { status: "PROCESSING", updatedAt: { lt: staleBefore } },
+        ],
+      },
+      data: { status: "PROCESSING" },
+    });
+
+    if (count === 0) {
+      return;
+    }
+
+    const dataExport = await prisma.dataExport.findUnique({
+      where: { id: exportId },
+    });
+
+    try {
+      const { data, storedFiles } = await this.collectUserData(
+        dataExport.userId,
+        dataExport.organizationId,
+        { includeIdentities: dataExport.requestedById === dataExport.userId }
+      );
+
+      fs.mkdirSync(this.exportsDir, { recursive: true });
+      const filePath = path.join(this.exportsDir, `${exportId}.tar.gz`);
+      await this.writeArchive(filePath, data, storedFiles);
+      const { size: fileSize } = await fs.promises.stat(filePath);
+
+      const completedAt = new Date();
+      const completedExport = await prisma.dataExport.update({
+        where: { id: exportId },
+        data: {
+          status: "COMPLETED",
+          filePath,
+          fileSize,
+          completedAt,
+          expiresAt: new Date(
+            completedAt.getTime() + this.expiresInHours * 60 * 60 * 1000
+          ),
+        },
+      });
+
+      logger.audit("Personal data export completed", {
+        exportId,
+        userId: dataExport.userId,
+        requestedById: dataExport.requestedById,
+        fileSize,
+      });
+
+      notificationService.notifyUser(
+        dataExport.requestedById,
+        notificationService.TYPES.DATA_EXPORT_READY,
+        {
+          exportId,
+          userId: dataExport.userId,
+          expiresAt: completedExport.expiresAt,
+        }
+      );
+    } catch (error) {
+      logger.error("Personal data export failed", {
+        exportId,
+        userId: dataExport.userId,
+        error: error.message,
+      });
+
+      await prisma.dataExport.update({
+        where: { id: exportId },
+        data: { status: "FAILED", error: error.message },
+      });
+    }
+  }
+
+  /**
+   * Write the archive of an export: data.json plus the user's uploaded files
+   * under files/ (gzipped tar)
+   * @param {string} filePath - Archive path
+   * @param {Object} data - Export bundle
+   * @param {Object[]} storedFiles - { archivePath, path, createdAt } per file
+   */
+  async writeArchive(filePath, data, storedFiles) {
+    const archive = zlib.createGzip();
+    const output = fs.createWriteStream(filePath);
+    archive.pipe(output);
+
+    const write = async (chunk) => {
+      if (!archive.write(chunk)) {
+        await once(archive, "drain");
+      }
+    };
+
+    try {
+      await write(
+        tarEntry("data.json", Buffer.from(JSON.stringify(data, null, 2)))
+      );
+      for (const file of storedFiles) {
+        await write(
+          tarEntry(
+            file.archivePath,
+            await fs.promises.readFile(file.path),
+            file.createdAt
+          )
+        );
+      }
+      archive.end(tarEnd());
+
+      await finished(output);
+    } catch (error) {
+      archive.destroy();
+      output.destroy();
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Gather everything stored about a user in an organization. Accounts can be
+   * shared with other organizations, so their data stays out of the export,
+   * and sign-in identities are only included when users export their own
+   * data. Uploaded files still on disk are listed with the path of their copy
+   * in the archive.
+   * @param {string} userId - User ID
+   * @param {string} organizationId - Organization whose data is exported
+   * @param {Object} options - { includeIdentities }
+   * @returns {Object} { data: export bundle, storedFiles: files to archive }
+   */
+  async collectUserData(
+    userId,
+    organizationId,
+    { includeIdentities = false } = {}
+  ) {
+    const projectScope = { project: { organizationId } };
+
+    const [
+      profile,
+      projectMemberships,
+      createdProjects,
+      createdTasks,
+      assignedTasks,
+      timeEntries,
+      timerSessions,
+      messages,
+      files,
+    ] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          firstName: true,
+          lastName: true,
+          avatar: true,
+          position: true,
+          accessToOthers: true,
+          status: true,
+          emailVerifiedAt: true,
+          twoFactorEnabled: true,
+          twoFactorEnabledAt: true,
+          createdAt: true,
+          updatedAt: true,
+          lastLogin: true,
+          organizationMemberships: {
+            where: { organizationId },
+            select: { organizationId: true, role: true, joinedAt: true },
+          },
+          identities: includeIdentities && {
+            select: {
+              issuer: true,
+              subject: true,
+              lastLoginAt: true,
+              createdAt: true,
+            },
+          },
+        },
+      }),
+      prisma.projectMember.findMany({
+        where: { userId, ...projectScope },
+        include: { project: { select: { id: true, name: true } } },
+      }),
+      prisma.project.findMany({ where: { createdBy: userId, organizationId } }),
+      prisma.task.findMany({ where: { createdBy: userId, ...projectScope } }),
+      prisma.task.findMany({ where: { assigneeId: userId, ...projectScope } }),
+      prisma.timeEntry.findMany({ where: { userId, ...projectScope } }),
+      prisma.timerSession.findMany({ where: { userId, ...projectScope } }),
+      prisma.projectMessage.findMany({
+        where: { sentBy: userId, ...projectScope },
+      }),
+      prisma.fileUpload.findMany({
+        where: { uploadedBy: userId, organizationId },
+        select: {
+          id: true,
+          filename: true,
+          mimeType: true,
+          size: true,
+          url: true,
+          description: true,
+          isPublic: true,
+          category: true,
+          projectId: true,
+          taskId: true,
+          messageId: true,
+          path: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      }),
+    ]);
+
+    // Server paths stay out of the export; files are referenced by their
+    // place in the archive (tar names are limited to 100 bytes)
+    const storedFiles = [];
+    const exportedFiles = files.map(({ path: storedPath, ...file }) => {
+      let archivePath = null;
+
+      if (fs.existsSync(storedPath)) {
+        const safeName = file.filename.replace(/[^\w.-]/g, "_");
+        archivePath = `files/${file.id}-${safeName}`.slice(0, 100);
+        storedFiles.push({
+          archivePath,
+          path: storedPath,
+          createdAt: file.createdAt,
+        });
+      }
+
+      return { ...file, archivePath };
+    });
+
+    return {
+      data: {
+        exportedAt: new Date().toISOString(),
+        profile,
+        projectMemberships,
+        createdProjects,
+        tasks: { created: createdTasks, assigned: assignedTasks },
+        timeEntries,
+        timerSessions,
+        messages,
+        files: exportedFiles,
+      },
+      storedFiles,
+    };
+  }
+
+  /**
+   * Resume exports that were queued or interrupted (e.g. by a restart)
+   * @returns {number} Number of exports picked up
+   */
+  async processPendingExports() {
+    const staleBefore = new Date(Date.now() - this.staleMinutes * 60 * 1000);
+    const pendingExports = await prisma.dataExport.findMany({
+      where: {
+        OR: [
+          { status: "PENDING" },
+          { status: "PROCESSING", updatedAt: { lt: staleBefore } },
+        ],
+      },
+      select: { id: true },
+      orderBy: { createdAt: "asc" },
+    });
+
+    for (const dataExport of pendingExports) {
+      await this.processExport(dataExport.id);
+    }
+
+    return pendingExports.length;
+  }
+
+  /**
+   * Delete archives whose download link has expired
+   * @returns {number} Number of expired exports
+   */
+  async cleanupExpiredExports() {
+    const expiredExports = await prisma.dataExport.findMany({
+      where: { status: "COMPLETED", expiresAt: { lt: new Date() } },
+      select: { id: true, filePath: true },
+    });
+
+    for (const dataExport of expiredExports) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+      await prisma.dataExport.update({
+        where: { id: dataExport.id },
+        data: { status: "EXPIRED", filePath: null },
+      });
+    }
+
+    return expiredExports.length;
+  }
+}
+
+module.exports = new DataExportService();
@@ -0,0 +1,151 @@
+/**
+ * Erasure Service
+ * Anonymizes a user for right-to-erasure requests while keeping the
+ * time and task records that reports are built from
+ */
+
+const fs = require("fs");
+const { PrismaClient } = require("@prisma/client");
+const { hashPassword, generateSecureToken } = require("../utils/auth");
+const { cleanupFile } = require("../middleware/upload");
+
+const prisma = new PrismaClient();
+
+// Content that replaces redacted messages
+const REDACTED_MESSAGE = "[message removed]";
+
+class ErasureService {
+  /**
+   * Tombstone values that replace a user's personal data
+   * @param {string} userId - User ID (keeps the tombstone unique)
+   * @returns {Object} Profile fields
+   */
+  getTombstone(userId) {
+    return {
+      email: `erased-${userId}@erased.invalid`,
+      username: `erased_${userId}`,
+      firstName: "Erased",
+      lastName: "User",
+      avatar: null,
+      position: null,
+    };
+  }
+
+  /**
+   * Anonymize a user: replace their profile with tombstone values, delete
+   * credentials, personal files and exports, and optionally redact messages
+   * @param {Object} user - User to erase
+   * @param {Object} options - { redactMessages }
+   * @returns {Object} Summary of what was erased
+   */
+  async erase(user, { redactMessages = false } = {}) {
+    const now = new Date();
+
+    // Files not attached to any project work (and message attachments when
+    // messages are redacted) belong to the user alone
+    const files = await prisma.fileUpload.findMany({
+      where: {
+        uploadedBy: user.id,
+        OR: [
+          { projectId: null, taskId: null, messageId: null },
+          ...(redactMessages ? [{ messageId: { not: null } }] : []),
+        ],
+      },
+      select: { id: true, path: true },
+    });
+    const dataExports = await prisma.dataExport.findMany({
+      where: { userId: user.id },
+      select: { id: true, filePath: true },
+    });
+
+    // The account can never be signed into again
+    const unusablePassword = await hashPassword(generateSecureToken());
+
+    const summary = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: {
+          ...this.getTombstone(user.id),
+          password: unusablePassword,
+          status: "INACTIVE",
+          accessToOthers: false,
+          emailVerifiedAt: null,
+          emailVerificationSentAt: null,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+          twoFactorEnabledAt: null,
+          lastLogin: null,
+          erasedAt: now,
+        },
+      });
+
+      await tx.refreshToken.deleteMany({ where: { userId: user.id } });
+      await tx.passwordResetToken.deleteMany({ where: { userId: user.id } });
+      await tx.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } });
+      await tx.personalAccessToken.deleteMany({ where: { userId: user.id } });
+      await tx.userIdentity.deleteMany({ where: { userId: user.id } });
+
+      // Failed attempts record the email or username that was typed in
+      await tx.failedLoginAttempt.deleteMany({
+        where: {
+          OR: [
+            { userId: user.id },
+            {
+              identifier: {
+                in: [user.email.toLowerCase(), user.username.toLowerCase()],
+              },
+            },
+          ],
+        },
+      });
+
+      // Invitations addressed to the user still hold their email address
+      await tx.invitation.deleteMany({ where: { email: user.email } });
+
+      await tx.dataExport.deleteMany({ where: { userId: user.id } });
+
+      if (files.length > 0) {
+        await tx.fileUpload.deleteMany({
+          where: { id: { in: files.map((file) => file.id) } },
+        });
+      }
+
+      let redactedMessages = 0;
+      if (redactMessages) {
+        ({ count: redactedMessages } = await tx.projectMessage.updateMany({
+          where: { sentBy: user.id },
+          data: {
+            content: REDACTED_MESSAGE,
+            isFile: false,
+            fileUrl: null,
+          },
+        }));
+      }
+
+      return {
+        erasedAt: now,
+        deletedFiles: files.length,
+        deletedExports: dataExports.length,
+        redactedMessages,
+      };
+    });
+
+    // Remove files from disk only once the records are gone
+    files.forEach((file) => cleanupFile(file.path));
+    await Promise.all(
+      dataExports
+        .filter((dataExport) => dataExport.filePath)
+        .map((dataExport) =>
+          fs.promises.rm(dataExport.filePath, { force: true })
+        )
+    );
+
+    return summary;
+  }
+}
+
+module.exports = new ErasureService();
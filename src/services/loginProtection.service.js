@@ -0,0 +1,213 @@
+/**
+ * Login Protection Service
+ * Persistent brute-force protection: progressive delays and temporary
+ * lockouts per account, and blocking of IP addresses with many failures
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+const { errorTracker } = require("../utils/errorTracking");
+
+const prisma = new PrismaClient();
+
+class LoginProtectionService {
+  constructor() {
+    this.lockoutThreshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10; // failures before lockout
+    this.lockoutMinutes =
+      parseInt(process.env.LOGIN_LOCKOUT_DURATION_MINUTES) || 30;
+    this.freeAttempts = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3; // failures before delays start
+    this.baseDelaySeconds = parseInt(process.env.LOGIN_DELAY_BASE_SECONDS) || 2;
+    this.maxDelaySeconds = parseInt(process.env.LOGIN_DELAY_MAX_SECONDS) || 300;
+    this.ipMaxFailures = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+    this.ipWindowMinutes = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+  }
+
+  /**
+   * Delay required before the next attempt after a number of failures
+   * @param {number} failures - Consecutive failed attempts
+   * @returns {number} Delay in seconds (doubles with every failure)
+   */
+  getDelaySeconds(failures) {
+    if (failures < this.freeAttempts) {
+      return 0;
+    }
+
+    const delay =
+      this.baseDelaySeconds * Math.pow(2, failures - this.freeAttempts);
+    return Math.min(delay, this.maxDelaySeconds);
+  }
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {Object} params - { user, ip } (user may be null for unknown accounts)
+   * @returns {Object} { allowed, reason, retryAfterSeconds }
+   */
+  async checkAttempt({ user, ip }) {
+    const now = Date.now();
+
+    // Too many failures from this IP across all accounts
+    const windowStart = new Date(now - this.ipWindowMinutes * 60 * 1000);
+    const ipFailures = await prisma.failedLoginAttempt.findMany({
+      where: { ipAddress: ip, createdAt: { gte: windowStart } },
+      select: { createdAt: true },
+      orderBy: { createdAt: "asc" },
+    });
+
+    if (ipFailures.length >= this.ipMaxFailures) {
+      const oldest = new Date(ipFailures[0].createdAt).getTime();
+      return {
+        allowed: false,
+        reason: "ip_blocked",
+        retryAfterSeconds: Math.ceil(
+          (oldest + this.ipWindowMinutes * 60 * 1000 - now) / 1000
+        ),
+      };
+    }
+
+    if (!user) {
+      return { allowed: true };
+    }
+
+    // Temporary account lockout
+    if (user.lockedUntil && new Date(user.lockedUntil).getTime() > now) {
+      return {
+        allowed: false,
+        reason: "locked",
+        retryAfterSeconds: Math.ceil(
+          (new Date(user.lockedUntil).getTime() - now) / 1000
+        ),
+      };
+    }
+
+    // Progressive delay between attempts
+    const delaySeconds = this.getDelaySeconds(user.failedLoginAttempts);
+    if (delaySeconds > 0 && user.lastFailedLoginAt) {
+      const nextAttemptAt =
+        new Date(user.lastFailedLoginAt).getTime() + delaySeconds * 1000;
+
+      if (nextAttemptAt > now) {
+        return {
+          allowed: false,
+          reason: "delay",
+          retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000),
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Record a failed login attempt
+   * @param {Object} params - { identifier, user, ip, userAgent }
+   */
+  async recordFailure({ identifier, user, ip, userAgent }) {
+    await prisma.failedLoginAttempt.create({
+      data: {
+        identifier: identifier.toLowerCase(),
+        ipAddress: ip,
+        userId: user?.id || null,
+      },
+    });
+
+    if (user) {
+      // An expired lockout starts a fresh count
+      const lockoutExpired =
+        user.lockedUntil && new Date(user.lockedUntil) <= new Date();
+      const failures = (lockoutExpired ? 0 : user.failedLoginAttempts) + 1;
+      const shouldLock = failures >= this.lockoutThreshold;
+      const lockedUntil = shouldLock
+        ? new Date(Date.now() + this.lockoutMinutes * 60 * 1000)
+        : null;
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          failedLoginAttempts: failures,
+          lastFailedLoginAt: new Date(),
+          lockedUntil,
+        },
+      });
+
+      if (shouldLock) {
+        logger.security("Account locked - Too many failed login attempts", {
+          userId: user.id,
+          failedAttempts: failures,
+          lockedUntil,
+          ip,
+          userAgent,
+        });
+
+        errorTracker.triggerAlert("account_locked", {
+          userId: user.id,
+          email: user.email,
+          failedAttempts: failures,
+          lockedUntil: lockedUntil.toISOString(),
+          ip,
+        });
+      }
+    }
+
+    // Alert once when an IP crosses the threshold
+    const windowStart = new Date(Date.now() - this.ipWindowMinutes * 60 * 1000);
+    const ipFailureCount = await prisma.failedLoginAttempt.count({
+      where: { ipAddress: ip, createdAt: { gte: windowStart } },
+    });
+
+    if (ipFailureCount === this.ipMaxFailures) {
+      logger.security("IP blocked - Too many failed login attempts", {
+        ip,
+        failedAttempts: ipFailureCount,
+        windowMinutes: this.ipWindowMinutes,
+      });
+
+      errorTracker.triggerAlert("brute_force_detected", {
+        ip,
+        failedAttempts: ipFailureCount,
+        windowMinutes: this.ipWindowMinutes,
+        lastIdentifier: identifier,
+      });
+    }
+  }
+
+  /**
+   * Reset the failure counters of an account after a successful login
+   * @param {Object} user - User that logged in
+   */
+  async recordSuccess(user) {
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      await this.unlock(user.id);
+    }
+  }
+
+  /**
+   * Clear lockout and failure counters of an account
+   * @param {string} userId - User ID
+   */
+  async unlock(userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null,
+      },
+    });
+  }
+
+  /**
+   * Delete failed attempts that no longer count towards any limit
+   * @returns {number} Number of deleted records
+   */
+  async cleanupAttempts() {
+    const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000); // keep 24 hours for auditing
+
+    const { count } = await prisma.failedLoginAttempt.deleteMany({
+      where: { createdAt: { lt: cutoff } },
+    });
+
+    return count;
+  }
+}
+
+module.exports = new LoginProtectionService();
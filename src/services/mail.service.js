@@ -0,0 +1,284 @@
+/**
+ * Mail Service
+ * Sends transactional emails through a pluggable transport
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+
+/**
+ * Outbox transport - writes every message to disk instead of sending it.
+ * Intended for local development and manual testing.
+ */
+const createOutboxTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR
+    ? path.resolve(process.env.MAIL_OUTBOX_DIR)
+    : path.join(__dirname, "../../outbox");
+
+  return {
+    name: "outbox",
+    send: async (message) => {
+      if (!fs.existsSync(outboxDir)) {
+        fs.mkdirSync(outboxDir, { recursive: true });
+      }
+
+      const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, "_");
+      const filename = `${Date.now()}_${safeRecipient}.json`;
+      const filePath = path.join(outboxDir, filename);
+
+      fs.writeFileSync(
+        filePath,
+        JSON.stringify(
+          { ...message, createdAt: new Date().toISOString() },
+          null,
+          2
+        )
+      );
+
+      return { messageId: filename, path: filePath };
+    },
+  };
+};
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+const createSmtpTransport = () => {
+  const nodemailer = require("nodemailer");
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    ...(process.env.SMTP_USER && {
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD,
+      },
+    }),
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+class MailService {
+  constructor() {
+    this.transportFactories = new Map([
+      ["outbox", createOutboxTransport],
+      ["smtp", createSmtpTransport],
+    ]);
+    this.transport = null;
+  }
+
+  /**
+   * Register a custom transport
+   * @param {string} name - Transport name (matched against MAIL_TRANSPORT)
+   * @param {Function} factory - Returns an object with an async send(message) method
+   */
+  registerTransport(name, factory) {
+    this.transportFactories.set(name, factory);
+    // Force re-resolution in case the active transport was replaced
+    this.transport = null;
+  }
+
+  /**
+   * Resolve the transport configured through MAIL_TRANSPORT
+   * @returns {Object} Active transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      const name =
+        process.env.MAIL_TRANSPORT ||
+        (process.env.NODE_ENV === "production" ? "smtp" : "outbox");
+      const factory = this.transportFactories.get(name);
+
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+
+      this.transport = factory();
+      logger.info("Mail transport initialized", { transport: name });
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - Message with to, subject, text and optional html
+   * @returns {Object} Transport result
+   */
+  async send({ to, subject, text, html }) {
+    const message = {
+      from: process.env.MAIL_FROM || "Fuchsio <no-reply@fuchsio.local>",
+      to,
+      subject,
+      text,
+      ...(html && { html }),
+    };
+
+    const transport = this.getTransport();
+    const result = await transport.send(message);
+
+    logger.info("Email sent", {
+      transport: transport.name,
+      to,
+      subject,
+      messageId: result?.messageId,
+    });
+
+    return result;
+  }
+
+  /**
+   * Build an absolute link into the frontend application
+   * @param {string} pathname - Frontend path
+   * @param {Object} params - Query string parameters
+   * @returns {string} Absolute URL
+   */
+  buildAppUrl(pathname, params = {}) {
+    const baseUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const url = new URL(pathname, baseUrl);
+    Object.entries(params).forEach(([key, value]) =>
+      url.searchParams.set(key, value)
+    );
+    return url.toString();
+  }
+
+  /**
+   * Send password reset instructions
+   * @param {Object} user - Recipient user
+   * @param {string} token - Plain reset token
+   * @param {number} expiresInMinutes - Token lifetime
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const resetUrl = this.buildAppUrl("/reset-password", { token });
+
+    return this.send({
+      to: user.email,
+      subject: "Reset your Fuchsio password",
+      text: [
+        `Hi ${user.firstName},`,
+        "",
+        "We received a request to reset your Fuchsio password.",
+        `Use the link below within ${expiresInMinutes} minutes to choose a new one:`,
+        "",
+        resetUrl,
+        "",
+        "If you did not request a password reset, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+
+  /**
+   * Send email address verification link
+   * @param {Object} user - Recipient user
+   * @param {string} token - Signed verification token
+   */
+  async sendEmailVerification(user, token) {
+    const verifyUrl = this.buildAppUrl("/verify-email", { token });
+
+    return this.send({
+      to: user.email,
+      subject: "Verify your Fuchsio email address",
+      text: [
+        `Hi ${user.firstName},`,
+        "",
+        "Please confirm that this is your email address by opening the link below:",
+        "",
+        verifyUrl,
+        "",
+        "If you did not create a Fuchsio account, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+
+  /**
+   * Send invitation to join Fuchsio
+   * @param {Object} invitation - Invitation (email, expiresAt)
+   * @param {Object} inviter - User who sent the invitation
+   * @param {string} token - Signed invitation token
+   */
+  async sendInvitation(invitation, inviter, token) {
+    const acceptUrl = this.buildAppUrl("/accept-invitation", { token });
+
+    return this.send({
+      to: invitation.email,
+      subject: `${inviter.firstName} ${inviter.lastName} invited you to Fuchsio`,
+      text: [
+        "Hi,",
+        "",
+        `${inviter.firstName} ${inviter.lastName} invited you to join Fuchsio.`,
+        "Open the link below to choose your username and password:",
+        "",
+        acceptUrl,
+        "",
+        `This invitation expires on ${new Date(invitation.expiresAt).toUTCString()}.`,
+        "If you were not expecting this invitation, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+
+  /**
+   * Send invitation for an existing account to join another organization
+   * @param {Object} invitation - Invitation (email, expiresAt)
+   * @param {Object} inviter - User who sent the invitation
+   * @param {Object} organization - Organization the invitation is for
+   * @param {string} token - Signed invitation token
+   */
+  async sendOrganizationInvitation(invitation, inviter, organization, token) {
+    const acceptUrl = this.buildAppUrl("/accept-invitation", { token });
+
+    return this.send({
+      to: invitation.email,
+      subject: `${inviter.firstName} ${inviter.lastName} invited you to ${organization.name} on Fuchsio`,
+      text: [
+        "Hi,",
+        "",
+        `${inviter.firstName} ${inviter.lastName} invited you to join ${organization.name} on Fuchsio.`,
+        "Open the link below and sign in with your existing account to accept:",
+        "",
+        acceptUrl,
+        "",
+        `This invitation expires on ${new Date(invitation.expiresAt).toUTCString()}.`,
+        "If you were not expecting this invitation, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+
+  /**
+   * Send a link to choose a password for an account created by someone else
+   * @param {Object} user - Recipient user
+   * @param {Object} inviter - User who created the account
+   * @param {string} token - Plain password reset token
+   * @param {Date} expiresAt - Token expiry
+   */
+  async sendAccountInvitation(user, inviter, token, expiresAt) {
+    const setupUrl = this.buildAppUrl("/reset-password", { token });
+
+    return this.send({
+      to: user.email,
+      subject: `${inviter.firstName} ${inviter.lastName} created a Fuchsio account for you`,
+      text: [
+        `Hi ${user.firstName},`,
+        "",
+        `${inviter.firstName} ${inviter.lastName} created a Fuchsio account for you with the username ${user.username}.`,
+        "Open the link below to choose your password:",
+        "",
+        setupUrl,
+        "",
+        `This link expires on ${new Date(expiresAt).toUTCString()}.`,
+        "If you were not expecting this email, you can ignore it.",
+      ].join("\n"),
+    });
+  }
+}
+
+module.exports = new MailService();
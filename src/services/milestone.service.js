@@ -0,0 +1,178 @@
+/**
+ * Milestone Service
+ * Reports the progress of project milestones and marks them reached or missed,
+ * notifying project members in real time
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const { withTenantScope } = require("../utils/tenant");
+const { milestoneNotifications } = require("../utils/realtime");
+const logger = require("../utils/logger");
+
+const prisma = withTenantScope(new PrismaClient());
+
+class MilestoneService {
+  /**
+   * Milestones of a project in order, with their progress
+   * @param {string} projectId - Project ID
+   * @returns {Object[]} Milestones
+   */
+  async getProjectMilestones(projectId) {
+    const milestones = await prisma.milestone.findMany({
+      where: { projectId },
+      orderBy: [{ position: "asc" }, { targetDate: "asc" }],
+    });
+
+    return this.withProgress(milestones);
+  }
+
+  /**
+   * Add task counts, completion percentage and hours logged to milestones.
+   * Cancelled tasks do not count towards completion and rejected time
+   * entries are not counted as logged.
+   * @param {Object[]} milestones - Milestones of one project
+   * @returns {Object[]} Milestones with their progress
+   */
+  async withProgress(milestones) {
+    if (milestones.length === 0) return [];
+
+    const [taskStats, loggedHours] = await Promise.all([
+      prisma.task.groupBy({
+        by: ["milestoneId", "status"],
+        where: {
+          milestoneId: { in: milestones.map((milestone) => milestone.id) },
+          status: { not: "CANCELLED" },
+        },
+        _count: { id: true },
+      }),
+      Promise.all(
+        milestones.map((milestone) =>
+          prisma.timeEntry.aggregate({
+            where: {
+              status: { not: "REJECTED" },
+              task: { milestoneId: milestone.id, deletedAt: null },
+            },
+            _sum: { hours: true },
+          })
+        )
+      ),
+    ]);
+
+    return milestones.map((milestone, index) => {
+      const stats = taskStats.filter(
+        (stat) => stat.milestoneId === milestone.id
+      );
+      const totalTasks = stats.reduce((sum, stat) => sum + stat._count.id, 0);
+      const completedTasks =
+        stats.find((stat) => stat.status === "COMPLETED")?._count.id || 0;
+
+      return {
+        ...milestone,
+        tasks: { total: totalTasks, completed: completedTasks },
+        completionPercentage:
+          totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
+        hoursLogged: Number(loggedHours[index]._sum.hours || 0),
+      };
+    });
+  }
+
+  /**
+   * Mark pending milestones reached once all of their tasks are completed,
+   * and move reached milestones back to pending when they get open tasks again
+   * @param {Array<string|null>} milestoneIds - Milestones whose tasks changed
+   */
+  async refreshStatus(milestoneIds) {
+    for (const milestoneId of new Set(milestoneIds.filter(Boolean))) {
+      const [totalTasks, openTasks] = await Promise.all([
+        prisma.task.count({
+          where: { milestoneId, status: { not: "CANCELLED" } },
+        }),
+        prisma.task.count({
+          where: { milestoneId, status: { notIn: ["COMPLETED", "CANCELLED"] } },
+        }),
+      ]);
+
+      if (totalTasks > 0 && openTasks === 0) {
+        await this.changeStatus(milestoneId, "PENDING", "REACHED");
+      } else if (openTasks > 0) {
+        await this.changeStatus(milestoneId, "REACHED", "PENDING");
+      }
+    }
+  }
+
+  /**
+   * Mark pending milestones of active projects missed once their target date
+   * has passed
+   * @returns {number} Number of milestones marked missed
+   */
+  async markMissed() {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    const milestones = await prisma.milestone.findMany({
+      where: {
+        status: "PENDING",
+        targetDate: { lt: today },
+        project: { archivedAt: null },
+      },
+      select: { id: true },
+    });
+
+    let missedCount = 0;
+    for (const milestone of milestones) {
+      if (await this.changeStatus(milestone.id, "PENDING", "MISSED")) {
+        missedCount++;
+      }
+    }
+
+    return missedCount;
+  }
+
+  /**
+   * Move a milestone from one status to another. Nothing changes when the
+   * milestone has left the expected status in the meantime.
+   * @param {string} milestoneId - Milestone ID
+   * @param {string} fromStatus - Status the milestone has to be in
+   * @param {string} toStatus - New status
+   * @returns {boolean} True if the status was changed
+   */
+  async changeStatus(milestoneId, fromStatus, toStatus) {
+    const { count } = await prisma.milestone.updateMany({
+      where: { id: milestoneId, status: fromStatus },
+      data: {
+        status: toStatus,
+        reachedAt: toStatus === "REACHED" ? new Date() : null,
+      },
+    });
+
+    if (count === 0) return false;
+
+    const milestone = await prisma.milestone.findUnique({
+      where: { id: milestoneId },
+    });
+    this.notifyStatusChange(milestone);
+
+    return true;
+  }
+
+  /**
+   * Tell project members that a milestone was reached or missed
+   * @param {Object} milestone - Milestone with its new status
+   */
+  notifyStatusChange(milestone) {
+    try {
+      if (milestone.status === "REACHED") {
+        milestoneNotifications.reached(milestone);
+      } else if (milestone.status === "MISSED") {
+        milestoneNotifications.missed(milestone);
+      }
+    } catch (notificationError) {
+      logger.error("Milestone notification error", {
+        milestoneId: milestone.id,
+        error: notificationError.message,
+      });
+    }
+  }
+}
+
+module.exports = new MilestoneService();
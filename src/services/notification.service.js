@@ -196,6 +196,11 @@ class NotificationService {
     return this.userSockets.has(userId.toString());
   }
 
+  // Notification types, also reachable from the exported instance
+  get TYPES() {
+    return NotificationService.TYPES;
+  }
+
   // Notification Types Constants
   static get TYPES() {
     return {
@@ -212,6 +217,13 @@ class NotificationService {
       PROJECT_MEMBER_ADDED: "project_member_added",
       PROJECT_MEMBER_REMOVED: "project_member_removed",
 
+      // Milestone notifications
+      MILESTONE_REACHED: "milestone_reached",
+      MILESTONE_MISSED: "milestone_missed",
+
+      // Budget notifications
+      BUDGET_THRESHOLD_REACHED: "budget_threshold_reached",
+
       // Message notifications
       MESSAGE_SENT: "message_sent",
       MESSAGE_UPDATED: "message_updated",
@@ -229,6 +241,7 @@ class NotificationService {
       // System notifications
       USER_PRESENCE: "user_presence",
       SYSTEM_ANNOUNCEMENT: "system_announcement",
+      DATA_EXPORT_READY: "data_export_ready",
     };
   }
 }
@@ -0,0 +1,243 @@
+/**
+ * Offboarding Service
+ * Deactivates a departing user and hands their open work to a successor
+ * while keeping time entries, messages and uploads for reporting
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const { PROJECT_ROLES, isProjectArchived } = require("../utils/auth");
+const { withTenantScope } = require("../utils/tenant");
+
+// Scoped so only the work of the current organization is transferred
+const prisma = withTenantScope(new PrismaClient());
+
+// Task statuses that still need someone to work on them
+const OPEN_TASK_STATUSES = ["TODO", "IN_PROGRESS", "REVIEW"];
+
+// Project roles that come with approving and managing work
+const TRANSFERRED_ROLES = ["OWNER", "MAINTAINER"];
+
+class OffboardingService {
+  /**
+   * Higher of two project roles (roles are ordered from most to least access)
+   * @param {string|null} currentRole - Role the user already holds
+   * @param {string} role - Role to compare with
+   * @returns {string} The role with more access
+   */
+  higherRole(currentRole, role) {
+    if (!currentRole) {
+      return role;
+    }
+
+    return PROJECT_ROLES.indexOf(role) < PROJECT_ROLES.indexOf(currentRole)
+      ? role
+      : currentRole;
+  }
+
+  /**
+   * Stop the running and paused timers of a user, keeping tracked time as draft entries.
+   * Timers of archived projects are closed without an entry, as archived
+   * projects take no new time.
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} userId - Departing user
+   * @param {Date} now - Offboarding time
+   * @returns {number} Number of stopped timers
+   */
+  async stopTimers(tx, userId, now) {
+    const timers = await tx.timerSession.findMany({
+      where: { userId, status: { in: ["RUNNING", "PAUSED"] } },
+      include: { project: { select: { archivedAt: true } } },
+    });
+
+    for (const timer of timers) {
+      const totalHours = parseFloat(
+        ((now - new Date(timer.startTime)) / (1000 * 60 * 60)).toFixed(2)
+      );
+      let timeEntryId = null;
+
+      if (totalHours > 0 && !isProjectArchived(timer.project)) {
+        const timeEntry = await tx.timeEntry.create({
+          data: {
+            description: timer.description || "Timer session",
+            hours: totalHours,
+            date: now,
+            taskId: timer.taskId,
+            projectId: timer.projectId,
+            userId,
+            billable: true,
+            status: "DRAFT",
+          },
+        });
+        timeEntryId = timeEntry.id;
+      }
+
+      await tx.timerSession.update({
+        where: { id: timer.id },
+        data: { status: "STOPPED", endTime: now, totalHours, timeEntryId },
+      });
+    }
+
+    return timers.length;
+  }
+
+  /**
+   * Give the successor the project roles needed to take over the user's work
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} userId - Departing user
+   * @param {string} successorId - User taking over
+   * @param {string[]} taskProjectIds - Projects of the reassigned tasks
+   * @returns {Object} { ownedProjects, transferredRoles }
+   */
+  async transferProjects(tx, userId, successorId, taskProjectIds) {
+    // Creators act as owners, so moving createdBy transfers ownership
+    const { count: ownedProjects } = await tx.project.updateMany({
+      where: { createdBy: userId },
+      data: { createdBy: successorId },
+    });
+
+    const memberships = await tx.projectMember.findMany({
+      where: { userId },
+      select: { projectId: true, role: true },
+    });
+
+    // Role the successor needs in each project
+    const requiredRoles = new Map();
+    memberships
+      .filter((membership) => TRANSFERRED_ROLES.includes(membership.role))
+      .forEach((membership) =>
+        requiredRoles.set(membership.projectId, membership.role)
+      );
+    taskProjectIds.forEach((projectId) =>
+      requiredRoles.set(
+        projectId,
+        this.higherRole(requiredRoles.get(projectId), "CONTRIBUTOR")
+      )
+    );
+
+    const successorMemberships = await tx.projectMember.findMany({
+      where: {
+        userId: successorId,
+        projectId: { in: [...requiredRoles.keys()] },
+      },
+      select: { projectId: true, role: true },
+    });
+    const successorRoles = new Map(
+      successorMemberships.map((membership) => [
+        membership.projectId,
+        membership.role,
+      ])
+    );
+
+    let transferredRoles = 0;
+    for (const [projectId, role] of requiredRoles) {
+      const currentRole = successorRoles.get(projectId);
+      const newRole = this.higherRole(currentRole, role);
+
+      if (newRole === currentRole) {
+        continue;
+      }
+
+      await tx.projectMember.upsert({
+        where: { projectId_userId: { projectId, userId: successorId } },
+        update: { role: newRole },
+        create: { projectId, userId: successorId, role: newRole },
+      });
+      transferredRoles++;
+    }
+
+    // The departing user keeps their history but no longer has access
+    await tx.projectMember.deleteMany({ where: { userId } });
+
+    return { ownedProjects, transferredRoles };
+  }
+
+  /**
+   * Offboard a user: reassign open tasks, transfer project ownership, roles and
+   * pending invitations, stop timers, revoke tokens and deactivate the account
+   * @param {Object} user - Departing user
+   * @param {Object} successor - Active user taking over the work
+   * @returns {Object} Summary of what was transferred
+   */
+  async offboard(user, successor) {
+    const now = new Date();
+
+    return prisma.$transaction(async (tx) => {
+      const stoppedTimers = await this.stopTimers(tx, user.id, now);
+
+      const openTasks = await tx.task.findMany({
+        where: { assigneeId: user.id, status: { in: OPEN_TASK_STATUSES } },
+        select: { id: true, projectId: true },
+      });
+
+      if (openTasks.length > 0) {
+        await tx.task.updateMany({
+          where: { id: { in: openTasks.map((task) => task.id) } },
+          data: { assigneeId: successor.id },
+        });
+      }
+
+      const { ownedProjects, transferredRoles } = await this.transferProjects(
+        tx,
+        user.id,
+        successor.id,
+        [...new Set(openTasks.map((task) => task.projectId))]
+      );
+
+      // Submitted time the successor now has to approve
+      const pendingApprovals = await tx.timeEntry.count({
+        where: {
+          status: "SUBMITTED",
+          userId: { not: successor.id },
+          project: {
+            OR: [
+              { createdBy: successor.id },
+              {
+                members: {
+                  some: {
+                    userId: successor.id,
+                    role: { in: TRANSFERRED_ROLES },
+                  },
+                },
+              },
+            ],
+          },
+        },
+      });
+
+      const { count: transferredInvitations } = await tx.invitation.updateMany({
+        where: { invitedById: user.id, acceptedAt: null, revokedAt: null },
+        data: { invitedById: successor.id },
+      });
+
+      const { count: revokedSessions } = await tx.refreshToken.deleteMany({
+        where: { userId: user.id },
+      });
+
+      const { count: revokedAccessTokens } =
+        await tx.personalAccessToken.updateMany({
+          where: { userId: user.id, revokedAt: null },
+          data: { revokedAt: now },
+        });
+
+      await tx.user.update({
+        where: { id: user.id },
+        data: { status: "INACTIVE", offboardedAt: now },
+      });
+
+      return {
+        offboardedAt: now,
+        successorId: successor.id,
+        reassignedTasks: openTasks.length,
+        transferredProjects: ownedProjects,
+        transferredRoles,
+        pendingApprovals,
+        transferredInvitations,
+        stoppedTimers,
+        revokedSessions,
+        revokedAccessTokens,
+      };
+    });
+  }
+}
+
+module.exports = new OffboardingService();
@@ -0,0 +1,493 @@
+/**
+ * OIDC Service
+ * OpenID Connect single sign-on (authorization code flow with PKCE)
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+const {
+  hashPassword,
+  generateSecureToken,
+  ROLE_HIERARCHY,
+  findDefaultOrganization,
+  defaultOrganizationMembership,
+  findAvailableUsername,
+} = require("../utils/auth");
+
+const prisma = new PrismaClient();
+
+// Base64url encoding used by PKCE
+const base64Url = (buffer) => {
+  return buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+class OidcService {
+  constructor() {
+    this.discovery = null;
+    this.discoveryFetchedAt = 0;
+    this.jwks = null;
+    this.cacheTtlMs = 60 * 60 * 1000; // 1 hour
+    this.authRequestTtlMs = 10 * 60 * 1000; // 10 minutes to complete the login
+  }
+
+  /**
+   * Read OIDC settings from the environment
+   * @returns {Object} OIDC configuration
+   */
+  getConfig() {
+    return {
+      enabled: process.env.OIDC_ENABLED === "true",
+      providerName: process.env.OIDC_PROVIDER_NAME || "Single sign-on",
+      issuer: (process.env.OIDC_ISSUER || "").replace(/\/$/, ""),
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      redirectUri:
+        process.env.OIDC_REDIRECT_URI ||
+        `${
+          process.env.FRONTEND_URL || "http://localhost:5173"
+        }/auth/oidc/callback`,
+      scopes: process.env.OIDC_SCOPES || "openid email profile",
+      defaultRole: process.env.OIDC_DEFAULT_ROLE || "EMPLOYEE",
+      groupsClaim: process.env.OIDC_GROUPS_CLAIM || "groups",
+      roleMapping: this.parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+      autoProvision: process.env.OIDC_AUTO_PROVISION !== "false",
+      requireVerifiedEmail: process.env.OIDC_REQUIRE_VERIFIED_EMAIL !== "false",
+    };
+  }
+
+  /**
+   * Parse group to role mapping ("group:ROLE,other-group:ROLE")
+   * @param {string} value - Raw mapping
+   * @returns {Object} group -> role
+   */
+  parseRoleMapping(value) {
+    if (!value) return {};
+
+    return value.split(",").reduce((mapping, entry) => {
+      const separator = entry.lastIndexOf(":");
+      if (separator === -1) return mapping;
+
+      const group = entry.slice(0, separator).trim();
+      const role = entry
+        .slice(separator + 1)
+        .trim()
+        .toUpperCase();
+
+      if (group && ROLE_HIERARCHY[role]) {
+        mapping[group] = role;
+      }
+      return mapping;
+    }, {});
+  }
+
+  /**
+   * Check whether SSO is enabled and configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const config = this.getConfig();
+    return config.enabled && Boolean(config.issuer && config.clientId);
+  }
+
+  /**
+   * Fetch JSON from the identity provider
+   * @param {string} url - URL to fetch
+   * @param {Object} options - fetch options
+   * @returns {Object} Parsed response body
+   */
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(10000),
+    });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const reason = body?.error_description || body?.error || response.status;
+      throw new Error(`Identity provider request failed: ${reason}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Load the provider metadata from the discovery document
+   * @returns {Object} OpenID provider metadata
+   */
+  async getDiscovery() {
+    if (
+      this.discovery &&
+      Date.now() - this.discoveryFetchedAt < this.cacheTtlMs
+    ) {
+      return this.discovery;
+    }
+
+    const { issuer } = this.getConfig();
+    const discovery = await this.fetchJson(
+      `${issuer}/.well-known/openid-configuration`
+    );
+
+    if (discovery.issuer.replace(/\/$/, "") !== issuer) {
+      throw new Error("Discovery document issuer does not match OIDC_ISSUER");
+    }
+
+    this.discovery = discovery;
+    this.discoveryFetchedAt = Date.now();
+    this.jwks = null;
+
+    return discovery;
+  }
+
+  /**
+   * Find the signing key for an ID token, refreshing the key set once if needed
+   * @param {string} kid - Key ID from the token header
+   * @returns {KeyObject} Public key
+   */
+  async getSigningKey(kid) {
+    const discovery = await this.getDiscovery();
+
+    const findKey = () =>
+      this.jwks.keys.find(
+        (key) => (!kid || key.kid === kid) && (!key.use || key.use === "sig")
+      );
+
+    if (!this.jwks || !findKey()) {
+      this.jwks = await this.fetchJson(discovery.jwks_uri);
+    }
+
+    const jwk = findKey();
+    if (!jwk) {
+      throw new Error("No matching signing key found for ID token");
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  /**
+   * Start a login: store state, nonce and PKCE verifier and build the authorization URL
+   * @returns {Object} { authorizationUrl, state }
+   */
+  async createAuthorizationRequest() {
+    const config = this.getConfig();
+    const discovery = await this.getDiscovery();
+
+    const state = generateSecureToken(16);
+    const nonce = generateSecureToken(16);
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(
+      crypto.createHash("sha256").update(codeVerifier).digest()
+    );
+
+    await prisma.oidcAuthRequest.create({
+      data: {
+        state,
+        nonce,
+        codeVerifier,
+        expiresAt: new Date(Date.now() + this.authRequestTtlMs),
+      },
+    });
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.searchParams.set("response_type", "code");
+    url.searchParams.set("client_id", config.clientId);
+    url.searchParams.set("redirect_uri", config.redirectUri);
+    url.searchParams.set("scope", config.scopes);
+    url.searchParams.set("state", state);
+    url.searchParams.set("nonce", nonce);
+    url.searchParams.set("code_challenge", codeChallenge);
+    url.searchParams.set("code_challenge_method", "S256");
+
+    return { authorizationUrl: url.toString(), state };
+  }
+
+  /**
+   * Finish a login: exchange the code and return the verified ID token claims
+   * @param {string} code - Authorization code from the callback
+   * @param {string} state - State from the callback
+   * @returns {Object} ID token claims (merged with userinfo when available)
+   */
+  async handleCallback(code, state) {
+    const config = this.getConfig();
+
+    // State is single use: only the request that deletes it may continue
+    const authRequest = await prisma.oidcAuthRequest.findUnique({
+      where: { state },
+    });
+    const { count } = await prisma.oidcAuthRequest.deleteMany({
+      where: { state },
+    });
+
+    if (!count || new Date(authRequest.expiresAt) < new Date()) {
+      throw new Error("Invalid or expired login state");
+    }
+
+    const discovery = await this.getDiscovery();
+
+    const params = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      code_verifier: authRequest.codeVerifier,
+    });
+    if (config.clientSecret) {
+      params.set("client_secret", config.clientSecret);
+    }
+
+    const tokenResponse = await this.fetchJson(discovery.token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: params.toString(),
+    });
+
+    if (!tokenResponse.id_token) {
+      throw new Error("Identity provider did not return an ID token");
+    }
+
+    const claims = await this.verifyIdToken(
+      tokenResponse.id_token,
+      authRequest.nonce
+    );
+
+    // Some providers only put profile details in the userinfo response
+    if (
+      discovery.userinfo_endpoint &&
+      tokenResponse.access_token &&
+      (!claims.email || !claims[config.groupsClaim])
+    ) {
+      try {
+        const userInfo = await this.fetchJson(discovery.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokenResponse.access_token}` },
+        });
+
+        if (userInfo.sub === claims.sub) {
+          return { ...userInfo, ...claims };
+        }
+      } catch (error) {
+        logger.warn("OIDC userinfo request failed", { error: error.message });
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * Verify ID token signature, issuer, audience, expiry and nonce
+   * @param {string} idToken - Raw ID token
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Object} Token claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const config = this.getConfig();
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+      throw new Error("Malformed ID token");
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512"],
+      issuer: [config.issuer, `${config.issuer}/`],
+      audience: config.clientId,
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error("ID token nonce mismatch");
+    }
+
+    return claims;
+  }
+
+  /**
+   * Resolve the role granted by IdP groups
+   * @param {Object} claims - ID token claims
+   * @returns {string|null} Highest mapped role, or null when no group is mapped
+   */
+  getMappedRole(claims) {
+    const { groupsClaim, roleMapping } = this.getConfig();
+    const groups = [].concat(claims[groupsClaim] || []);
+
+    return groups
+      .map((group) => roleMapping[group])
+      .filter(Boolean)
+      .reduce(
+        (highest, role) =>
+          !highest || ROLE_HIERARCHY[role] > ROLE_HIERARCHY[highest]
+            ? role
+            : highest,
+        null
+      );
+  }
+
+  /**
+   * Find the local account for an IdP identity, linking by email or provisioning as needed
+   * @param {Object} claims - Verified ID token claims
+   * @returns {Object} { user, provisioned, linked }
+   */
+  async findOrProvisionUser(claims) {
+    const config = this.getConfig();
+    const mappedRole = this.getMappedRole(claims);
+
+    const identity = await prisma.userIdentity.findUnique({
+      where: {
+        issuer_subject: { issuer: config.issuer, subject: claims.sub },
+      },
+      include: { user: true },
+    });
+
+    let user = identity?.user;
+    let provisioned = false;
+    let linked = false;
+
+    if (!user) {
+      if (!claims.email) {
+        throw new Error("Identity provider did not share an email address");
+      }
+      if (config.requireVerifiedEmail && claims.email_verified === false) {
+        throw new Error(
+          "Email address is not verified by the identity provider"
+        );
+      }
+
+      const email = claims.email.toLowerCase();
+      user = await prisma.user.findUnique({ where: { email } });
+
+      if (user) {
+        // Only an address the provider has verified may take over an account
+        if (claims.email_verified !== true) {
+          throw new Error(
+            "Email address must be verified by the identity provider to link an existing account"
+          );
+        }
+        linked = true;
+
+        // The identity provider vouches for the address. Whoever registered
+        // the unverified account may not own it, so their password, second
+        // factor, sessions and tokens stop working.
+        if (!user.emailVerifiedAt) {
+          [user] = await prisma.$transaction([
+            prisma.user.update({
+              where: { id: user.id },
+              data: {
+                emailVerifiedAt: new Date(),
+                password: await hashPassword(generateSecureToken(32)),
+                twoFactorEnabled: false,
+                twoFactorSecret: null,
+                twoFactorLastStep: null,
+                twoFactorEnabledAt: null,
+                ...(user.status === "PENDING_VERIFICATION" && {
+                  status: "ACTIVE",
+                }),
+              },
+            }),
+            prisma.twoFactorRecoveryCode.deleteMany({
+              where: { userId: user.id },
+            }),
+            prisma.passwordResetToken.deleteMany({
+              where: { userId: user.id },
+            }),
+            prisma.refreshToken.deleteMany({ where: { userId: user.id } }),
+            prisma.personalAccessToken.updateMany({
+              where: { userId: user.id, revokedAt: null },
+              data: { revokedAt: new Date() },
+            }),
+          ]);
+
+          logger.security("Unverified account linked to single sign-on", {
+            userId: user.id,
+            issuer: config.issuer,
+          });
+        }
+      } else {
+        if (!config.autoProvision) {
+          throw new Error("No account exists for this email address");
+        }
+
+        user = await prisma.user.create({
+          data: {
+            email,
+            username: await findAvailableUsername(
+              claims.preferred_username || claims.email.split("@")[0]
+            ),
+            // Unusable random password; SSO users can set one through password reset
+            password: await hashPassword(generateSecureToken(32)),
+            firstName: claims.given_name || claims.name?.split(" ")[0] || email,
+            lastName:
+              claims.family_name ||
+              claims.name?.split(" ").slice(1).join(" ") ||
+              "-",
+            status: "ACTIVE",
+            emailVerifiedAt: new Date(),
+            ...(await defaultOrganizationMembership(
+              mappedRole || config.defaultRole
+            )),
+          },
+        });
+        provisioned = true;
+      }
+
+      await prisma.userIdentity.create({
+        data: {
+          issuer: config.issuer,
+          subject: claims.sub,
+          userId: user.id,
+        },
+      });
+    }
+
+    // Keep the role in the organization single sign-on users join in sync
+    // with IdP groups when a mapped group is present
+    const organization = mappedRole && (await findDefaultOrganization());
+    const membership =
+      organization &&
+      (await prisma.organizationMember.findUnique({
+        where: {
+          organizationId_userId: {
+            organizationId: organization.id,
+            userId: user.id,
+          },
+        },
+      }));
+
+    if (membership && membership.role !== mappedRole) {
+      logger.audit("User role updated from identity provider groups", {
+        userId: user.id,
+        organizationId: organization.id,
+        previousRole: membership.role,
+        newRole: mappedRole,
+      });
+
+      await prisma.organizationMember.update({
+        where: { id: membership.id },
+        data: { role: mappedRole },
+      });
+    }
+
+    await prisma.userIdentity.update({
+      where: {
+        issuer_subject: { issuer: config.issuer, subject: claims.sub },
+      },
+      data: { lastLoginAt: new Date() },
+    });
+
+    return { user, provisioned, linked };
+  }
+
+  /**
+   * Delete authorization requests that were never completed
+   */
+  async cleanupAuthRequests() {
+    await prisma.oidcAuthRequest.deleteMany({
+      where: { expiresAt: { lt: new Date() } },
+    });
+  }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,340 @@
+/**
+ * Project Template Service
+ * Saves projects as reusable templates, starts projects from templates and
+ * clones live projects
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PrismaClient } = require("@prisma/client");
+const { withTenantScope } = require("../utils/tenant");
+const { organizationRoleWhere } = require("../utils/auth");
+const { hasPermission } = require("../utils/permissions");
+const logger = require("../utils/logger");
+
+const prisma = withTenantScope(new PrismaClient());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tasks that still need work
+const OPEN_TASK_STATUSES = ["TODO", "IN_PROGRESS", "REVIEW"];
+
+const userSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+};
+
+// Template with its tasks, member roles and creator
+const templateInclude = {
+  creator: { select: userSelect },
+  tasks: { orderBy: { position: "asc" } },
+  members: { include: { user: { select: userSelect } } },
+};
+
+// Project as returned when it is created
+const projectInclude = {
+  creator: { select: userSelect },
+  members: { include: { user: { select: userSelect } } },
+  _count: {
+    select: {
+      members: true,
+      tasks: true,
+      fileUploads: true,
+    },
+  },
+};
+
+class ProjectTemplateService {
+  /**
+   * Get a template with its tasks and member roles
+   * @param {string} id - Template ID
+   * @returns {Object|null} Template
+   */
+  async getTemplate(id) {
+    return prisma.projectTemplate.findUnique({
+      where: { id },
+      include: templateInclude,
+    });
+  }
+
+  /**
+   * Save a project as a template. Due dates are stored as offsets in days from
+   * the project start so they can be applied to any start date.
+   * @param {Object} project - Source project with its members
+   * @param {Object} options - { name, description, includeMembers }
+   * @param {Object} user - User saving the template
+   * @returns {Object} Created template
+   */
+  async saveTemplate(project, { name, description, includeMembers }, user) {
+    const tasks = await prisma.task.findMany({
+      where: { projectId: project.id, status: { not: "CANCELLED" } },
+      orderBy: { createdAt: "asc" },
+    });
+    const startDate = project.startDate || project.createdAt;
+
+    const template = await prisma.projectTemplate.create({
+      data: {
+        name: name || project.name,
+        description:
+          description !== undefined ? description : project.description,
+        createdBy: user.id,
+        tasks: {
+          create: tasks.map((task, index) => ({
+            title: task.title,
+            description: task.description,
+            priority: task.priority,
+            estimatedHours: task.estimatedHours,
+            dueDateOffset: task.dueDate
+              ? Math.round((task.dueDate - startDate) / DAY_MS)
+              : null,
+            position: index,
+          })),
+        },
+        ...(includeMembers && {
+          members: {
+            create: project.members.map((member) => ({
+              userId: member.userId,
+              role: member.role,
+            })),
+          },
+        }),
+      },
+      include: templateInclude,
+    });
+
+    logger.audit("Project saved as template", {
+      templateId: template.id,
+      projectId: project.id,
+      createdBy: user.id,
+    });
+
+    return template;
+  }
+
+  /**
+   * Tasks and members of a new project started from a template
+   * @param {Object} template - Template with its tasks and members
+   * @param {Date|null} startDate - Start date of the new project
+   * @param {Object} user - User creating the project
+   * @returns {Object} Nested create data for the project
+   */
+  async buildProjectFromTemplate(template, startDate, user) {
+    const members = await this.filterAssignableMembers(template.members, user);
+    const start = startDate || new Date();
+
+    return {
+      tasks: {
+        create: template.tasks.map((task) => ({
+          title: task.title,
+          description: task.description,
+          priority: task.priority,
+          estimatedHours: task.estimatedHours,
+          dueDate:
+            task.dueDateOffset === null
+              ? null
+              : new Date(start.getTime() + task.dueDateOffset * DAY_MS),
+          createdBy: user.id,
+        })),
+      },
+      members: {
+        create: members.map((member) => ({
+          userId: member.userId,
+          role: member.role,
+        })),
+      },
+    };
+  }
+
+  /**
+   * Members a user may add to a new project. Members who left or were
+   * deactivated since the source was saved are skipped.
+   * @param {Object[]} members - Template or project members
+   * @param {Object} user - User creating the project
+   * @returns {Object[]} Members to add
+   */
+  async filterAssignableMembers(members, user) {
+    const memberWhere = {
+      id: { in: members.map((member) => member.userId) },
+      status: "ACTIVE",
+    };
+
+    // Only users with project.staff can add team leads and admins
+    if (!(await hasPermission(user, "project.staff"))) {
+      Object.assign(memberWhere, organizationRoleWhere("EMPLOYEE"));
+    }
+
+    const activeUsers = await prisma.user.findMany({
+      where: memberWhere,
+      select: { id: true },
+    });
+    const activeUserIds = new Set(activeUsers.map((member) => member.id));
+
+    return members.filter((member) => activeUserIds.has(member.userId));
+  }
+
+  /**
+   * Copy a live project. Dates move with the new start date and copied files
+   * get their own stored copy so either project can delete them.
+   * @param {Object} source - Project to copy
+   * @param {Object} options - { name, startDate, includeMembers, includeFiles, openTasksOnly }
+   * @param {Object} user - User cloning the project
+   * @returns {Object} { project, copiedTasks, copiedFiles }
+   */
+  async cloneProject(source, options, user) {
+    const { name, startDate, includeMembers, includeFiles, openTasksOnly } =
+      options;
+
+    const shift =
+      startDate && source.startDate ? startDate - source.startDate : 0;
+    const shiftDate = (date) =>
+      date ? new Date(date.getTime() + shift) : null;
+
+    const [tasks, sourceMembers] = await Promise.all([
+      prisma.task.findMany({
+        where: {
+          projectId: source.id,
+          ...(openTasksOnly && { status: { in: OPEN_TASK_STATUSES } }),
+        },
+        orderBy: { createdAt: "asc" },
+      }),
+      includeMembers
+        ? prisma.projectMember.findMany({ where: { projectId: source.id } })
+        : [],
+    ]);
+    const members = await this.filterAssignableMembers(sourceMembers, user);
+
+    const { project, taskIds } = await prisma.$transaction(
+      async (tx) => {
+        const project = await tx.project.create({
+          data: {
+            name: name || `${source.name} (copy)`,
+            description: source.description,
+            status: "PLANNING",
+            startDate: startDate || source.startDate,
+            endDate: shiftDate(source.endDate),
+            budget: source.budget,
+            ...(source.budgetAlertThresholds && {
+              budgetAlertThresholds: source.budgetAlertThresholds,
+            }),
+            createdBy: user.id,
+            members: {
+              create: members.map((member) => ({
+                userId: member.userId,
+                role: member.role,
+                costRate: member.costRate,
+                billRate: member.billRate,
+              })),
+            },
+          },
+        });
+
+        // Copied task IDs, used to attach copied task files
+        const taskIds = new Map();
+
+        for (const task of tasks) {
+          const copy = await tx.task.create({
+            data: {
+              title: task.title,
+              description: task.description,
+              status: task.status,
+              priority: task.priority,
+              dueDate: shiftDate(task.dueDate),
+              estimatedHours: task.estimatedHours,
+              projectId: project.id,
+              assigneeId: includeMembers ? task.assigneeId : null,
+              createdBy: user.id,
+            },
+          });
+          taskIds.set(task.id, copy.id);
+        }
+
+        return { project, taskIds };
+      },
+      { timeout: 60000 }
+    );
+
+    const copiedFiles = includeFiles
+      ? await this.copyFiles(source.id, project.id, taskIds)
+      : 0;
+
+    logger.audit("Project cloned", {
+      projectId: project.id,
+      sourceProjectId: source.id,
+      createdBy: user.id,
+      copiedTasks: tasks.length,
+      copiedFiles,
+    });
+
+    return {
+      project: await prisma.project.findUnique({
+        where: { id: project.id },
+        include: projectInclude,
+      }),
+      copiedTasks: tasks.length,
+      copiedFiles,
+    };
+  }
+
+  /**
+   * Copy the project and task files of a project. Chat attachments stay with
+   * their messages. Files that cannot be copied are logged and skipped.
+   * @param {string} sourceId - Project the files belong to
+   * @param {string} projectId - Project receiving the copies
+   * @param {Map} taskIds - Copied task IDs by source task ID
+   * @returns {number} Number of files copied
+   */
+  async copyFiles(sourceId, projectId, taskIds) {
+    const files = await prisma.fileUpload.findMany({
+      where: { projectId: sourceId, messageId: null },
+    });
+    let copied = 0;
+
+    for (const file of files) {
+      // Files of tasks that were not copied stay behind
+      if (file.taskId && !taskIds.has(file.taskId)) continue;
+
+      const storedName = `${Date.now()}_${Math.random()
+        .toString(36)
+        .substring(2, 15)}${path.extname(file.storedName)}`;
+      const directory = path.dirname(file.path);
+      const filePath = path.join(directory, storedName);
+
+      try {
+        await fs.promises.copyFile(file.path, filePath);
+
+        await prisma.fileUpload.create({
+          data: {
+            filename: file.filename,
+            storedName,
+            mimeType: file.mimeType,
+            size: file.size,
+            path: filePath,
+            url: file.isPublic
+              ? `/uploads/${path.basename(directory)}/${storedName}`
+              : null,
+            description: file.description,
+            isPublic: file.isPublic,
+            category: file.category,
+            uploadedBy: file.uploadedBy,
+            projectId,
+            taskId: file.taskId ? taskIds.get(file.taskId) : null,
+          },
+        });
+        copied++;
+      } catch (error) {
+        await fs.promises.unlink(filePath).catch(() => {});
+        logger.error("Failed to copy file of cloned project", {
+          fileId: file.id,
+          projectId,
+          error: error.message,
+        });
+      }
+    }
+
+    return copied;
+  }
+}
+
+module.exports = new ProjectTemplateService();
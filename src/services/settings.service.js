@@ -0,0 +1,118 @@
+/**
+ * Settings Service
+ * Reads and writes admin-managed system settings with a short-lived cache
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+
+const prisma = new PrismaClient();
+
+class SettingsService {
+  constructor() {
+    this.cache = new Map(); // key -> { value, expiresAt }
+    this.cacheTtlMs = 60 * 1000;
+  }
+
+  /**
+   * Get a setting value
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Returned when the setting has never been stored
+   * @returns {*} Stored value or default
+   */
+  async get(key, defaultValue = null) {
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value ?? defaultValue;
+    }
+
+    const setting = await prisma.systemSetting.findUnique({
+      where: { key },
+    });
+    const value = setting ? setting.value : null;
+
+    this.cache.set(key, { value, expiresAt: Date.now() + this.cacheTtlMs });
+
+    return value ?? defaultValue;
+  }
+
+  /**
+   * Store a setting value
+   * @param {string} key - Setting key
+   * @param {*} value - JSON serializable value
+   * @param {string} updatedBy - ID of the user making the change
+   * @returns {*} Stored value
+   */
+  async set(key, value, updatedBy = null) {
+    const setting = await prisma.systemSetting.upsert({
+      where: { key },
+      update: { value, updatedBy },
+      create: { key, value, updatedBy },
+    });
+
+    this.cache.set(key, {
+      value: setting.value,
+      expiresAt: Date.now() + this.cacheTtlMs,
+    });
+
+    logger.audit("System setting updated", { key, value, updatedBy });
+
+    return setting.value;
+  }
+
+  /**
+   * Get a setting that each organization manages for itself. Organizations
+   * that have not stored one use the system-wide value.
+   * @param {string|null} organizationId - Organization ID
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Returned when neither value has been stored
+   * @returns {*} Stored value or default
+   */
+  async getForOrganization(organizationId, key, defaultValue = null) {
+    const value = organizationId
+      ? await this.get(this.organizationKey(organizationId, key))
+      : null;
+
+    return value ?? this.get(key, defaultValue);
+  }
+
+  /**
+   * Store a setting for one organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} key - Setting key
+   * @param {*} value - JSON serializable value
+   * @param {string} updatedBy - ID of the user making the change
+   * @returns {*} Stored value
+   */
+  async setForOrganization(organizationId, key, value, updatedBy = null) {
+    return this.set(
+      this.organizationKey(organizationId, key),
+      value,
+      updatedBy
+    );
+  }
+
+  /**
+   * Key an organization's own value of a setting is stored under
+   * @param {string} organizationId - Organization ID
+   * @param {string} key - Setting key
+   * @returns {string} Storage key
+   */
+  organizationKey(organizationId, key) {
+    return `organizations.${organizationId}.${key}`;
+  }
+
+  /**
+   * Drop cached values
+   * @param {string} key - Optional key, clears everything when omitted
+   */
+  invalidate(key) {
+    if (key) {
+      this.cache.delete(key);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+module.exports = new SettingsService();
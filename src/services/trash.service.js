@@ -0,0 +1,199 @@
+/**
+ * Trash Service
+ * Lists and restores projects, tasks and messages moved to the trash and
+ * permanently deletes them once the retention period has passed
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const { withTenantScope } = require("../utils/tenant");
+const { withDeletedRecords } = require("../utils/softDelete");
+const { cleanupFile } = require("../middleware/upload");
+const logger = require("../utils/logger");
+
+const prisma = withTenantScope(new PrismaClient());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+};
+
+const projectSelect = {
+  id: true,
+  name: true,
+  deletedAt: true,
+};
+
+// Model and listing details of each kind of trashed item
+const TRASH_TYPES = {
+  projects: {
+    model: "project",
+    include: {
+      deleter: { select: userSelect },
+      creator: { select: userSelect },
+      _count: { select: { tasks: true, messages: true } },
+    },
+  },
+  tasks: {
+    model: "task",
+    include: {
+      deleter: { select: userSelect },
+      assignee: { select: userSelect },
+      project: { select: projectSelect },
+    },
+  },
+  messages: {
+    model: "projectMessage",
+    include: {
+      deleter: { select: userSelect },
+      sender: { select: userSelect },
+      project: { select: projectSelect },
+    },
+  },
+};
+
+class TrashService {
+  // Days items stay in the trash before they are deleted permanently
+  getRetentionDays() {
+    return parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  }
+
+  /**
+   * List trashed items of one kind, most recently deleted first. Tasks and
+   * messages of a trashed project are restored with the project and are not
+   * listed separately.
+   * @param {string} type - projects, tasks or messages
+   * @param {Object} pagination - { page, limit }
+   * @returns {Object} { items, total }
+   */
+  async list(type, { page, limit }) {
+    const { model, include } = TRASH_TYPES[type];
+    const where = {
+      deletedAt: { not: null },
+      ...(type !== "projects" && { project: { deletedAt: null } }),
+    };
+
+    const [items, total] = await withDeletedRecords(() =>
+      Promise.all([
+        prisma[model].findMany({
+          where,
+          include,
+          orderBy: { deletedAt: "desc" },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma[model].count({ where }),
+      ])
+    );
+
+    return {
+      items: items.map((item) => ({
+        ...item,
+        purgeAt: this.getPurgeDate(item.deletedAt),
+      })),
+      total,
+    };
+  }
+
+  /**
+   * Find a trashed item
+   * @param {string} type - projects, tasks or messages
+   * @param {string} id - Item ID
+   * @returns {Object|null} Item with its project
+   */
+  async findTrashed(type, id) {
+    const { model, include } = TRASH_TYPES[type];
+
+    return withDeletedRecords(() =>
+      prisma[model].findFirst({
+        where: { id, deletedAt: { not: null } },
+        include,
+      })
+    );
+  }
+
+  /**
+   * Take an item out of the trash
+   * @param {string} type - projects, tasks or messages
+   * @param {string} id - Item ID
+   * @param {Object} user - User restoring the item
+   * @returns {Object} Restored item
+   */
+  async restore(type, id, user) {
+    const { model } = TRASH_TYPES[type];
+
+    const item = await withDeletedRecords(() =>
+      prisma[model].update({
+        where: { id },
+        data: { deletedAt: null, deletedBy: null },
+      })
+    );
+
+    logger.audit("Item restored from trash", {
+      type,
+      id,
+      restoredBy: user.id,
+    });
+
+    return item;
+  }
+
+  /**
+   * Permanently delete items that have been in the trash longer than the
+   * retention period. Deleting a project removes its tasks, messages and time
+   * entries with it, and files uploaded to purged projects and tasks are
+   * deleted from the database and disk.
+   * @returns {Object} Number of deleted items by type
+   */
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.getRetentionDays() * DAY_MS);
+    const where = { deletedAt: { lt: cutoff } };
+
+    const { purged, filePaths } = await withDeletedRecords(async () => {
+      const files = await prisma.fileUpload.findMany({
+        where: {
+          OR: [
+            { project: where },
+            { task: where },
+            { task: { project: where } },
+          ],
+        },
+        select: { id: true, path: true },
+      });
+
+      await prisma.fileUpload.deleteMany({
+        where: { id: { in: files.map((file) => file.id) } },
+      });
+      const messages = await prisma.projectMessage.deleteMany({ where });
+      const tasks = await prisma.task.deleteMany({ where });
+      const projects = await prisma.project.deleteMany({ where });
+
+      return {
+        purged: {
+          projects: projects.count,
+          tasks: tasks.count,
+          messages: messages.count,
+          files: files.length,
+        },
+        filePaths: files.map((file) => file.path),
+      };
+    });
+
+    // Files are removed from disk once their records are gone
+    filePaths.forEach((filePath) => cleanupFile(filePath));
+
+    logger.audit("Trash purged", { ...purged, cutoff });
+
+    return purged;
+  }
+
+  // Date an item deleted at a given time is removed permanently
+  getPurgeDate(deletedAt) {
+    return new Date(deletedAt.getTime() + this.getRetentionDays() * DAY_MS);
+  }
+}
+
+module.exports = new TrashService();
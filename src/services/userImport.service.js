@@ -0,0 +1,349 @@
+/**
+ * User Import Service
+ * Creates user accounts in bulk from CSV files and exports users in the same format
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const {
+  hashPassword,
+  hashToken,
+  generateSecureToken,
+  getInvitationExpiry,
+  visibleUsersWhere,
+  organizationRoleSelect,
+  withOrganizationRole,
+} = require("../utils/auth");
+const {
+  withTenantScope,
+  withoutTenantScope,
+  getCurrentOrganizationId,
+} = require("../utils/tenant");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { importUserRowSchema } = require("../utils/validation");
+const { canManageRole } = require("../utils/permissions");
+const mailService = require("./mail.service");
+const logger = require("../utils/logger");
+
+// Scoped so project names are looked up and assigned in the current organization
+const prisma = withTenantScope(new PrismaClient());
+
+// Columns of import and export files
+const COLUMNS = [
+  "email",
+  "username",
+  "firstName",
+  "lastName",
+  "role",
+  "position",
+  "projects",
+];
+
+// Project names in the projects column are separated by semicolons
+const PROJECT_SEPARATOR = ";";
+
+// Largest number of users imported from one file
+const MAX_IMPORT_ROWS = 500;
+
+class UserImportService {
+  /**
+   * Parse an import file into rows
+   * @param {Buffer} buffer - Uploaded CSV file
+   * @returns {Object[]} Rows keyed by column name
+   */
+  parseFile(buffer) {
+    const { columns, records } = parseCsv(buffer.toString("utf8"));
+
+    const missingColumns = [
+      "email",
+      "username",
+      "firstName",
+      "lastName",
+    ].filter((column) => !columns.includes(column));
+
+    if (missingColumns.length > 0) {
+      throw new Error(`Missing required columns: ${missingColumns.join(", ")}`);
+    }
+
+    const unknownColumns = columns.filter(
+      (column) => !COLUMNS.includes(column)
+    );
+
+    if (unknownColumns.length > 0) {
+      throw new Error(`Unknown columns: ${unknownColumns.join(", ")}`);
+    }
+
+    if (records.length === 0) {
+      throw new Error("The file contains no users");
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new Error(`A file can contain at most ${MAX_IMPORT_ROWS} users`);
+    }
+
+    return records;
+  }
+
+  /**
+   * Validate every row against the registration rules, existing accounts,
+   * the other rows of the file, the projects of the organization and the
+   * roles the importer may give
+   * @param {Object[]} records - Parsed rows
+   * @param {Object} importer - User running the import
+   * @returns {Object[]} One result per row with its values and errors
+   */
+  async validateRows(records, importer) {
+    const projects = await prisma.project.findMany({
+      select: { id: true, name: true },
+    });
+
+    const rows = records.map((record, index) => {
+      // Empty optional cells are treated as missing values
+      const values = Object.fromEntries(
+        Object.entries(record).filter(
+          ([column, value]) => value !== "" || column === "projects"
+        )
+      );
+      const { value, error } = importUserRowSchema.validate(values, {
+        abortEarly: false,
+      });
+
+      // Line numbers match the file, which starts with the header line
+      const row = {
+        line: index + 2,
+        user: value,
+        projectIds: [],
+        errors: error ? error.details.map((detail) => detail.message) : [],
+      };
+
+      if (!canManageRole(importer, value.role || "EMPLOYEE")) {
+        row.errors.push("Only admins can import team leads and admins");
+      }
+
+      const projectNames = (value.projects || "")
+        .split(PROJECT_SEPARATOR)
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+      for (const projectName of projectNames) {
+        const matches = projects.filter(
+          (project) => project.name.toLowerCase() === projectName.toLowerCase()
+        );
+
+        if (matches.length === 0) {
+          row.errors.push(`Project "${projectName}" not found`);
+        } else if (matches.length > 1) {
+          row.errors.push(`Project name "${projectName}" is ambiguous`);
+        } else if (!row.projectIds.includes(matches[0].id)) {
+          row.projectIds.push(matches[0].id);
+        }
+      }
+
+      delete row.user.projects;
+      return row;
+    });
+
+    this.findDuplicates(rows, "email", "Email");
+    this.findDuplicates(rows, "username", "Username");
+
+    // Email addresses and usernames are unique across all organizations
+    const existingUsers = await withoutTenantScope(() =>
+      prisma.user.findMany({
+        where: {
+          OR: [
+            {
+              email: { in: rows.map((row) => row.user.email).filter(Boolean) },
+            },
+            {
+              username: {
+                in: rows.map((row) => row.user.username).filter(Boolean),
+              },
+            },
+          ],
+        },
+        select: { email: true, username: true },
+      })
+    );
+    const existingEmails = new Set(existingUsers.map((user) => user.email));
+    const existingUsernames = new Set(
+      existingUsers.map((user) => user.username)
+    );
+
+    for (const row of rows) {
+      if (existingEmails.has(row.user.email)) {
+        row.errors.push("Email already registered");
+      }
+      if (existingUsernames.has(row.user.username)) {
+        row.errors.push("Username already taken");
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Flag rows that repeat a value of an earlier row
+   * @param {Object[]} rows - Validated rows
+   * @param {string} field - User field that has to be unique
+   * @param {string} label - Field name used in the error message
+   */
+  findDuplicates(rows, field, label) {
+    const firstLines = new Map();
+
+    for (const row of rows) {
+      const value = row.user[field]?.toLowerCase();
+
+      if (!value) continue;
+
+      if (firstLines.has(value)) {
+        row.errors.push(
+          `${label} is already used on line ${firstLines.get(value)}`
+        );
+      } else {
+        firstLines.set(value, row.line);
+      }
+    }
+  }
+
+  /**
+   * Create the users of valid rows in one transaction
+   * @param {Object[]} rows - Validated rows without errors
+   * @param {Object} importer - User running the import
+   * @returns {Object[]} Created users
+   */
+  async importUsers(rows, importer) {
+    // Accounts get an unusable password until the user chooses one
+    const unusablePassword = await hashPassword(generateSecureToken());
+
+    const users = await prisma.$transaction(
+      async (tx) => {
+        const createdUsers = [];
+
+        for (const row of rows) {
+          const { role = "EMPLOYEE", ...userData } = row.user;
+          const user = await tx.user.create({
+            data: {
+              ...userData,
+              password: unusablePassword,
+              status: "ACTIVE",
+              emailVerifiedAt: new Date(),
+              createdBy: importer.id,
+              organizationMemberships: {
+                create: { organizationId: getCurrentOrganizationId(), role },
+              },
+            },
+            select: {
+              id: true,
+              email: true,
+              username: true,
+              firstName: true,
+              lastName: true,
+              status: true,
+              position: true,
+              createdAt: true,
+            },
+          });
+
+          if (row.projectIds.length > 0) {
+            await tx.projectMember.createMany({
+              data: row.projectIds.map((projectId) => ({
+                projectId,
+                userId: user.id,
+              })),
+            });
+          }
+
+          createdUsers.push({ ...user, role });
+        }
+
+        return createdUsers;
+      },
+      { timeout: 60000 }
+    );
+
+    logger.audit("Users imported", {
+      count: users.length,
+      userIds: users.map((user) => user.id),
+      importedBy: importer.id,
+    });
+
+    return users;
+  }
+
+  /**
+   * Email imported users a link to choose their password
+   * @param {Object[]} users - Imported users
+   * @param {Object} inviter - User who ran the import
+   * @returns {number} Number of invitations sent
+   */
+  async sendInvitations(users, inviter) {
+    let sent = 0;
+
+    for (const user of users) {
+      const token = generateSecureToken();
+      const expiresAt = getInvitationExpiry();
+
+      try {
+        await prisma.passwordResetToken.create({
+          data: { tokenHash: hashToken(token), userId: user.id, expiresAt },
+        });
+        await mailService.sendAccountInvitation(
+          user,
+          inviter,
+          token,
+          expiresAt
+        );
+        sent++;
+      } catch (error) {
+        logger.error("Failed to send account invitation", {
+          userId: user.id,
+          error: error.message,
+        });
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Export the users visible to a user in the import format
+   * @param {Object} viewer - User requesting the export
+   * @returns {string} CSV text
+   */
+  async exportUsers(viewer) {
+    const users = await prisma.user.findMany({
+      where: visibleUsersWhere(viewer),
+      select: {
+        id: true,
+        email: true,
+        username: true,
+        firstName: true,
+        lastName: true,
+        position: true,
+        ...organizationRoleSelect(),
+      },
+      orderBy: { email: "asc" },
+    });
+
+    const memberships = await prisma.projectMember.findMany({
+      where: {
+        userId: { in: users.map((user) => user.id) },
+        project: { deletedAt: null },
+      },
+      select: { userId: true, project: { select: { name: true } } },
+      orderBy: { project: { name: "asc" } },
+    });
+
+    return toCsv(
+      COLUMNS,
+      users.map(withOrganizationRole).map(({ id, ...user }) => ({
+        ...user,
+        projects: memberships
+          .filter((membership) => membership.userId === id)
+          .map((membership) => membership.project.name)
+          .join(PROJECT_SEPARATOR),
+      }))
+    );
+  }
+}
+
+module.exports = new UserImportService();
@@ -1,8 +1,17 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const { PrismaClient } = require("@prisma/client");
+const mailService = require("../services/mail.service");
+const settingsService = require("../services/settings.service");
+const { describeUserAgent } = require("./helpers");
+const {
+  withTenantScope,
+  withoutTenantScope,
+  getCurrentOrganizationId,
+} = require("./tenant");
 
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
 
 // Generate JWT token
 const generateToken = (payload, type = "access") => {
@@ -24,7 +33,14 @@ const verifyToken = (token, type = "access") => {
     type === "refresh"
       ? process.env.JWT_REFRESH_SECRET
       : process.env.JWT_SECRET;
-  return jwt.verify(token, secret);
+  const decoded = jwt.verify(token, secret);
+
+  // Single-purpose tokens (e.g. email verification) never grant a session
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError("Invalid token type");
+  }
+
+  return decoded;
 };
 
 // Hash password
@@ -38,8 +54,402 @@ const comparePassword = async (password, hash) => {
   return await bcrypt.compare(password, hash);
 };
 
-// Generate tokens pair
-const generateTokens = (user) => {
+// Generate a random opaque token (sent to the user, never stored in plain text)
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+// Hash an opaque token for storage and lookup
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Email verification is only enforced when enabled through config
+const isEmailVerificationRequired = () => {
+  return process.env.EMAIL_VERIFICATION_REQUIRED === "true";
+};
+
+// Generate signed email verification token (bound to the current email)
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, purpose: "email_verification" },
+    process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h" }
+  );
+};
+
+// Verify signed email verification token
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(
+    token,
+    process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET
+  );
+
+  if (decoded.purpose !== "email_verification") {
+    throw new jwt.JsonWebTokenError("Invalid token purpose");
+  }
+
+  return decoded;
+};
+
+// Send verification email and remember when it was sent (used for resend cooldown)
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  await mailService.sendEmailVerification(user, token);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { emailVerificationSentAt: new Date() },
+  });
+};
+
+// Invitation links are valid for a configurable number of days
+const getInvitationExpiry = () => {
+  const days = parseInt(process.env.INVITATION_EXPIRES_IN_DAYS) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Generate signed invitation token (bound to the invitation's current nonce)
+const generateInvitationToken = (invitation) => {
+  const expiresInSeconds = Math.floor(
+    (new Date(invitation.expiresAt).getTime() - Date.now()) / 1000
+  );
+
+  return jwt.sign(
+    { id: invitation.id, nonce: invitation.tokenNonce, purpose: "invitation" },
+    process.env.INVITATION_SECRET || process.env.JWT_SECRET,
+    { expiresIn: Math.max(expiresInSeconds, 1) }
+  );
+};
+
+// Verify signed invitation token
+const verifyInvitationToken = (token) => {
+  const decoded = jwt.verify(
+    token,
+    process.env.INVITATION_SECRET || process.env.JWT_SECRET
+  );
+
+  if (decoded.purpose !== "invitation") {
+    throw new jwt.JsonWebTokenError("Invalid token purpose");
+  }
+
+  return decoded;
+};
+
+// Generate signed data export download token (valid until the archive expires)
+const generateDataExportToken = (dataExport) => {
+  const expiresInSeconds = Math.floor(
+    (new Date(dataExport.expiresAt).getTime() - Date.now()) / 1000
+  );
+
+  return jwt.sign(
+    { id: dataExport.id, purpose: "data_export" },
+    process.env.DATA_EXPORT_SECRET || process.env.JWT_SECRET,
+    { expiresIn: Math.max(expiresInSeconds, 1) }
+  );
+};
+
+// Verify signed data export download token
+const verifyDataExportToken = (token) => {
+  const decoded = jwt.verify(
+    token,
+    process.env.DATA_EXPORT_SECRET || process.env.JWT_SECRET
+  );
+
+  if (decoded.purpose !== "data_export") {
+    throw new jwt.JsonWebTokenError("Invalid token purpose");
+  }
+
+  return decoded;
+};
+
+// Derive the state of an invitation from its timestamps
+const getInvitationStatus = (invitation) => {
+  if (invitation.acceptedAt) return "ACCEPTED";
+  if (invitation.revokedAt) return "REVOKED";
+  if (new Date(invitation.expiresAt) <= new Date()) return "EXPIRED";
+  return "PENDING";
+};
+
+// Send invitation email with a signed link to set up the account. People who
+// already have an account are asked to sign in and join the organization.
+const sendInvitationEmail = async (invitation, inviter) => {
+  const token = generateInvitationToken(invitation);
+  const existingUser = await withoutTenantScope(() =>
+    prisma.user.findUnique({
+      where: { email: invitation.email },
+      select: { id: true },
+    })
+  );
+
+  if (!existingUser) {
+    await mailService.sendInvitation(invitation, inviter, token);
+    return;
+  }
+
+  const organization = await prisma.organization.findUnique({
+    where: { id: invitation.organizationId },
+  });
+  await mailService.sendOrganizationInvitation(
+    invitation,
+    inviter,
+    organization,
+    token
+  );
+};
+
+// Generate short-lived token proving the password step of a two-factor login
+const generateMfaChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user.id, purpose: "mfa_challenge" },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m",
+    }
+  );
+};
+
+// Verify two-factor login challenge token
+const verifyMfaChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== "mfa_challenge") {
+    throw new jwt.JsonWebTokenError("Invalid token purpose");
+  }
+
+  return decoded;
+};
+
+// Generate one-time recovery codes (formatted as xxxxx-xxxxx)
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+// Hash recovery code ignoring case, spaces and dashes
+const hashRecoveryCode = (code) => {
+  return hashToken(code.toLowerCase().replace(/[\s-]/g, ""));
+};
+
+// Setting key for the two-factor policy each organization manages
+const TWO_FACTOR_POLICY_KEY = "security.twoFactorRequiredRoles";
+
+// Roles that must enroll in two-factor authentication in an organization
+// (the current one by default)
+const getTwoFactorRequiredRoles = async (
+  organizationId = getCurrentOrganizationId()
+) => {
+  const defaultRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+  return settingsService.getForOrganization(
+    organizationId,
+    TWO_FACTOR_POLICY_KEY,
+    defaultRoles
+  );
+};
+
+// Check if the two-factor policy of an organization covers a role
+const isTwoFactorRequiredForRole = async (
+  role,
+  organizationId = getCurrentOrganizationId()
+) => {
+  const requiredRoles = await getTwoFactorRequiredRoles(organizationId);
+  return requiredRoles.includes(role);
+};
+
+// Check if the policy of any organization a user belongs to covers their
+// role there (two-factor settings belong to the account)
+const isTwoFactorRequiredForUser = async (userId) => {
+  const memberships = await prisma.organizationMember.findMany({
+    where: { userId },
+    select: { organizationId: true, role: true },
+  });
+
+  for (const membership of memberships) {
+    if (
+      await isTwoFactorRequiredForRole(
+        membership.role,
+        membership.organizationId
+      )
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Personal access tokens are recognizable by their prefix
+const PERSONAL_ACCESS_TOKEN_PREFIX = "fpat_";
+
+// Scopes that can be granted to personal access tokens
+const TOKEN_SCOPES = [
+  "users:read",
+  "users:write",
+  "organizations:read",
+  "organizations:write",
+  "teams:read",
+  "teams:write",
+  "projects:read",
+  "projects:write",
+  "tasks:read",
+  "tasks:write",
+  "messages:read",
+  "messages:write",
+  "timetracking:read",
+  "timetracking:write",
+  "uploads:read",
+  "uploads:write",
+  "analytics:read",
+  "realtime:read",
+  "realtime:write",
+  "monitoring:read",
+  "monitoring:write",
+  "trash:read",
+  "trash:write",
+];
+
+// Generate a new personal access token (returned once, stored hashed)
+const generatePersonalAccessToken = () => {
+  return `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateSecureToken(20)}`;
+};
+
+// Check whether a bearer token is a personal access token
+const isPersonalAccessToken = (token) => {
+  return token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+};
+
+// Provisioning tokens (SCIM) are recognizable by their prefix
+const PROVISIONING_TOKEN_PREFIX = "fscim_";
+
+// Generate a new provisioning token (returned once, stored hashed)
+const generateProvisioningToken = () => {
+  return `${PROVISIONING_TOKEN_PREFIX}${generateSecureToken(24)}`;
+};
+
+// Check whether a bearer token is a provisioning token
+const isProvisioningToken = (token) => {
+  return token.startsWith(PROVISIONING_TOKEN_PREFIX);
+};
+
+// Pick a free username based on a name from an identity provider
+// (usernames are unique across all organizations)
+const findAvailableUsername = async (source) => {
+  const base =
+    source.replace(/[^a-zA-Z0-9]/g, "").slice(0, 24) ||
+    `user${generateSecureToken(3)}`;
+  let username = base.length >= 3 ? base : `${base}user`;
+
+  while (
+    await withoutTenantScope(() =>
+      prisma.user.findUnique({ where: { username } })
+    )
+  ) {
+    username = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+
+  return username;
+};
+
+// Membership a user signs into unless they pick an organization (their oldest)
+const getDefaultMembership = (userId) =>
+  prisma.organizationMember.findFirst({
+    where: { userId },
+    orderBy: { joinedAt: "asc" },
+    select: { organizationId: true, role: true },
+  });
+
+// Organization a user signs into unless they pick one
+const getDefaultOrganizationId = async (userId) => {
+  const membership = await getDefaultMembership(userId);
+
+  return membership ? membership.organizationId : null;
+};
+
+// Role of a user in an organization (the current one by default), or null
+// when they are not a member. Roles belong to memberships, so a user can be
+// an admin in one organization and an employee in another.
+const getOrganizationRole = async (
+  userId,
+  organizationId = getCurrentOrganizationId()
+) => {
+  if (!organizationId) return null;
+
+  const membership = await prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId } },
+    select: { role: true },
+  });
+
+  return membership ? membership.role : null;
+};
+
+// Whether a user also belongs to organizations other than the given one.
+// Accounts are shared, so the sign-in identity and status of such users
+// cannot be changed by one of their organizations alone.
+const belongsToOtherOrganizations = async (userId, organizationId) => {
+  const otherMemberships = await prisma.organizationMember.count({
+    where: { userId, organizationId: { not: organizationId } },
+  });
+
+  return otherMemberships > 0;
+};
+
+// Users with a role in the current organization
+const organizationRoleWhere = (role) => ({
+  organizationMemberships: {
+    some: { organizationId: getCurrentOrganizationId(), role },
+  },
+});
+
+// Select (or include) the membership of users in the current organization
+const organizationRoleSelect = () => ({
+  organizationMemberships: {
+    where: { organizationId: getCurrentOrganizationId() },
+    select: { role: true },
+  },
+});
+
+// Turn the membership selected with organizationRoleSelect into a role field
+const withOrganizationRole = ({ organizationMemberships, ...user }) => ({
+  ...user,
+  role: organizationMemberships[0]?.role || null,
+});
+
+// Organization self-registered and single sign-on accounts join: the one
+// named by DEFAULT_ORGANIZATION_SLUG (null when it does not exist)
+const findDefaultOrganization = () =>
+  prisma.organization.findUnique({
+    where: { slug: process.env.DEFAULT_ORGANIZATION_SLUG || "default" },
+    select: { id: true },
+  });
+
+// Membership in the default organization for new accounts, if it exists
+const defaultOrganizationMembership = async (role = "EMPLOYEE") => {
+  const organization = await findDefaultOrganization();
+
+  if (!organization) return {};
+
+  return {
+    organizationMemberships: {
+      create: { organizationId: organization.id, role },
+    },
+  };
+};
+
+// Generate tokens pair. Refresh tokens carry the ID of their token family
+// (one per login session) and a unique ID so every rotation yields a new token.
+// Access tokens carry the organization the session acts in and the user's
+// role there.
+const generateTokens = (
+  user,
+  familyId = crypto.randomUUID(),
+  organizationId = null
+) => {
   const payload = {
     id: user.id,
     email: user.email,
@@ -47,28 +457,90 @@ const generateTokens = (user) => {
     role: user.role,
     firstName: user.firstName,
     lastName: user.lastName,
+    organizationId,
   };
 
   const accessToken = generateToken(payload, "access");
-  const refreshToken = generateToken({ id: user.id }, "refresh");
+  const refreshToken = generateToken(
+    { id: user.id, familyId, jti: generateSecureToken(8) },
+    "refresh"
+  );
 
-  return { accessToken, refreshToken };
+  return { accessToken, refreshToken, familyId };
 };
 
-// Store refresh token
-const storeRefreshToken = async (userId, refreshToken) => {
+// Short-lived access token that lets an admin act as another user. It carries
+// both identities and is never paired with a refresh token.
+const generateImpersonationToken = (user, impersonator, organizationId) => {
+  const expiresIn = process.env.IMPERSONATION_EXPIRES_IN || "15m";
+  const accessToken = jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      organizationId,
+      impersonatorId: impersonator.id,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+  const { exp } = jwt.decode(accessToken);
+
+  return { accessToken, expiresAt: new Date(exp * 1000) };
+};
+
+// Refresh tokens (sessions) are valid for 7 days after their last use
+const getRefreshTokenExpiry = () => {
   const expiresAt = new Date();
   expiresAt.setDate(expiresAt.getDate() + 7); // 7 days
+  return expiresAt;
+};
+
+// Collect device details of the client making the request
+const getSessionInfo = (req, deviceName) => {
+  const userAgent = req.get("User-Agent") || null;
 
+  return {
+    deviceName: deviceName || describeUserAgent(userAgent),
+    userAgent,
+    ipAddress: req.ip || req.connection.remoteAddress || null,
+  };
+};
+
+// Store refresh token
+const storeRefreshToken = async (userId, refreshToken, sessionInfo = {}) => {
   await prisma.refreshToken.create({
     data: {
       token: refreshToken,
       userId,
-      expiresAt,
+      expiresAt: getRefreshTokenExpiry(),
+      ...sessionInfo,
     },
   });
 };
 
+// Replace the token of an existing session, keeping the session itself.
+// Only succeeds while currentToken is still the active token of the session.
+const rotateRefreshToken = async (
+  id,
+  currentToken,
+  refreshToken,
+  sessionInfo = {}
+) => {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id, token: currentToken },
+    data: {
+      token: refreshToken,
+      expiresAt: getRefreshTokenExpiry(),
+      lastUsedAt: new Date(),
+      ...sessionInfo,
+    },
+  });
+
+  return count > 0;
+};
+
 // Remove refresh token
 const removeRefreshToken = async (token) => {
   await prisma.refreshToken.delete({
@@ -76,7 +548,7 @@ const removeRefreshToken = async (token) => {
   });
 };
 
-// Clean expired refresh tokens
+// Clean expired refresh and password reset tokens
 const cleanExpiredTokens = async () => {
   await prisma.refreshToken.deleteMany({
     where: {
@@ -85,6 +557,12 @@ const cleanExpiredTokens = async () => {
       },
     },
   });
+
+  await prisma.passwordResetToken.deleteMany({
+    where: {
+      OR: [{ expiresAt: { lt: new Date() } }, { usedAt: { not: null } }],
+    },
+  });
 };
 
 // Role hierarchy for permissions
@@ -117,17 +595,204 @@ const canAccessResource = (userRole, requiredRole, isOwner = false) => {
   return false;
 };
 
+// Projects a user created or is a member of
+const memberProjectsWhere = (userId) => ({
+  OR: [{ createdBy: userId }, { members: { some: { userId } } }],
+});
+
+// Projects two users have in common
+const sharedProjectsWhere = (userId, otherUserId) => ({
+  AND: [memberProjectsWhere(userId), memberProjectsWhere(otherUserId)],
+});
+
+// Users visible to a viewer. Users who turned off accessToOthers are only
+// visible to admins and to colleagues they share a project with.
+const visibleUsersWhere = (viewer) => {
+  if (viewer.role === "ADMIN") return {};
+
+  return {
+    OR: [
+      { id: viewer.id },
+      { accessToOthers: true },
+      {
+        projectMemberships: {
+          some: { project: memberProjectsWhere(viewer.id) },
+        },
+      },
+      {
+        createdProjects: {
+          some: { members: { some: { userId: viewer.id } } },
+        },
+      },
+    ],
+  };
+};
+
+// Filter a list of user IDs down to the users visible to a viewer
+const filterVisibleUserIds = async (viewer, userIds) => {
+  if (viewer.role === "ADMIN" || userIds.length === 0) return userIds;
+
+  const visibleUsers = await prisma.user.findMany({
+    where: { id: { in: userIds }, ...visibleUsersWhere(viewer) },
+    select: { id: true },
+  });
+  const visibleIds = new Set(visibleUsers.map((user) => user.id));
+
+  return userIds.filter((userId) => visibleIds.has(userId));
+};
+
+// Check if a viewer may see a user's profile, presence and activity
+const canViewUser = async (viewer, userId) => {
+  const visibleIds = await filterVisibleUserIds(viewer, [userId]);
+  return visibleIds.length > 0;
+};
+
+// Projects in which a viewer may see another user's tasks and time entries
+const activityProjectsWhere = async (viewer, userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { accessToOthers: true },
+  });
+
+  return user && !user.accessToOthers
+    ? sharedProjectsWhere(viewer.id, userId)
+    : memberProjectsWhere(viewer.id);
+};
+
+// Users in the teams a lead leads (excluding the lead)
+const ledTeamMembersWhere = (leadId) => ({
+  id: { not: leadId },
+  teamMemberships: {
+    some: {
+      team: { members: { some: { userId: leadId, role: "LEAD" } } },
+    },
+  },
+});
+
+// Check if a user leads a team another user belongs to
+const isTeamLeadOf = async (leadId, userId) => {
+  const count = await prisma.user.count({
+    where: { id: userId, ...ledTeamMembersWhere(leadId) },
+  });
+  return count > 0;
+};
+
+// Project member roles, from most to least privileged
+const PROJECT_ROLES = ["OWNER", "MAINTAINER", "CONTRIBUTOR", "VIEWER"];
+
+// Project roles allowed to perform each project action
+const PROJECT_PERMISSIONS = {
+  editProject: ["OWNER", "MAINTAINER"],
+  deleteProject: ["OWNER"],
+  manageMembers: ["OWNER"],
+  manageTasks: ["OWNER", "MAINTAINER"],
+  approveTime: ["OWNER", "MAINTAINER"],
+  moderateChat: ["OWNER", "MAINTAINER"],
+  contribute: ["OWNER", "MAINTAINER", "CONTRIBUTOR"],
+};
+
+// Resolve a user's role in a project loaded with createdBy and members.
+// Admins and the project creator always act as owners.
+const getProjectRole = (user, project) => {
+  if (user.role === "ADMIN" || project.createdBy === user.id) return "OWNER";
+
+  const membership = project.members?.find(
+    (member) => member.userId === user.id
+  );
+  return membership ? membership.role : null;
+};
+
+// Check if a user's role in a project allows an action
+const hasProjectPermission = (user, project, permission) => {
+  return PROJECT_PERMISSIONS[permission].includes(
+    getProjectRole(user, project)
+  );
+};
+
+// Archived projects are read-only until they are unarchived
+const PROJECT_ARCHIVED_ERROR = "Project is archived and read-only";
+
+// Check if a project (loaded with archivedAt) is archived
+const isProjectArchived = (project) => Boolean(project?.archivedAt);
+
+// Projects in which a user's role allows an action (admins excluded)
+const projectPermissionWhere = (userId, permission) => ({
+  OR: [
+    { createdBy: userId },
+    {
+      members: {
+        some: { userId, role: { in: PROJECT_PERMISSIONS[permission] } },
+      },
+    },
+  ],
+});
+
 module.exports = {
   generateToken,
   verifyToken,
   hashPassword,
   comparePassword,
+  generateSecureToken,
+  hashToken,
+  isEmailVerificationRequired,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  sendVerificationEmail,
+  getInvitationExpiry,
+  generateInvitationToken,
+  verifyInvitationToken,
+  generateDataExportToken,
+  verifyDataExportToken,
+  getInvitationStatus,
+  sendInvitationEmail,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  TWO_FACTOR_POLICY_KEY,
+  getTwoFactorRequiredRoles,
+  isTwoFactorRequiredForRole,
+  isTwoFactorRequiredForUser,
+  PERSONAL_ACCESS_TOKEN_PREFIX,
+  TOKEN_SCOPES,
+  generatePersonalAccessToken,
+  isPersonalAccessToken,
+  PROVISIONING_TOKEN_PREFIX,
+  generateProvisioningToken,
+  isProvisioningToken,
+  findAvailableUsername,
+  getDefaultMembership,
+  getDefaultOrganizationId,
+  getOrganizationRole,
+  belongsToOtherOrganizations,
+  organizationRoleWhere,
+  organizationRoleSelect,
+  withOrganizationRole,
+  findDefaultOrganization,
+  defaultOrganizationMembership,
   generateTokens,
+  generateImpersonationToken,
+  getSessionInfo,
   storeRefreshToken,
+  rotateRefreshToken,
   removeRefreshToken,
   cleanExpiredTokens,
   hasRole,
   canAccessResource,
+  memberProjectsWhere,
+  sharedProjectsWhere,
+  visibleUsersWhere,
+  filterVisibleUserIds,
+  canViewUser,
+  activityProjectsWhere,
+  ledTeamMembersWhere,
+  isTeamLeadOf,
+  PROJECT_ROLES,
+  getProjectRole,
+  hasProjectPermission,
+  PROJECT_ARCHIVED_ERROR,
+  isProjectArchived,
+  projectPermissionWhere,
   ROLE_HIERARCHY,
   prisma,
 };
@@ -0,0 +1,97 @@
+// Minimal CSV (RFC 4180) parsing and formatting
+
+// Parse CSV text into rows of fields (handles quoted fields, escaped quotes
+// and line breaks inside quotes)
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Ignore a byte order mark added by spreadsheet applications
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+};
+
+// Parse CSV text with a header line into objects keyed by column name
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map((column) => column.trim());
+
+  return {
+    columns,
+    records: rows.map((fields) =>
+      Object.fromEntries(
+        columns.map((column, index) => [column, (fields[index] || "").trim()])
+      )
+    ),
+  };
+};
+
+// Quote a value when needed. Values that spreadsheets would run as formulas
+// are prefixed with a quote character.
+const formatCsvValue = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format objects as CSV text with a header line
+const toCsv = (columns, records) => {
+  const lines = [
+    columns.map(formatCsvValue).join(","),
+    ...records.map((record) =>
+      columns.map((column) => formatCsvValue(record[column])).join(",")
+    ),
+  ];
+
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
@@ -196,7 +196,12 @@ class ErrorTracker {
       "database_connection_lost",
     ];
 
-    const warningAlerts = ["high_error_rate", "frequent_specific_error"];
+    const warningAlerts = [
+      "high_error_rate",
+      "frequent_specific_error",
+      "account_locked",
+      "brute_force_detected",
+    ];
 
     if (criticalAlerts.includes(alertType)) return "critical";
     if (warningAlerts.includes(alertType)) return "warning";
@@ -47,10 +47,41 @@ const validateRequired = (fields, body) => {
   }
 };
 
+// Build a short human readable device description from a User-Agent header
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+    ["curl", /^curl\//],
+    ["Postman", /PostmanRuntime\//],
+  ];
+  const systems = [
+    ["iOS", /iPhone|iPad/],
+    ["Android", /Android/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return "Unknown device";
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
 module.exports = {
   sendSuccess,
   sendError,
   sendPaginated,
   asyncHandler,
   validateRequired,
+  describeUserAgent,
 };
@@ -0,0 +1,147 @@
+const settingsService = require("../services/settings.service");
+const { getCurrentOrganizationId } = require("./tenant");
+
+// Setting key for the role permission sets each organization manages
+const ROLE_PERMISSIONS_KEY = "security.rolePermissions";
+
+// Every permission that can be granted to a role
+const PERMISSIONS = {
+  "user.create": "Create user accounts",
+  "user.invite": "Invite users by email",
+  "user.list": "List users by role",
+  "user.update": "Update other users (non-admins are limited to employees)",
+  "user.delete": "Delete users without project history",
+  "user.offboard": "Offboard users and transfer their work to a successor",
+  "user.status": "Activate and deactivate users",
+  "user.unlock": "Unlock accounts locked after failed logins",
+  "user.stats": "View user statistics",
+  "user.rates": "Set the hourly cost and bill rates of users",
+  "user.impersonate": "Act as another user for support purposes",
+  "user.export": "Export the personal data of any user",
+  "user.erase": "Anonymize users on right-to-erasure requests",
+  "organization.create": "Create organizations",
+  "organization.manage":
+    "Rename the current organization and manage its members",
+  "team.manage": "Create teams and manage their members and leads",
+  "project.create": "Create projects",
+  "project.view": "View any project with its tasks, messages and statistics",
+  "project.update": "Edit any project",
+  "project.delete": "Delete any project",
+  "project.members": "Manage members of any project",
+  "project.staff":
+    "Add team leads and admins to projects (others can only add employees)",
+  "task.manage": "Create, assign and delete tasks in any project",
+  "timeentry.approve": "Approve and reject time entries in any project",
+  "timeentry.manage": "Log, view, edit and delete time entries of any user",
+  "timeentry.team":
+    "View time entries and time reports of other users in own projects",
+  "timeentry.drafts":
+    "Edit and delete draft time entries of other users in own projects",
+  "file.manage": "Upload, view, edit and delete files in any project",
+  "file.team": "View and download all files of own projects",
+  "message.moderate": "Delete messages in any project chat",
+  "trash.manage": "View and restore deleted projects, tasks and messages",
+  "analytics.team":
+    "View team productivity analytics and reports of own projects",
+  "analytics.organization":
+    "View analytics and reports of the whole organization",
+  "notification.broadcast": "Send system-wide announcements",
+  "monitoring.view": "View system health, metrics and logs",
+  "monitoring.manage": "Trigger monitoring test alerts",
+  "security.manage": "Manage security policies and role permissions",
+};
+
+// Permissions of each role until an admin changes them. Admins always hold
+// every permission so they cannot lock themselves out.
+const DEFAULT_ROLE_PERMISSIONS = {
+  TEAM_LEAD: [
+    "user.list",
+    "user.update",
+    "project.create",
+    "timeentry.team",
+    "timeentry.drafts",
+    "file.team",
+    "analytics.team",
+  ],
+  EMPLOYEE: [],
+};
+
+// Roles whose permission sets can be edited
+const EDITABLE_ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+// Permission sets of every role in an organization (the current one by default)
+const getRolePermissions = async (
+  organizationId = getCurrentOrganizationId()
+) => {
+  const storedPermissions = await settingsService.getForOrganization(
+    organizationId,
+    ROLE_PERMISSIONS_KEY,
+    {}
+  );
+  const rolePermissions = { ADMIN: Object.keys(PERMISSIONS) };
+
+  EDITABLE_ROLES.forEach((role) => {
+    const permissions =
+      storedPermissions[role] || DEFAULT_ROLE_PERMISSIONS[role];
+    // Drop permissions that no longer exist in the registry
+    rolePermissions[role] = permissions.filter(
+      (permission) => PERMISSIONS[permission]
+    );
+  });
+
+  return rolePermissions;
+};
+
+// Permissions granted to a role in an organization (the current one by default)
+const getPermissionsForRole = async (
+  role,
+  organizationId = getCurrentOrganizationId()
+) => {
+  const rolePermissions = await getRolePermissions(organizationId);
+  return rolePermissions[role] || [];
+};
+
+// Replace the permission set of an editable role in an organization. Other
+// organizations keep theirs.
+const setRolePermissions = async (
+  role,
+  permissions,
+  updatedBy,
+  organizationId = getCurrentOrganizationId()
+) => {
+  const storedPermissions = await settingsService.getForOrganization(
+    organizationId,
+    ROLE_PERMISSIONS_KEY,
+    {}
+  );
+
+  await settingsService.setForOrganization(
+    organizationId,
+    ROLE_PERMISSIONS_KEY,
+    { ...storedPermissions, [role]: permissions },
+    updatedBy
+  );
+
+  return getPermissionsForRole(role, organizationId);
+};
+
+// Check if a user's role in the current organization grants a permission
+const hasPermission = async (user, permission) => {
+  const permissions = await getPermissionsForRole(user.role);
+  return permissions.includes(permission);
+};
+
+// Whether a user may create, change or remove accounts with a role. Only
+// admins manage team leads and admins, whatever permissions others hold.
+const canManageRole = (user, role) =>
+  user.role === "ADMIN" || role === "EMPLOYEE";
+
+module.exports = {
+  PERMISSIONS,
+  EDITABLE_ROLES,
+  getRolePermissions,
+  getPermissionsForRole,
+  setRolePermissions,
+  hasPermission,
+  canManageRole,
+};
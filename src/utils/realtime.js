@@ -406,6 +406,75 @@ const timeTrackingNotifications = {
   },
 };
 
+/**
+ * Milestone-related real-time notifications
+ */
+const milestoneNotifications = {
+  /**
+   * Notify project members that a milestone was reached
+   * @param {Object} milestone - Reached milestone
+   */
+  reached: (milestone) => {
+    notificationService.notifyProject(
+      milestone.projectId,
+      notificationService.TYPES.MILESTONE_REACHED,
+      {
+        milestoneId: milestone.id,
+        name: milestone.name,
+        targetDate: milestone.targetDate,
+        reachedAt: milestone.reachedAt,
+        projectId: milestone.projectId,
+      }
+    );
+  },
+
+  /**
+   * Notify project members that a milestone passed its target date
+   * @param {Object} milestone - Missed milestone
+   */
+  missed: (milestone) => {
+    notificationService.notifyProject(
+      milestone.projectId,
+      notificationService.TYPES.MILESTONE_MISSED,
+      {
+        milestoneId: milestone.id,
+        name: milestone.name,
+        targetDate: milestone.targetDate,
+        projectId: milestone.projectId,
+      }
+    );
+  },
+};
+
+/**
+ * Budget-related real-time notifications
+ */
+const budgetNotifications = {
+  /**
+   * Notify project managers that spend reached a budget alert threshold
+   * @param {Object} project - Project
+   * @param {number} threshold - Reached threshold in percent
+   * @param {Object} budget - Budget report of the project
+   * @param {Array} recipients - Array of recipient user IDs
+   */
+  thresholdReached: (project, threshold, budget, recipients) => {
+    notificationService.notifyUsers(
+      recipients,
+      notificationService.TYPES.BUDGET_THRESHOLD_REACHED,
+      {
+        projectId: project.id,
+        projectName: project.name,
+        threshold,
+        budget: budget.budget,
+        consumed: budget.consumed,
+        remaining: budget.remaining,
+        consumedPercentage: budget.consumedPercentage,
+        forecastBurnDate: budget.forecastBurnDate,
+      }
+    );
+  },
+};
+
 /**
  * File-related real-time notifications
  */
@@ -487,6 +556,8 @@ module.exports = {
   projectNotifications,
   messageNotifications,
   timeTrackingNotifications,
+  milestoneNotifications,
+  budgetNotifications,
   fileNotifications,
   systemNotifications,
   notificationService,
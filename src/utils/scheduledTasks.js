@@ -6,6 +6,11 @@ const logger = require("./logger");
 const { systemMetrics } = require("./monitoring");
 const { errorTracker } = require("./errorTracking");
 const { cleanExpiredTokens } = require("./auth");
+const loginProtection = require("../services/loginProtection.service");
+const oidcService = require("../services/oidc.service");
+const dataExportService = require("../services/dataExport.service");
+const trashService = require("../services/trash.service");
+const milestoneService = require("../services/milestone.service");
 
 const prisma = new PrismaClient();
 
@@ -63,6 +68,23 @@ class ScheduledTasks {
       this.cleanErrorTrackingData.bind(this)
     );
 
+    // Resume interrupted data exports and remove expired archives every 15 minutes
+    this.scheduleTask(
+      "data-exports",
+      "*/15 * * * *",
+      this.processDataExports.bind(this)
+    );
+
+    // Permanently delete trashed items past their retention every day at 4 AM
+    this.scheduleTask("purge-trash", "0 4 * * *", this.purgeTrash.bind(this));
+
+    // Mark milestones past their target date as missed every hour
+    this.scheduleTask(
+      "missed-milestones",
+      "0 * * * *",
+      this.markMissedMilestones.bind(this)
+    );
+
     // Archive old audit logs every month
     this.scheduleTask(
       "archive-audit-logs",
@@ -174,12 +196,36 @@ class ScheduledTasks {
       } else {
         logger.debug("No expired tokens to clean");
       }
+
+      await oidcService.cleanupAuthRequests();
+
+      const deletedAttempts = await loginProtection.cleanupAttempts();
+      if (deletedAttempts > 0) {
+        logger.info("Old failed login attempts cleaned", {
+          deletedCount: deletedAttempts,
+        });
+      }
     } catch (error) {
       logger.error("Token cleanup failed", { error: error.message });
       throw error;
     }
   }
 
+  // Resume queued personal data exports and remove expired ones
+  async processDataExports() {
+    try {
+      const resumedCount = await dataExportService.processPendingExports();
+      const expiredCount = await dataExportService.cleanupExpiredExports();
+
+      if (resumedCount > 0 || expiredCount > 0) {
+        logger.info("Data exports processed", { resumedCount, expiredCount });
+      }
+    } catch (error) {
+      logger.error("Data export processing failed", { error: error.message });
+      throw error;
+    }
+  }
+
   // Clean old log files
   async cleanOldLogs() {
     logger.info("Starting log cleanup");
@@ -269,13 +315,13 @@ class ScheduledTasks {
     logger.info("Starting database maintenance");
 
     try {
-      // Clean up old sessions
+      // Clean up sessions unused for 7 days
       const oldSessionDate = new Date();
       oldSessionDate.setDate(oldSessionDate.getDate() - 7); // 7 days old
 
       const deletedSessions = await prisma.refreshToken.deleteMany({
         where: {
-          createdAt: {
+          lastUsedAt: {
             lt: oldSessionDate,
           },
         },
@@ -368,6 +414,30 @@ class ScheduledTasks {
     }
   }
 
+  // Permanently delete projects, tasks and messages past the trash retention
+  async purgeTrash() {
+    try {
+      await trashService.purgeExpired();
+    } catch (error) {
+      logger.error("Trash purge failed", { error: error.message });
+      throw error;
+    }
+  }
+
+  // Mark pending milestones past their target date as missed
+  async markMissedMilestones() {
+    try {
+      const missedCount = await milestoneService.markMissed();
+
+      if (missedCount > 0) {
+        logger.info("Milestones marked as missed", { missedCount });
+      }
+    } catch (error) {
+      logger.error("Missed milestone check failed", { error: error.message });
+      throw error;
+    }
+  }
+
   // Clean error tracking data
   async cleanErrorTrackingData() {
     logger.info("Cleaning error tracking data");
@@ -0,0 +1,271 @@
+/**
+ * SCIM Helpers
+ * Schemas, responses, filters and PATCH operations of the SCIM 2.0 protocol
+ * (RFC 7643 and RFC 7644) used to provision users from identity providers
+ */
+
+const SCIM_SCHEMAS = {
+  USER: "urn:ietf:params:scim:schemas:core:2.0:User",
+  GROUP: "urn:ietf:params:scim:schemas:core:2.0:Group",
+  LIST_RESPONSE: "urn:ietf:params:scim:api:messages:2.0:ListResponse",
+  PATCH_OP: "urn:ietf:params:scim:api:messages:2.0:PatchOp",
+  ERROR: "urn:ietf:params:scim:api:messages:2.0:Error",
+  SERVICE_PROVIDER_CONFIG:
+    "urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig",
+};
+
+// Largest page of a list response
+const SCIM_MAX_RESULTS = 200;
+
+// Error answered with a SCIM error response (scimType as defined in RFC 7644)
+const scimError = (status, detail, scimType) => {
+  const error = new Error(detail);
+  error.status = status;
+  error.scimType = scimType;
+  return error;
+};
+
+// Send a SCIM resource or message
+const sendScim = (res, body, statusCode = 200) => {
+  res.status(statusCode).type("application/scim+json").json(body);
+};
+
+// Send a SCIM error response
+const sendScimError = (res, detail, statusCode, scimType) => {
+  sendScim(
+    res,
+    {
+      schemas: [SCIM_SCHEMAS.ERROR],
+      status: String(statusCode),
+      ...(scimType && { scimType }),
+      detail,
+    },
+    statusCode
+  );
+};
+
+// Page of resources in a list response
+const scimListResponse = (resources, totalResults, startIndex) => ({
+  schemas: [SCIM_SCHEMAS.LIST_RESPONSE],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources,
+});
+
+// startIndex (1-based) and count query parameters of a list request
+const parseScimPagination = (query) => {
+  const startIndex = Math.max(parseInt(query.startIndex) || 1, 1);
+  const count = Math.min(
+    Math.max(parseInt(query.count) || SCIM_MAX_RESULTS, 0),
+    SCIM_MAX_RESULTS
+  );
+
+  return { startIndex, count };
+};
+
+// Attribute names are case-insensitive and may carry their schema URN
+const normalizeAttribute = (attribute, schema) =>
+  attribute.toLowerCase().startsWith(`${schema.toLowerCase()}:`)
+    ? attribute.slice(schema.length + 1)
+    : attribute;
+
+/**
+ * Parse a list filter. Only `<attribute> eq "<value>"` is supported, which is
+ * what identity providers use to look up existing resources.
+ * @param {string} filter - Filter query parameter
+ * @param {string[]} attributes - Attributes that can be filtered on
+ * @param {string} schema - Core schema of the resource
+ * @returns {Object|null} { attribute, value } or null without a filter
+ */
+const parseScimFilter = (filter, attributes, schema) => {
+  if (!filter) {
+    return null;
+  }
+
+  const match = filter.match(/^\s*(\S+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i);
+  const attribute =
+    match &&
+    attributes.find(
+      (name) =>
+        name.toLowerCase() ===
+        normalizeAttribute(match[1], schema).toLowerCase()
+    );
+
+  if (!attribute) {
+    throw scimError(
+      400,
+      `Unsupported filter. Use one of: ${attributes
+        .map((name) => `${name} eq "value"`)
+        .join(", ")}`,
+      "invalidFilter"
+    );
+  }
+
+  return { attribute, value: match[2].replace(/\\(.)/g, "$1") };
+};
+
+// Key of an object matching an attribute name regardless of case
+const findKey = (object, attribute) =>
+  Object.keys(object).find(
+    (key) => key.toLowerCase() === attribute.toLowerCase()
+  ) || attribute;
+
+// Multi-valued attributes are merged by their value on add
+const mergeValues = (current = [], added = []) => [
+  ...current,
+  ...[]
+    .concat(added)
+    .filter((item) => !current.some((entry) => entry.value === item.value)),
+];
+
+/**
+ * Apply one operation to an attribute path such as `active`, `name.givenName`,
+ * `emails[type eq "work"].value` or `members[value eq "id"]`
+ */
+const applyOperation = (resource, op, path, value) => {
+  const match = path.match(/^([^[.]+)(?:\[(.+)\])?(?:\.(.+))?$/);
+
+  if (!match) {
+    throw scimError(400, `Invalid path: ${path}`, "invalidPath");
+  }
+
+  const [, name, filter, subAttribute] = match;
+  const key = findKey(resource, name);
+
+  if (filter) {
+    const { attribute, value: filterValue } = parseScimFilter(
+      filter,
+      ["value", "type", "display"],
+      ""
+    );
+    const items = resource[key] || [];
+    const matches = (item) => String(item[attribute]) === filterValue;
+
+    if (op === "remove" && !subAttribute) {
+      resource[key] = items.filter((item) => !matches(item));
+      return;
+    }
+
+    let item = items.find(matches);
+    if (!item) {
+      item = { [attribute]: filterValue };
+      resource[key] = [...items, item];
+    }
+
+    if (subAttribute) {
+      if (op === "remove") {
+        delete item[findKey(item, subAttribute)];
+      } else {
+        item[findKey(item, subAttribute)] = value;
+      }
+    } else if (op !== "remove") {
+      Object.assign(item, value);
+    }
+    return;
+  }
+
+  if (subAttribute) {
+    resource[key] = { ...resource[key] };
+    applyOperation(resource[key], op, subAttribute, value);
+    return;
+  }
+
+  if (op === "remove") {
+    // Removing listed members or values keeps the others
+    if (Array.isArray(resource[key]) && Array.isArray(value)) {
+      resource[key] = resource[key].filter(
+        (item) => !value.some((removed) => removed.value === item.value)
+      );
+    } else {
+      delete resource[key];
+    }
+    return;
+  }
+
+  if (op === "add" && Array.isArray(resource[key])) {
+    resource[key] = mergeValues(resource[key], value);
+  } else if (
+    op === "add" &&
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value)
+  ) {
+    resource[key] = { ...resource[key], ...value };
+  } else {
+    resource[key] = value;
+  }
+};
+
+/**
+ * Apply the operations of a PATCH request to the SCIM representation of a resource
+ * @param {Object} resource - Current SCIM resource
+ * @param {Object} body - PatchOp request body
+ * @param {string} schema - Core schema of the resource
+ * @returns {Object} Patched copy of the resource
+ */
+const applyScimPatch = (resource, body, schema) => {
+  const operations = body && body.Operations;
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw scimError(400, "Operations are required", "invalidSyntax");
+  }
+
+  const patched = JSON.parse(JSON.stringify(resource));
+
+  for (const operation of operations) {
+    const op = String(operation.op || "").toLowerCase();
+
+    if (!["add", "replace", "remove"].includes(op)) {
+      throw scimError(
+        400,
+        `Unsupported operation: ${operation.op}`,
+        "invalidSyntax"
+      );
+    }
+
+    if (operation.path) {
+      const path = normalizeAttribute(operation.path, schema);
+
+      // Attributes of extension schemas are not stored
+      if (!path.startsWith("urn:")) {
+        applyOperation(patched, op, path, operation.value);
+      }
+    } else if (op === "remove") {
+      throw scimError(400, "Remove operations require a path", "noTarget");
+    } else if (operation.value && typeof operation.value === "object") {
+      for (const [attribute, value] of Object.entries(operation.value)) {
+        const path = normalizeAttribute(attribute, schema);
+
+        if (!path.startsWith("urn:")) {
+          applyOperation(patched, op, path, value);
+        }
+      }
+    } else {
+      throw scimError(
+        400,
+        "Operations without a path need an object value",
+        "invalidValue"
+      );
+    }
+  }
+
+  return patched;
+};
+
+// SCIM booleans sometimes arrive as strings ("True"/"False")
+const parseScimBoolean = (value) =>
+  typeof value === "string" ? value.toLowerCase() === "true" : Boolean(value);
+
+module.exports = {
+  SCIM_SCHEMAS,
+  SCIM_MAX_RESULTS,
+  scimError,
+  sendScim,
+  sendScimError,
+  scimListResponse,
+  parseScimPagination,
+  parseScimFilter,
+  applyScimPatch,
+  parseScimBoolean,
+};
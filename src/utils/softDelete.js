@@ -0,0 +1,70 @@
+/**
+ * Soft Deletion
+ * Projects, tasks and messages are moved to the trash by setting deletedAt.
+ * Queries skip trashed rows, and rows of a trashed project, unless they run
+ * inside withDeletedRecords.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const trashContext = new AsyncLocalStorage();
+
+// Where clause hiding trashed rows of each soft-deletable model
+const SOFT_DELETE_FILTERS = {
+  Project: { deletedAt: null },
+  Task: { deletedAt: null, project: { deletedAt: null } },
+  ProjectMessage: { deletedAt: null, project: { deletedAt: null } },
+  Milestone: { project: { deletedAt: null } },
+};
+
+// Operations that read or change existing rows
+const FILTERED_OPERATIONS = [
+  "findUnique",
+  "findUniqueOrThrow",
+  "findFirst",
+  "findFirstOrThrow",
+  "findMany",
+  "count",
+  "aggregate",
+  "groupBy",
+  "update",
+  "updateMany",
+  "upsert",
+  "delete",
+  "deleteMany",
+];
+
+// Run a callback with trashed rows visible, for the trash, restores and purges
+// (queries have to be awaited inside the callback)
+const withDeletedRecords = (callback) =>
+  trashContext.run({ includeDeleted: true }, async () => callback());
+
+// Narrow the arguments of a query to rows that are not in the trash
+const excludeDeletedArgs = (model, operation, args = {}) => {
+  const filter = SOFT_DELETE_FILTERS[model];
+
+  if (
+    !filter ||
+    !FILTERED_OPERATIONS.includes(operation) ||
+    trashContext.getStore()?.includeDeleted
+  ) {
+    return args;
+  }
+
+  return {
+    ...args,
+    where: {
+      ...args.where,
+      AND: [].concat(args.where?.AND || [], filter),
+    },
+  };
+};
+
+// Marks a row as moved to the trash by a user
+const trashData = (userId) => ({ deletedAt: new Date(), deletedBy: userId });
+
+module.exports = {
+  withDeletedRecords,
+  excludeDeletedArgs,
+  trashData,
+};
@@ -0,0 +1,57 @@
+// Minimal tar (ustar) writing for download archives
+
+const BLOCK_SIZE = 512;
+
+// Write a string into a header field, leaving the rest of it zeroed
+const writeField = (header, value, offset, length) => {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length));
+};
+
+// Octal number field ending in a NUL byte
+const writeOctal = (header, value, offset, length) => {
+  writeField(
+    header,
+    `${value.toString(8).padStart(length - 1, "0")}\0`,
+    offset,
+    length
+  );
+};
+
+// Header block of a regular file (names are limited to 100 bytes)
+const createHeader = (name, size, modifiedAt) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  writeField(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(modifiedAt.getTime() / 1000), 136, 12);
+  header.fill(" ", 148, 156);
+  writeField(header, "0", 156, 1);
+  writeField(header, "ustar\0", 257, 6);
+  writeField(header, "00", 263, 2);
+
+  // The checksum is the sum of all header bytes with the checksum field
+  // counted as spaces
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeField(header, `${checksum.toString(8).padStart(6, "0")}\0 `, 148, 8);
+
+  return header;
+};
+
+// One file of an archive: header, content and padding to a full block
+const tarEntry = (name, content, modifiedAt = new Date()) =>
+  Buffer.concat([
+    createHeader(name, content.length, modifiedAt),
+    content,
+    Buffer.alloc((BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE),
+  ]);
+
+// Two empty blocks mark the end of an archive
+const tarEnd = () => Buffer.alloc(BLOCK_SIZE * 2);
+
+module.exports = {
+  tarEntry,
+  tarEnd,
+};
@@ -0,0 +1,152 @@
+/**
+ * Tenant Scoping
+ * Tracks the organization a request acts in and limits every Prisma query
+ * made during the request to the data of that organization
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { excludeDeletedArgs } = require("./softDelete");
+
+const tenantContext = new AsyncLocalStorage();
+
+// Where clause tying each tenant-owned model to an organization
+const projectScope = (organizationId) => ({ project: { organizationId } });
+const templateScope = (organizationId) => ({ template: { organizationId } });
+const TENANT_SCOPES = {
+  Project: (organizationId) => ({ organizationId }),
+  FileUpload: (organizationId) => ({ organizationId }),
+  Invitation: (organizationId) => ({ organizationId }),
+  Team: (organizationId) => ({ organizationId }),
+  ProvisioningToken: (organizationId) => ({ organizationId }),
+  ProjectTemplate: (organizationId) => ({ organizationId }),
+  DataExport: (organizationId) => ({ organizationId }),
+  ProjectTemplateTask: templateScope,
+  ProjectTemplateMember: templateScope,
+  TeamMember: (organizationId) => ({ team: { organizationId } }),
+  ProjectMember: projectScope,
+  Task: projectScope,
+  ProjectMessage: projectScope,
+  Milestone: projectScope,
+  TimeEntry: projectScope,
+  TimerSession: projectScope,
+  User: (organizationId) => ({
+    organizationMemberships: { some: { organizationId } },
+  }),
+};
+
+// Models whose new rows are stamped with the organization
+const ORGANIZATION_OWNED_MODELS = [
+  "Project",
+  "FileUpload",
+  "Invitation",
+  "Team",
+  "ProvisioningToken",
+  "ProjectTemplate",
+  "DataExport",
+];
+
+// Operations that read or change existing rows
+const FILTERED_OPERATIONS = [
+  "findUnique",
+  "findUniqueOrThrow",
+  "findFirst",
+  "findFirstOrThrow",
+  "findMany",
+  "count",
+  "aggregate",
+  "groupBy",
+  "update",
+  "updateMany",
+  "upsert",
+  "delete",
+  "deleteMany",
+];
+
+// Organization of the current request (null outside authenticated requests)
+const getCurrentOrganizationId = () =>
+  tenantContext.getStore()?.organizationId || null;
+
+// Run a callback with all queries scoped to an organization
+const runWithOrganization = (organizationId, callback) =>
+  tenantContext.run({ organizationId }, callback);
+
+// Run a callback without scoping, for deliberate global lookups such as
+// unique email checks (queries have to be awaited inside the callback)
+const withoutTenantScope = (callback) =>
+  tenantContext.run({ organizationId: null }, async () => callback());
+
+// Stamp new rows with the organization (and add new users to it)
+const scopeCreateData = (model, data, organizationId) => {
+  if (ORGANIZATION_OWNED_MODELS.includes(model)) {
+    return { organizationId, ...data };
+  }
+
+  if (model === "User" && !data.organizationMemberships) {
+    return { ...data, organizationMemberships: { create: { organizationId } } };
+  }
+
+  return data;
+};
+
+// Narrow the arguments of a query to an organization
+const scopeQueryArgs = (model, operation, args = {}, organizationId) => {
+  const scope = TENANT_SCOPES[model];
+
+  if (!scope || !organizationId) {
+    return args;
+  }
+
+  const scopedArgs = { ...args };
+
+  // Added with AND so unique lookups keep their unique fields at the top level
+  if (FILTERED_OPERATIONS.includes(operation)) {
+    scopedArgs.where = {
+      ...args.where,
+      AND: [].concat(args.where?.AND || [], scope(organizationId)),
+    };
+  }
+
+  if (operation === "create") {
+    scopedArgs.data = scopeCreateData(model, args.data, organizationId);
+  }
+
+  if (operation === "createMany") {
+    scopedArgs.data = []
+      .concat(args.data)
+      .map((data) => scopeCreateData(model, data, organizationId));
+  }
+
+  if (operation === "upsert") {
+    scopedArgs.create = scopeCreateData(model, args.create, organizationId);
+  }
+
+  return scopedArgs;
+};
+
+// Extend a Prisma client so its queries follow the organization of the request
+// and skip rows in the trash
+const withTenantScope = (client) =>
+  client.$extends({
+    name: "tenantScope",
+    query: {
+      $allModels: {
+        $allOperations({ model, operation, args, query }) {
+          return query(
+            excludeDeletedArgs(
+              model,
+              operation,
+              scopeQueryArgs(model, operation, args, getCurrentOrganizationId())
+            )
+          );
+        },
+      },
+    },
+  });
+
+module.exports = {
+  getCurrentOrganizationId,
+  runWithOrganization,
+  withoutTenantScope,
+  scopeQueryArgs,
+  withTenantScope,
+};
@@ -1,4 +1,6 @@
 const Joi = require("joi");
+const { TOKEN_SCOPES } = require("./auth");
+const { PERMISSIONS, EDITABLE_ROLES } = require("./permissions");
 
 // User registration validation
 const registerSchema = Joi.object({
@@ -41,6 +43,55 @@ const registerSchema = Joi.object({
     .default("EMPLOYEE"),
 });
 
+// Admin user creation validation
+const createUserSchema = registerSchema.keys({
+  skipEmailVerification: Joi.boolean().optional().default(false),
+});
+
+// Row of a user import file (imported users choose their password later)
+const importUserRowSchema = registerSchema
+  .fork(["password"], (schema) => schema.forbidden())
+  .keys({
+    projects: Joi.string().allow("").optional(),
+  });
+
+// User import options (sent as multipart form fields next to the file)
+const importUsersSchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+  sendInvitations: Joi.boolean().default(false),
+});
+
+// Invitation validation (Admin)
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+  role: Joi.string()
+    .valid("ADMIN", "TEAM_LEAD", "EMPLOYEE")
+    .optional()
+    .default("EMPLOYEE"),
+  position: Joi.string().max(100).optional(),
+  projectIds: Joi.array().items(Joi.string()).unique().optional().default([]),
+});
+
+// Invitation token validation
+const invitationTokenSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Invitation token is required",
+  }),
+});
+
+// Invitation acceptance validation (account details chosen by the invitee)
+const acceptInvitationSchema = invitationTokenSchema.keys({
+  username: registerSchema.extract("username"),
+  password: registerSchema.extract("password"),
+  firstName: registerSchema.extract("firstName"),
+  lastName: registerSchema.extract("lastName"),
+  avatar: registerSchema.extract("avatar"),
+  deviceName: Joi.string().trim().max(100).optional(),
+});
+
 // User login validation
 const loginSchema = Joi.object({
   identifier: Joi.string().required().messages({
@@ -49,6 +100,7 @@ const loginSchema = Joi.object({
   password: Joi.string().required().messages({
     "any.required": "Password is required",
   }),
+  deviceName: Joi.string().trim().max(100).optional(),
 });
 
 // Password change validation
@@ -75,6 +127,147 @@ const changePasswordSchema = Joi.object({
     }),
 });
 
+// Forgot password validation
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+});
+
+// Reset password validation
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Reset token is required",
+  }),
+  newPassword: Joi.string()
+    .min(8)
+    .pattern(new RegExp("^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%^&*])"))
+    .required()
+    .messages({
+      "string.min": "New password should be at least 8 characters long",
+      "string.pattern.base":
+        "New password should contain at least one lowercase letter, one uppercase letter, one number, and one special character",
+      "any.required": "New password is required",
+    }),
+  confirmPassword: Joi.string()
+    .valid(Joi.ref("newPassword"))
+    .required()
+    .messages({
+      "any.only": "Password confirmation does not match new password",
+      "any.required": "Password confirmation is required",
+    }),
+});
+
+// Email verification validation
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Verification token is required",
+  }),
+});
+
+// Resend verification email validation
+const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+});
+
+// Two-factor code validation (authenticator app code)
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Code must be a 6 digit number",
+      "any.required": "Code is required",
+    }),
+});
+
+// Two-factor login validation (second step of login)
+const twoFactorLoginSchema = Joi.object({
+  mfaToken: Joi.string().required().messages({
+    "any.required": "MFA token is required",
+  }),
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .messages({
+      "string.pattern.base": "Code must be a 6 digit number",
+    }),
+  recoveryCode: Joi.string().max(32),
+  deviceName: Joi.string().trim().max(100).optional(),
+})
+  .xor("code", "recoveryCode")
+  .messages({
+    "object.missing": "Either code or recoveryCode is required",
+    "object.xor": "Provide either code or recoveryCode, not both",
+  });
+
+// Single sign-on callback validation
+const oidcCallbackSchema = Joi.object({
+  code: Joi.string().required().messages({
+    "any.required": "Authorization code is required",
+  }),
+  state: Joi.string().required().messages({
+    "any.required": "State is required",
+  }),
+  deviceName: Joi.string().trim().max(100).optional(),
+});
+
+// Disable two-factor validation
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "any.required": "Password is required",
+  }),
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .messages({
+      "string.pattern.base": "Code must be a 6 digit number",
+    }),
+  recoveryCode: Joi.string().max(32),
+})
+  .xor("code", "recoveryCode")
+  .messages({
+    "object.missing": "Either code or recoveryCode is required",
+    "object.xor": "Provide either code or recoveryCode, not both",
+  });
+
+// Two-factor policy validation
+const twoFactorPolicySchema = Joi.object({
+  requiredRoles: Joi.array()
+    .items(Joi.string().valid("ADMIN", "TEAM_LEAD", "EMPLOYEE"))
+    .unique()
+    .required()
+    .messages({
+      "any.only": "Roles must be ADMIN, TEAM_LEAD, or EMPLOYEE",
+      "any.required": "Required roles are required",
+    }),
+});
+
+// Role permission set validation
+const rolePermissionsSchema = Joi.object({
+  permissions: Joi.array()
+    .items(Joi.string().valid(...Object.keys(PERMISSIONS)))
+    .unique()
+    .required()
+    .messages({
+      "any.only": "Unknown permission",
+      "array.unique": "Permissions must be unique",
+      "any.required": "Permissions are required",
+    }),
+});
+
+const permissionRoleParamSchema = Joi.object({
+  role: Joi.string()
+    .valid(...EDITABLE_ROLES)
+    .required()
+    .messages({
+      "any.only": `Role must be one of: ${EDITABLE_ROLES.join(", ")}`,
+      "any.required": "Role is required",
+    }),
+});
+
 // Profile update validation
 const updateProfileSchema = Joi.object({
   firstName: Joi.string().min(2).max(50).optional(),
@@ -96,6 +289,58 @@ const adminUpdateUserSchema = Joi.object({
   avatar: Joi.string().uri().optional().allow(null, ""),
   position: Joi.string().max(100).optional().allow(null, ""),
   accessToOthers: Joi.boolean().optional(),
+  costRate: Joi.number()
+    .min(0)
+    .precision(2)
+    .max(99999999)
+    .optional()
+    .allow(null),
+  billRate: Joi.number()
+    .min(0)
+    .precision(2)
+    .max(99999999)
+    .optional()
+    .allow(null),
+});
+
+// Personal access token creation validation
+const createPersonalAccessTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    "any.required": "Token name is required",
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...TOKEN_SCOPES))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      "any.only": `Scopes must be one of: ${TOKEN_SCOPES.join(", ")}`,
+      "array.min": "At least one scope is required",
+      "any.required": "Scopes are required",
+    }),
+  // null creates a token that never expires
+  expiresInDays: Joi.number().integer().min(1).max(365).allow(null).default(90),
+});
+
+// Personal access token ID parameter validation
+const tokenIdParamSchema = Joi.object({
+  tokenId: Joi.string().required().messages({
+    "any.required": "Token ID is required",
+  }),
+});
+
+// Invitation ID parameter validation
+const invitationIdParamSchema = Joi.object({
+  invitationId: Joi.string().required().messages({
+    "any.required": "Invitation ID is required",
+  }),
+});
+
+// Session ID parameter validation
+const sessionIdParamSchema = Joi.object({
+  id: Joi.string().required().messages({
+    "any.required": "Session ID is required",
+  }),
 });
 
 // Refresh token validation
@@ -105,6 +350,16 @@ const refreshTokenSchema = Joi.object({
   }),
 });
 
+// Switch organization validation
+const switchOrganizationSchema = Joi.object({
+  organizationId: Joi.string().required().messages({
+    "any.required": "Organization ID is required",
+  }),
+  refreshToken: Joi.string().required().messages({
+    "any.required": "Refresh token is required",
+  }),
+});
+
 // ID parameter validation
 const idParamSchema = Joi.object({
   id: Joi.string().required().messages({
@@ -123,13 +378,73 @@ const userStatusSchema = Joi.object({
     }),
 });
 
+// Data export ID parameter validation
+const exportIdParamSchema = Joi.object({
+  exportId: Joi.string().required().messages({
+    "any.required": "Export ID is required",
+  }),
+});
+
+// Offboard user validation schema
+const offboardUserSchema = Joi.object({
+  successorId: Joi.string().required().messages({
+    "any.required": "Successor ID is required",
+  }),
+  reason: Joi.string().trim().max(500).optional().messages({
+    "string.max": "Reason cannot exceed 500 characters",
+  }),
+});
+
+// Erase user validation schema
+const eraseUserSchema = Joi.object({
+  redactMessages: Joi.boolean().default(false),
+  reason: Joi.string().trim().max(500).optional().messages({
+    "string.max": "Reason cannot exceed 500 characters",
+  }),
+});
+
+// Impersonate user validation schema
+const impersonateUserSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required().messages({
+    "string.min": "Reason must be at least 5 characters long",
+    "string.max": "Reason cannot exceed 500 characters",
+    "any.required": "A reason for impersonation is required",
+  }),
+});
+
 module.exports = {
   registerSchema,
+  createUserSchema,
+  importUserRowSchema,
+  importUsersSchema,
+  createInvitationSchema,
+  invitationTokenSchema,
+  acceptInvitationSchema,
   loginSchema,
   changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  oidcCallbackSchema,
+  disableTwoFactorSchema,
+  twoFactorPolicySchema,
+  rolePermissionsSchema,
+  permissionRoleParamSchema,
   updateProfileSchema,
   adminUpdateUserSchema,
+  createPersonalAccessTokenSchema,
+  tokenIdParamSchema,
+  invitationIdParamSchema,
   refreshTokenSchema,
+  switchOrganizationSchema,
+  sessionIdParamSchema,
   idParamSchema,
   userStatusSchema,
+  offboardUserSchema,
+  eraseUserSchema,
+  impersonateUserSchema,
+  exportIdParamSchema,
 };
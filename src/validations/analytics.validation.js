@@ -18,7 +18,8 @@ const teamProductivitySchema = {
   query: Joi.object({
     startDate: Joi.date().iso().optional(),
     endDate: Joi.date().iso().min(Joi.ref("startDate")).optional(),
-    teamMemberId: Joi.string().uuid().optional(),
+    teamMemberId: Joi.string().optional(),
+    teamId: Joi.string().optional(),
   }),
 };
 
@@ -27,7 +28,7 @@ const timeTrackingAnalyticsSchema = {
   query: Joi.object({
     startDate: Joi.date().iso().optional(),
     endDate: Joi.date().iso().min(Joi.ref("startDate")).optional(),
-    projectId: Joi.string().uuid().optional(),
+    projectId: Joi.string().optional(),
     groupBy: Joi.string()
       .valid("day", "week", "month", "user", "project")
       .default("day"),
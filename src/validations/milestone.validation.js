@@ -0,0 +1,95 @@
+// Validation schemas for project milestone endpoints
+const Joi = require("joi");
+
+const projectIdParam = Joi.object({
+  id: Joi.string().required().messages({
+    "any.required": "Project ID is required",
+  }),
+});
+
+const milestoneParams = Joi.object({
+  id: Joi.string().required().messages({
+    "any.required": "Project ID is required",
+  }),
+  milestoneId: Joi.string().required().messages({
+    "any.required": "Milestone ID is required",
+  }),
+});
+
+// Get milestones validation
+const getMilestones = {
+  params: projectIdParam,
+};
+
+// Milestone creation validation
+const createMilestone = {
+  params: projectIdParam,
+  body: Joi.object({
+    name: Joi.string().min(2).max(200).required().messages({
+      "string.min": "Milestone name must be at least 2 characters long",
+      "string.max": "Milestone name cannot exceed 200 characters",
+      "any.required": "Milestone name is required",
+    }),
+    description: Joi.string().max(2000).allow("", null).messages({
+      "string.max": "Description cannot exceed 2000 characters",
+    }),
+    targetDate: Joi.date().iso().required().messages({
+      "date.format": "Target date must be in ISO format (YYYY-MM-DD)",
+      "any.required": "Target date is required",
+    }),
+  }),
+};
+
+// Milestone update validation
+const updateMilestone = {
+  params: milestoneParams,
+  body: Joi.object({
+    name: Joi.string().min(2).max(200).messages({
+      "string.min": "Milestone name must be at least 2 characters long",
+      "string.max": "Milestone name cannot exceed 200 characters",
+    }),
+    description: Joi.string().max(2000).allow("", null).messages({
+      "string.max": "Description cannot exceed 2000 characters",
+    }),
+    targetDate: Joi.date().iso().messages({
+      "date.format": "Target date must be in ISO format (YYYY-MM-DD)",
+    }),
+    status: Joi.string().valid("PENDING", "REACHED", "MISSED").messages({
+      "any.only": "Status must be one of: PENDING, REACHED, MISSED",
+    }),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one field must be provided for update",
+    }),
+};
+
+// Milestone reordering validation
+const reorderMilestones = {
+  params: projectIdParam,
+  body: Joi.object({
+    milestoneIds: Joi.array()
+      .items(Joi.string())
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        "array.min": "At least one milestone ID is required",
+        "array.unique": "Milestone IDs must be unique",
+        "any.required": "Milestone IDs are required",
+      }),
+  }),
+};
+
+// Delete milestone validation
+const deleteMilestone = {
+  params: milestoneParams,
+};
+
+module.exports = {
+  getMilestones,
+  createMilestone,
+  updateMilestone,
+  reorderMilestones,
+  deleteMilestone,
+};
@@ -0,0 +1,94 @@
+// Validation schemas for organization endpoints
+const Joi = require("joi");
+
+// Organization name and URL-safe slug
+const name = Joi.string().trim().min(2).max(100).messages({
+  "string.min": "Organization name must be at least 2 characters long",
+  "string.max": "Organization name cannot exceed 100 characters",
+  "any.required": "Organization name is required",
+});
+const slug = Joi.string()
+  .lowercase()
+  .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .min(2)
+  .max(50)
+  .messages({
+    "string.pattern.base":
+      "Slug may only contain lowercase letters, numbers and single dashes",
+    "string.min": "Slug must be at least 2 characters long",
+    "string.max": "Slug cannot exceed 50 characters",
+    "any.required": "Slug is required",
+  });
+
+// Create organization validation
+const createOrganization = {
+  body: Joi.object({
+    name: name.required(),
+    slug: slug.required(),
+  }),
+};
+
+// Update current organization validation
+const updateOrganization = {
+  body: Joi.object({
+    name: name.optional(),
+    slug: slug.optional(),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one field must be provided for update",
+    }),
+};
+
+// Add organization member validation
+const addMember = {
+  body: Joi.object({
+    email: Joi.string().email().required().messages({
+      "string.email": "Please provide a valid email address",
+      "any.required": "Email is required",
+    }),
+    role: Joi.string()
+      .valid("ADMIN", "TEAM_LEAD", "EMPLOYEE")
+      .default("EMPLOYEE")
+      .messages({
+        "any.only": "Role must be one of: ADMIN, TEAM_LEAD, EMPLOYEE",
+      }),
+  }),
+};
+
+// Remove organization member validation
+const removeMember = {
+  params: Joi.object({
+    userId: Joi.string().required().messages({
+      "any.required": "User ID is required",
+    }),
+  }),
+};
+
+// Create provisioning token validation
+const createProvisioningToken = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.max": "Token name cannot exceed 100 characters",
+      "any.required": "Token name is required",
+    }),
+  }),
+};
+
+// Revoke provisioning token validation
+const revokeProvisioningToken = {
+  params: Joi.object({
+    tokenId: Joi.string().required().messages({
+      "any.required": "Token ID is required",
+    }),
+  }),
+};
+
+module.exports = {
+  createOrganization,
+  updateOrganization,
+  addMember,
+  removeMember,
+  createProvisioningToken,
+  revokeProvisioningToken,
+};
@@ -1,6 +1,22 @@
 // Validation schemas for project management endpoints
 const Joi = require("joi");
 
+// Percentages of the budget that trigger a budget alert
+const budgetAlertThresholds = Joi.array()
+  .items(Joi.number().integer().min(1).max(1000))
+  .max(10)
+  .unique()
+  .messages({
+    "number.base": "Budget alert thresholds must be percentages",
+    "number.min": "Budget alert thresholds must be at least 1%",
+    "number.max": "Budget alert thresholds cannot exceed 1000%",
+    "array.max": "At most 10 budget alert thresholds are allowed",
+    "array.unique": "Budget alert thresholds must be unique",
+  });
+
+// Hourly cost or bill rate
+const hourlyRate = Joi.number().min(0).precision(2).max(99999999).allow(null);
+
 // Project creation validation
 const createProject = Joi.object({
   name: Joi.string().min(2).max(100).required().messages({
@@ -29,17 +45,17 @@ const createProject = Joi.object({
     "number.positive": "Budget must be a positive number",
     "number.precision": "Budget can have at most 2 decimal places",
   }),
-  memberIds: Joi.array().items(Joi.string().uuid()).unique().messages({
+  budgetAlertThresholds,
+  memberIds: Joi.array().items(Joi.string()).unique().messages({
     "array.unique": "Member IDs must be unique",
-    "string.guid": "Each member ID must be a valid UUID",
   }),
+  templateId: Joi.string(),
 });
 
 // Project update validation
 const updateProject = {
   params: Joi.object({
-    id: Joi.string().uuid().required().messages({
-      "string.guid": "Project ID must be a valid UUID",
+    id: Joi.string().required().messages({
       "any.required": "Project ID is required",
     }),
   }),
@@ -75,6 +91,7 @@ const updateProject = {
       "number.positive": "Budget must be a positive number",
       "number.precision": "Budget can have at most 2 decimal places",
     }),
+    budgetAlertThresholds: budgetAlertThresholds.allow(null),
   })
     .min(1)
     .messages({
@@ -103,6 +120,12 @@ const getProjects = {
     search: Joi.string().max(100).messages({
       "string.max": "Search term cannot exceed 100 characters",
     }),
+    archived: Joi.string()
+      .valid("true", "false", "all")
+      .default("false")
+      .messages({
+        "any.only": "Archived must be one of: true, false, all",
+      }),
     sortBy: Joi.string()
       .valid("name", "status", "createdAt", "updatedAt", "startDate", "endDate")
       .default("createdAt")
@@ -119,8 +142,7 @@ const getProjects = {
 // Get single project validation
 const getProject = {
   params: Joi.object({
-    id: Joi.string().uuid().required().messages({
-      "string.guid": "Project ID must be a valid UUID",
+    id: Joi.string().required().messages({
       "any.required": "Project ID is required",
     }),
   }),
@@ -129,8 +151,7 @@ const getProject = {
 // Delete project validation
 const deleteProject = {
   params: Joi.object({
-    id: Joi.string().uuid().required().messages({
-      "string.guid": "Project ID must be a valid UUID",
+    id: Joi.string().required().messages({
       "any.required": "Project ID is required",
     }),
   }),
@@ -139,28 +160,70 @@ const deleteProject = {
 // Add project member validation
 const addProjectMember = {
   params: Joi.object({
-    id: Joi.string().uuid().required().messages({
-      "string.guid": "Project ID must be a valid UUID",
+    id: Joi.string().required().messages({
       "any.required": "Project ID is required",
     }),
   }),
   body: Joi.object({
-    userId: Joi.string().uuid().required().messages({
-      "string.guid": "User ID must be a valid UUID",
+    userIds: Joi.array()
+      .items(Joi.string())
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        "array.min": "At least one user ID is required",
+        "array.unique": "User IDs must be unique",
+        "any.required": "User IDs are required",
+      }),
+    role: Joi.string()
+      .valid("OWNER", "MAINTAINER", "CONTRIBUTOR", "VIEWER")
+      .default("CONTRIBUTOR")
+      .messages({
+        "any.only":
+          "Role must be one of: OWNER, MAINTAINER, CONTRIBUTOR, VIEWER",
+      }),
+  }),
+};
+
+// Update project member role validation
+const updateProjectMemberRole = {
+  params: Joi.object({
+    id: Joi.string().required().messages({
+      "any.required": "Project ID is required",
+    }),
+    userId: Joi.string().required().messages({
       "any.required": "User ID is required",
     }),
   }),
+  body: Joi.object({
+    role: Joi.string()
+      .valid("OWNER", "MAINTAINER", "CONTRIBUTOR", "VIEWER")
+      .messages({
+        "any.only":
+          "Role must be one of: OWNER, MAINTAINER, CONTRIBUTOR, VIEWER",
+      }),
+    costRate: hourlyRate.messages({
+      "number.min": "Cost rate cannot be negative",
+      "number.precision": "Cost rate can have at most 2 decimal places",
+    }),
+    billRate: hourlyRate.messages({
+      "number.min": "Bill rate cannot be negative",
+      "number.precision": "Bill rate can have at most 2 decimal places",
+    }),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one of role, costRate or billRate is required",
+    }),
 };
 
 // Remove project member validation
 const removeProjectMember = {
   params: Joi.object({
-    id: Joi.string().uuid().required().messages({
-      "string.guid": "Project ID must be a valid UUID",
+    id: Joi.string().required().messages({
       "any.required": "Project ID is required",
     }),
-    userId: Joi.string().uuid().required().messages({
-      "string.guid": "User ID must be a valid UUID",
+    userId: Joi.string().required().messages({
       "any.required": "User ID is required",
     }),
   }),
@@ -169,13 +232,70 @@ const removeProjectMember = {
 // Get project stats validation
 const getProjectStats = {
   params: Joi.object({
-    id: Joi.string().uuid().required().messages({
-      "string.guid": "Project ID must be a valid UUID",
+    id: Joi.string().required().messages({
       "any.required": "Project ID is required",
     }),
   }),
 };
 
+// Project ID parameter of template and clone requests
+const projectIdParam = Joi.object({
+  id: Joi.string().required().messages({
+    "any.required": "Project ID is required",
+  }),
+});
+
+// Project budget report validation
+const getProjectBudget = {
+  params: projectIdParam,
+};
+
+// Archive/unarchive project validation
+const archiveProject = {
+  params: projectIdParam,
+};
+
+// Save project as template validation
+const saveProjectAsTemplate = {
+  params: projectIdParam,
+  body: Joi.object({
+    name: Joi.string().trim().min(2).max(100).messages({
+      "string.min": "Template name must be at least 2 characters long",
+      "string.max": "Template name cannot exceed 100 characters",
+    }),
+    description: Joi.string().max(1000).allow("").messages({
+      "string.max": "Description cannot exceed 1000 characters",
+    }),
+    includeMembers: Joi.boolean().default(true),
+  }),
+};
+
+// Get/delete project template validation
+const projectTemplateById = {
+  params: Joi.object({
+    templateId: Joi.string().required().messages({
+      "any.required": "Template ID is required",
+    }),
+  }),
+};
+
+// Clone project validation
+const cloneProject = {
+  params: projectIdParam,
+  body: Joi.object({
+    name: Joi.string().trim().min(2).max(100).messages({
+      "string.min": "Project name must be at least 2 characters long",
+      "string.max": "Project name cannot exceed 100 characters",
+    }),
+    startDate: Joi.date().iso().messages({
+      "date.format": "Start date must be in ISO format (YYYY-MM-DD)",
+    }),
+    includeMembers: Joi.boolean().default(true),
+    includeFiles: Joi.boolean().default(false),
+    openTasksOnly: Joi.boolean().default(false),
+  }),
+};
+
 module.exports = {
   createProject,
   updateProject,
@@ -183,6 +303,12 @@ module.exports = {
   getProject,
   deleteProject,
   addProjectMember,
+  updateProjectMemberRole,
   removeProjectMember,
   getProjectStats,
+  getProjectBudget,
+  archiveProject,
+  saveProjectAsTemplate,
+  projectTemplateById,
+  cloneProject,
 };
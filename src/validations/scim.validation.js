@@ -0,0 +1,39 @@
+// Validation schemas for SCIM provisioning (applied to the user and team
+// fields that SCIM attributes map onto)
+const Joi = require("joi");
+const { registerSchema } = require("../utils/validation");
+
+// SCIM user mapped onto user fields
+const scimUser = Joi.object({
+  userName: Joi.string().trim().min(1).max(191).required().messages({
+    "any.required": "userName is required",
+  }),
+  externalId: Joi.string().max(191).allow(null),
+  email: registerSchema.extract("email").messages({
+    "any.required": "A work email address is required",
+  }),
+  firstName: registerSchema.extract("firstName").messages({
+    "any.required": "name.givenName is required",
+  }),
+  lastName: registerSchema.extract("lastName").messages({
+    "any.required": "name.familyName is required",
+  }),
+  position: registerSchema.extract("position").allow(null, ""),
+  active: Joi.boolean().required(),
+  password: registerSchema.extract("password").optional(),
+});
+
+// SCIM group mapped onto a team or role
+const scimGroup = Joi.object({
+  displayName: Joi.string().trim().min(2).max(100).required().messages({
+    "string.min": "displayName must be at least 2 characters long",
+    "string.max": "displayName cannot exceed 100 characters",
+    "any.required": "displayName is required",
+  }),
+  memberIds: Joi.array().items(Joi.string()).unique().default([]),
+});
+
+module.exports = {
+  scimUser,
+  scimGroup,
+};
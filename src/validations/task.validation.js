@@ -34,6 +34,7 @@ const createTask = {
       "number.precision": "Estimated hours can have at most 2 decimal places",
       "number.max": "Estimated hours cannot exceed 1000",
     }),
+    milestoneId: Joi.string(),
   }),
 };
 
@@ -88,6 +89,7 @@ const updateTask = {
         "number.precision": "Actual hours can have at most 2 decimal places",
         "number.max": "Actual hours cannot exceed 1000",
       }),
+    milestoneId: Joi.string().allow(null),
   })
     .min(1)
     .messages({
@@ -107,12 +109,9 @@ const getTasks = {
       "number.min": "Limit must be at least 1",
       "number.max": "Limit cannot exceed 100",
     }),
-    projectId: Joi.string().uuid().messages({
-      "string.guid": "Project ID must be a valid UUID",
-    }),
-    assignedToId: Joi.string().uuid().messages({
-      "string.guid": "Assigned to ID must be a valid UUID",
-    }),
+    projectId: Joi.string(),
+    assignedToId: Joi.string(),
+    milestoneId: Joi.string(),
     status: Joi.string()
       .valid("TODO", "IN_PROGRESS", "REVIEW", "COMPLETED", "CANCELLED")
       .messages({
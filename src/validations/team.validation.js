@@ -0,0 +1,111 @@
+// Validation schemas for team endpoints
+const Joi = require("joi");
+
+// Team ID parameter
+const teamIdParam = Joi.object({
+  id: Joi.string().required().messages({
+    "any.required": "Team ID is required",
+  }),
+});
+
+// List of user IDs (leads or members)
+const userIds = Joi.array().items(Joi.string()).unique().messages({
+  "array.unique": "User IDs must be unique",
+});
+
+// Create team validation
+const createTeam = {
+  body: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required().messages({
+      "string.min": "Team name must be at least 2 characters long",
+      "string.max": "Team name cannot exceed 100 characters",
+      "any.required": "Team name is required",
+    }),
+    description: Joi.string().max(1000).allow("").optional().messages({
+      "string.max": "Description cannot exceed 1000 characters",
+    }),
+    leadIds: userIds.default([]),
+    memberIds: userIds.default([]),
+  }),
+};
+
+// Get/delete team validation
+const teamById = {
+  params: teamIdParam,
+};
+
+// Update team validation
+const updateTeam = {
+  params: teamIdParam,
+  body: Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional().messages({
+      "string.min": "Team name must be at least 2 characters long",
+      "string.max": "Team name cannot exceed 100 characters",
+    }),
+    description: Joi.string().max(1000).allow("").optional().messages({
+      "string.max": "Description cannot exceed 1000 characters",
+    }),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one field must be provided for update",
+    }),
+};
+
+// Add team members validation (existing members get the given role)
+const addTeamMembers = {
+  params: teamIdParam,
+  body: Joi.object({
+    userIds: userIds.min(1).required().messages({
+      "array.min": "At least one user ID is required",
+      "any.required": "User IDs are required",
+    }),
+    role: Joi.string().valid("LEAD", "MEMBER").default("MEMBER").messages({
+      "any.only": "Role must be either LEAD or MEMBER",
+    }),
+  }),
+};
+
+// Remove team member validation
+const removeTeamMember = {
+  params: Joi.object({
+    id: Joi.string().required().messages({
+      "any.required": "Team ID is required",
+    }),
+    userId: Joi.string().required().messages({
+      "any.required": "User ID is required",
+    }),
+  }),
+};
+
+// Assign team to projects validation
+const assignTeamToProjects = {
+  params: teamIdParam,
+  body: Joi.object({
+    projectIds: Joi.array()
+      .items(Joi.string())
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        "array.min": "At least one project ID is required",
+        "array.unique": "Project IDs must be unique",
+        "any.required": "Project IDs are required",
+      }),
+    role: Joi.string()
+      .valid("MAINTAINER", "CONTRIBUTOR", "VIEWER")
+      .default("CONTRIBUTOR")
+      .messages({
+        "any.only": "Role must be one of: MAINTAINER, CONTRIBUTOR, VIEWER",
+      }),
+  }),
+};
+
+module.exports = {
+  createTeam,
+  teamById,
+  updateTeam,
+  addTeamMembers,
+  removeTeamMember,
+  assignTeamToProjects,
+};
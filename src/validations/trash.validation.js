@@ -0,0 +1,33 @@
+// Validation schemas for trash endpoints
+const Joi = require("joi");
+
+// Kind of trashed item
+const trashType = Joi.string()
+  .valid("projects", "tasks", "messages")
+  .required()
+  .messages({
+    "any.only": "Type must be one of: projects, tasks, messages",
+    "any.required": "Type is required",
+  });
+
+// Get trash validation
+const getTrash = {
+  params: Joi.object({
+    type: trashType,
+  }),
+};
+
+// Restore trash item validation
+const restoreTrashItem = {
+  params: Joi.object({
+    type: trashType,
+    id: Joi.string().required().messages({
+      "any.required": "Item ID is required",
+    }),
+  }),
+};
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+};
@@ -4,8 +4,16 @@
  */
 
 const { Server } = require("socket.io");
-const jwt = require("jsonwebtoken");
+const { PrismaClient } = require("@prisma/client");
 const notificationService = require("../services/notification.service");
+const {
+  verifyToken,
+  getDefaultOrganizationId,
+  memberProjectsWhere,
+  filterVisibleUserIds,
+} = require("../utils/auth");
+
+const prisma = new PrismaClient();
 
 /**
  * Initialize Socket.io server
@@ -41,14 +49,39 @@ function initializeSocketIO(server) {
       // Remove 'Bearer ' prefix if present
       const cleanToken = token.replace("Bearer ", "");
 
-      // Verify JWT token
-      const decoded = jwt.verify(cleanToken, process.env.JWT_SECRET);
+      // Verify JWT access token
+      const decoded = verifyToken(cleanToken);
+
+      const user = await prisma.user.findUnique({
+        where: { id: decoded.id },
+        select: { id: true, status: true },
+      });
+
+      if (!user || user.status !== "ACTIVE") {
+        throw new Error("User not found or inactive");
+      }
+
+      // Sockets act in the organization of the access token
+      const organizationId =
+        decoded.organizationId || (await getDefaultOrganizationId(user.id));
+      const membership =
+        organizationId &&
+        (await prisma.organizationMember.findUnique({
+          where: {
+            organizationId_userId: { organizationId, userId: user.id },
+          },
+        }));
 
-      // Attach user info to socket
-      socket.userId = decoded.userId;
-      socket.userRole = decoded.role;
+      if (!membership) {
+        throw new Error("Not a member of the organization");
+      }
 
-      console.log(`🔐 Socket authenticated for user ${decoded.userId}`);
+      // Attach user info to socket (with the role of the organization)
+      socket.userId = user.id;
+      socket.userRole = membership.role;
+      socket.organizationId = organizationId;
+
+      console.log(`🔐 Socket authenticated for user ${user.id}`);
       next();
     } catch (error) {
       console.error("❌ Socket authentication failed:", error.message);
@@ -61,25 +94,60 @@ function initializeSocketIO(server) {
     const userId = socket.userId;
     console.log(`🔌 User ${userId} connected to WebSocket`);
 
+    // Projects in which this user's presence was announced
+    const announcedProjects = new Set();
+
     // Add user to notification service
     notificationService.addUserSocket(userId, socket.id);
 
     // Handle user joining project rooms
-    socket.on("join_project", (projectId) => {
+    socket.on("join_project", async (projectId) => {
       try {
+        const project = await prisma.project.findFirst({
+          where: {
+            id: projectId,
+            organizationId: socket.organizationId,
+            deletedAt: null,
+            ...(socket.userRole !== "ADMIN" && memberProjectsWhere(userId)),
+          },
+          select: {
+            createdBy: true,
+            members: { where: { userId }, select: { id: true } },
+          },
+        });
+
+        if (!project) {
+          return socket.emit("error", {
+            message: "Project not found or access denied",
+          });
+        }
+
         notificationService.joinProjectRoom(userId, projectId);
 
-        // Notify other project members about user presence
-        notificationService.notifyProject(
-          projectId,
-          notificationService.TYPES.USER_PRESENCE,
-          {
-            userId,
-            action: "joined",
-            timestamp: new Date().toISOString(),
-          },
-          userId
-        );
+        // Users who turned off accessToOthers only share their presence
+        // with projects they belong to
+        const user = await prisma.user.findUnique({
+          where: { id: userId },
+          select: { accessToOthers: true },
+        });
+        const isMember =
+          project.createdBy === userId || project.members.length > 0;
+
+        if (isMember || user.accessToOthers) {
+          announcedProjects.add(projectId);
+
+          // Notify other project members about user presence
+          notificationService.notifyProject(
+            projectId,
+            notificationService.TYPES.USER_PRESENCE,
+            {
+              userId,
+              action: "joined",
+              timestamp: new Date().toISOString(),
+            },
+            userId
+          );
+        }
 
         socket.emit("joined_project", { projectId, success: true });
       } catch (error) {
@@ -94,16 +162,18 @@ function initializeSocketIO(server) {
         notificationService.leaveProjectRoom(userId, projectId);
 
         // Notify other project members about user leaving
-        notificationService.notifyProject(
-          projectId,
-          notificationService.TYPES.USER_PRESENCE,
-          {
-            userId,
-            action: "left",
-            timestamp: new Date().toISOString(),
-          },
-          userId
-        );
+        if (announcedProjects.delete(projectId)) {
+          notificationService.notifyProject(
+            projectId,
+            notificationService.TYPES.USER_PRESENCE,
+            {
+              userId,
+              action: "left",
+              timestamp: new Date().toISOString(),
+            },
+            userId
+          );
+        }
 
         socket.emit("left_project", { projectId, success: true });
       } catch (error) {
@@ -137,13 +207,22 @@ function initializeSocketIO(server) {
     });
 
     // Handle getting online users for a project
-    socket.on("get_project_users", (projectId) => {
-      const projectUsers = notificationService.getProjectUsers(projectId);
-      socket.emit("project_users", {
-        projectId,
-        users: projectUsers,
-        count: projectUsers.length,
-      });
+    socket.on("get_project_users", async (projectId) => {
+      try {
+        const projectUsers = await filterVisibleUserIds(
+          { id: userId, role: socket.userRole },
+          notificationService.getProjectUsers(projectId)
+        );
+
+        socket.emit("project_users", {
+          projectId,
+          users: projectUsers,
+          count: projectUsers.length,
+        });
+      } catch (error) {
+        console.error("❌ Error getting project users:", error);
+        socket.emit("error", { message: "Failed to get project users" });
+      }
     });
 
     // Handle getting system status
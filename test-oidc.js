@@ -0,0 +1,198 @@
+/**
+ * OIDC Single Sign-On Test
+ * Starts a minimal mock OpenID Connect provider and runs the SSO login flow
+ * against a running backend.
+ *
+ * Backend configuration:
+ *   OIDC_ENABLED=true
+ *   OIDC_ISSUER=http://localhost:4000
+ *   OIDC_CLIENT_ID=fuchsio
+ *   OIDC_ROLE_MAPPING=fuchsio-admins:ADMIN,fuchsio-leads:TEAM_LEAD
+ *
+ * Usage:
+ *   node test-oidc.js          # run the login flow once
+ *   node test-oidc.js --serve  # only run the mock provider (e.g. for the frontend)
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const axios = require("axios");
+
+const SERVER_URL = process.env.SERVER_URL || "http://localhost:3000/api/v1";
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "fuchsio";
+
+// User that the mock provider signs in without asking
+const TEST_USER = {
+  sub: process.env.MOCK_OIDC_SUB || "mock-user-1",
+  email: process.env.MOCK_OIDC_EMAIL || "sso.user@fuchsio.com",
+  email_verified: true,
+  given_name: "Sso",
+  family_name: "User",
+  preferred_username: "ssouser",
+  groups: (process.env.MOCK_OIDC_GROUPS || "fuchsio-leads").split(","),
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const KEY_ID = "mock-key-1";
+const authorizationCodes = new Map();
+
+function createMockProvider() {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({
+      keys: [
+        {
+          ...publicKey.export({ format: "jwk" }),
+          kid: KEY_ID,
+          use: "sig",
+          alg: "RS256",
+        },
+      ],
+    });
+  });
+
+  // Auto-approve and redirect back with an authorization code
+  app.get("/authorize", (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge } = req.query;
+
+    if (client_id !== CLIENT_ID || !code_challenge) {
+      return res.status(400).json({ error: "invalid_request" });
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    authorizationCodes.set(code, {
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge,
+    });
+
+    const location = new URL(redirect_uri);
+    location.searchParams.set("code", code);
+    location.searchParams.set("state", state);
+    res.redirect(location.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const { code, code_verifier, redirect_uri, client_id } = req.body;
+    const request = authorizationCodes.get(code);
+    authorizationCodes.delete(code);
+
+    const challenge = crypto
+      .createHash("sha256")
+      .update(code_verifier || "")
+      .digest("base64url");
+
+    if (
+      !request ||
+      request.redirectUri !== redirect_uri ||
+      request.codeChallenge !== challenge ||
+      client_id !== CLIENT_ID
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign(
+      { ...TEST_USER, nonce: request.nonce },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: "5m",
+      }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString("hex"),
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  app.get("/userinfo", (req, res) => {
+    res.json(TEST_USER);
+  });
+
+  return app;
+}
+
+async function testOidcLogin() {
+  console.log("🔧 Testing Fuchsio OIDC single sign-on...\n");
+
+  try {
+    console.log("1️⃣ Checking SSO configuration...");
+    const configResponse = await axios.get(`${SERVER_URL}/auth/oidc/config`);
+    console.log("✅ SSO config:", configResponse.data.data, "\n");
+
+    console.log("2️⃣ Starting authorization request...");
+    const authorizeResponse = await axios.get(
+      `${SERVER_URL}/auth/oidc/authorize`
+    );
+    const { authorizationUrl } = authorizeResponse.data.data;
+    console.log("✅ Authorization URL received\n");
+
+    console.log("3️⃣ Signing in at the mock provider...");
+    const providerResponse = await axios.get(authorizationUrl, {
+      maxRedirects: 0,
+      validateStatus: (status) => status === 302,
+    });
+    const callbackUrl = new URL(providerResponse.headers.location);
+    console.log("✅ Redirected back to", callbackUrl.origin, "\n");
+
+    console.log("4️⃣ Completing login...");
+    const callbackResponse = await axios.post(
+      `${SERVER_URL}/auth/oidc/callback`,
+      {
+        code: callbackUrl.searchParams.get("code"),
+        state: callbackUrl.searchParams.get("state"),
+        deviceName: "OIDC test script",
+      }
+    );
+    const { user, accessToken, mfaRequired } = callbackResponse.data.data;
+
+    if (mfaRequired) {
+      console.log("✅ Login requires two-factor authentication");
+    } else {
+      console.log("✅ Logged in as", user.email, `(${user.role})`);
+      console.log("🔑 Access token:", `${accessToken.slice(0, 20)}...`);
+    }
+  } catch (error) {
+    console.error(
+      "❌ OIDC test failed:",
+      error.response?.data || error.message
+    );
+    process.exitCode = 1;
+  }
+}
+
+const server = createMockProvider().listen(PORT, async () => {
+  console.log(`🪪 Mock OIDC provider running at ${ISSUER}\n`);
+
+  if (!process.argv.includes("--serve")) {
+    await testOidcLogin();
+    server.close();
+  }
+});